@@ -0,0 +1,266 @@
+/**
+ * Mock API Server - Local stand-in for the EcoTwinAI backend
+ * Implements /api/mapbox-config and the project API used by ProjectBrowserModule
+ * (see modules/project-browser.js) with no dependencies beyond Node.js.
+ *
+ * Usage:
+ *   node mock-server.js [--port 3000] [--data ./mock-data]
+ *   MAPBOX_ACCESS_TOKEN=pk.... node mock-server.js
+ * Then open the frontend with ?api=http://localhost:3000 (the default on localhost).
+ *
+ * Projects live in memory, or as one JSON file per project in --data.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = Number(getArg('port', process.env.PORT || 3000));
+const DATA_DIR = getArg('data', null);
+const MAX_BODY_BYTES = 200 * 1024 * 1024;
+
+// id -> { id, name, versions: [{ version, createdAt, message, heightUnit, data }] }
+const projects = new Map();
+
+/**
+ * Load persisted projects from the data directory
+ */
+function loadProjects() {
+    if (!DATA_DIR) return;
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.readdirSync(DATA_DIR)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            try {
+                const project = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+                projects.set(project.id, project);
+            } catch (error) {
+                console.warn(`Skipping ${file}: ${error.message}`);
+            }
+        });
+    console.log(`Loaded ${projects.size} project(s) from ${DATA_DIR}`);
+}
+
+/**
+ * Persist a project to the data directory
+ * @param {Object} project - Project record
+ */
+function storeProject(project) {
+    projects.set(project.id, project);
+    if (DATA_DIR) {
+        fs.writeFileSync(path.join(DATA_DIR, `${project.id}.json`), JSON.stringify(project));
+    }
+}
+
+/**
+ * Summarize a project for the list endpoint
+ * @param {Object} project - Project record
+ * @returns {Object} Summary
+ */
+function summarize(project) {
+    const latest = project.versions[project.versions.length - 1];
+    return {
+        id: project.id,
+        name: project.name,
+        version: latest.version,
+        updatedAt: latest.createdAt,
+        featureCount: latest.data.features.length
+    };
+}
+
+/**
+ * Send a JSON response with CORS headers
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Validate a scene payload
+ * @param {Object} data - Scene GeoJSON
+ * @throws {Error} 400 if not a FeatureCollection
+ */
+function validateScene(data) {
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw Object.assign(new Error('data must be a GeoJSON FeatureCollection'), { status: 400 });
+    }
+}
+
+/**
+ * Create a version record from a request body
+ */
+function createVersion(version, body) {
+    return {
+        version,
+        createdAt: new Date().toISOString(),
+        message: typeof body.message === 'string' ? body.message : '',
+        heightUnit: body.heightUnit === 'feet' ? 'feet' : 'meters',
+        data: body.data
+    };
+}
+
+/**
+ * Route a request
+ */
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/mapbox-config') {
+        sendJSON(res, 200, {
+            accessToken: process.env.MAPBOX_ACCESS_TOKEN || '',
+            style: process.env.MAPBOX_STYLE || 'mapbox://styles/mapbox/standard',
+            center: [13.405, 52.52],
+            zoom: 15,
+            pitch: 45,
+            antialias: true
+        });
+        return;
+    }
+
+    if (parts[0] !== 'api' || parts[1] !== 'projects') {
+        sendJSON(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const id = parts[2];
+    const project = id ? projects.get(id) : null;
+    if (id && !project) {
+        sendJSON(res, 404, { error: `Project ${id} not found` });
+        return;
+    }
+
+    // GET /api/projects
+    if (req.method === 'GET' && !id) {
+        const list = Array.from(projects.values()).map(summarize)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        sendJSON(res, 200, { projects: list });
+        return;
+    }
+
+    // POST /api/projects
+    if (req.method === 'POST' && !id) {
+        const body = await readBody(req);
+        validateScene(body.data);
+        const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : 'Untitled scene';
+        const created = { id: crypto.randomUUID(), name, versions: [createVersion(1, body)] };
+        storeProject(created);
+        console.log(`Created project "${name}" (${created.id})`);
+        sendJSON(res, 201, { id: created.id, name, version: 1, updatedAt: created.versions[0].createdAt });
+        return;
+    }
+
+    // GET /api/projects/:id/versions
+    if (req.method === 'GET' && parts[3] === 'versions') {
+        sendJSON(res, 200, {
+            versions: project.versions.map(entry => ({
+                version: entry.version,
+                createdAt: entry.createdAt,
+                message: entry.message,
+                featureCount: entry.data.features.length
+            }))
+        });
+        return;
+    }
+
+    // GET /api/projects/:id[?version=n]
+    if (req.method === 'GET' && parts.length === 3) {
+        const latest = project.versions[project.versions.length - 1];
+        const requested = url.searchParams.get('version');
+        const entry = requested ? project.versions.find(v => v.version === Number(requested)) : latest;
+        if (!entry) {
+            sendJSON(res, 404, { error: `Version ${requested} not found` });
+            return;
+        }
+        sendJSON(res, 200, {
+            id: project.id,
+            name: project.name,
+            version: entry.version,
+            latestVersion: latest.version,
+            updatedAt: entry.createdAt,
+            message: entry.message,
+            heightUnit: entry.heightUnit,
+            data: entry.data
+        });
+        return;
+    }
+
+    // PUT /api/projects/:id (new version, optimistic concurrency on baseVersion)
+    if (req.method === 'PUT' && parts.length === 3) {
+        const body = await readBody(req);
+        validateScene(body.data);
+        const latest = project.versions[project.versions.length - 1];
+        if (Number(body.baseVersion) !== latest.version) {
+            sendJSON(res, 409, { error: `Project has a newer version (v${latest.version})`, currentVersion: latest.version });
+            return;
+        }
+        const entry = createVersion(latest.version + 1, body);
+        project.versions.push(entry);
+        storeProject(project);
+        console.log(`Saved "${project.name}" v${entry.version}`);
+        sendJSON(res, 200, { id: project.id, name: project.name, version: entry.version, updatedAt: entry.createdAt });
+        return;
+    }
+
+    sendJSON(res, 405, { error: 'Method not allowed' });
+}
+
+loadProjects();
+
+http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+        console.error(error);
+        sendJSON(res, error.status || 500, { error: error.message });
+    });
+}).listen(PORT, () => {
+    console.log(`Mock API listening on http://localhost:${PORT}`);
+});
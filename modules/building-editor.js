@@ -0,0 +1,1065 @@
+/**
+ * Building Editor Module - Drawing and editing building footprints
+ * Draws new buildings as polygons or rectangles, edits footprint vertices, splits
+ * footprints along a line, merges selected footprints and changes building heights by
+ * dragging the extrusion. Points snap to the vertices and edges of nearby buildings.
+ * Every edit replaces features in DataModule.buildingData as one undoable step and
+ * refreshes the building colors and energy statistics.
+ */
+
+class BuildingEditorModule {
+    constructor(coreModule, dataModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.currentMode = null; // 'draw' | 'rectangle' | 'edit' | 'split' | null
+        this.drawPoints = []; // [lng, lat] points clicked in draw, rectangle and split modes
+        this.selectedBuildings = []; // Building features selected in edit mode
+        this.vertexDrag = null; // { original, draft, path, moved } while dragging a vertex handle
+        this.heightDrag = null; // { original, draft, startY, startHeight, metersPerPixel } while dragging a height
+        this.snapTolerance = 10; // Snap distance in pixels
+        this.minVertexSpacing = 3; // Clicks closer than this (pixels) to the last point are ignored
+        this.highlightColor = '#f59e0b';
+        this.layersSetup = false;
+    }
+
+    /**
+     * Initialize building editor module (without map layers)
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateModeUI();
+    }
+
+    /**
+     * Setup map layers (call this after map is loaded)
+     */
+    setupMapLayers() {
+        if (this.layersSetup) return;
+        const map = this.core.getMap();
+
+        // Sketch of the footprint being drawn or the split line
+        map.addSource('building-editor-sketch-source', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+        map.addLayer({
+            'id': 'building-editor-sketch-fill-layer',
+            'type': 'fill',
+            'source': 'building-editor-sketch-source',
+            'filter': ['==', ['geometry-type'], 'Polygon'],
+            'paint': {
+                'fill-color': this.highlightColor,
+                'fill-opacity': 0.2
+            }
+        });
+        map.addLayer({
+            'id': 'building-editor-sketch-line-layer',
+            'type': 'line',
+            'source': 'building-editor-sketch-source',
+            'filter': ['!=', ['geometry-type'], 'Point'],
+            'paint': {
+                'line-color': this.highlightColor,
+                'line-width': 2,
+                'line-dasharray': [2, 2]
+            }
+        });
+        map.addLayer({
+            'id': 'building-editor-snap-layer',
+            'type': 'circle',
+            'source': 'building-editor-sketch-source',
+            'filter': ['==', ['geometry-type'], 'Point'],
+            'paint': {
+                'circle-radius': 5,
+                'circle-color': '#ffffff',
+                'circle-stroke-color': this.highlightColor,
+                'circle-stroke-width': 2
+            }
+        });
+
+        // Outline and vertex handles of the selected buildings
+        map.addSource('building-editor-selection-source', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+        map.addLayer({
+            'id': 'building-editor-outline-layer',
+            'type': 'line',
+            'source': 'building-editor-selection-source',
+            'filter': ['!=', ['geometry-type'], 'Point'],
+            'paint': {
+                'line-color': this.highlightColor,
+                'line-width': 3
+            }
+        });
+        map.addLayer({
+            'id': 'building-editor-handles-layer',
+            'type': 'circle',
+            'source': 'building-editor-selection-source',
+            'filter': ['==', ['geometry-type'], 'Point'],
+            'paint': {
+                'circle-radius': ['case', ['get', 'midpoint'], 4, 6],
+                'circle-color': ['case', ['get', 'midpoint'], this.highlightColor, '#ffffff'],
+                'circle-opacity': ['case', ['get', 'midpoint'], 0.6, 1],
+                'circle-stroke-color': this.highlightColor,
+                'circle-stroke-width': 2
+            }
+        });
+
+        this.layersSetup = true;
+        console.log('✓ Building editor layers setup complete');
+    }
+
+    /**
+     * Setup event listeners for building editing
+     */
+    setupEventListeners() {
+        ['draw', 'rectangle', 'edit', 'split'].forEach(mode => {
+            const button = document.getElementById(`building-mode-${mode}`);
+            if (button) {
+                button.addEventListener('click', () => this.setMode(mode));
+            }
+        });
+
+        const mergeBtn = document.getElementById('building-merge');
+        if (mergeBtn) {
+            mergeBtn.addEventListener('click', () => this.mergeSelected());
+        }
+
+        // Enter finishes a polygon, Backspace removes its last point, Escape cancels
+        document.addEventListener('keydown', (e) => {
+            if (!this.currentMode) return;
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
+
+            if (e.key === 'Escape') {
+                if (this.drawPoints.length) {
+                    this.cancelSketch();
+                } else {
+                    this.setSelection([]);
+                }
+            } else if (e.key === 'Enter' && this.currentMode === 'draw') {
+                this.finishPolygon();
+            } else if (e.key === 'Backspace' && this.drawPoints.length) {
+                e.preventDefault();
+                this.drawPoints.pop();
+                this.updateSketch();
+            }
+        });
+
+        const map = this.core.getMap();
+
+        map.on('click', (e) => {
+            switch (this.currentMode) {
+                case 'draw':
+                    this.addDrawPoint(e);
+                    break;
+                case 'rectangle':
+                    this.addRectanglePoint(e);
+                    break;
+                case 'split':
+                    this.addSplitPoint(e);
+                    break;
+                case 'edit':
+                    this.handleEditClick(e);
+                    break;
+            }
+        });
+
+        map.on('dblclick', (e) => {
+            if (this.currentMode === 'draw') {
+                e.preventDefault();
+                this.finishPolygon();
+            }
+        });
+
+        map.on('mousedown', (e) => {
+            if (this.currentMode !== 'edit' || e.originalEvent.button !== 0 || e.originalEvent.shiftKey) return;
+
+            const handle = this.getHandleAtPoint(e.point);
+            if (handle) {
+                e.preventDefault();
+                map.dragPan.disable();
+                this.startVertexDrag(handle);
+                return;
+            }
+
+            const building = this.getBuildingAtPoint(e);
+            if (building && this.selectedBuildings.length === 1 && this.selectedBuildings[0] === building) {
+                e.preventDefault();
+                map.dragPan.disable();
+                this.startHeightDrag(building, e);
+            }
+        });
+
+        map.on('mousemove', UtilsModule.throttle((e) => {
+            if (this.vertexDrag) {
+                this.dragVertex(e);
+            } else if (this.heightDrag) {
+                this.dragHeight(e);
+            } else if (['draw', 'rectangle', 'split'].includes(this.currentMode)) {
+                this.updateSketch(this.snapLngLat(e));
+            }
+        }, 30));
+
+        map.on('mouseup', (e) => {
+            if (this.vertexDrag) {
+                this.dragVertex(e);
+                this.finishVertexDrag();
+                map.dragPan.enable();
+            } else if (this.heightDrag) {
+                this.dragHeight(e);
+                this.finishHeightDrag();
+                map.dragPan.enable();
+            }
+        });
+        // Mapbox fires no mouseup when the button is released outside the map: revert the drag
+        document.addEventListener('mouseup', (e) => {
+            if (!this.vertexDrag && !this.heightDrag) return;
+            if (map.getCanvasContainer().contains(e.target)) return; // Finished by the map listener
+            this.cancelDrag();
+            map.dragPan.enable();
+        });
+    }
+
+    /**
+     * Set editing mode; selecting the active mode again turns editing off
+     * @param {string|null} mode - 'draw', 'rectangle', 'edit', 'split' or null
+     */
+    setMode(mode) {
+        this.currentMode = this.currentMode === mode ? null : mode;
+        this.cancelSketch();
+        if (this.currentMode !== 'edit') {
+            this.setSelection([]);
+        }
+
+        // Tree tools and building tools share the map clicks
+        if (this.currentMode && window.app && window.app.tree && window.app.tree.getCurrentTreeMode()) {
+            window.app.tree.resetTreeMode();
+        }
+
+        const map = this.core.getMap();
+        if (['draw', 'rectangle', 'split'].includes(this.currentMode)) {
+            map.doubleClickZoom.disable();
+        } else {
+            map.doubleClickZoom.enable();
+        }
+        map.getCanvas().style.cursor = this.currentMode === 'edit' ? 'default' : this.currentMode ? 'crosshair' : '';
+
+        this.updateModeUI();
+        this.showModeHint();
+    }
+
+    /**
+     * Get current editing mode
+     * @returns {string|null} Current mode
+     */
+    getCurrentMode() {
+        return this.currentMode;
+    }
+
+    /**
+     * Update mode buttons and edit actions
+     */
+    updateModeUI() {
+        ['draw', 'rectangle', 'edit', 'split'].forEach(mode => {
+            const button = document.getElementById(`building-mode-${mode}`);
+            if (!button) return;
+            if (mode === this.currentMode) {
+                button.classList.add('active');
+            } else {
+                button.classList.remove('active');
+            }
+        });
+
+        const editParams = document.getElementById('building-edit-params');
+        if (editParams) {
+            editParams.style.display = this.currentMode === 'edit' ? 'block' : 'none';
+        }
+        const mergeBtn = document.getElementById('building-merge');
+        if (mergeBtn) {
+            mergeBtn.disabled = this.selectedBuildings.length < 2;
+        }
+    }
+
+    /**
+     * Show how to use the current mode in the status line
+     */
+    showModeHint() {
+        const hints = {
+            draw: 'Click to add corners, double-click or Enter to finish. Backspace removes the last corner, Escape cancels.',
+            rectangle: 'Click two corners of one side, then click to set the depth.',
+            edit: 'Click a building to select it (Shift+click to add for merging). Drag corners to move them, ' +
+                'drag the midpoints to add corners, Alt+click a corner to remove it, drag the building up or down to change its height.',
+            split: 'Click two points of a line across the buildings to split.'
+        };
+        this.setStatus(hints[this.currentMode] || '');
+    }
+
+    /**
+     * Show a message in the building editor status line
+     * @param {string} message - Message
+     */
+    setStatus(message) {
+        const status = document.getElementById('building-editor-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Height of new buildings in meters from the editor panel
+     * @returns {number} Height in meters
+     */
+    getNewBuildingHeight() {
+        const height = Number(document.getElementById('building-new-height')?.value);
+        return height > 0 ? height : this.data.defaultHeightMeters;
+    }
+
+    /**
+     * Snap a mouse position to nearby building vertices, then edges
+     * @param {Object} e - Mapbox mouse event
+     * @param {Object} exclude - Building feature to ignore (the one being edited)
+     * @returns {Array} [lng, lat] (the mouse position if nothing is within the snap tolerance)
+     */
+    snapLngLat(e, exclude = null) {
+        const lngLat = [e.lngLat.lng, e.lngLat.lat];
+        const snapCheckbox = document.getElementById('building-snap');
+        if (snapCheckbox && !snapCheckbox.checked) return lngLat;
+
+        const map = this.core.getMap();
+        const tolerance = this.snapTolerance;
+        const corners = [
+            map.unproject([e.point.x - tolerance, e.point.y - tolerance]),
+            map.unproject([e.point.x + tolerance, e.point.y + tolerance]),
+            map.unproject([e.point.x - tolerance, e.point.y + tolerance]),
+            map.unproject([e.point.x + tolerance, e.point.y - tolerance])
+        ];
+        const bbox = [
+            Math.min(...corners.map(c => c.lng)), Math.min(...corners.map(c => c.lat)),
+            Math.max(...corners.map(c => c.lng)), Math.max(...corners.map(c => c.lat))
+        ];
+
+        let bestVertex = null;
+        let bestVertexDistance = tolerance;
+        let bestEdge = null;
+        let bestEdgeDistance = tolerance;
+        const rings = this.data.getSpatialIndex('buildings').search(bbox)
+            .filter(feature => feature !== exclude)
+            .flatMap(feature => this.getRings(feature.geometry));
+        // Points already placed in the current sketch snap too (e.g. closing a polygon)
+        if (this.drawPoints.length) {
+            rings.push(this.drawPoints);
+        }
+
+        rings.forEach(ring => {
+            const screen = ring.map(coord => map.project(coord));
+            screen.forEach((point, i) => {
+                const distance = Math.hypot(point.x - e.point.x, point.y - e.point.y);
+                if (distance < bestVertexDistance) {
+                    bestVertexDistance = distance;
+                    bestVertex = ring[i];
+                }
+                if (i === 0) return;
+                // Projection of a ground edge is a straight screen segment, so the nearest
+                // screen point unprojects onto the edge
+                const a = screen[i - 1];
+                const dx = point.x - a.x;
+                const dy = point.y - a.y;
+                const lengthSq = dx * dx + dy * dy;
+                if (lengthSq === 0) return;
+                const t = Math.max(0, Math.min(1, ((e.point.x - a.x) * dx + (e.point.y - a.y) * dy) / lengthSq));
+                const x = a.x + t * dx;
+                const y = a.y + t * dy;
+                const edgeDistance = Math.hypot(x - e.point.x, y - e.point.y);
+                if (edgeDistance < bestEdgeDistance) {
+                    bestEdgeDistance = edgeDistance;
+                    bestEdge = [x, y];
+                }
+            });
+        });
+
+        if (bestVertex) return bestVertex.slice();
+        if (bestEdge) {
+            const snapped = map.unproject(bestEdge);
+            return [snapped.lng, snapped.lat];
+        }
+        return lngLat;
+    }
+
+    /**
+     * Get the rings of a polygon geometry
+     * @param {Object} geometry - Polygon or MultiPolygon geometry
+     * @returns {Array} Rings (closed coordinate arrays)
+     */
+    getRings(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return geometry.coordinates;
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+        return [];
+    }
+
+    /**
+     * Whether a click is too close to the last sketch point (second click of a double-click)
+     * @param {Object} e - Mapbox mouse event
+     * @returns {boolean} True if the click repeats the last point
+     */
+    isRepeatedPoint(e) {
+        if (!this.drawPoints.length) return false;
+        const last = this.core.getMap().project(this.drawPoints[this.drawPoints.length - 1]);
+        return Math.hypot(last.x - e.point.x, last.y - e.point.y) < this.minVertexSpacing;
+    }
+
+    /**
+     * Add a corner to the polygon being drawn
+     * Clicking the first corner again closes the polygon.
+     * @param {Object} e - Mapbox mouse event
+     */
+    addDrawPoint(e) {
+        if (this.isRepeatedPoint(e)) return;
+
+        const point = this.snapLngLat(e);
+        const first = this.drawPoints[0];
+        if (first && this.drawPoints.length >= 3 && point[0] === first[0] && point[1] === first[1]) {
+            this.finishPolygon();
+            return;
+        }
+        this.drawPoints.push(point);
+        this.updateSketch();
+    }
+
+    /**
+     * Create a building from the drawn polygon
+     */
+    finishPolygon() {
+        if (this.drawPoints.length < 3) {
+            this.setStatus('A building needs at least 3 corners.');
+            return;
+        }
+        const ring = this.drawPoints.concat([this.drawPoints[0].slice()]);
+        if (this.addBuilding(ring)) {
+            this.cancelSketch();
+        }
+    }
+
+    /**
+     * Add a point of the rectangle being drawn
+     * The first two points are the corners of one side, the third sets the depth.
+     * @param {Object} e - Mapbox mouse event
+     */
+    addRectanglePoint(e) {
+        if (this.isRepeatedPoint(e)) return;
+
+        const point = this.snapLngLat(e);
+        if (this.drawPoints.length < 2) {
+            this.drawPoints.push(point);
+            this.updateSketch();
+            return;
+        }
+
+        const ring = this.getRectangleRing(this.drawPoints[0], this.drawPoints[1], point);
+        if (ring && this.addBuilding(ring)) {
+            this.cancelSketch();
+        }
+    }
+
+    /**
+     * Rectangle with one side from a to b and its depth towards c
+     * Built in the local projected frame, so the corners are right angles at any latitude.
+     * @param {Array} a - [lng, lat] first corner
+     * @param {Array} b - [lng, lat] second corner
+     * @param {Array} c - [lng, lat] point setting the depth
+     * @returns {Array|null} Closed ring, or null for a degenerate rectangle
+     */
+    getRectangleRing(a, b, c) {
+        const frame = this.data.crsModule.createLocalFrame(a);
+        const [bx, by] = frame.toLocal(b);
+        const [cx, cy] = frame.toLocal(c);
+        const length = Math.hypot(bx, by);
+        if (length === 0) return null;
+
+        // Signed distance of c from the side, along the side's left normal
+        const nx = -by / length;
+        const ny = bx / length;
+        const depth = cx * nx + cy * ny;
+        if (Math.abs(depth) < 0.01) return null;
+
+        const ring = [
+            a.slice(),
+            b.slice(),
+            frame.toLngLat(bx + nx * depth, by + ny * depth),
+            frame.toLngLat(nx * depth, ny * depth)
+        ];
+        ring.push(ring[0].slice());
+        return ring;
+    }
+
+    /**
+     * Add a new building with the panel height
+     * @param {Array} ring - Closed outer ring
+     * @returns {boolean} True if the building was added
+     */
+    addBuilding(ring) {
+        const polygon = turf.rewind(turf.polygon([ring]));
+        if (turf.kinks(polygon).features.length > 0) {
+            alert('The building outline crosses itself. Move or remove corners and try again.');
+            return false;
+        }
+
+        // New buildings use the height attribute of the scene's buildings
+        const template = this.data.getBuildingData().features.find(feature => this.data.getBuildingHeightKey(feature));
+        const key = template ? this.data.getBuildingHeightKey(template) : 'height';
+        const feature = {
+            type: 'Feature',
+            geometry: polygon.geometry,
+            properties: { ID: this.data.getNextBuildingId(), [key]: 0 }
+        };
+        feature.properties = this.data.withBuildingHeightMeters(feature, this.getNewBuildingHeight());
+
+        this.data.replaceBuildings([], [feature], `Draw building ${feature.properties.ID}`);
+        this.setStatus(`Building ${feature.properties.ID} added (${turf.area(feature).toFixed(1)} m²).`);
+        return true;
+    }
+
+    /**
+     * Add a point of the split line; the second point splits the buildings it crosses
+     * @param {Object} e - Mapbox mouse event
+     */
+    addSplitPoint(e) {
+        if (this.isRepeatedPoint(e)) return;
+
+        const point = this.snapLngLat(e);
+        if (!this.drawPoints.length) {
+            this.drawPoints.push(point);
+            this.updateSketch();
+            return;
+        }
+
+        const line = [this.drawPoints[0], point];
+        this.cancelSketch();
+        this.splitBuildingsAlong(line);
+    }
+
+    /**
+     * Split every building crossed by a line segment
+     * Each building is cut along the whole line through the two points; each resulting
+     * polygon becomes a building. The largest part keeps the ID and the other parts get new
+     * IDs with the original in `originalID`. Additive attributes (energy totals, emissions,
+     * areas) are apportioned by footprint area; all parts keep the other attributes.
+     * @param {Array} line - [[lng, lat], [lng, lat]]
+     * @returns {number} Number of buildings split
+     */
+    splitBuildingsAlong(line) {
+        const segment = turf.lineString(line);
+        const candidates = this.data.getSpatialIndex('buildings').search(SpatialIndexModule.getBBox(segment))
+            .filter(feature => turf.lineIntersect(segment, feature).features.length >= 2);
+
+        const removed = [];
+        const added = [];
+        let nextId = this.data.getNextBuildingId();
+        candidates.forEach(feature => {
+            const parts = this.splitFootprint(feature, line);
+            if (parts.length < 2) return;
+
+            parts.sort((a, b) => turf.area(b) - turf.area(a));
+            const areas = parts.map(part => turf.area(part));
+            const totalArea = areas.reduce((sum, area) => sum + area, 0);
+            parts.forEach((part, index) => {
+                const properties = this.apportionProperties(feature.properties, areas[index] / totalArea);
+                if (index > 0) {
+                    properties.originalID = feature.properties.ID;
+                    properties.ID = nextId++;
+                }
+                added.push({ type: 'Feature', geometry: part.geometry, properties });
+            });
+            removed.push(feature);
+        });
+
+        if (!removed.length) {
+            this.setStatus('The line does not cross a building.');
+            return 0;
+        }
+
+        this.data.replaceBuildings(removed, added, removed.length === 1
+            ? `Split building ${removed[0].properties.ID}`
+            : `Split ${removed.length} buildings`);
+        this.setStatus(`Split ${removed.length} building(s) into ${added.length} parts.`);
+        return removed.length;
+    }
+
+    /**
+     * Attributes of a building part: additive attributes scaled by the part's area share
+     * @param {Object} properties - Attributes of the split building
+     * @param {number} share - Footprint area of the part / footprint area of the building
+     * @returns {Object} Attributes of the part
+     */
+    apportionProperties(properties, share) {
+        const apportioned = { ...properties };
+        Object.keys(apportioned).forEach(key => {
+            const value = parseFloat(apportioned[key]);
+            if (!isNaN(value) && this.data.isAdditiveColumn(key)) {
+                apportioned[key] = Math.round(value * share * 100) / 100;
+            }
+        });
+        return apportioned;
+    }
+
+    /**
+     * Cut a footprint along the line through two points
+     * The footprint is intersected with the half-planes on both sides of the line.
+     * @param {Object} feature - Building feature
+     * @param {Array} line - [[lng, lat], [lng, lat]]
+     * @returns {Array} Polygon features of the parts (slivers under 0.01 m² are dropped)
+     */
+    splitFootprint(feature, line) {
+        const frame = this.data.crsModule.createLocalFrame(line[0]);
+        const [bx, by] = frame.toLocal(line[1]);
+        const length = Math.hypot(bx, by);
+        if (length === 0) return [];
+
+        const bbox = SpatialIndexModule.getBBox(feature);
+        const extent = turf.distance([bbox[0], bbox[1]], [bbox[2], bbox[3]], { units: 'meters' });
+        const reach = 2 * (extent + length) + 10;
+        const ux = bx / length;
+        const uy = by / length;
+        const halfPlane = side => {
+            const nx = -uy * side * reach;
+            const ny = ux * side * reach;
+            const offsets = [
+                [-ux * reach, -uy * reach],
+                [ux * reach, uy * reach],
+                [ux * reach + nx, uy * reach + ny],
+                [-ux * reach + nx, -uy * reach + ny]
+            ];
+            const ring = offsets.map(([x, y]) => frame.toLngLat(x, y));
+            ring.push(ring[0].slice());
+            return turf.rewind(turf.polygon([ring]));
+        };
+
+        const parts = [];
+        [1, -1].forEach(side => {
+            const piece = turf.intersect(turf.featureCollection([feature, halfPlane(side)]));
+            if (!piece) return;
+            turf.flatten(piece).features.forEach(part => {
+                if (turf.area(part) >= 0.01) {
+                    parts.push(part);
+                }
+            });
+        });
+        return parts;
+    }
+
+    /**
+     * Merge the selected buildings into one
+     * The merged footprint is the union of the selection and takes the attributes (and ID)
+     * of the largest selected building; additive attributes (energy totals, emissions,
+     * areas) are summed over the selection.
+     */
+    mergeSelected() {
+        const buildings = this.selectedBuildings.slice();
+        if (buildings.length < 2) {
+            this.setStatus('Select at least two buildings (Shift+click) to merge.');
+            return;
+        }
+
+        let union;
+        try {
+            union = turf.union(turf.featureCollection(buildings));
+        } catch (error) {
+            console.error('Error merging buildings:', error);
+            alert('Error merging buildings: ' + error.message);
+            return;
+        }
+        if (!union) return;
+
+        const largest = buildings.reduce((best, feature) => turf.area(feature) > turf.area(best) ? feature : best);
+        const properties = { ...largest.properties };
+        const additiveKeys = new Set();
+        buildings.forEach(feature => Object.keys(feature.properties).forEach(key => {
+            if (this.data.isAdditiveColumn(key)) additiveKeys.add(key);
+        }));
+        additiveKeys.forEach(key => {
+            const values = buildings.map(feature => parseFloat(feature.properties[key])).filter(value => !isNaN(value));
+            if (values.length) {
+                properties[key] = Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+            }
+        });
+        const merged = { type: 'Feature', geometry: union.geometry, properties };
+
+        this.data.replaceBuildings(buildings, [merged], `Merge ${buildings.length} buildings`);
+        this.setSelection([merged]);
+        this.setStatus(`Merged ${buildings.length} buildings into building ${merged.properties.ID}.`);
+    }
+
+    /**
+     * Get the building under the mouse
+     * Rendered features are matched by ID; buildings without one by the footprint under the mouse.
+     * @param {Object} e - Mapbox mouse event
+     * @returns {Object|null} Building feature from DataModule.buildingData
+     */
+    getBuildingAtPoint(e) {
+        const map = this.core.getMap();
+        if (!map.getLayer('geojson-layer')) return null;
+
+        const rendered = map.queryRenderedFeatures(e.point, { layers: ['geojson-layer'] });
+        if (rendered.length) {
+            const id = rendered[0].properties.ID;
+            if (id !== undefined && id !== null) {
+                const match = this.data.getBuildingData().features.find(feature => feature.properties.ID === id);
+                if (match) return match;
+            }
+        }
+
+        const lngLat = [e.lngLat.lng, e.lngLat.lat];
+        return this.data.getSpatialIndex('buildings').search([lngLat[0], lngLat[1], lngLat[0], lngLat[1]])
+            .find(feature => turf.booleanPointInPolygon(lngLat, feature)) || null;
+    }
+
+    /**
+     * Select buildings in edit mode
+     * @param {Object} e - Mapbox click event
+     */
+    handleEditClick(e) {
+        if (e.originalEvent.altKey) {
+            const handle = this.getHandleAtPoint(e.point);
+            if (handle && !handle.midpoint) {
+                this.removeVertex(handle);
+            }
+            return;
+        }
+
+        const building = this.getBuildingAtPoint(e);
+        if (e.originalEvent.shiftKey) {
+            if (!building) return;
+            const selected = this.selectedBuildings.includes(building)
+                ? this.selectedBuildings.filter(feature => feature !== building)
+                : this.selectedBuildings.concat([building]);
+            this.setSelection(selected);
+        } else {
+            this.setSelection(building ? [building] : []);
+        }
+    }
+
+    /**
+     * Set the selected buildings and redraw outlines and handles
+     * @param {Array} buildings - Building features
+     */
+    setSelection(buildings) {
+        this.selectedBuildings = buildings;
+        this.updateSelectionLayer();
+        this.updateModeUI();
+
+        const info = document.getElementById('building-selection-info');
+        if (info) {
+            if (buildings.length === 1) {
+                const height = this.data.getBuildingHeightMeters(buildings[0]);
+                info.textContent = `Building ${buildings[0].properties.ID}: ${height.toFixed(1)} m, ${turf.area(buildings[0]).toFixed(1)} m²`;
+            } else {
+                info.textContent = buildings.length ? `${buildings.length} buildings selected` : '';
+            }
+        }
+    }
+
+    /**
+     * Drop selected buildings that are no longer in the scene (undo, redo)
+     */
+    updateSelection() {
+        if (!this.selectedBuildings.length || this.vertexDrag || this.heightDrag) return;
+        const current = new Set(this.data.getBuildingData().features);
+        const kept = this.selectedBuildings.filter(feature => current.has(feature));
+        if (kept.length !== this.selectedBuildings.length) {
+            this.setSelection(kept);
+        }
+    }
+
+    /**
+     * Draw the outlines of the selected buildings and the vertex handles of a single selection
+     * Handles carry the path to their coordinate: [polygon, ring, vertex] (polygon is 0 for Polygons).
+     */
+    updateSelectionLayer() {
+        const map = this.core.getMap();
+        const source = map.getSource('building-editor-selection-source');
+        if (!source) return;
+
+        const features = [];
+        this.selectedBuildings.forEach(building => {
+            this.getRings(building.geometry).forEach(ring => {
+                features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: ring }, properties: {} });
+            });
+        });
+
+        if (this.selectedBuildings.length === 1) {
+            const geometry = this.selectedBuildings[0].geometry;
+            const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+            polygons.forEach((polygon, p) => {
+                polygon.forEach((ring, r) => {
+                    for (let v = 0; v < ring.length - 1; v++) {
+                        const next = ring[v + 1];
+                        features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: ring[v] }, properties: { polygon: p, ring: r, vertex: v, midpoint: false } });
+                        features.push({
+                            type: 'Feature',
+                            geometry: { type: 'Point', coordinates: [(ring[v][0] + next[0]) / 2, (ring[v][1] + next[1]) / 2] },
+                            properties: { polygon: p, ring: r, vertex: v, midpoint: true }
+                        });
+                    }
+                });
+            });
+        }
+
+        source.setData({ type: 'FeatureCollection', features });
+    }
+
+    /**
+     * Get the vertex handle under the mouse
+     * @param {Object} point - Screen point
+     * @returns {Object|null} { polygon, ring, vertex, midpoint }
+     */
+    getHandleAtPoint(point) {
+        const map = this.core.getMap();
+        if (this.selectedBuildings.length !== 1 || !map.getLayer('building-editor-handles-layer')) return null;
+
+        const tolerance = 6;
+        const handles = map.queryRenderedFeatures(
+            [[point.x - tolerance, point.y - tolerance], [point.x + tolerance, point.y + tolerance]],
+            { layers: ['building-editor-handles-layer'] }
+        );
+        if (!handles.length) return null;
+
+        // Corners take precedence over midpoints
+        const handle = handles.find(feature => !feature.properties.midpoint) || handles[0];
+        const { polygon, ring, vertex, midpoint } = handle.properties;
+        return { polygon: Number(polygon), ring: Number(ring), vertex: Number(vertex), midpoint: midpoint === true || midpoint === 'true' };
+    }
+
+    /**
+     * Copy a building with its own coordinate arrays so it can be edited as a draft
+     * @param {Object} feature - Building feature
+     * @returns {Object} Copy
+     */
+    cloneBuilding(feature) {
+        return {
+            type: 'Feature',
+            geometry: JSON.parse(JSON.stringify(feature.geometry)),
+            properties: { ...feature.properties }
+        };
+    }
+
+    /**
+     * Get a ring of a Polygon or MultiPolygon by handle path
+     * @param {Object} geometry - Geometry
+     * @param {Object} path - { polygon, ring }
+     * @returns {Array} Ring coordinates
+     */
+    getRing(geometry, path) {
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        return polygons[path.polygon][path.ring];
+    }
+
+    /**
+     * Start dragging a vertex handle
+     * The building is swapped for a draft copy that follows the mouse; the edit is recorded
+     * when the drag ends. Dragging a midpoint inserts a new corner there first.
+     * @param {Object} handle - Handle from getHandleAtPoint()
+     */
+    startVertexDrag(handle) {
+        const original = this.selectedBuildings[0];
+        const draft = this.cloneBuilding(original);
+        const path = { polygon: handle.polygon, ring: handle.ring, vertex: handle.vertex };
+
+        if (handle.midpoint) {
+            const ring = this.getRing(draft.geometry, path);
+            const a = ring[path.vertex];
+            const b = ring[path.vertex + 1];
+            ring.splice(path.vertex + 1, 0, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+            path.vertex++;
+        }
+
+        this.data.applyBuildingChange([original], [draft]);
+        this.vertexDrag = { original, draft, path, moved: handle.midpoint };
+        this.selectedBuildings = [draft];
+        this.updateSelectionLayer();
+    }
+
+    /**
+     * Move the dragged vertex to the (snapped) mouse position
+     * @param {Object} e - Mapbox mouse event
+     */
+    dragVertex(e) {
+        const drag = this.vertexDrag;
+        if (!drag) return;
+
+        const point = this.snapLngLat(e, drag.draft);
+        const ring = this.getRing(drag.draft.geometry, drag.path);
+        ring[drag.path.vertex] = point;
+        // First and last coordinates of a ring are the same point
+        if (drag.path.vertex === 0) {
+            ring[ring.length - 1] = point.slice();
+        }
+        drag.moved = true;
+
+        this.data.updateBuildingSource();
+        this.updateSelectionLayer();
+    }
+
+    /**
+     * Finish a vertex drag and record it as one edit
+     * Self-intersecting results are reverted.
+     */
+    finishVertexDrag() {
+        const { original, draft, moved } = this.vertexDrag;
+        this.vertexDrag = null;
+
+        if (!moved || turf.kinks(draft).features.length > 0) {
+            if (moved) {
+                this.setStatus('The building outline would cross itself; the corner was not moved.');
+            }
+            this.data.applyBuildingChange([draft], [original]);
+            this.setSelection([original]);
+            return;
+        }
+
+        // Re-insert so the spatial index holds the new footprint
+        this.data.applyBuildingChange([draft], [draft]);
+        this.data.recordBuildingChange([original], [draft], `Edit building ${draft.properties.ID} outline`);
+        this.setSelection([draft]);
+    }
+
+    /**
+     * Abandon a vertex or height drag and put the original building back
+     */
+    cancelDrag() {
+        const drag = this.vertexDrag || this.heightDrag;
+        if (!drag) return;
+        this.vertexDrag = null;
+        this.heightDrag = null;
+
+        this.data.applyBuildingChange([drag.draft], [drag.original]);
+        this.setSelection([drag.original]);
+    }
+
+    /**
+     * Remove a corner of the selected building (rings keep at least three corners)
+     * @param {Object} handle - Corner handle from getHandleAtPoint()
+     */
+    removeVertex(handle) {
+        const original = this.selectedBuildings[0];
+        const draft = this.cloneBuilding(original);
+        const ring = this.getRing(draft.geometry, handle);
+        if (ring.length <= 4) {
+            this.setStatus('A building outline needs at least 3 corners.');
+            return;
+        }
+
+        ring.splice(handle.vertex, 1);
+        if (handle.vertex === 0) {
+            ring[ring.length - 1] = ring[0].slice();
+        }
+        if (turf.kinks(draft).features.length > 0) {
+            this.setStatus('The building outline would cross itself; the corner was not removed.');
+            return;
+        }
+
+        this.data.replaceBuildings([original], [draft], `Edit building ${draft.properties.ID} outline`);
+        this.setSelection([draft]);
+    }
+
+    /**
+     * Start dragging the height of the selected building
+     * Dragging up raises the building; one pixel is one ground pixel in meters at the building.
+     * @param {Object} building - Building feature
+     * @param {Object} e - Mapbox mouse event
+     */
+    startHeightDrag(building, e) {
+        const map = this.core.getMap();
+        const draft = this.cloneBuilding(building);
+        const latitude = e.lngLat.lat;
+        const metersPerPixel = 40075016.686 * Math.cos(latitude * Math.PI / 180) / (512 * Math.pow(2, map.getZoom()));
+
+        this.data.applyBuildingChange([building], [draft]);
+        this.heightDrag = {
+            original: building,
+            draft,
+            startY: e.point.y,
+            startHeight: this.data.getBuildingHeightMeters(building),
+            metersPerPixel,
+            moved: false
+        };
+        this.selectedBuildings = [draft];
+        this.updateSelectionLayer();
+    }
+
+    /**
+     * Update the dragged building height
+     * @param {Object} e - Mapbox mouse event
+     */
+    dragHeight(e) {
+        const drag = this.heightDrag;
+        if (!drag || e.point.y === drag.startY) return;
+
+        const height = Math.max(0.5, drag.startHeight + (drag.startY - e.point.y) * drag.metersPerPixel);
+        drag.draft.properties = this.data.withBuildingHeightMeters(drag.draft, height);
+        drag.moved = true;
+
+        this.data.updateBuildingSource();
+        this.setSelection([drag.draft]);
+    }
+
+    /**
+     * Finish a height drag and record it as one edit
+     */
+    finishHeightDrag() {
+        const { original, draft, moved } = this.heightDrag;
+        this.heightDrag = null;
+
+        if (!moved) {
+            this.data.applyBuildingChange([draft], [original]);
+            this.setSelection([original]);
+            return;
+        }
+
+        this.data.markCollectionChanged('buildings'); // The draft was edited in place
+        this.data.refreshBuildings();
+        this.data.recordBuildingChange([original], [draft], `Edit building ${draft.properties.ID} height`);
+        this.setSelection([draft]);
+    }
+
+    /**
+     * Draw the current sketch with the mouse position
+     * @param {Array} cursor - [lng, lat] snapped mouse position (optional)
+     */
+    updateSketch(cursor) {
+        const map = this.core.getMap();
+        const source = map.getSource('building-editor-sketch-source');
+        if (!source) return;
+
+        const features = [];
+        const points = cursor ? this.drawPoints.concat([cursor]) : this.drawPoints.slice();
+        if (this.currentMode === 'rectangle' && points.length === 3) {
+            const ring = this.getRectangleRing(points[0], points[1], points[2]);
+            if (ring) {
+                features.push(turf.polygon([ring]));
+            }
+        } else if (this.currentMode === 'draw' && points.length >= 3) {
+            features.push(turf.polygon([points.concat([points[0].slice()])]));
+        } else if (points.length >= 2) {
+            features.push(turf.lineString(points));
+        }
+        if (cursor) {
+            features.push(turf.point(cursor));
+        }
+
+        source.setData({ type: 'FeatureCollection', features });
+    }
+
+    /**
+     * Discard the current sketch
+     */
+    cancelSketch() {
+        this.drawPoints = [];
+        this.updateSketch();
+    }
+}
+
+// Export for use in other modules
+window.BuildingEditorModule = BuildingEditorModule;
@@ -0,0 +1,411 @@
+/**
+ * CRS Module - Projected coordinate reference system for exports and brush geometry
+ * Converts between WGS84 lng/lat and a metric projected CRS using proj4: either the
+ * UTM zone of the site (auto) or an EPSG code from the bundled definitions below.
+ */
+
+class CRSModule {
+    constructor(coreModule) {
+        this.core = coreModule;
+        this.mode = 'auto'; // 'auto' (UTM zone of the site) or 'epsg'
+        this.epsgCode = null; // e.g. 'EPSG:25833' when mode is 'epsg'
+        this.storageKey = 'crs-setting';
+        this.converters = new Map(); // EPSG code -> proj4 converter from WGS84
+
+        // Bundled proj4 definitions for common metric national/regional grids.
+        // WGS84, ETRS89 and NAD83 UTM zones are generated in getDefinition().
+        this.definitions = {
+            'EPSG:2056': { name: 'CH1903+ / LV95', proj4: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs' },
+            'EPSG:2154': { name: 'RGF93 v1 / Lambert-93', proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+            'EPSG:3035': { name: 'ETRS89-extended / LAEA Europe', proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+            'EPSG:3857': { name: 'WGS 84 / Pseudo-Mercator', proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs' },
+            'EPSG:27700': { name: 'OSGB36 / British National Grid', proj4: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs' },
+            'EPSG:28992': { name: 'Amersfoort / RD New', proj4: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs' },
+            'EPSG:31287': { name: 'MGI / Austria Lambert', proj4: '+proj=lcc +lat_0=47.5 +lon_0=13.3333333333333 +lat_1=49 +lat_2=46 +x_0=400000 +y_0=400000 +ellps=bessel +towgs84=577.326,90.129,463.919,5.137,1.474,5.297,2.4232 +units=m +no_defs' },
+            'EPSG:2193': { name: 'NZGD2000 / New Zealand Transverse Mercator 2000', proj4: '+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+            'EPSG:3112': { name: 'GDA94 / Geoscience Australia Lambert', proj4: '+proj=lcc +lat_0=0 +lon_0=134 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+            'EPSG:5070': { name: 'NAD83 / Conus Albers', proj4: '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs' }
+        };
+
+        // Geographic (lng/lat) systems accepted for imported data, never used for exports
+        this.geographicDefinitions = {
+            'EPSG:4258': '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+            'EPSG:4269': '+proj=longlat +datum=NAD83 +no_defs'
+        };
+    }
+
+    /**
+     * Initialize CRS module
+     */
+    initialize() {
+        this.loadSetting();
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    /**
+     * Setup event listeners for the coordinate system controls
+     */
+    setupEventListeners() {
+        const modeSelect = document.getElementById('crs-mode');
+        const epsgInput = document.getElementById('crs-epsg');
+
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => {
+                if (modeSelect.value === 'auto') {
+                    this.setAuto();
+                    this.updateControls();
+                } else if (epsgInput && epsgInput.value.trim()) {
+                    this.applyEpsgInput(epsgInput.value);
+                    this.updateControls(true);
+                } else {
+                    // Wait for a code before switching
+                    this.updateControls(true);
+                }
+            });
+        }
+
+        if (epsgInput) {
+            epsgInput.addEventListener('change', () => {
+                this.applyEpsgInput(epsgInput.value);
+                this.updateControls(true);
+            });
+        }
+    }
+
+    /**
+     * Apply an EPSG code typed by the user, reporting unsupported codes
+     * @param {string} value - Code such as '25833' or 'EPSG:25833'
+     */
+    applyEpsgInput(value) {
+        try {
+            this.setEpsg(value);
+        } catch (error) {
+            console.error('Error setting coordinate system:', error);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Use the UTM zone of each export's site center
+     */
+    setAuto() {
+        this.mode = 'auto';
+        this.epsgCode = null;
+        this.saveSetting();
+        console.log('✓ Coordinate system: automatic UTM zone');
+    }
+
+    /**
+     * Use a fixed EPSG code
+     * @param {string|number} code - Code such as 25833, '25833' or 'EPSG:25833'
+     * @throws {Error} If the code has no bundled definition
+     */
+    setEpsg(code) {
+        const normalized = this.normalizeCode(code);
+        this.registerDefinition(normalized);
+        this.mode = 'epsg';
+        this.epsgCode = normalized;
+        this.saveSetting();
+        console.log(`✓ Coordinate system: ${normalized} (${this.getDefinition(normalized).name})`);
+    }
+
+    /**
+     * Normalize an EPSG code to 'EPSG:<n>'
+     * @param {string|number} code - Code
+     * @returns {string} Normalized code
+     */
+    normalizeCode(code) {
+        const match = String(code).trim().match(/^(?:EPSG:?\s*)?(\d{4,5})$/i);
+        if (!match) {
+            throw new Error(`Invalid EPSG code: ${code}`);
+        }
+        return `EPSG:${match[1]}`;
+    }
+
+    /**
+     * Get the UTM zone for a location, including the Norway and Svalbard exceptions
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @returns {{zone: number, south: boolean}} UTM zone
+     */
+    getUTMZone(lng, lat) {
+        const wrapped = ((lng + 180) % 360 + 360) % 360 - 180;
+        let zone = Math.floor((wrapped + 180) / 6) + 1;
+        if (zone > 60) zone = 60;
+
+        if (lat >= 56 && lat < 64 && wrapped >= 3 && wrapped < 12) {
+            zone = 32;
+        } else if (lat >= 72 && lat < 84) {
+            if (wrapped >= 0 && wrapped < 9) zone = 31;
+            else if (wrapped >= 9 && wrapped < 21) zone = 33;
+            else if (wrapped >= 21 && wrapped < 33) zone = 35;
+            else if (wrapped >= 33 && wrapped < 42) zone = 37;
+        }
+
+        return { zone, south: lat < 0 };
+    }
+
+    /**
+     * Get a bundled definition, generating UTM zones on demand
+     * WGS 84 / UTM (EPSG:326zz north, 327zz south), ETRS89 / UTM (EPSG:258zz, zones 28-38)
+     * and NAD83 / UTM (EPSG:269zz, zones 1-23).
+     * @param {string} code - Normalized EPSG code
+     * @returns {Object|null} { name, proj4 }
+     */
+    getDefinition(code) {
+        if (this.definitions[code]) {
+            return this.definitions[code];
+        }
+
+        const number = parseInt(code.replace('EPSG:', ''), 10);
+        const zone = number % 100;
+        const family = Math.floor(number / 100);
+
+        if ((family === 326 || family === 327) && zone >= 1 && zone <= 60) {
+            const south = family === 327;
+            return {
+                name: `WGS 84 / UTM zone ${zone}${south ? 'S' : 'N'}`,
+                proj4: `+proj=utm +zone=${zone}${south ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`
+            };
+        }
+        if (family === 258 && zone >= 28 && zone <= 38) {
+            return {
+                name: `ETRS89 / UTM zone ${zone}N`,
+                proj4: `+proj=utm +zone=${zone} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`
+            };
+        }
+        if (family === 269 && zone >= 1 && zone <= 23) {
+            return {
+                name: `NAD83 / UTM zone ${zone}N`,
+                proj4: `+proj=utm +zone=${zone} +datum=NAD83 +units=m +no_defs`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Register a bundled definition with proj4
+     * @param {string} code - Normalized EPSG code
+     * @throws {Error} If proj4 is missing or the code is not supported
+     */
+    registerDefinition(code) {
+        if (typeof proj4 === 'undefined') {
+            throw new Error('proj4 is not loaded; coordinate transformations are unavailable');
+        }
+
+        const definition = this.getDefinition(code);
+        if (!definition) {
+            throw new Error(`${code} is not in the bundled coordinate systems. Supported: UTM zones (EPSG:326xx/327xx, 258xx, 269xx) and ${Object.keys(this.definitions).join(', ')}`);
+        }
+
+        if (!proj4.defs(code)) {
+            proj4.defs(code, definition.proj4);
+        }
+    }
+
+    /**
+     * Create a converter from a source CRS to WGS84 lng/lat (used when importing data)
+     * @param {string|number} source - EPSG code, or a WKT/proj4 definition (e.g. from a .prj or GeoPackage)
+     * @returns {Function|null} coord -> [lng, lat], or null if the source is already WGS84 lng/lat
+     * @throws {Error} If the CRS is not supported
+     */
+    createTransformToWGS84(source) {
+        if (typeof proj4 === 'undefined') {
+            throw new Error('proj4 is not loaded; coordinate transformations are unavailable');
+        }
+
+        let code = null;
+        try {
+            code = this.normalizeCode(source);
+        } catch (_) {
+            code = null; // Not an EPSG code, treat as a definition string
+        }
+
+        let converter;
+        if (code) {
+            if (code === 'EPSG:4326') {
+                return null;
+            }
+            if (this.geographicDefinitions[code]) {
+                if (!proj4.defs(code)) {
+                    proj4.defs(code, this.geographicDefinitions[code]);
+                }
+            } else {
+                this.registerDefinition(code);
+            }
+            converter = proj4(code, 'EPSG:4326');
+        } else {
+            try {
+                converter = proj4(String(source), 'EPSG:4326');
+            } catch (error) {
+                throw new Error(`Unsupported coordinate system definition: ${error.message || error}`);
+            }
+        }
+
+        return (coord) => converter.forward([coord[0], coord[1]]);
+    }
+
+    /**
+     * Resolve the CRS used for a site
+     * @param {Array} origin - [lng, lat] site center
+     * @returns {{code: string, name: string}} CRS
+     */
+    resolveCRS(origin) {
+        let code = this.epsgCode;
+        if (this.mode !== 'epsg' || !code) {
+            const { zone, south } = this.getUTMZone(origin[0], origin[1]);
+            code = `EPSG:${(south ? 32700 : 32600) + zone}`;
+        }
+        this.registerDefinition(code);
+        return { code, name: this.getDefinition(code).name };
+    }
+
+    /**
+     * Create converters between lng/lat and local projected meters around an origin
+     * Local coordinates are projected easting/northing minus the projected origin,
+     * so x follows grid east and y grid north of the chosen CRS.
+     * @param {Array} origin - [lng, lat] origin
+     * @returns {Object} { crs, name, origin, originProjected, toLocal(coord), toLngLat(x, y) }
+     */
+    createLocalFrame(origin) {
+        const { code, name } = this.resolveCRS(origin);
+        if (!this.converters.has(code)) {
+            this.converters.set(code, proj4('EPSG:4326', code));
+        }
+        const converter = this.converters.get(code);
+        const originProjected = converter.forward([origin[0], origin[1]]);
+
+        return {
+            crs: code,
+            name,
+            origin: [origin[0], origin[1]],
+            originProjected,
+            toLocal: (coord) => {
+                const [x, y] = converter.forward([coord[0], coord[1]]);
+                return [x - originProjected[0], y - originProjected[1]];
+            },
+            toLngLat: (x, y) => converter.inverse([originProjected[0] + x, originProjected[1] + y])
+        };
+    }
+
+    /**
+     * Offset a point by meters in the projected CRS
+     * @param {Array} center - [lng, lat]
+     * @param {number} dx - Grid east offset in meters
+     * @param {number} dy - Grid north offset in meters
+     * @returns {Array} [lng, lat]
+     */
+    offsetLngLat(center, dx, dy) {
+        return this.createLocalFrame(center).toLngLat(dx, dy);
+    }
+
+    /**
+     * Create a polygon from local meter offsets around a center
+     * Used for brush shapes so squares and triangles keep their true size at any latitude.
+     * @param {Array} center - [lng, lat]
+     * @param {Array} offsets - Ring of [dx, dy] meter offsets (without closing vertex)
+     * @returns {Object} GeoJSON Polygon feature
+     */
+    createPolygonFromOffsets(center, offsets) {
+        const frame = this.createLocalFrame(center);
+        const ring = offsets.map(([dx, dy]) => frame.toLngLat(dx, dy));
+        ring.push(ring[0].slice());
+        return turf.polygon([ring]);
+    }
+
+    /**
+     * Describe a local frame for exported file headers
+     * @param {Object} frame - Frame from createLocalFrame()
+     * @param {boolean} compact - Short form for fixed-size headers (binary STL)
+     * @returns {string} e.g. 'CRS EPSG:32633 origin E 389012.350 N 5819845.120 (13.405000, 52.520000)'
+     *                   or, compact, 'EPSG:32633 E389012.35 N5819845.12'
+     */
+    describeFrame(frame, compact = false) {
+        const [easting, northing] = frame.originProjected;
+        if (compact) {
+            return `${frame.crs} E${easting.toFixed(2)} N${northing.toFixed(2)}`;
+        }
+        return `CRS ${frame.crs} origin E ${easting.toFixed(3)} N ${northing.toFixed(3)} (${frame.origin[0].toFixed(6)}, ${frame.origin[1].toFixed(6)})`;
+    }
+
+    /**
+     * Get frame metadata for structured exports (glTF extras, sidecar JSON)
+     * @param {Object} frame - Frame from createLocalFrame()
+     * @returns {Object} Metadata
+     */
+    getFrameMetadata(frame) {
+        return {
+            crs: frame.crs,
+            crsName: frame.name,
+            units: 'm',
+            origin: { lng: frame.origin[0], lat: frame.origin[1] },
+            originProjected: { x: frame.originProjected[0], y: frame.originProjected[1] }
+        };
+    }
+
+    /**
+     * Load the stored CRS setting
+     */
+    loadSetting() {
+        let stored = null;
+        try {
+            stored = window.localStorage.getItem(this.storageKey);
+        } catch (_) {}
+
+        if (stored && stored !== 'auto') {
+            try {
+                this.setEpsg(stored);
+                return;
+            } catch (error) {
+                console.warn(`Ignoring stored coordinate system ${stored}:`, error.message);
+            }
+        }
+        this.mode = 'auto';
+        this.epsgCode = null;
+    }
+
+    /**
+     * Store the CRS setting
+     */
+    saveSetting() {
+        try {
+            window.localStorage.setItem(this.storageKey, this.mode === 'epsg' ? this.epsgCode : 'auto');
+        } catch (_) {}
+    }
+
+    /**
+     * Update the coordinate system controls
+     * @param {boolean} editing - Keep the EPSG input open even if no code is applied yet
+     */
+    updateControls(editing = false) {
+        const modeSelect = document.getElementById('crs-mode');
+        const epsgInput = document.getElementById('crs-epsg');
+        const info = document.getElementById('crs-info');
+
+        const showInput = editing || this.mode === 'epsg';
+
+        if (modeSelect) {
+            modeSelect.value = showInput ? 'epsg' : 'auto';
+        }
+        if (epsgInput) {
+            epsgInput.style.display = showInput ? '' : 'none';
+            if (this.epsgCode) {
+                epsgInput.value = this.epsgCode.replace('EPSG:', '');
+            }
+        }
+        if (info) {
+            if (this.mode === 'epsg' && this.epsgCode) {
+                info.textContent = `${this.epsgCode} · ${this.getDefinition(this.epsgCode).name}`;
+            } else if (showInput) {
+                info.textContent = 'Enter an EPSG code (UTM zones or a bundled national grid)';
+            } else {
+                info.textContent = 'UTM zone of the site center';
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+window.CRSModule = CRSModule;
@@ -10,88 +10,1433 @@ class DataModule {
         this.treeTrunkData = { type: 'FeatureCollection', features: [] };
         this.treeCanopyData = { type: 'FeatureCollection', features: [] };
         this.roadData = { type: 'FeatureCollection', features: [] }; // LineString features (roads)
+        this.datasetCenter = null; // [lng, lat] center of the last loaded dataset
         this.treeIdCounter = 0;
+        this.proj4FallbackWarned = false; // Square and triangle trees without proj4 fall back to circles (see createFallbackCircle())
         this.energyStats = { min: 0, max: 100, hasEnergyData: false };
         this.energyStatsModule = null;
+        this.historyModule = null;
+        this.speciesModule = null;
         this.selectedEnergyColumn = 'Energy_UrbanWWR_kWh'; // Default energy column
+        this.energyColumns = []; // Numeric building attributes found by discoverEnergyColumns()
+        this.preferredEnergyColumns = ['Energy_UrbanWWR_kWh', 'Energy_ASHRAE_kWh', 'TotalEnergy'];
+        this.datasetSignature = null; // Identifies the loaded dataset for the remembered column
+        this.energyColumnStorageKey = 'energy-column-choices';
         this.selectedColorScale = 'energy'; // Default color scale
+        this.colorScaleReversed = false; // Run the selected ramp from high to low
+        this.customColorStorageKey = 'custom-color-scales';
+        this.customColorSchemes = this.loadCustomColorSchemes(); // 'custom:<name>' -> colors
+        this.classificationMethod = 'quantile'; // See UtilsModule.computeClassBreaks()
+        this.classCount = 7;
+        this.manualBreaks = []; // Class boundaries of the 'manual' method
+        this.classification = null; // Breaks and colors of the current building colors
         this.heightUnit = 'meters'; // feet | meters (default: meters)
         this.heightMultiplier = 1; // meters → meters (no conversion needed)
         this.defaultHeightFeet = 10;
         this.defaultHeightMeters = 10;
+        // Building height attributes, in order of precedence
+        this.buildingHeightKeys = ['Height', 'height', 'HEIGHT', 'building_height', 'buildingHeight', 'elevation', 'Elevation', 'ELEVATION'];
+        // Floor area metrics (see updateDerivedMetrics())
+        this.storeyHeight = 3.0; // Meters per storey for the estimated floor count
+        this.floorCountKeys = ['floors', 'Floors', 'FLOORS', 'levels', 'building:levels', 'storeys', 'num_floors'];
+        this.derivedBuildingKeys = ['footprint_m2', 'floors_est', 'gfa_m2']; // Plus one EUI_<column> per energy column
+        this.euiColumns = new Map(); // EUI_<column> -> source energy column
+        // Derived metrics live beside the buildings, not in their attributes (exports and saves stay clean)
+        this.derivedValues = new WeakMap(); // Building feature -> { footprint_m2, floors_est, gfa_m2, EUI_<column>... }
+        this.derivedInputs = new WeakMap(); // Building feature -> { properties, geometry, settings } the values were computed from
+        this.sourceColorColumn = null; // Derived column merged into the building source for coloring
+        // Comparison mode (see setComparison()): delta per building written to comparison_delta
+        this.comparison = { mode: 'off', baseColumn: null, column: null, deltaType: 'absolute' };
+        this.baselineScene = null; // { name, buildings: Map(String(ID) -> properties), count, columns }
+        this.comparisonDeltaKey = 'comparison_delta'; // Name of the delta in the map source and color column
+        this.comparisonDeltas = new WeakMap(); // Building feature -> delta (null without both values)
+        this.energyUnitFactors = { Wh: 0.001, kWh: 1, MWh: 1000, GWh: 1e6, MJ: 1 / 3.6, GJ: 1000 / 3.6, kBtu: 0.29307107, therms: 29.307107 };
+        this.maxRenderedTrees = 50000; // Trunk/canopy extrusions above this are streamed per tile
+        this.maxBillboardTrees = 10000; // Billboard centroids above this are streamed per tile
+
+        // Grid indexes per collection, rebuilt lazily after the feature arrays are replaced
+        const getTreeId = feature => feature.properties && feature.properties.id;
+        this.spatialIndexes = {
+            buildings: new SpatialIndexModule({ cellSize: 0.001 }),
+            trunks: new SpatialIndexModule({ getId: getTreeId }),
+            canopies: new SpatialIndexModule({ getId: getTreeId })
+        };
+        // Edit counters per collection; with the feature array they tell caches whether a collection changed
+        this.collectionRevisions = { buildings: 0, trunks: 0, canopies: 0 };
+        this.primaryCanopyCache = null; // { features, revision, canopies } of the last getPrimaryCanopies()
+    }
+
+    /**
+     * Set energy statistics module reference
+     * @param {EnergyStatsModule} energyStatsModule - Energy statistics module instance
+     */
+    setEnergyStatsModule(energyStatsModule) {
+        this.energyStatsModule = energyStatsModule;
+    }
+
+    /**
+     * Set tree species module reference
+     * @param {TreeSpeciesModule} speciesModule - Tree species module instance
+     */
+    setSpeciesModule(speciesModule) {
+        this.speciesModule = speciesModule;
+    }
+
+    /**
+     * Set coordinate reference system module reference
+     * @param {CRSModule} crsModule - CRS module instance
+     */
+    setCRSModule(crsModule) {
+        this.crsModule = crsModule;
+    }
+
+    /**
+     * Set history module reference
+     * @param {HistoryModule} historyModule - History module instance
+     */
+    setHistoryModule(historyModule) {
+        this.historyModule = historyModule;
+    }
+
+    /**
+     * Start a history group so several edits undo as one step
+     * @param {string} label - Label for the history entry
+     */
+    beginHistoryGroup(label) {
+        if (this.historyModule) {
+            this.historyModule.beginGroup(label);
+        }
+    }
+
+    /**
+     * Close the current history group
+     */
+    endHistoryGroup() {
+        if (this.historyModule) {
+            this.historyModule.endGroup();
+        }
+    }
+
+    /**
+     * Record an undoable tree edit
+     * Features are tracked by reference, so undo/redo restores the exact same objects.
+     * Consecutive tree edits inside a group merge into one command.
+     * @param {string} label - History entry label
+     * @param {Object|null} added - { trunks: [], canopies: [] } features added by the edit
+     * @param {Object|null} removed - { trunks: [], canopies: [] } features removed by the edit
+     */
+    recordTreeChange(label, added, removed) {
+        if (!this.historyModule) return;
+
+        const command = {
+            label,
+            addedTrunks: (added && added.trunks) || [],
+            addedCanopies: (added && added.canopies) || [],
+            removedTrunks: (removed && removed.trunks) || [],
+            removedCanopies: (removed && removed.canopies) || [],
+            undo: () => this.applyTreeChange(command.addedTrunks, command.addedCanopies, command.removedTrunks, command.removedCanopies),
+            redo: () => this.applyTreeChange(command.removedTrunks, command.removedCanopies, command.addedTrunks, command.addedCanopies),
+            mergeWith: (next) => {
+                if (!next || !next.addedTrunks) return false;
+
+                // Trees added and removed within the same stroke cancel out
+                const cancel = (own, incoming, target) => {
+                    const ownSet = new Set(own);
+                    const cancelled = new Set();
+                    incoming.forEach(feature => {
+                        if (ownSet.has(feature)) {
+                            cancelled.add(feature);
+                        } else {
+                            target.push(feature);
+                        }
+                    });
+                    return cancelled.size ? own.filter(feature => !cancelled.has(feature)) : own;
+                };
+
+                command.addedTrunks = cancel(command.addedTrunks, next.removedTrunks, command.removedTrunks);
+                command.addedCanopies = cancel(command.addedCanopies, next.removedCanopies, command.removedCanopies);
+                command.removedTrunks = cancel(command.removedTrunks, next.addedTrunks, command.addedTrunks);
+                command.removedCanopies = cancel(command.removedCanopies, next.addedCanopies, command.addedCanopies);
+                return true;
+            }
+        };
+
+        if (!command.addedTrunks.length && !command.addedCanopies.length &&
+            !command.removedTrunks.length && !command.removedCanopies.length) {
+            return;
+        }
+
+        this.historyModule.record(command);
+    }
+
+    /**
+     * Remove and re-insert tree features (used by undo/redo)
+     * @param {Array} trunksToRemove - Trunk features to remove
+     * @param {Array} canopiesToRemove - Canopy features to remove
+     * @param {Array} trunksToAdd - Trunk features to add back
+     * @param {Array} canopiesToAdd - Canopy features to add back
+     */
+    applyTreeChange(trunksToRemove, canopiesToRemove, trunksToAdd, canopiesToAdd) {
+        this.removeFromCollection('trunks', trunksToRemove);
+        this.removeFromCollection('canopies', canopiesToRemove);
+        this.addToCollection('trunks', trunksToAdd);
+        this.addToCollection('canopies', canopiesToAdd);
+
+        const map = this.core.getMap();
+        this.updateTreeSources(map);
+
+        if (window.app && window.app.tree) {
+            window.app.tree.updateTreeCounter();
+            window.app.tree.updateSelection();
+        }
+    }
+
+    /**
+     * Get the feature collection behind a spatial index
+     * @param {'buildings'|'trunks'|'canopies'} collection - Collection name
+     * @returns {Object} FeatureCollection
+     */
+    getCollectionData(collection) {
+        if (collection === 'buildings') return this.buildingData;
+        if (collection === 'trunks') return this.treeTrunkData;
+        if (collection === 'canopies') return this.treeCanopyData;
+        throw new Error(`Unknown collection: ${collection}`);
+    }
+
+    /**
+     * Get the spatial index of a collection
+     * Rebuilt here if the feature array was replaced or changed outside
+     * addToCollection() / removeFromCollection() (load, reset, undo of a whole scene).
+     * @param {'buildings'|'trunks'|'canopies'} collection - Collection name
+     * @returns {SpatialIndexModule} Index of the collection's features
+     */
+    getSpatialIndex(collection) {
+        const features = this.getCollectionData(collection).features;
+        const index = this.spatialIndexes[collection];
+        if (index.source !== features || index.count !== features.length) {
+            index.load(features);
+        }
+        return index;
+    }
+
+    /**
+     * Get the edit counter of a collection
+     * It is bumped by addToCollection(), removeFromCollection() and in-place edits; loads and
+     * resets replace the feature array instead, so caches compare both.
+     * @param {'buildings'|'trunks'|'canopies'} collection - Collection name
+     * @returns {number} Revision
+     */
+    getCollectionRevision(collection) {
+        return this.collectionRevisions[collection];
+    }
+
+    /**
+     * Mark a collection as edited (see getCollectionRevision())
+     * @param {'buildings'|'trunks'|'canopies'} collection - Collection name
+     */
+    markCollectionChanged(collection) {
+        this.collectionRevisions[collection]++;
+    }
+
+    /**
+     * Append features to a collection and its spatial index
+     * @param {'buildings'|'trunks'|'canopies'} collection - Collection name
+     * @param {Array} features - Features to add
+     */
+    addToCollection(collection, features) {
+        if (!features.length) return;
+        const data = this.getCollectionData(collection);
+        const index = this.spatialIndexes[collection];
+        const inSync = index.source === data.features && index.count === data.features.length;
+
+        features.forEach(feature => data.features.push(feature));
+        if (collection === 'buildings') {
+            // Re-added buildings may have been edited in place (outline drags)
+            features.forEach(feature => this.derivedInputs.delete(feature));
+        }
+        this.markCollectionChanged(collection);
+        if (inSync) {
+            features.forEach(feature => index.insert(feature));
+            if (window.app && window.app.treeTiles) {
+                window.app.treeTiles.invalidateFeatures(collection, features);
+            }
+        }
+    }
+
+    /**
+     * Remove features from a collection and its spatial index
+     * @param {'buildings'|'trunks'|'canopies'} collection - Collection name
+     * @param {Array|Set} features - Features to remove
+     * @returns {Array} Features that were removed
+     */
+    removeFromCollection(collection, features) {
+        const toRemove = features instanceof Set ? features : new Set(features);
+        if (!toRemove.size) return [];
+        const data = this.getCollectionData(collection);
+        const index = this.spatialIndexes[collection];
+        const inSync = index.source === data.features && index.count === data.features.length;
+
+        const removed = [];
+        data.features = data.features.filter(feature => {
+            if (!toRemove.has(feature)) return true;
+            removed.push(feature);
+            return false;
+        });
+        this.markCollectionChanged(collection);
+        if (inSync) {
+            removed.forEach(feature => index.remove(feature));
+            index.source = data.features;
+            if (window.app && window.app.treeTiles) {
+                window.app.treeTiles.invalidateFeatures(collection, removed);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Capture the current scene so it can be restored later
+     * @returns {Object} Scene snapshot (feature arrays are copied, features are shared)
+     */
+    captureSceneSnapshot() {
+        return {
+            buildings: this.buildingData.features.slice(),
+            trunks: this.treeTrunkData.features.slice(),
+            canopies: this.treeCanopyData.features.slice(),
+            roads: this.roadData.features.slice(),
+            treeIdCounter: this.treeIdCounter,
+            datasetCenter: this.datasetCenter
+        };
+    }
+
+    /**
+     * Restore a scene snapshot taken with captureSceneSnapshot
+     * @param {Object} snapshot - Scene snapshot
+     */
+    restoreSceneSnapshot(snapshot) {
+        this.buildingData = { type: 'FeatureCollection', features: snapshot.buildings.slice() };
+        this.treeTrunkData = { type: 'FeatureCollection', features: snapshot.trunks.slice() };
+        this.treeCanopyData = { type: 'FeatureCollection', features: snapshot.canopies.slice() };
+        this.roadData = { type: 'FeatureCollection', features: snapshot.roads.slice() };
+        this.treeIdCounter = Math.max(this.treeIdCounter, snapshot.treeIdCounter);
+        this.datasetCenter = snapshot.datasetCenter || null;
+        // Appended (or undone) files change the attributes; keep the selected column if it still exists
+        this.rescanDerivedMetrics();
+        this.discoverEnergyColumns({ keepSelection: true });
+        this.updateEnergyStats();
+
+        const map = this.core.getMap();
+        this.updateBuildingSource();
+        this.updateRoadSource(map);
+        this.updateTreeSources(map);
+        this.updateBuildingColors();
+
+        if (window.app && window.app.tree) {
+            window.app.tree.updateTreeCounter();
+        }
+
+        if (window.app && window.app.sun) {
+            window.app.sun.setDatasetLocation(this.datasetCenter);
+        }
+
+        this.updateBuildingCounter();
+
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateStats();
+        }
+    }
+
+    /**
+     * Replace all building features (used by undo/redo)
+     * @param {Array} features - Building features
+     */
+    restoreBuildingFeatures(features) {
+        this.buildingData = { type: 'FeatureCollection', features: features.slice() };
+        this.refreshBuildings();
+    }
+
+    /**
+     * Replace building features as one undoable edit (building drawing and editing tools)
+     * @param {Array} removed - Building features to remove
+     * @param {Array} added - Building features to add
+     * @param {string} label - History entry label
+     */
+    replaceBuildings(removed, added, label) {
+        this.applyBuildingChange(removed, added);
+        this.recordBuildingChange(removed, added, label);
+    }
+
+    /**
+     * Record a building edit that has already been applied
+     * @param {Array} removed - Building features removed by the edit
+     * @param {Array} added - Building features added by the edit
+     * @param {string} label - History entry label
+     */
+    recordBuildingChange(removed, added, label) {
+        if (!this.historyModule || (!removed.length && !added.length)) return;
+
+        this.historyModule.record({
+            label,
+            undo: () => this.applyBuildingChange(added, removed),
+            redo: () => this.applyBuildingChange(removed, added)
+        });
+    }
+
+    /**
+     * Remove and add building features, then refresh the map and energy statistics
+     * @param {Array} toRemove - Building features to remove
+     * @param {Array} toAdd - Building features to add
+     */
+    applyBuildingChange(toRemove, toAdd) {
+        this.removeFromCollection('buildings', toRemove);
+        this.addToCollection('buildings', toAdd);
+        this.refreshBuildings();
+    }
+
+    /**
+     * Refresh the building source, colors and energy statistics after the buildings changed
+     */
+    refreshBuildings() {
+        this.updateDerivedMetrics();
+        this.updateEnergyStats();
+        this.updateBuildingSource();
+        this.updateBuildingColors();
+        this.updateBuildingCounter();
+
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateStats();
+        }
+
+        if (window.app && window.app.buildingEditor) {
+            window.app.buildingEditor.updateSelection();
+        }
+    }
+
+    /**
+     * Recalculate the energy statistics of the selected column
+     */
+    updateEnergyStats() {
+        this.energyStats = UtilsModule.calculateEnergyStats(this.buildingData.features, this.selectedEnergyColumn,
+            (feature, column) => this.getBuildingValue(feature, column));
+    }
+
+    /**
+     * Building collection handed to the map
+     * When buildings are colored by a derived metric, that one value is merged into copies of
+     * the buildings (the color expression reads attributes); otherwise the buildings themselves.
+     * @returns {Object} FeatureCollection
+     */
+    getBuildingSourceData() {
+        const column = this.getColorColumn();
+        if (!this.isDerivedBuildingKey(column)) {
+            return this.buildingData;
+        }
+        return {
+            type: 'FeatureCollection',
+            // The delta always comes from the comparison, other derived metrics yield to attributes
+            features: this.buildingData.features.map(feature => column !== this.comparisonDeltaKey && column in feature.properties
+                ? feature
+                : { ...feature, properties: { ...feature.properties, [column]: this.getBuildingValue(feature, column) } })
+        };
+    }
+
+    /**
+     * Push the buildings to the map source
+     */
+    updateBuildingSource() {
+        const source = this.core.getMap().getSource('geojson-data');
+        const column = this.getColorColumn();
+        this.sourceColorColumn = this.isDerivedBuildingKey(column) ? column : null;
+        if (source) {
+            source.setData(this.getBuildingSourceData());
+        }
+    }
+
+    /**
+     * Next free numeric building ID
+     * @returns {number} One above the highest numeric ID (1 for a scene without numeric IDs)
+     */
+    getNextBuildingId() {
+        return this.buildingData.features.reduce((next, feature) => {
+            const id = feature.properties && feature.properties.ID;
+            return /^\d+$/.test(String(id)) ? Math.max(next, Number(id) + 1) : next;
+        }, 1);
+    }
+
+    /**
+     * Set height unit and update map extrusion
+     * @param {'feet'|'meters'} unit
+     */
+    setHeightUnit(unit) {
+        this.heightUnit = unit === 'meters' ? 'meters' : 'feet';
+        this.heightMultiplier = this.heightUnit === 'meters' ? 1 : 0.3048;
+        this.markCollectionChanged('buildings'); // Building heights in meters changed
+        this.updateBuildingHeightPaint();
+    }
+
+    getHeightUnit() {
+        return this.heightUnit;
+    }
+
+    /**
+     * Build fill-extrusion height expression based on selected unit
+     * @returns {Array} Mapbox expression
+     */
+    getFillExtrusionHeightExpression() {
+        const multiplier = this.heightMultiplier;
+        const defaultHeight = this.heightUnit === 'meters'
+            ? this.defaultHeightMeters
+            : this.defaultHeightFeet * multiplier;
+
+        return [
+            'case',
+            ...this.buildingHeightKeys.flatMap(key => [['has', key], ['*', ['get', key], multiplier]]),
+            defaultHeight // Default height in meters
+        ];
+    }
+
+    /**
+     * Get the attribute holding a building's height
+     * @param {Object} feature - Building feature
+     * @returns {string|null} First height key present (same precedence as the map), or null
+     */
+    getBuildingHeightKey(feature) {
+        const properties = feature.properties || {};
+        return this.buildingHeightKeys.find(key => key in properties) || null;
+    }
+
+    /**
+     * Properties with a new building height
+     * The height is written in the dataset's height unit to the attribute the map reads,
+     * or to `height` if the building has none.
+     * @param {Object} feature - Building feature
+     * @param {number} meters - Height in meters
+     * @returns {Object} Copy of the properties with the new height
+     */
+    withBuildingHeightMeters(feature, meters) {
+        const key = this.getBuildingHeightKey(feature) || 'height';
+        return { ...feature.properties, [key]: Math.round(meters / this.heightMultiplier * 100) / 100 };
+    }
+
+    /**
+     * Get a building's rendered extrusion height in meters
+     * Evaluates the same expression the map uses, so analysis matches what is shown.
+     * @param {Object} feature - Building feature
+     * @returns {number} Height in meters
+     */
+    getBuildingHeightMeters(feature) {
+        const height = Number(UtilsModule.evaluateExpression(this.getFillExtrusionHeightExpression(), feature.properties || {}));
+        return isNaN(height) ? 0 : height;
+    }
+
+    /**
+     * Footprint, floor count, gross floor area and EUI of a building
+     * The floor count comes from a floors/levels attribute if the building has one, otherwise
+     * from its height (UtilsModule.getHeightProperty, in the dataset unit) and the storey height.
+     * @param {Object} feature - Building feature
+     * @param {Array} energyColumns - Energy columns to normalize (defaults to the ones found by updateDerivedMetrics())
+     * @param {number} heightMultiplier - Meters per height unit (defaults to the scene's)
+     * @returns {Object} { footprintArea, floors, floorsFromAttribute, gfa (m²), eui: { column: kWh/m² or null } }
+     */
+    computeBuildingMetrics(feature, energyColumns = Array.from(this.euiColumns.values()), heightMultiplier = this.heightMultiplier) {
+        const properties = feature.properties || {};
+        let footprintArea = 0;
+        try {
+            footprintArea = turf.area(feature);
+        } catch (error) {
+            console.warn(`Footprint area of building ${properties.ID} failed:`, error.message);
+        }
+
+        const floorKey = this.floorCountKeys.find(key => parseFloat(properties[key]) > 0);
+        const heightMeters = parseFloat(UtilsModule.getHeightProperty(properties)) * heightMultiplier;
+        const floors = floorKey
+            ? Math.round(parseFloat(properties[floorKey]))
+            : Math.max(1, Math.round((isNaN(heightMeters) ? 0 : heightMeters) / this.storeyHeight));
+        const gfa = footprintArea * floors;
+
+        const eui = {};
+        energyColumns.forEach(column => {
+            const energy = parseFloat(properties[column]);
+            const factor = this.getEnergyUnitFactor(column);
+            eui[column] = !isNaN(energy) && factor !== null && gfa > 0 ? energy * factor / gfa : null;
+        });
+        return { footprintArea, floors, floorsFromAttribute: Boolean(floorKey), gfa, eui };
+    }
+
+    /**
+     * kWh per unit of an energy column, from the unit in its name
+     * @param {string} column - Column name
+     * @returns {number|null} Factor, or null if the column has no absolute energy unit
+     */
+    getEnergyUnitFactor(column) {
+        const factor = this.energyUnitFactors[DataModule.detectUnit(column)];
+        return factor === undefined ? null : factor;
+    }
+
+    /**
+     * Check whether an attribute holds an absolute quantity that adds up over buildings
+     * (energy in kWh, MWh, GJ..., emissions, areas), as opposed to intensities and
+     * descriptive attributes. Splitting a building apportions these by footprint area and
+     * merging buildings sums them.
+     * @param {string} column - Attribute name
+     * @returns {boolean} True for additive columns (derived metrics excluded)
+     */
+    isAdditiveColumn(column) {
+        if (this.isDerivedBuildingKey(column)) return false;
+        const unit = DataModule.detectUnit(column);
+        return this.getEnergyUnitFactor(column) !== null || unit === 'kgCO₂e' || unit === 'm²';
+    }
+
+    /**
+     * Compute the floor area metrics of the buildings
+     * Derives footprint_m2, floors_est and gfa_m2, and an EUI_<column> in kWh/m² for every
+     * column with an absolute energy unit (kWh, MWh, GJ...). The values are kept beside the
+     * buildings (see getBuildingValue()), so they can be selected as color column but are not
+     * exported or saved.
+     * Only buildings whose attributes or footprint changed since their last computation are
+     * recomputed, unless the storey height, the height unit or the set of EUI columns changed
+     * (an edited building bringing a new energy column adds its EUI column to all buildings).
+     * @param {Array} features - Buildings to check (defaults to all; other buildings keep their values)
+     */
+    updateDerivedMetrics(features = this.buildingData.features) {
+        let settings = this.getDerivedSettings();
+        let stale = features.filter(feature => {
+            const inputs = this.derivedInputs.get(feature);
+            return !inputs || inputs.settings !== settings ||
+                inputs.properties !== feature.properties || inputs.geometry !== feature.geometry;
+        });
+        if (stale.length === 0) return;
+
+        let added = false;
+        this.findEuiColumns(stale).forEach((column, euiKey) => {
+            if (!this.euiColumns.has(euiKey)) {
+                this.euiColumns.set(euiKey, column);
+                added = true;
+            }
+        });
+        if (added) {
+            settings = this.getDerivedSettings();
+            stale = this.buildingData.features;
+        }
+
+        this.computeDerivedValues(stale, this.euiColumns, this.heightMultiplier, this.derivedValues);
+        stale.forEach(feature => this.derivedInputs.set(feature, { properties: feature.properties, geometry: feature.geometry, settings }));
+        this.computeComparisonDeltas(stale);
+    }
+
+    /**
+     * Find the EUI columns of all buildings again, then update the floor area metrics
+     * Used when the building set is replaced (load, append, whole-scene undo); columns
+     * that no building has any more are dropped.
+     */
+    rescanDerivedMetrics() {
+        this.euiColumns = this.findEuiColumns(this.buildingData.features);
+        this.updateDerivedMetrics();
+    }
+
+    /**
+     * Settings the floor area metrics depend on besides the building itself
+     * @returns {string} Storey height, height multiplier and EUI columns
+     */
+    getDerivedSettings() {
+        return `${this.storeyHeight}|${this.heightMultiplier}|${Array.from(this.euiColumns.keys()).join('|')}`;
+    }
+
+    /**
+     * Get a building attribute or derived metric
+     * Attributes of the building win over derived metrics of the same name.
+     * @param {Object} feature - Building feature
+     * @param {string} column - Attribute or derived metric name
+     * @returns {*} Value, or undefined if the building has neither
+     */
+    getBuildingValue(feature, column) {
+        if (column === this.comparisonDeltaKey) {
+            return this.isComparisonActive() ? this.comparisonDeltas.get(feature) : undefined;
+        }
+        const properties = feature.properties || {};
+        if (column in properties) return properties[column];
+        const derived = this.derivedValues.get(feature);
+        return derived ? derived[column] : undefined;
+    }
+
+    /**
+     * Get the attributes of a building together with its derived metrics
+     * @param {Object} feature - Building feature
+     * @returns {Object} New object; attributes win over derived metrics of the same name
+     */
+    getBuildingAttributes(feature) {
+        return DataModule.mergeDerivedValues(feature.properties, this.derivedValues.get(feature));
+    }
+
+    /**
+     * Attributes followed by the derived metrics they do not already have
+     * @param {Object} properties - Feature attributes
+     * @param {Object} derived - Derived metrics (may be undefined)
+     * @returns {Object} New object
+     */
+    static mergeDerivedValues(properties, derived) {
+        const attributes = { ...(properties || {}) };
+        Object.keys(derived || {}).forEach(key => {
+            if (!(key in attributes)) attributes[key] = derived[key];
+        });
+        return attributes;
+    }
+
+    /**
+     * Find the columns with an absolute energy unit and name their EUI columns
+     * @param {Array} features - Building features
+     * @returns {Map} EUI_<column> -> column
+     */
+    findEuiColumns(features) {
+        const euiColumns = new Map();
+        features.forEach(feature => Object.keys(feature.properties || {}).forEach(key => {
+            if (!this.derivedBuildingKeys.includes(key) && this.getEnergyUnitFactor(key) !== null) {
+                euiColumns.set(`EUI_${key}`, key);
+            }
+        }));
+        return euiColumns;
+    }
+
+    /**
+     * Compute footprint_m2, floors_est, gfa_m2 and the EUI columns of buildings
+     * @param {Array} features - Building features
+     * @param {Map} euiColumns - EUI_<column> -> column
+     * @param {number} heightMultiplier - Meters per height unit of the features
+     * @param {WeakMap|Map} store - Receives feature -> { footprint_m2, floors_est, gfa_m2, EUI_<column>... }
+     */
+    computeDerivedValues(features, euiColumns, heightMultiplier, store) {
+        const energyColumns = Array.from(euiColumns.values());
+        const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+        features.forEach(feature => {
+            const metrics = this.computeBuildingMetrics(feature, energyColumns, heightMultiplier);
+            const values = {
+                footprint_m2: round(metrics.footprintArea, 1),
+                floors_est: metrics.floors,
+                gfa_m2: round(metrics.gfa, 1)
+            };
+            euiColumns.forEach((column, euiKey) => {
+                values[euiKey] = metrics.eui[column] === null ? null : round(metrics.eui[column], 2);
+            });
+            store.set(feature, values);
+        });
+    }
+
+    /**
+     * Check whether a building value is derived by updateDerivedMetrics()
+     * @param {string} key - Attribute name
+     * @returns {boolean} True for the floor area metrics, EUI columns and comparison delta
+     */
+    isDerivedBuildingKey(key) {
+        return this.derivedBuildingKeys.includes(key) || this.euiColumns.has(key) || key === this.comparisonDeltaKey;
+    }
+
+    /**
+     * Get the storey height used for estimated floor counts
+     * @returns {number} Meters per storey
+     */
+    getStoreyHeight() {
+        return this.storeyHeight;
+    }
+
+    /**
+     * Set the storey height and recompute the floor area metrics
+     * @param {number} meters - Meters per storey
+     */
+    setStoreyHeight(meters) {
+        if (!(meters > 0)) return;
+        this.storeyHeight = meters;
+        this.refreshBuildings();
+        console.log(`✓ Storey height changed to: ${meters} m`);
+    }
+
+    /**
+     * Totals of the floor area metrics for the energy statistics panel
+     * The site EUI is total energy over the floor area of the buildings that have a value,
+     * for the selected column (or the source column of a selected EUI column).
+     * @returns {Object} { footprintArea, gfa, averageFloors, siteEui, euiColumn (source column or null) }
+     */
+    getDerivedMetricsSummary() {
+        const features = this.buildingData.features;
+        const selected = this.selectedEnergyColumn;
+        const euiColumn = this.euiColumns.get(selected) || (this.getEnergyUnitFactor(selected) !== null ? selected : null);
+        const factor = euiColumn ? this.getEnergyUnitFactor(euiColumn) : null;
+
+        let footprintArea = 0, gfa = 0, floors = 0, energy = 0, energyArea = 0;
+        features.forEach(feature => {
+            const derived = this.derivedValues.get(feature);
+            if (!derived) return;
+            footprintArea += derived.footprint_m2;
+            gfa += derived.gfa_m2;
+            floors += derived.floors_est;
+            const value = euiColumn ? parseFloat(feature.properties[euiColumn]) : NaN;
+            if (!isNaN(value) && derived.gfa_m2 > 0) {
+                energy += value * factor;
+                energyArea += derived.gfa_m2;
+            }
+        });
+        return {
+            footprintArea,
+            gfa,
+            averageFloors: features.length > 0 ? floors / features.length : 0,
+            siteEui: energyArea > 0 ? energy / energyArea : null,
+            euiColumn
+        };
+    }
+
+    /**
+     * Change the comparison mode
+     * - 'columns': delta between two columns of every building (column minus baseColumn)
+     * - 'scene': delta between a column of the scene and baseColumn of the baseline scene
+     *   building with the same ID (see setBaselineScene())
+     * - 'off': color by the selected energy column again
+     * While a comparison is active the buildings are colored by the delta with a diverging
+     * ramp centered on zero.
+     * @param {Object} options - { mode, baseColumn, column, deltaType: 'absolute'|'percent' }, omitted keys keep their value
+     */
+    setComparison(options) {
+        this.comparison = { ...this.comparison, ...options };
+        this.computeComparisonDeltas(this.buildingData.features);
+        this.refreshBuildings();
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateComparisonControls();
+        }
+        console.log(`✓ Comparison: ${this.isComparisonActive() ? this.describeComparison() : 'off'}`);
+    }
+
+    /**
+     * Get the comparison settings
+     * @returns {Object} { mode, baseColumn, column, deltaType }
+     */
+    getComparison() {
+        return this.comparison;
+    }
+
+    /**
+     * Check whether buildings are colored by a comparison delta
+     * @returns {boolean} True if the mode, its columns and (for 'scene') a baseline are set
+     */
+    isComparisonActive() {
+        const { mode, baseColumn, column } = this.comparison;
+        if (!baseColumn || !column) return false;
+        return mode === 'columns' || (mode === 'scene' && this.baselineScene !== null);
+    }
+
+    /**
+     * Short description of the active comparison, e.g. "Δ% Energy_ASHRAE_kWh − Energy_UrbanWWR_kWh"
+     * @returns {string} Description
+     */
+    describeComparison() {
+        const { mode, baseColumn, column, deltaType } = this.comparison;
+        const base = mode === 'scene' ? `${baseColumn} (${this.baselineScene.name})` : baseColumn;
+        return `${deltaType === 'percent' ? 'Δ%' : 'Δ'} ${column} − ${base}`;
+    }
+
+    /**
+     * Store the buildings of another dataset as the baseline of scene comparisons
+     * The floor area metrics are derived with the scene's storey height, so EUI columns can be
+     * compared too. Buildings are matched by their ID attribute.
+     * @param {Array} buildings - Building features of the baseline file
+     * @param {string} name - Dataset name shown in the comparison panel
+     * @param {string} heightUnit - 'meters' or 'feet' (height unit of the baseline file)
+     * @returns {Object} { name, count, matched } where matched counts scene buildings with a baseline
+     */
+    setBaselineScene(buildings, name, heightUnit = 'meters') {
+        const derived = new Map();
+        this.computeDerivedValues(buildings, this.findEuiColumns(buildings), heightUnit === 'feet' ? 0.3048 : 1, derived);
+        const copies = buildings.map(feature => ({ properties: DataModule.mergeDerivedValues(feature.properties, derived.get(feature)) }));
+
+        const byId = new Map();
+        copies.forEach(feature => {
+            const id = feature.properties.ID;
+            if (id !== undefined && id !== null && !byId.has(String(id))) {
+                byId.set(String(id), feature.properties);
+            }
+        });
+        this.baselineScene = {
+            name,
+            buildings: byId,
+            count: copies.length,
+            columns: DataModule.analyzeNumericColumns(copies, this.buildingHeightKeys)
+        };
+
+        // Compare the selected column with the same column of the baseline by default
+        const column = this.comparison.column || this.selectedEnergyColumn;
+        const baseColumn = this.baselineScene.columns.some(info => info.name === column)
+            ? column
+            : (this.baselineScene.columns.find(info => info.isEnergy && !this.isDerivedBuildingKey(info.name)) ||
+                this.baselineScene.columns[0] || {}).name || null;
+        this.setComparison({ mode: 'scene', column, baseColumn });
+
+        const matched = this.buildingData.features.filter(feature => byId.has(String(feature.properties.ID))).length;
+        console.log(`✓ Baseline scene ${name}: ${copies.length} buildings, ${byId.size} IDs, ${matched} matched`);
+        return { name, count: copies.length, matched };
+    }
+
+    /**
+     * Drop the baseline scene (and leave scene comparison)
+     */
+    clearBaselineScene() {
+        this.baselineScene = null;
+        this.setComparison(this.comparison.mode === 'scene' ? { mode: 'off' } : {});
+    }
+
+    /**
+     * Get the baseline scene
+     * @returns {Object|null} { name, buildings, count, columns }
+     */
+    getBaselineScene() {
+        return this.baselineScene;
+    }
+
+    /**
+     * Values compared for a building
+     * @param {Object} feature - Building feature
+     * @returns {Object} { before, after } (null when missing)
+     */
+    getComparisonValues(feature) {
+        const { mode, baseColumn, column } = this.comparison;
+        let before;
+        if (mode === 'scene') {
+            // Baseline rows already carry their own derived metrics (see setBaselineScene())
+            const properties = feature.properties || {};
+            const baseProperties = this.baselineScene && this.baselineScene.buildings.get(String(properties.ID));
+            before = baseProperties ? parseFloat(baseProperties[baseColumn]) : NaN;
+        } else {
+            before = parseFloat(this.getBuildingValue(feature, baseColumn));
+        }
+        const after = parseFloat(this.getBuildingValue(feature, column));
+        return { before: isNaN(before) ? null : before, after: isNaN(after) ? null : after };
+    }
+
+    /**
+     * Compute the comparison delta (after − before, absolute or percent of before) of buildings
+     * Like the floor area metrics, deltas are kept beside the buildings (read them with
+     * getBuildingValue(feature, comparisonDeltaKey)). Buildings without both values, or with a
+     * zero baseline in percent mode, get null.
+     * @param {Array} features - Building features
+     */
+    computeComparisonDeltas(features) {
+        if (!this.isComparisonActive()) return;
+        const percent = this.comparison.deltaType === 'percent';
+        features.forEach(feature => {
+            const { before, after } = this.getComparisonValues(feature);
+            let delta = null;
+            if (before !== null && after !== null && !(percent && before === 0)) {
+                delta = percent ? (after - before) / Math.abs(before) * 100 : after - before;
+                delta = Math.round(delta * 100) / 100;
+            }
+            this.comparisonDeltas.set(feature, delta);
+        });
+    }
+
+    /**
+     * Totals and distribution shift of the active comparison, over the buildings with both values
+     * @returns {Object|null} { matched, buildingCount, totalBefore, totalAfter, totalDelta, totalDeltaPercent,
+     *   increased, decreased, unchanged, before: {q25, median, q75}, after: {q25, median, q75}, meanDelta },
+     *   or null without an active comparison
+     */
+    getComparisonSummary() {
+        if (!this.isComparisonActive()) return null;
+
+        const befores = [];
+        const afters = [];
+        let increased = 0, decreased = 0, unchanged = 0;
+        this.buildingData.features.forEach(feature => {
+            const { before, after } = this.getComparisonValues(feature);
+            if (before === null || after === null) return;
+            befores.push(before);
+            afters.push(after);
+            if (after > before) increased++;
+            else if (after < before) decreased++;
+            else unchanged++;
+        });
+
+        const sum = values => values.reduce((total, value) => total + value, 0);
+        const quartiles = values => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            const at = fraction => {
+                if (sorted.length === 0) return null;
+                const position = (sorted.length - 1) * fraction;
+                const lower = Math.floor(position);
+                const upper = Math.ceil(position);
+                return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+            };
+            return { q25: at(0.25), median: at(0.5), q75: at(0.75) };
+        };
+        const totalBefore = sum(befores);
+        const totalAfter = sum(afters);
+        return {
+            matched: befores.length,
+            buildingCount: this.buildingData.features.length,
+            totalBefore,
+            totalAfter,
+            totalDelta: totalAfter - totalBefore,
+            totalDeltaPercent: totalBefore !== 0 ? (totalAfter - totalBefore) / Math.abs(totalBefore) * 100 : null,
+            increased,
+            decreased,
+            unchanged,
+            before: quartiles(befores),
+            after: quartiles(afters),
+            meanDelta: befores.length > 0 ? (totalAfter - totalBefore) / befores.length : null
+        };
+    }
+
+    /**
+     * Column the building colors are classified by
+     * @returns {string} comparison_delta while a comparison is active, otherwise the selected energy column
+     */
+    getColorColumn() {
+        return this.isComparisonActive() ? this.comparisonDeltaKey : this.selectedEnergyColumn;
+    }
+
+    /**
+     * Update extrusion height paint property to respect selected unit
+     */
+    updateBuildingHeightPaint() {
+        const map = this.core.getMap();
+        const layer = map.getLayer('geojson-layer');
+        if (!layer) return;
+
+        map.setPaintProperty('geojson-layer', 'fill-extrusion-height', this.getFillExtrusionHeightExpression());
+    }
+
+    /**
+     * Add GeoJSON data to the map
+     * @param {Object} data - GeoJSON data object
+     */
+    addGeoJsonToMap(data) {
+        this.addClassifiedDataToMap(DataModule.classifyFeatures(data.features));
+    }
+
+    /**
+     * Replace the scene with classified features
+     * @param {Object} classified - Result of DataModule.classifyFeatures(), run here or in the load worker
+     */
+    addClassifiedDataToMap(classified) {
+        const map = this.core.getMap();
+        const center = classified.center;
+        if (center) {
+            map.flyTo({ center, zoom: 16 });
+        }
+        this.datasetCenter = center;
+
+        // Clear existing data
+        this.buildingData.features = [];
+        this.treeTrunkData.features = [];
+        this.treeCanopyData.features = [];
+        this.roadData.features = [];
+
+        // Add buildings, trees and roads
+        // (legacy point trees get ids after the highest tree-N id in the file)
+        this.syncTreeIdCounter(classified.trunks.concat(classified.canopies));
+        this.addClassifiedFeatures(classified);
+        this.rescanDerivedMetrics();
+
+        // Offer the file's numeric attributes and pick the column to color by
+        this.discoverEnergyColumns();
+
+        // Calculate energy statistics for buildings (the load worker already did for the selected column,
+        // unless it is a derived metric the worker does not compute)
+        this.energyStats = classified.energyStats && classified.energyColumn === this.selectedEnergyColumn &&
+            !this.isDerivedBuildingKey(this.selectedEnergyColumn)
+            ? classified.energyStats
+            : UtilsModule.calculateEnergyStats(this.buildingData.features, this.selectedEnergyColumn,
+                (feature, column) => this.getBuildingValue(feature, column));
+
+        // Update the sources
+        console.log('=== Updating Map Sources ===');
+        console.log('Building data to set:', {
+            type: this.buildingData.type,
+            featureCount: this.buildingData.features.length
+        });
+        
+        const buildingSource = map.getSource('geojson-data');
+        if (buildingSource) {
+            console.log('✓ geojson-data source exists');
+            console.log('Current source data:', {
+                type: buildingSource._data?.type,
+                featureCount: buildingSource._data?.features?.length || 0
+            });
+            
+            buildingSource.setData(this.getBuildingSourceData());
+            
+            console.log('Source data after setData:', {
+                type: buildingSource._data?.type,
+                featureCount: buildingSource._data?.features?.length || 0
+            });
+        } else {
+            console.error('❌ geojson-data source not found!');
+        }
+        
+        // Apply current height unit to extrusion
+        this.updateBuildingHeightPaint();
+        
+        // Update road source
+        this.updateRoadSource(map);
+        
+        this.updateTreeSources(map);
+
+        // Update the building layer with new color scheme
+        console.log('=== Updating Building Layer ===');
+        const buildingLayer = map.getLayer('geojson-layer');
+        if (buildingLayer) {
+            console.log('✓ geojson-layer found');
+            console.log('Layer source:', buildingLayer.source);
+        } else {
+            console.warn('⚠ geojson-layer not found');
+        }
+        
+        this.updateBuildingColors();
+        console.log('✓ Building colors updated');
+
+        // Update tree counter if tree module is available
+        if (window.app && window.app.tree) {
+            window.app.tree.updateTreeCounter();
+        }
+
+        // Update building counter
+        this.updateBuildingCounter();
+
+        // Log loading information
+        const loadedBuildingsCount = this.buildingData.features.length;
+        const loadedTreesCount = this.treeTrunkData.features.length;
+        const loadedCanopiesCount = this.treeCanopyData.features.length;
+        const loadedRoadsCount = this.roadData.features.length;
+        
+        console.log(`✓ GeoJSON loaded: ${loadedBuildingsCount} buildings, ${loadedTreesCount} trees, ${loadedRoadsCount} roads`);
+        console.log(`  - Buildings: Polygon features without isCanopy/isTrunk properties`);
+        console.log(`  - Trees: Features with isCanopy or isTrunk properties`);
+        console.log(`  - Roads: LineString features`);
+        
+        if (loadedTreesCount > 0) {
+            console.log(`✓ Tree data: ${loadedTreesCount} trunks, ${loadedCanopiesCount} canopies`);
+        }
+        
+        if (loadedRoadsCount > 0) {
+            console.log(`✓ Road data: ${loadedRoadsCount} road segments loaded`);
+        }
+
+        // Shading results belong to the previous scene
+        if (window.app && window.app.treeShading) {
+            window.app.treeShading.clear();
+        }
+
+        // Notify energy statistics module
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateStats();
+        }
+
+        // Sun simulation follows the loaded dataset's location
+        if (window.app && window.app.sun) {
+            window.app.sun.setDatasetLocation(center);
+        }
+
+        // A freshly loaded file starts a new edit history
+        if (this.historyModule) {
+            this.historyModule.clear();
+        }
+    }
+
+    /**
+     * Check whether the scene has any buildings, trees or roads
+     * @returns {boolean} True if something is loaded or drawn
+     */
+    hasSceneData() {
+        return this.buildingData.features.length > 0 || this.treeTrunkData.features.length > 0 ||
+            this.treeCanopyData.features.length > 0 || this.roadData.features.length > 0;
+    }
+
+    /**
+     * Merge GeoJSON data into the current scene instead of replacing it
+     * @param {Object} data - GeoJSON FeatureCollection (WGS84)
+     * @param {Object} options - See appendClassifiedData()
+     * @returns {Object} Summary: counts of added, renamed, skipped and replaced features
+     */
+    appendGeoJsonToMap(data, options = {}) {
+        return this.appendClassifiedData(DataModule.classifyFeatures(data.features), options);
+    }
+
+    /**
+     * Merge classified features into the current scene
+     * Tree ids and building IDs that already exist are renamed, and incoming building
+     * footprints that overlap existing ones are handled by the dedupe policy:
+     * - 'keep-both': add everything
+     * - 'keep-existing': skip incoming buildings that overlap an existing one
+     * - 'replace-existing': remove existing buildings that an incoming one overlaps
+     * The whole merge is one undoable history entry.
+     * @param {Object} classified - Result of DataModule.classifyFeatures(), run here or in the load worker
+     * @param {Object} options - { dedupe, overlapThreshold (0-1 IoU), heightUnit of the incoming file }
+     * @returns {Object} Summary: counts of added, renamed, skipped and replaced features
+     */
+    appendClassifiedData(classified, options = {}) {
+        const dedupe = options.dedupe || 'keep-both';
+        const overlapThreshold = options.overlapThreshold || 0.5;
+        const map = this.core.getMap();
+        const before = this.captureSceneSnapshot();
+
+        // Work on copies so the caller's features are not renamed in place
+        const copy = feature => ({ ...feature, properties: { ...(feature.properties || {}) } });
+        const incoming = {
+            buildings: classified.buildings.map(copy),
+            trunks: classified.trunks.map(copy),
+            canopies: classified.canopies.map(copy),
+            roads: classified.roads,
+            points: classified.points
+        };
+
+        // Heights must follow the scene's unit, which applies to all buildings
+        if (options.heightUnit && options.heightUnit !== this.heightUnit) {
+            if (this.buildingData.features.length > 0) {
+                this.convertBuildingHeights(incoming.buildings, options.heightUnit, this.heightUnit);
+            } else {
+                this.setHeightUnit(options.heightUnit);
+            }
+        }
+
+        // Dedupe before renaming, so a replacement can keep the ID of the building it replaces
+        const duplicates = this.dedupeBuildings(incoming.buildings, dedupe, overlapThreshold);
+        const skipped = new Set(duplicates.skipped);
+        incoming.buildings = incoming.buildings.filter(feature => !skipped.has(feature));
+
+        const renamedBuildings = this.resolveBuildingIdCollisions(incoming.buildings);
+        const renamedTrees = this.resolveTreeIdCollisions(incoming.trunks.concat(incoming.canopies));
+
+        // Legacy point trees would record their own "Add tree" entries; the merge is one entry
+        const history = this.historyModule;
+        this.historyModule = null;
+        try {
+            this.addClassifiedFeatures(incoming);
+        } finally {
+            this.historyModule = history;
+        }
+
+        if (classified.center) {
+            map.flyTo({ center: classified.center, zoom: 16 });
+            if (!this.datasetCenter) {
+                this.datasetCenter = classified.center;
+            }
+        }
+
+        const after = this.captureSceneSnapshot();
+        this.restoreSceneSnapshot(after);
+        this.updateBuildingHeightPaint();
+
+        // Shading results belong to the previous scene
+        if (window.app && window.app.treeShading) {
+            window.app.treeShading.clear();
+        }
+
+        const summary = {
+            buildings: incoming.buildings.length,
+            trees: incoming.trunks.length + incoming.points.length,
+            roads: incoming.roads.length,
+            renamedBuildings,
+            renamedTrees,
+            skippedBuildings: duplicates.skipped.length,
+            replacedBuildings: duplicates.replaced.length
+        };
+
+        if (this.historyModule) {
+            const featureCount = incoming.buildings.length + incoming.trunks.length + incoming.canopies.length +
+                incoming.roads.length + incoming.points.length;
+            this.historyModule.record({
+                label: `Append ${featureCount} features`,
+                undo: () => this.restoreSceneSnapshot(before),
+                redo: () => this.restoreSceneSnapshot(after)
+            });
+        }
+
+        console.log(`✓ GeoJSON appended: ${summary.buildings} buildings, ${summary.trees} trees, ${summary.roads} roads`);
+        console.log(`  - Renamed IDs: ${renamedBuildings} buildings, ${renamedTrees} trees`);
+        console.log(`  - Overlapping buildings (${dedupe}): ${summary.skippedBuildings} skipped, ${summary.replacedBuildings} replaced`);
+        return summary;
     }
 
     /**
-     * Set energy statistics module reference
-     * @param {EnergyStatsModule} energyStatsModule - Energy statistics module instance
+     * Apply the dedupe policy to incoming buildings that overlap existing ones
+     * Candidates come from the building spatial index, so only nearby pairs are intersected.
+     * @param {Array} incomingBuildings - Incoming building features
+     * @param {string} policy - 'keep-both', 'keep-existing' or 'replace-existing'
+     * @param {number} threshold - Minimum intersection over union (0-1) to count as the same building
+     * @returns {{skipped: Array, replaced: Array}} Incoming features skipped, existing features removed
      */
-    setEnergyStatsModule(energyStatsModule) {
-        this.energyStatsModule = energyStatsModule;
+    dedupeBuildings(incomingBuildings, policy, threshold) {
+        const result = { skipped: [], replaced: [] };
+        if (policy === 'keep-both' || incomingBuildings.length === 0 || this.buildingData.features.length === 0) {
+            return result;
+        }
+
+        const index = this.getSpatialIndex('buildings');
+        const removed = new Set();
+        incomingBuildings.forEach(feature => {
+            const bbox = SpatialIndexModule.getBBox(feature);
+            if (!bbox) return;
+
+            const overlapping = index.search(bbox).filter(existing =>
+                !removed.has(existing) && this.getFootprintOverlap(existing, feature) >= threshold
+            );
+            if (overlapping.length === 0) return;
+
+            if (policy === 'keep-existing') {
+                result.skipped.push(feature);
+            } else if (policy === 'replace-existing') {
+                overlapping.forEach(existing => {
+                    removed.add(existing);
+                    result.replaced.push(existing);
+                });
+            }
+        });
+
+        this.removeFromCollection('buildings', removed);
+        return result;
     }
 
     /**
-     * Set height unit and update map extrusion
-     * @param {'feet'|'meters'} unit
+     * Intersection over union of two building footprints
+     * @param {Object} a - Polygon/MultiPolygon feature
+     * @param {Object} b - Polygon/MultiPolygon feature
+     * @returns {number} Overlap ratio between 0 and 1
      */
-    setHeightUnit(unit) {
-        this.heightUnit = unit === 'meters' ? 'meters' : 'feet';
-        this.heightMultiplier = this.heightUnit === 'meters' ? 1 : 0.3048;
-        this.updateBuildingHeightPaint();
+    getFootprintOverlap(a, b) {
+        try {
+            const intersection = turf.intersect(turf.featureCollection([a, b]));
+            if (!intersection) return 0;
+            const intersectionArea = turf.area(intersection);
+            const unionArea = turf.area(a) + turf.area(b) - intersectionArea;
+            return unionArea > 0 ? intersectionArea / unionArea : 0;
+        } catch (error) {
+            console.warn('Could not compare building footprints:', error.message);
+            return 0;
+        }
     }
 
-    getHeightUnit() {
-        return this.heightUnit;
+    /**
+     * Rename incoming building IDs that already exist in the scene
+     * Numeric IDs continue after the highest numeric ID; other IDs get a -2, -3, ... suffix.
+     * The original value is kept in properties.originalID.
+     * @param {Array} features - Incoming building features (modified in place)
+     * @returns {number} Number of renamed buildings
+     */
+    resolveBuildingIdCollisions(features) {
+        const usedIds = new Set(this.buildingData.features
+            .map(feature => feature.properties && feature.properties.ID)
+            .filter(id => id !== undefined && id !== null)
+            .map(id => String(id)));
+
+        // reduce, not Math.max(...ids): spreading a large scene overflows the call stack
+        let nextNumericId = Array.from(usedIds).concat(features.map(feature => String(feature.properties.ID)))
+            .reduce((next, id) => /^\d+$/.test(id) ? Math.max(next, Number(id) + 1) : next, 0);
+
+        let renamed = 0;
+        features.forEach(feature => {
+            const id = feature.properties.ID;
+            if (id === undefined || id === null) return;
+
+            if (usedIds.has(String(id))) {
+                let newId;
+                if (typeof id === 'number' || /^\d+$/.test(String(id))) {
+                    newId = typeof id === 'number' ? nextNumericId : String(nextNumericId);
+                    nextNumericId++;
+                } else {
+                    let suffix = 2;
+                    while (usedIds.has(`${id}-${suffix}`)) suffix++;
+                    newId = `${id}-${suffix}`;
+                }
+                feature.properties.originalID = id;
+                feature.properties.ID = newId;
+                renamed++;
+            }
+            usedIds.add(String(feature.properties.ID));
+        });
+        return renamed;
     }
 
     /**
-     * Build fill-extrusion height expression based on selected unit
-     * @returns {Array} Mapbox expression
+     * Give incoming trees fresh tree-N ids where their id is already used
+     * Trunk and canopy of one tree share an id, so they are renamed together.
+     * @param {Array} features - Incoming non-building features (modified in place)
+     * @returns {number} Number of renamed trees
      */
-    getFillExtrusionHeightExpression() {
-        const multiplier = this.heightMultiplier;
-        const defaultHeight = this.heightUnit === 'meters'
-            ? this.defaultHeightMeters
-            : this.defaultHeightFeet * multiplier;
+    resolveTreeIdCollisions(features) {
+        const usedIds = new Set();
+        this.treeTrunkData.features.concat(this.treeCanopyData.features).forEach(feature => {
+            if (feature.properties && feature.properties.id !== undefined) {
+                usedIds.add(String(feature.properties.id));
+            }
+        });
 
-        return [
-            'case',
-            ['has', 'Height'], ['*', ['get', 'Height'], multiplier],
-            ['has', 'height'], ['*', ['get', 'height'], multiplier],
-            ['has', 'HEIGHT'], ['*', ['get', 'HEIGHT'], multiplier],
-            ['has', 'building_height'], ['*', ['get', 'building_height'], multiplier],
-            ['has', 'buildingHeight'], ['*', ['get', 'buildingHeight'], multiplier],
-            ['has', 'elevation'], ['*', ['get', 'elevation'], multiplier],
-            ['has', 'Elevation'], ['*', ['get', 'Elevation'], multiplier],
-            ['has', 'ELEVATION'], ['*', ['get', 'ELEVATION'], multiplier],
-            defaultHeight // Default height in meters
-        ];
+        // Keep new ids clear of the counter range and of incoming tree-N ids
+        this.syncTreeIdCounter(features);
+
+        const renames = new Map(); // incoming id -> id used in the scene
+        let renamed = 0;
+        features.forEach(feature => {
+            const properties = feature.properties;
+            if (!properties.isTrunk && !properties.isCanopy) return;
+
+            if (properties.id === undefined || properties.id === null) {
+                properties.id = `tree-${this.treeIdCounter++}`;
+                return;
+            }
+
+            const id = String(properties.id);
+            if (!renames.has(id)) {
+                const newId = usedIds.has(id) ? `tree-${this.treeIdCounter++}` : id;
+                if (newId !== id) renamed++;
+                renames.set(id, newId);
+            }
+            if (renames.get(id) !== id) {
+                properties.id = renames.get(id);
+            }
+        });
+        return renamed;
     }
 
     /**
-     * Update extrusion height paint property to respect selected unit
+     * Move treeIdCounter past every tree-N id in the scene (and optional extra features)
+     * so newly placed trees never reuse a loaded id.
+     * @param {Array} extraFeatures - Additional features to consider
      */
-    updateBuildingHeightPaint() {
-        const map = this.core.getMap();
-        const layer = map.getLayer('geojson-layer');
-        if (!layer) return;
-
-        map.setPaintProperty('geojson-layer', 'fill-extrusion-height', this.getFillExtrusionHeightExpression());
+    syncTreeIdCounter(extraFeatures = []) {
+        const features = this.treeTrunkData.features.concat(this.treeCanopyData.features, extraFeatures);
+        features.forEach(feature => {
+            const match = feature.properties && String(feature.properties.id).match(/^tree-(\d+)$/);
+            if (match) {
+                this.treeIdCounter = Math.max(this.treeIdCounter, Number(match[1]) + 1);
+            }
+        });
     }
 
     /**
-     * Add GeoJSON data to the map
-     * @param {Object} data - GeoJSON data object
+     * Convert building heights between feet and meters
+     * Converts the first height property found (same order as UtilsModule.getHeightProperty).
+     * @param {Array} features - Building features (modified in place)
+     * @param {'feet'|'meters'} fromUnit - Unit of the values
+     * @param {'feet'|'meters'} toUnit - Target unit
      */
-    addGeoJsonToMap(data) {
-        const map = this.core.getMap();
-        const center = turf.center(data).geometry.coordinates;
-        map.flyTo({ center, zoom: 16 });
+    convertBuildingHeights(features, fromUnit, toUnit) {
+        if (fromUnit === toUnit) return;
+        const factor = fromUnit === 'feet' ? 0.3048 : 1 / 0.3048;
+        const heightKeys = ['Height', 'height', 'HEIGHT', 'building_height', 'buildingHeight', 'elevation', 'Elevation', 'ELEVATION'];
+
+        features.forEach(feature => {
+            const key = heightKeys.find(k => feature.properties[k] !== null && feature.properties[k] !== undefined);
+            const value = key ? parseFloat(feature.properties[key]) : NaN;
+            if (!isNaN(value)) {
+                feature.properties[key] = value * factor;
+            }
+        });
+    }
 
-        // Clear existing data
-        this.buildingData.features = [];
-        this.treeTrunkData.features = [];
-        this.treeCanopyData.features = [];
-        this.roadData.features = [];
+    /**
+     * Sort features into buildings, tree trunks, tree canopies and roads
+     * Pure function of the features (no DOM or map access), so the load worker runs it too.
+     * Roads are buffered to polygons; legacy Point trees are returned as points for placeTree().
+     * @param {Array} features - GeoJSON features
+     * @param {Function} onProgress - Optional callback with the fraction of features processed
+     * @returns {Object} { buildings, trunks, canopies, roads, points: [{ coordinates, height }], center, counts }
+     */
+    static classifyFeatures(features, onProgress = null) {
+        const result = { buildings: [], trunks: [], canopies: [], roads: [], points: [], center: null, counts: null };
 
         // Separate features into buildings and trees
         // Logic: 
@@ -99,7 +1444,7 @@ class DataModule {
         // - If feature has isTrunk property → Tree trunk
         // - Otherwise (Polygon without isCanopy/isTrunk) → Building
         console.log('=== Processing GeoJSON features ===');
-        console.log('Total features in file:', data.features.length);
+        console.log('Total features in file:', features.length);
         
         let buildingCount = 0;
         let treeTrunkCount = 0;
@@ -108,21 +1453,24 @@ class DataModule {
         let roadCount = 0;
         let otherCount = 0;
         
-        for (let i = 0; i < data.features.length; i++) {
-            const feature = data.features[i];
+        for (let i = 0; i < features.length; i++) {
+            const feature = features[i];
+            if (onProgress && i % 1000 === 0) {
+                onProgress(i / features.length);
+            }
             
             if (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') {
                 if (feature.properties.isCanopy) {
-                    this.treeCanopyData.features.push(feature);
+                    result.canopies.push(feature);
                     treeCanopyCount++;
                     if (i < 5) console.log(`Feature ${i}: Tree canopy (isCanopy=true)`);
                 } else if (feature.properties.isTrunk) {
-                    this.treeTrunkData.features.push(feature);
+                    result.trunks.push(feature);
                     treeTrunkCount++;
                     if (i < 5) console.log(`Feature ${i}: Tree trunk (isTrunk=true)`);
                 } else {
                     // This is a building (Polygon without isCanopy/isTrunk properties)
-                    this.buildingData.features.push(feature);
+                    result.buildings.push(feature);
                     buildingCount++;
                     if (i < 5) {
                         console.log(`Feature ${i}: Building detected`);
@@ -150,7 +1498,7 @@ class DataModule {
                         }
                     };
                     
-                    this.roadData.features.push(roadPolygon);
+                    result.roads.push(roadPolygon);
                     roadCount++;
                     if (i < 5) {
                         console.log(`Feature ${i}: Road/LineString detected and converted to Polygon`);
@@ -160,12 +1508,12 @@ class DataModule {
                 } catch (error) {
                     console.warn(`Failed to buffer road feature ${i}:`, error);
                     // Fallback: add original feature (will need line layer)
-                    this.roadData.features.push(feature);
+                    result.roads.push(feature);
                     roadCount++;
                 }
             } else if (feature.geometry.type === 'Point') {
                 // Legacy support for old tree format (convert to new format)
-                this.placeTree(feature.geometry.coordinates, feature.properties.height);
+                result.points.push({ coordinates: feature.geometry.coordinates, height: feature.properties.height });
                 pointCount++;
                 if (i < 5) console.log(`Feature ${i}: Point (legacy tree)`);
             } else {
@@ -183,92 +1531,35 @@ class DataModule {
         console.log(`Other types: ${otherCount}`);
         console.log(`Total processed: ${buildingCount + treeTrunkCount + treeCanopyCount + roadCount + pointCount + otherCount}`);
 
-        // Calculate energy statistics for buildings (will be empty)
-        this.energyStats = UtilsModule.calculateEnergyStats(this.buildingData.features, this.selectedEnergyColumn);
-
-        // Update the sources
-        console.log('=== Updating Map Sources ===');
-        console.log('Building data to set:', {
-            type: this.buildingData.type,
-            featureCount: this.buildingData.features.length
-        });
-        
-        const buildingSource = map.getSource('geojson-data');
-        if (buildingSource) {
-            console.log('✓ geojson-data source exists');
-            console.log('Current source data:', {
-                type: buildingSource._data?.type,
-                featureCount: buildingSource._data?.features?.length || 0
-            });
-            
-            buildingSource.setData(this.buildingData);
-            
-            console.log('Source data after setData:', {
-                type: buildingSource._data?.type,
-                featureCount: buildingSource._data?.features?.length || 0
-            });
-        } else {
-            console.error('❌ geojson-data source not found!');
-        }
-        
-        // Apply current height unit to extrusion
-        this.updateBuildingHeightPaint();
-        
-        // Update road source
-        this.updateRoadSource(map);
-        
-        this.updateTreeSources(map);
-
-        // Update the building layer with new color scheme
-        console.log('=== Updating Building Layer ===');
-        const buildingLayer = map.getLayer('geojson-layer');
-        if (buildingLayer) {
-            console.log('✓ geojson-layer found');
-            console.log('Layer source:', buildingLayer.source);
-        } else {
-            console.warn('⚠ geojson-layer not found');
-        }
-        
-        this.updateBuildingColors();
-        console.log('✓ Building colors updated');
-
-        // Update tree counter if tree module is available
-        if (window.app && window.app.tree) {
-            window.app.tree.updateTreeCounter();
-        }
-
-        // Update building counter
-        this.updateBuildingCounter();
-
-        // Log loading information
-        const loadedBuildingsCount = this.buildingData.features.length;
-        const loadedTreesCount = this.treeTrunkData.features.length;
-        const loadedCanopiesCount = this.treeCanopyData.features.length;
-        const loadedRoadsCount = this.roadData.features.length;
-        
-        console.log(`✓ GeoJSON loaded: ${loadedBuildingsCount} buildings, ${loadedTreesCount} trees, ${loadedRoadsCount} roads`);
-        console.log(`  - Buildings: Polygon features without isCanopy/isTrunk properties`);
-        console.log(`  - Trees: Features with isCanopy or isTrunk properties`);
-        console.log(`  - Roads: LineString features`);
-        
-        if (loadedTreesCount > 0) {
-            console.log(`✓ Tree data: ${loadedTreesCount} trunks, ${loadedCanopiesCount} canopies`);
+        if (features.length > 0) {
+            result.center = turf.center(turf.featureCollection(features)).geometry.coordinates;
         }
-        
-        if (loadedRoadsCount > 0) {
-            console.log(`✓ Road data: ${loadedRoadsCount} road segments loaded`);
+        result.counts = { buildingCount, treeTrunkCount, treeCanopyCount, roadCount, pointCount, otherCount };
+        if (onProgress) {
+            onProgress(1);
         }
+        return result;
+    }
 
-        // Notify energy statistics module
-        if (this.energyStatsModule) {
-            this.energyStatsModule.updateStats();
-        }
+    /**
+     * Add classified features to the scene collections
+     * Legacy Point trees are re-created with placeTree().
+     * @param {Object} classified - Result of DataModule.classifyFeatures()
+     */
+    addClassifiedFeatures(classified) {
+        this.addToCollection('buildings', classified.buildings);
+        this.addToCollection('trunks', classified.trunks);
+        this.addToCollection('canopies', classified.canopies);
+        classified.roads.forEach(feature => this.roadData.features.push(feature));
+        classified.points.forEach(point => this.placeTree(point.coordinates, point.height));
     }
 
     /**
      * Update building colors based on energy statistics
      */
     updateBuildingColors() {
+        this.classification = this.computeClassification();
+
         const map = this.core.getMap();
         const layer = map.getLayer('geojson-layer');
         
@@ -280,21 +1571,21 @@ class DataModule {
         console.log('updateBuildingColors: Layer found, updating colors...');
         console.log('Current building count:', this.buildingData.features.length);
 
-        if (this.energyStats.hasEnergyData) {
-            // Use dynamic color scheme based on actual data range
-            const minEnergy = this.energyStats.min;
-            const maxEnergy = this.energyStats.max;
-            const energyRange = maxEnergy - minEnergy;
-            
-            // Create more granular color stops for better visualization
-            const colorStops = this.createColorStops(minEnergy, maxEnergy, energyRange);
-            
-            console.log(`Color range: ${minEnergy.toFixed(2)} to ${maxEnergy.toFixed(2)} (Range: ${energyRange.toFixed(2)})`);
-            console.log('Color stops:', colorStops);
+        if (this.classification) {
+            const { breaks, colors } = this.classification;
+            console.log(`Color classes (${this.classification.method}): ${breaks.map(value => value.toFixed(2)).join(' | ')}`);
 
+            // Discrete classes; buildings without a value stay gray
+            const column = this.getColorColumn();
+            if (this.sourceColorColumn !== (this.isDerivedBuildingKey(column) ? column : null)) {
+                this.updateBuildingSource(); // The expression reads the derived metric from the source
+            }
+            const stops = colors.slice(1).flatMap((color, i) => [breaks[i + 1], color]);
             map.setPaintProperty('geojson-layer', 'fill-extrusion-color', [
-                'interpolate', ['linear'], ['get', this.selectedEnergyColumn],
-                ...colorStops
+                'case',
+                ['all', ['has', column], ['!=', ['get', column], null], ['!=', ['get', column], '']],
+                stops.length > 0 ? ['step', ['to-number', ['get', column]], colors[0], ...stops] : colors[0],
+                '#808080'
             ]);
         } else {
             // Use default color scheme when no energy data is available
@@ -303,185 +1594,94 @@ class DataModule {
     }
 
     /**
-     * Create color stops for energy visualization
-     * @param {number} minEnergy - Minimum energy value
-     * @param {number} maxEnergy - Maximum energy value
-     * @param {number} energyRange - Energy range (max - min)
-     * @returns {Array} Array of color stops for Mapbox
+     * Get a function returning each building's current map color
+     * Stops are computed once, so call this once per batch of buildings.
+     * @returns {Function} feature => [r, g, b] (0-1)
      */
-    createColorStops(minEnergy, maxEnergy, energyRange) {
-        const colorStops = [];
-        const colors = this.getColorScheme(this.selectedColorScale);
-        
-        try {
-            // Analyze building distribution to find the densest range
-            const distribution = this.analyzeBuildingDistribution(minEnergy, maxEnergy);
-            
-            console.log(`Building distribution analysis:`, distribution);
-            
-        // Create color stops based on building density
-        for (let i = 0; i < colors.length; i++) {
-            let energyValue;
-            if (i < 6) {
-                // First 6 levels: distribute across the densest range
-                const denseRange = distribution.denseEnd - distribution.denseStart;
-                if (denseRange > 0) {
-                    energyValue = distribution.denseStart + (denseRange * i / 5);
-                } else {
-                    // Fallback to uniform distribution if dense range is zero
-                    energyValue = minEnergy + (energyRange * i / 5);
-                }
-            } else {
-                // Last level: covers the sparse range (ensure it's different from previous)
-                const denseEnd = distribution.denseEnd > distribution.denseStart ? distribution.denseEnd : maxEnergy;
-                energyValue = Math.max(denseEnd + (energyRange * 0.01), maxEnergy); // Add small offset to ensure ascending order
-            }
-            colorStops.push(energyValue, colors[i]);
-        }
-        } catch (error) {
-            console.warn('Error in distribution analysis, using uniform distribution:', error);
-            // Fallback to uniform distribution
-            for (let i = 0; i < colors.length; i++) {
-                const energyValue = minEnergy + (energyRange * i / (colors.length - 1));
-                colorStops.push(energyValue, colors[i]);
-            }
+    getBuildingColorFunction() {
+        const gray = UtilsModule.hexToRgb('#808080');
+        const classification = this.getClassification();
+        if (!classification) {
+            return () => gray;
         }
-        
-        // Ensure ascending order for Mapbox interpolate expression
-        const sortedColorStops = this.ensureAscendingOrder(colorStops);
-        
-        return sortedColorStops;
+
+        const colors = classification.colors.map(color => UtilsModule.hexToRgb(color));
+        const column = this.getColorColumn();
+        return (feature) => {
+            const value = parseFloat(this.getBuildingValue(feature, column));
+            return isNaN(value) ? gray : colors[UtilsModule.getClassIndex(classification.breaks, value)];
+        };
     }
 
     /**
-     * Ensure color stops are in ascending order for Mapbox interpolate expression
-     * @param {Array} colorStops - Array of color stops
-     * @returns {Array} Sorted color stops
+     * Numeric values of the column the buildings are colored by
+     * @returns {Array} Values of the buildings that have one
      */
-    ensureAscendingOrder(colorStops) {
-        const pairs = [];
-        
-        // Group into value-color pairs
-        for (let i = 0; i < colorStops.length; i += 2) {
-            pairs.push({
-                value: colorStops[i],
-                color: colorStops[i + 1]
-            });
-        }
-        
-        // Sort by value
-        pairs.sort((a, b) => a.value - b.value);
-        
-        // Remove duplicates and ensure minimum difference
-        const uniquePairs = [];
-        let lastValue = -Infinity;
-        
-        for (const pair of pairs) {
-            if (pair.value > lastValue) {
-                uniquePairs.push(pair);
-                lastValue = pair.value;
-            } else {
-                // Add small increment to ensure ascending order
-                const adjustedValue = lastValue + 0.001;
-                uniquePairs.push({
-                    value: adjustedValue,
-                    color: pair.color
-                });
-                lastValue = adjustedValue;
-            }
-        }
-        
-        // Flatten back to array
-        const result = [];
-        for (const pair of uniquePairs) {
-            result.push(pair.value, pair.color);
-        }
-        
-        return result;
+    getEnergyValues() {
+        const column = this.getColorColumn();
+        return this.buildingData.features
+            .map(feature => parseFloat(this.getBuildingValue(feature, column)))
+            .filter(value => !isNaN(value));
     }
 
     /**
-     * Analyze building distribution to find the densest energy range
-     * @param {number} minEnergy - Minimum energy value
-     * @param {number} maxEnergy - Maximum energy value
-     * @returns {Object} Distribution analysis result
+     * Classify the selected column with the current method (or the comparison delta, symmetric around zero)
+     * @returns {Object|null} { method, breaks, colors, counts, gvf } (see UtilsModule.computeClassBreaks()),
+     *   or null without energy data
      */
-    analyzeBuildingDistribution(minEnergy, maxEnergy) {
-        const buildingData = this.buildingData.features;
-        const energyValues = buildingData
-            .map(feature => parseFloat(feature.properties[this.selectedEnergyColumn]))
-            .filter(energy => !isNaN(energy))
-            .sort((a, b) => a - b);
-        
-        if (energyValues.length === 0) {
-            return {
-                denseStart: minEnergy,
-                denseEnd: maxEnergy,
-                denseCount: 0,
-                sparseCount: 0,
-                totalCount: 0
-            };
-        }
-        
-        const energyRange = maxEnergy - minEnergy;
-        const numBins = 20; // Divide range into 20 bins
-        const binSize = energyRange / numBins;
-        const bins = new Array(numBins).fill(0);
-        
-        // Count buildings in each bin
-        energyValues.forEach(energy => {
-            const binIndex = Math.min(Math.floor((energy - minEnergy) / binSize), numBins - 1);
-            bins[binIndex]++;
-        });
-        
-        // Find the range with maximum density
-        let maxDensity = 0;
-        let maxDensityStart = minEnergy;
-        let maxDensityEnd = maxEnergy;
-        
-        // Check different range sizes (10%, 20%, 30%, 40%, 50% of total range)
-        const rangeSizes = [0.1, 0.2, 0.3, 0.4, 0.5];
-        
-        rangeSizes.forEach(rangeSize => {
-            const rangeBinCount = Math.max(1, Math.floor(numBins * rangeSize));
-            
-            for (let start = 0; start <= numBins - rangeBinCount; start++) {
-                const end = start + rangeBinCount;
-                const rangeCount = bins.slice(start, end).reduce((sum, count) => sum + count, 0);
-                const density = rangeCount / rangeBinCount; // Average density per bin
-                
-                if (density > maxDensity) {
-                    maxDensity = density;
-                    maxDensityStart = minEnergy + (start * binSize);
-                    maxDensityEnd = minEnergy + (end * binSize);
-                }
-            }
-        });
-        
-        // Ensure we have a valid range
-        if (maxDensityStart >= maxDensityEnd) {
-            maxDensityStart = minEnergy;
-            maxDensityEnd = minEnergy + (energyRange * 0.1); // Default to 10% of range
-        }
-        
-        // Calculate counts
-        const denseCount = energyValues.filter(energy => 
-            energy >= maxDensityStart && energy <= maxDensityEnd
-        ).length;
-        
-        const sparseCount = energyValues.length - denseCount;
-        
+    computeClassification() {
+        const comparing = this.isComparisonActive();
+        if (!comparing && !this.energyStats.hasEnergyData) return null;
+
+        const values = this.getEnergyValues();
+        const breaks = comparing
+            ? UtilsModule.computeDivergingBreaks(values, this.classCount)
+            : UtilsModule.computeClassBreaks(values, this.classificationMethod, this.classCount, this.manualBreaks);
+        if (breaks.length === 0) return null;
+
+        // Deltas use a diverging ramp: the selected one if it diverges, otherwise blue–red
+        const ramp = comparing && !this.selectedColorScale.startsWith('diverging')
+            ? this.getColorScheme('diverging')
+            : this.getActiveColorRamp();
+        const classCount = Math.max(1, breaks.length - 1);
+        const counts = new Array(classCount).fill(0);
+        values.forEach(value => counts[UtilsModule.getClassIndex(breaks, value)]++);
         return {
-            denseStart: maxDensityStart,
-            denseEnd: maxDensityEnd,
-            denseCount: denseCount,
-            sparseCount: sparseCount,
-            totalCount: energyValues.length,
-            densePercentage: (denseCount / energyValues.length * 100).toFixed(1),
-            sparsePercentage: (sparseCount / energyValues.length * 100).toFixed(1)
+            method: comparing ? 'diverging' : this.classificationMethod,
+            breaks,
+            colors: UtilsModule.sampleColorRamp(ramp, classCount),
+            counts,
+            gvf: UtilsModule.goodnessOfVarianceFit(values, breaks)
         };
     }
 
+    /**
+     * Get the classification behind the building colors
+     * @returns {Object|null} See computeClassification()
+     */
+    getClassification() {
+        if (!this.classification) {
+            this.classification = this.computeClassification();
+        }
+        return this.classification;
+    }
+
+    /**
+     * Change the classification of the building colors
+     * @param {Object} options - { method, classCount, manualBreaks }, omitted keys keep their value
+     */
+    setClassification(options) {
+        if (options.method) this.classificationMethod = options.method;
+        if (options.classCount) this.classCount = Math.max(2, Math.min(12, Math.round(options.classCount)));
+        if (options.manualBreaks) this.manualBreaks = options.manualBreaks.slice();
+
+        this.updateBuildingColors();
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateStats();
+        }
+        console.log(`✓ Classification changed to: ${this.classificationMethod} (${this.classification ? this.classification.counts.length : 0} classes)`);
+    }
+
     /**
      * Get color scheme based on selected scale
      * @param {string} scaleType - Type of color scale
@@ -524,58 +1724,161 @@ class DataModule {
                 '#06b6d4', // Cyan
                 '#3b82f6', // Blue
                 '#8b5cf6'  // Purple
-            ]
+            ],
+            // Perceptually uniform and colour-blind safe (matplotlib viridis / cividis)
+            'viridis': ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+            'cividis': ['#00204d', '#00336f', '#39486b', '#575c6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#ffea46'],
+            // Diverging, neutral middle for deltas (ColorBrewer RdBu / PuOr, low end first)
+            'diverging': ['#2166ac', '#4393c3', '#92c5de', '#f7f7f7', '#f4a582', '#d6604d', '#b2182b'],
+            'diverging-puor': ['#542788', '#8073ac', '#b2abd2', '#f7f7f7', '#fdb863', '#e08214', '#b35806']
         };
         
-        return colorSchemes[scaleType] || colorSchemes['energy'];
+        return this.customColorSchemes[scaleType] || colorSchemes[scaleType] || colorSchemes['energy'];
+    }
+
+    /**
+     * Get the color scales for the palette picker
+     * @returns {Array} [{ id, name, colors, custom }] built-in scales first, then the user's palettes
+     */
+    getColorScales() {
+        const builtIn = {
+            'energy': 'Energy (green → red)',
+            'temperature': 'Temperature (blue → red)',
+            'traffic': 'Traffic (green → red)',
+            'rainbow': 'Rainbow',
+            'viridis': 'Viridis (colour-blind safe)',
+            'cividis': 'Cividis (colour-blind safe)',
+            'diverging': 'Diverging blue–red (deltas)',
+            'diverging-puor': 'Diverging purple–orange (deltas)'
+        };
+        return Object.keys(builtIn).map(id => ({ id, name: builtIn[id], colors: this.getColorScheme(id), custom: false }))
+            .concat(Object.keys(this.customColorSchemes).map(id => ({
+                id,
+                name: id.replace(/^custom:/, ''),
+                colors: this.customColorSchemes[id],
+                custom: true
+            })));
+    }
+
+    /**
+     * Colors of the selected scale, reversed if requested
+     * @returns {Array} Colors from the lowest to the highest class
+     */
+    getActiveColorRamp() {
+        const colors = this.getColorScheme(this.selectedColorScale).slice();
+        return this.colorScaleReversed ? colors.reverse() : colors;
+    }
+
+    /**
+     * Save a user palette (stored in localStorage)
+     * @param {string} name - Palette name
+     * @param {Array} colors - Hex colors from low to high
+     * @returns {string} Color scale id ('custom:<name>')
+     */
+    saveCustomColorScheme(name, colors) {
+        const label = String(name || '').trim();
+        if (!label) {
+            throw new Error('Enter a name for the palette');
+        }
+        const valid = colors.map(color => String(color).trim()).filter(color => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color));
+        if (valid.length < 2 || valid.length !== colors.length) {
+            throw new Error('A palette needs at least two colors written as #rgb or #rrggbb');
+        }
+
+        const id = `custom:${label}`;
+        this.customColorSchemes[id] = valid;
+        this.storeCustomColorSchemes();
+        return id;
+    }
+
+    /**
+     * Delete a user palette; buildings colored with it fall back to the energy scale
+     * @param {string} id - Color scale id ('custom:<name>')
+     */
+    deleteCustomColorScheme(id) {
+        delete this.customColorSchemes[id];
+        this.storeCustomColorSchemes();
+        if (this.selectedColorScale === id) {
+            this.setColorScale('energy');
+        }
+    }
+
+    /**
+     * Load the user palettes from localStorage
+     * @returns {Object} 'custom:<name>' -> colors
+     */
+    loadCustomColorSchemes() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.customColorStorageKey) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    /**
+     * Store the user palettes in localStorage
+     */
+    storeCustomColorSchemes() {
+        try {
+            window.localStorage.setItem(this.customColorStorageKey, JSON.stringify(this.customColorSchemes));
+        } catch (_) {}
     }
 
     /**
      * Create a square polygon around a point
+     * The square is axis-aligned in the projected CRS, so its size is exact at any latitude.
+     * Without proj4 a circle of the same width is returned instead.
      * @param {Array} center - [lng, lat] coordinates
-     * @param {number} size - Size in meters (half side length)
+     * @param {number} size - Side length in meters
      * @returns {Object} Turf polygon feature
      */
     createSquare(center, size) {
-        const [lng, lat] = center;
         const halfSize = size / 2;
-        // Convert meters to degrees (approximate)
-        const latOffset = halfSize / 111320; // 1 degree latitude ≈ 111320 meters
-        const lngOffset = halfSize / (111320 * Math.cos(lat * Math.PI / 180));
-        
-        const bbox = [
-            lng - lngOffset, // min longitude
-            lat - latOffset, // min latitude
-            lng + lngOffset, // max longitude
-            lat + latOffset  // max latitude
-        ];
-        return turf.bboxPolygon(bbox);
+        if (typeof proj4 === 'undefined') {
+            return this.createFallbackCircle(center, halfSize, 'square');
+        }
+        return this.crsModule.createPolygonFromOffsets(center, [
+            [-halfSize, -halfSize],
+            [halfSize, -halfSize],
+            [halfSize, halfSize],
+            [-halfSize, halfSize]
+        ]);
     }
 
     /**
      * Create a triangle polygon around a point
      * @param {Array} center - [lng, lat] coordinates
      * @param {number} radius - Radius in meters (distance from center to vertices)
-     * @returns {Object} Turf polygon feature
+     * @returns {Object} Turf polygon feature (a circle of the same radius without proj4)
      */
     createTriangle(center, radius) {
-        const [lng, lat] = center;
-        // Convert meters to degrees
-        const latOffset = radius / 111320;
-        const lngOffset = radius / (111320 * Math.cos(lat * Math.PI / 180));
-        
+        if (typeof proj4 === 'undefined') {
+            return this.createFallbackCircle(center, radius, 'triangle');
+        }
         // Create equilateral triangle (3 vertices)
-        const vertices = [];
+        const offsets = [];
         for (let i = 0; i < 3; i++) {
             const angle = (i * 2 * Math.PI / 3) - (Math.PI / 2); // Start from top
-            const vertexLng = lng + lngOffset * Math.cos(angle);
-            const vertexLat = lat + latOffset * Math.sin(angle);
-            vertices.push([vertexLng, vertexLat]);
+            offsets.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
         }
-        // Close the triangle
-        vertices.push(vertices[0]);
-        
-        return turf.polygon([vertices]);
+        return this.crsModule.createPolygonFromOffsets(center, offsets);
+    }
+
+    /**
+     * Circle used in place of a square or triangle when proj4 is not loaded
+     * The projected shapes need proj4 (see CRSModule.createPolygonFromOffsets()); warns once.
+     * @param {Array} center - [lng, lat] coordinates
+     * @param {number} radius - Radius in meters
+     * @param {string} shapeName - Shape that could not be built, for the warning
+     * @returns {Object} Turf polygon feature
+     */
+    createFallbackCircle(center, radius, shapeName) {
+        if (!this.proj4FallbackWarned) {
+            console.warn(`proj4 is not loaded; drawing circles instead of ${shapeName} shapes`);
+            this.proj4FallbackWarned = true;
+        }
+        return turf.circle(center, radius, { units: 'meters', steps: 64 });
     }
 
     /**
@@ -590,103 +1893,23 @@ class DataModule {
             return Math.random() * (max - min) + min;
         })();
 
-        const treeType = document.getElementById('tree-type')?.value || 'circle';
-        const trunkHeight = totalHeight * 0.4;
-        const canopyHeight = totalHeight * 0.6;
-        
-        // Calculate trunk size based on tree height (2.5% of total height)
-        // With min 0.15m and max 0.8m for realistic proportions
-        const trunkSize = Math.max(0.15, Math.min(0.8, totalHeight * 0.025));
-        
-        // Calculate canopy size based on tree height (18% of total height)
-        // With min 1.0m and max 6.0m for realistic proportions
-        const canopySize = Math.max(1.0, Math.min(6.0, totalHeight * 0.18));
-        
         const treeId = `tree-${this.treeIdCounter++}`;
         const pointCoords = Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat];
-        const point = turf.point(pointCoords);
+        const { trunk: trunkFeature, canopies: canopyFeatures } = this.createTreeFeatures(treeId, pointCoords, {
+            type: document.getElementById('tree-type')?.value || 'circle',
+            species: this.speciesModule.pickSpecies(),
+            height: totalHeight,
+            base: 0,
+            tierCount: Number(document.getElementById('tree-canopy-tiers')?.value) || 4
+        });
 
-        // Create Trunk based on tree type
-        let trunkFeature;
-        if (treeType === 'circle') {
-            const trunkBuffer = turf.buffer(point, trunkSize, { units: 'meters' });
-            trunkFeature = {
-                ...trunkBuffer,
-                properties: {
-                    id: treeId,
-                    isTrunk: true,
-                    height: trunkHeight,
-                    base: 0
-                }
-            };
-        } else if (treeType === 'square' || treeType === 'square-trunk-only') {
-            const trunkSquare = this.createSquare(pointCoords, trunkSize * 2);
-            trunkFeature = {
-                ...trunkSquare,
-                properties: {
-                    id: treeId,
-                    isTrunk: true,
-                    height: trunkHeight,
-                    base: 0
-                }
-            };
-        } else if (treeType === 'triangle' || treeType === 'triangle-trunk-only') {
-            const trunkTriangle = this.createTriangle(pointCoords, trunkSize);
-            trunkFeature = {
-                ...trunkTriangle,
-                properties: {
-                    id: treeId,
-                    isTrunk: true,
-                    height: trunkHeight,
-                    base: 0
-                }
-            };
-        }
-        
-        this.treeTrunkData.features.push(trunkFeature);
+        this.addToCollection('trunks', [trunkFeature]);
+        this.addToCollection('canopies', canopyFeatures);
 
-        // Create Canopy (only if not trunk-only types)
-        if (treeType !== 'square-trunk-only' && treeType !== 'triangle-trunk-only') {
-            let canopyFeature;
-            if (treeType === 'circle') {
-                const canopyBuffer = turf.buffer(point, canopySize, { units: 'meters' });
-                canopyFeature = {
-                    ...canopyBuffer,
-                    properties: {
-                        id: treeId,
-                        isCanopy: true,
-                        height: canopyHeight,
-                        base: trunkHeight
-                    }
-                };
-            } else if (treeType === 'square') {
-                const canopySquare = this.createSquare(pointCoords, canopySize * 2);
-                canopyFeature = {
-                    ...canopySquare,
-                    properties: {
-                        id: treeId,
-                        isCanopy: true,
-                        height: canopyHeight,
-                        base: trunkHeight
-                    }
-                };
-            } else if (treeType === 'triangle') {
-                const canopyTriangle = this.createTriangle(pointCoords, canopySize);
-                canopyFeature = {
-                    ...canopyTriangle,
-                    properties: {
-                        id: treeId,
-                        isCanopy: true,
-                        height: canopyHeight,
-                        base: trunkHeight
-                    }
-                };
-            }
-            
-            if (canopyFeature) {
-                this.treeCanopyData.features.push(canopyFeature);
-            }
-        }
+        this.recordTreeChange('Add tree', {
+            trunks: [trunkFeature],
+            canopies: canopyFeatures
+        }, null);
 
         // Update both sources with viewport-based rendering for large datasets
         const map = this.core.getMap();
@@ -703,6 +1926,84 @@ class DataModule {
         }
     }
 
+    /**
+     * Build the trunk and canopy features of a tree
+     * Shared by placeTree() and the tree editing tools, so an edited tree gets the same
+     * geometry as a newly planted one.
+     * @param {string} treeId - Tree id shared by the trunk and its canopy tiers
+     * @param {Array} pointCoords - [lng, lat] of the trunk center
+     * @param {Object} options - { type, species (id or null), height (total, m), base (m), tierCount }
+     * @returns {Object} { trunk, canopies } (canopies is empty for trunk-only types)
+     */
+    createTreeFeatures(treeId, pointCoords, options) {
+        const treeType = options.type || 'circle';
+        const species = options.species || null;
+        const treeBase = Number(options.base) || 0;
+        const point = turf.point(pointCoords);
+
+        // Trunk/canopy heights and radii from the species proportions (generic ratios without a species)
+        const { trunkHeight, canopyHeight, trunkRadius: trunkSize, canopyRadius: canopySize } =
+            this.speciesModule.getTreeDimensions(species, options.height);
+
+        // Trunk heights are absolute (top of the trunk), canopy heights are measured from their base
+        const trunkProperties = {
+            id: treeId,
+            isTrunk: true,
+            height: treeBase + trunkHeight,
+            base: treeBase
+        };
+        const canopyProperties = {
+            id: treeId,
+            isCanopy: true,
+            height: canopyHeight,
+            base: treeBase + trunkHeight
+        };
+        if (species) {
+            trunkProperties.species = species;
+            canopyProperties.species = species;
+        }
+
+        // Create Trunk based on tree type
+        let trunkShape;
+        if (treeType === 'square' || treeType === 'square-trunk-only') {
+            trunkShape = this.createSquare(pointCoords, trunkSize * 2);
+        } else if (treeType === 'triangle' || treeType === 'triangle-trunk-only') {
+            trunkShape = this.createTriangle(pointCoords, trunkSize);
+        } else {
+            trunkShape = turf.buffer(point, trunkSize, { units: 'meters' });
+        }
+        const trunkFeature = { ...trunkShape, properties: trunkProperties };
+
+        // Create Canopy (only if not trunk-only types) as stacked tiers following the crown shape
+        const canopyFeatures = [];
+        if (treeType !== 'square-trunk-only' && treeType !== 'triangle-trunk-only') {
+            const tiers = this.speciesModule.getCrownTiers(species, options.tierCount);
+            tiers.forEach((tier, index) => {
+                const radius = canopySize * tier.radius;
+                let canopyShape;
+                if (treeType === 'square') {
+                    canopyShape = this.createSquare(pointCoords, radius * 2);
+                } else if (treeType === 'triangle') {
+                    canopyShape = this.createTriangle(pointCoords, radius);
+                } else {
+                    canopyShape = turf.buffer(point, radius, { units: 'meters' });
+                }
+
+                const properties = {
+                    ...canopyProperties,
+                    height: canopyHeight * tier.height,
+                    base: canopyProperties.base + canopyHeight * tier.base
+                };
+                if (tiers.length > 1) {
+                    properties.tier = index; // Tiers share the tree id; tier 0 is the lowest
+                }
+                canopyFeatures.push({ ...canopyShape, properties });
+            });
+        }
+
+        return { trunk: trunkFeature, canopies: canopyFeatures };
+    }
+
     /**
      * Place multiple trees within a shape (brush tool)
      * @param {Array|Object} centerLngLat - Center coordinates
@@ -718,19 +2019,7 @@ class DataModule {
         if (shapeType === 'circle') {
             shape = turf.circle(centerPoint, size, { units: 'meters', steps: 64 });
         } else if (shapeType === 'square') {
-            // Create square: half size in each direction
-            const halfSize = size / 2;
-            // Convert meters to degrees (approximate)
-            const latOffset = halfSize / 111320; // 1 degree latitude ≈ 111320 meters
-            const lngOffset = halfSize / (111320 * Math.cos(centerCoords[1] * Math.PI / 180));
-            
-            const bbox = [
-                centerCoords[0] - lngOffset, // min longitude
-                centerCoords[1] - latOffset, // min latitude
-                centerCoords[0] + lngOffset, // max longitude
-                centerCoords[1] + latOffset  // max latitude
-            ];
-            shape = turf.bboxPolygon(bbox);
+            shape = this.createSquare(centerCoords, size);
         } else {
             console.error('Unknown shape type:', shapeType);
             return 0;
@@ -767,52 +2056,33 @@ class DataModule {
             console.log(`Placing ${actualCount} trees in polygon (area: ${polygonArea.toFixed(2)} m², max capacity: ${maxPossibleTrees} trees)`);
         }
         
-        // Use grid-based spatial indexing for efficient distance checking
-        const gridSize = treeDistance * 2; // Grid cell size in meters (slightly larger than min distance)
-        const grid = new Map(); // Grid: "lng,lat" -> array of tree points in that cell
-        
-        // Helper function to convert meters to degrees at given latitude
-        const metersToDegrees = (meters, lat) => {
-            const latDegrees = meters / 111320;
-            const lngDegrees = meters / (111320 * Math.cos(lat * Math.PI / 180));
-            return { lat: latDegrees, lng: lngDegrees };
-        };
-        
-        // Helper function to get grid key for a point
-        const getGridKey = (lng, lat) => {
-            const deg = metersToDegrees(gridSize, lat);
-            const gridLng = Math.floor(lng / deg.lng);
-            const gridLat = Math.floor(lat / deg.lat);
-            return `${gridLng},${gridLat}`;
-        };
+        // Minimum distance is checked against every tree in the scene via the trunk index
+        // (placeTree() indexes each new tree, so trees from this stroke count too)
+        const trunkIndex = this.getSpatialIndex('trunks');
+        const frame = typeof proj4 === 'undefined' ? null : this.crsModule.createLocalFrame(turf.centroid(polygon).geometry.coordinates);
+        const isTooClose = (lng, lat) => trunkIndex.searchRadius([lng, lat], treeDistance, frame).length > 0;
         
-        // Helper function to get neighboring grid cells
-        const getNeighborKeys = (lng, lat) => {
-            const deg = metersToDegrees(gridSize, lat);
-            const gridLng = Math.floor(lng / deg.lng);
-            const gridLat = Math.floor(lat / deg.lat);
-            const keys = [];
-            for (let dlng = -1; dlng <= 1; dlng++) {
-                for (let dlat = -1; dlat <= 1; dlat++) {
-                    keys.push(`${gridLng + dlng},${gridLat + dlat}`);
-                }
-            }
-            return keys;
-        };
+        // All trees from one brush placement undo as a single step
+        this.beginHistoryGroup('Brush trees');
         
         // Use async batch processing for large counts to prevent UI blocking
         if (actualCount > 1000) {
-            return this.placeTreesInPolygonAsync(polygon, actualCount, minHeight, maxHeight, treeDistance, grid, getGridKey, getNeighborKeys, maxPossibleTrees);
+            return this.placeTreesInPolygonAsync(polygon, actualCount, minHeight, maxHeight, treeDistance, isTooClose, maxPossibleTrees)
+                .finally(() => this.endHistoryGroup());
         }
         
         // Synchronous processing for smaller counts
-        return this.placeTreesInPolygonSync(polygon, actualCount, minHeight, maxHeight, treeDistance, grid, getGridKey, getNeighborKeys, maxPossibleTrees);
+        try {
+            return this.placeTreesInPolygonSync(polygon, actualCount, minHeight, maxHeight, treeDistance, isTooClose, maxPossibleTrees);
+        } finally {
+            this.endHistoryGroup();
+        }
     }
 
     /**
      * Synchronous tree placement (for counts <= 1000)
      */
-    placeTreesInPolygonSync(polygon, count, minHeight, maxHeight, treeDistance, grid, getGridKey, getNeighborKeys, maxPossibleTrees) {
+    placeTreesInPolygonSync(polygon, count, minHeight, maxHeight, treeDistance, isTooClose, maxPossibleTrees) {
         const treesPlaced = [];
         let attempts = 0;
         const maxAttempts = Math.min(count * 100, maxPossibleTrees * 150); // Limit attempts based on capacity
@@ -829,33 +2099,12 @@ class DataModule {
             const randomPoint = turf.point([randomLng, randomLat]);
             
             if (turf.booleanPointInPolygon(randomPoint, polygon)) {
-                let tooClose = false;
-                const neighborKeys = getNeighborKeys(randomLng, randomLat);
-                
-                for (const key of neighborKeys) {
-                    const cellTrees = grid.get(key);
-                    if (cellTrees) {
-                        for (const placedTree of cellTrees) {
-                            const distance = turf.distance(randomPoint, turf.point(placedTree), { units: 'meters' });
-                            if (distance < treeDistance) {
-                                tooClose = true;
-                                break;
-                            }
-                        }
-                        if (tooClose) break;
-                    }
-                }
-                
+                const tooClose = isTooClose(randomLng, randomLat);
+
                 if (!tooClose) {
                     const randomHeight = Math.random() * (maxHeight - minHeight) + minHeight;
                     this.placeTree([randomLng, randomLat], randomHeight);
                     treesPlaced.push([randomLng, randomLat]);
-                    
-                    const gridKey = getGridKey(randomLng, randomLat);
-                    if (!grid.has(gridKey)) {
-                        grid.set(gridKey, []);
-                    }
-                    grid.get(gridKey).push([randomLng, randomLat]);
                     consecutiveFailures = 0; // Reset failure counter
                 } else {
                     consecutiveFailures++;
@@ -883,7 +2132,7 @@ class DataModule {
     /**
      * Async batch processing for large counts (prevents UI blocking)
      */
-    async placeTreesInPolygonAsync(polygon, count, minHeight, maxHeight, treeDistance, grid, getGridKey, getNeighborKeys, maxPossibleTrees) {
+    async placeTreesInPolygonAsync(polygon, count, minHeight, maxHeight, treeDistance, isTooClose, maxPossibleTrees) {
         const treesPlaced = [];
         let attempts = 0;
         const maxAttempts = Math.min(count * 150, maxPossibleTrees * 200); // Limit attempts based on capacity
@@ -906,33 +2155,12 @@ class DataModule {
                     const randomPoint = turf.point([randomLng, randomLat]);
                     
                     if (turf.booleanPointInPolygon(randomPoint, polygon)) {
-                        let tooClose = false;
-                        const neighborKeys = getNeighborKeys(randomLng, randomLat);
-                        
-                        for (const key of neighborKeys) {
-                            const cellTrees = grid.get(key);
-                            if (cellTrees) {
-                                for (const placedTree of cellTrees) {
-                                    const distance = turf.distance(randomPoint, turf.point(placedTree), { units: 'meters' });
-                                    if (distance < treeDistance) {
-                                        tooClose = true;
-                                        break;
-                                    }
-                                }
-                                if (tooClose) break;
-                            }
-                        }
-                        
+                        const tooClose = isTooClose(randomLng, randomLat);
+
                         if (!tooClose) {
                             const randomHeight = Math.random() * (maxHeight - minHeight) + minHeight;
                             this.placeTree([randomLng, randomLat], randomHeight);
                             treesPlaced.push([randomLng, randomLat]);
-                            
-                            const gridKey = getGridKey(randomLng, randomLat);
-                            if (!grid.has(gridKey)) {
-                                grid.set(gridKey, []);
-                            }
-                            grid.get(gridKey).push([randomLng, randomLat]);
                             consecutiveFailures = 0; // Reset failure counter
                         } else {
                             consecutiveFailures++;
@@ -1001,8 +2229,10 @@ class DataModule {
         if (!features.length) return;
 
         const idToDelete = features[0].properties.id;
-        this.treeTrunkData.features = this.treeTrunkData.features.filter(f => f.properties.id !== idToDelete);
-        this.treeCanopyData.features = this.treeCanopyData.features.filter(f => f.properties.id !== idToDelete);
+        const removedTrunks = this.removeFromCollection('trunks', this.getSpatialIndex('trunks').getById(idToDelete));
+        const removedCanopies = this.removeFromCollection('canopies', this.getSpatialIndex('canopies').getById(idToDelete));
+
+        this.recordTreeChange('Erase tree', null, { trunks: removedTrunks, canopies: removedCanopies });
 
         this.updateTreeSources(map);
 
@@ -1026,17 +2256,7 @@ class DataModule {
         if (shapeType === 'circle') {
             shape = turf.circle(centerPoint, size, { units: 'meters', steps: 64 });
         } else if (shapeType === 'square') {
-            const halfSize = size / 2;
-            const latOffset = halfSize / 111320;
-            const lngOffset = halfSize / (111320 * Math.cos(centerCoords[1] * Math.PI / 180));
-            
-            const bbox = [
-                centerCoords[0] - lngOffset,
-                centerCoords[1] - latOffset,
-                centerCoords[0] + lngOffset,
-                centerCoords[1] + latOffset
-            ];
-            shape = turf.bboxPolygon(bbox);
+            shape = this.createSquare(centerCoords, size);
         } else {
             console.error('Unknown shape type:', shapeType);
             return 0;
@@ -1047,33 +2267,31 @@ class DataModule {
 
     /**
      * Delete trees within a polygon
+     * Only trunks from the spatial index near the polygon are tested.
      * @param {Object} polygon - Turf polygon feature
      */
     deleteTreesInPolygon(polygon) {
         const map = this.core.getMap();
-        let deletedCount = 0;
-        const idsToDelete = new Set();
+        const trunkIndex = this.getSpatialIndex('trunks');
+        const canopyIndex = this.getSpatialIndex('canopies');
         
-        // Check all tree trunks to see if they're inside the polygon
-        this.treeTrunkData.features.forEach(trunk => {
+        // Check the tree trunks near the polygon to see if they're inside it
+        const trunksToDelete = new Set();
+        const canopiesToDelete = new Set();
+        trunkIndex.search(SpatialIndexModule.getBBox(polygon)).forEach(trunk => {
             const trunkCenter = turf.centroid(trunk);
             if (turf.booleanPointInPolygon(trunkCenter, polygon)) {
-                idsToDelete.add(trunk.properties.id);
+                trunkIndex.getById(trunk.properties.id).forEach(feature => trunksToDelete.add(feature));
+                canopyIndex.getById(trunk.properties.id).forEach(feature => canopiesToDelete.add(feature));
             }
         });
         
         // Remove trees with matching IDs
-        this.treeTrunkData.features = this.treeTrunkData.features.filter(f => {
-            if (idsToDelete.has(f.properties.id)) {
-                deletedCount++;
-                return false;
-            }
-            return true;
-        });
+        const removedTrunks = this.removeFromCollection('trunks', trunksToDelete);
+        const removedCanopies = this.removeFromCollection('canopies', canopiesToDelete);
+        const deletedCount = removedTrunks.length;
         
-        this.treeCanopyData.features = this.treeCanopyData.features.filter(f => {
-            return !idsToDelete.has(f.properties.id);
-        });
+        this.recordTreeChange('Erase trees in area', null, { trunks: removedTrunks, canopies: removedCanopies });
         
         // Update map sources
         this.updateTreeSources(map);
@@ -1087,6 +2305,244 @@ class DataModule {
         return deletedCount;
     }
 
+    /**
+     * Get the features of a tree
+     * @param {string} treeId - Tree id
+     * @returns {Object|null} { id, trunk, canopies } with canopy tiers sorted bottom-up, or null if missing
+     */
+    getTree(treeId) {
+        const trunk = this.getSpatialIndex('trunks').getById(treeId)[0] || null;
+        const canopies = this.getSpatialIndex('canopies').getById(treeId)
+            .slice()
+            .sort((a, b) => (Number(a.properties.base) || 0) - (Number(b.properties.base) || 0));
+        if (!trunk && !canopies.length) return null;
+        return { id: treeId, trunk, canopies };
+    }
+
+    /**
+     * Get the ground position of a tree
+     * @param {Object} tree - Tree from getTree()
+     * @returns {Array} [lng, lat] of the trunk centroid (crown centroid for trees without a trunk)
+     */
+    getTreeCenter(tree) {
+        return turf.centroid(tree.trunk || tree.canopies[0]).geometry.coordinates;
+    }
+
+    /**
+     * Recognise the tree type of placeTree() from the trunk outline
+     * @param {Object} tree - Tree from getTree()
+     * @returns {string} Value of the tree type select
+     */
+    getTreeType(tree) {
+        const ring = tree.trunk && tree.trunk.geometry.type === 'Polygon' ? tree.trunk.geometry.coordinates[0] : null;
+        const vertexCount = ring ? ring.length - 1 : 0;
+        const shape = vertexCount === 3 ? 'triangle' : vertexCount === 4 ? 'square' : 'circle';
+        if (!tree.canopies.length && shape !== 'circle') {
+            return `${shape}-trunk-only`;
+        }
+        return shape;
+    }
+
+    /**
+     * Get the editable properties of a tree
+     * @param {string} treeId - Tree id
+     * @returns {Object|null} { id, height (total, m), base (m), type, species (id or null), tierCount }
+     */
+    getTreeProperties(treeId) {
+        const tree = this.getTree(treeId);
+        if (!tree) return null;
+
+        const base = Number((tree.trunk || tree.canopies[0]).properties.base) || 0;
+        let top = tree.trunk ? Number(tree.trunk.properties.height) || 0 : base;
+        tree.canopies.forEach(canopy => {
+            top = Math.max(top, (Number(canopy.properties.base) || 0) + (Number(canopy.properties.height) || 0));
+        });
+
+        return {
+            id: treeId,
+            height: top - base,
+            base,
+            type: this.getTreeType(tree),
+            species: (tree.trunk || tree.canopies[0]).properties.species || null,
+            tierCount: tree.canopies.length
+        };
+    }
+
+    /**
+     * Get the ids of the trees whose trunk center is inside a polygon
+     * @param {Object} polygon - Turf polygon feature
+     * @returns {Array} Tree ids
+     */
+    getTreeIdsInPolygon(polygon) {
+        const ids = [];
+        this.getSpatialIndex('trunks').search(SpatialIndexModule.getBBox(polygon)).forEach(trunk => {
+            if (turf.booleanPointInPolygon(turf.centroid(trunk), polygon)) {
+                ids.push(trunk.properties.id);
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Move, rotate and resize trees
+     * Geometry is transformed in the local projected frame of the pivot, so distances and
+     * angles are true at any latitude. The transform is applied to the given tree features
+     * (e.g. captured when a drag started) and replaces the trees' current features.
+     * @param {Array} trees - Trees from getTree()
+     * @param {Object} transform - {
+     *   dx, dy: translation in meters (grid east / north),
+     *   rotation: degrees clockwise around the pivot,
+     *   pivot: [lng, lat] (defaults to the center of the trees),
+     *   heightScale: factor for the tree heights above their base,
+     *   canopyScale: factor for the crown footprint around each trunk }
+     * @param {string} label - History entry label
+     */
+    transformTrees(trees, transform, label = 'Transform trees') {
+        if (!trees.length) return;
+
+        const centers = trees.map(tree => this.getTreeCenter(tree));
+        const pivot = transform.pivot || [
+            centers.reduce((sum, center) => sum + center[0], 0) / centers.length,
+            centers.reduce((sum, center) => sum + center[1], 0) / centers.length
+        ];
+        const frame = this.crsModule.createLocalFrame(pivot);
+        const angle = -(Number(transform.rotation) || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = Number(transform.dx) || 0;
+        const dy = Number(transform.dy) || 0;
+        const heightScale = transform.heightScale > 0 ? transform.heightScale : 1;
+        const canopyScale = transform.canopyScale > 0 ? transform.canopyScale : 1;
+
+        const transformed = trees.map((tree, i) => {
+            const [cx, cy] = frame.toLocal(centers[i]);
+            const newCx = cx * cos - cy * sin + dx;
+            const newCy = cx * sin + cy * cos + dy;
+            const mapGeometry = (geometry, scale) => {
+                const mapRing = ring => ring.map(coord => {
+                    const [x, y] = frame.toLocal(coord);
+                    const ox = (x - cx) * scale;
+                    const oy = (y - cy) * scale;
+                    return frame.toLngLat(newCx + ox * cos - oy * sin, newCy + ox * sin + oy * cos);
+                });
+                return {
+                    type: geometry.type,
+                    coordinates: geometry.type === 'MultiPolygon'
+                        ? geometry.coordinates.map(polygon => polygon.map(mapRing))
+                        : geometry.coordinates.map(mapRing)
+                };
+            };
+
+            // Heights are scaled above the tree base; trunk heights are absolute
+            const treeBase = Number((tree.trunk || tree.canopies[0]).properties.base) || 0;
+            const scaleHeight = value => treeBase + ((Number(value) || 0) - treeBase) * heightScale;
+
+            return {
+                id: tree.id,
+                trunk: tree.trunk ? {
+                    type: 'Feature',
+                    geometry: mapGeometry(tree.trunk.geometry, 1),
+                    properties: { ...tree.trunk.properties, height: scaleHeight(tree.trunk.properties.height) }
+                } : null,
+                canopies: tree.canopies.map(canopy => ({
+                    type: 'Feature',
+                    geometry: mapGeometry(canopy.geometry, canopyScale),
+                    properties: {
+                        ...canopy.properties,
+                        height: (Number(canopy.properties.height) || 0) * heightScale,
+                        base: scaleHeight(canopy.properties.base)
+                    }
+                }))
+            };
+        });
+
+        this.replaceTrees(transformed, label);
+    }
+
+    /**
+     * Edit the properties of trees
+     * Height and base changes rescale and lift the existing features. A new type or species
+     * rebuilds the tree at its trunk position like placeTree() (rotation and crown resizing
+     * are not kept), with the same number of crown tiers.
+     * @param {Array} treeIds - Tree ids
+     * @param {Object} changes - Any of { height (total, m), base (m), type, species (id or null) }
+     * @param {string} label - History entry label
+     */
+    updateTreeProperties(treeIds, changes, label = 'Edit trees') {
+        const replacements = [];
+        treeIds.forEach(treeId => {
+            const tree = this.getTree(treeId);
+            if (!tree) return;
+            const current = this.getTreeProperties(treeId);
+            const height = changes.height > 0 ? Number(changes.height) : current.height;
+            const base = changes.base !== undefined && !isNaN(Number(changes.base)) ? Number(changes.base) : current.base;
+            const type = changes.type || current.type;
+            const species = changes.species !== undefined ? changes.species : current.species;
+
+            if (type !== current.type || species !== current.species) {
+                const tierCount = current.tierCount ||
+                    Number(document.getElementById('tree-canopy-tiers')?.value) || 4;
+                const rebuilt = this.createTreeFeatures(treeId, this.getTreeCenter(tree), { type, species, height, base, tierCount });
+                replacements.push({ id: treeId, trunk: rebuilt.trunk, canopies: rebuilt.canopies });
+                return;
+            }
+            if (height === current.height && base === current.base) return;
+
+            // Scale above the old base, then lift everything to the new base
+            const heightScale = current.height > 0 ? height / current.height : 1;
+            const lift = value => base + ((Number(value) || 0) - current.base) * heightScale;
+            replacements.push({
+                id: treeId,
+                trunk: tree.trunk ? {
+                    ...tree.trunk,
+                    properties: { ...tree.trunk.properties, height: lift(tree.trunk.properties.height), base }
+                } : null,
+                canopies: tree.canopies.map(canopy => ({
+                    ...canopy,
+                    properties: {
+                        ...canopy.properties,
+                        height: (Number(canopy.properties.height) || 0) * heightScale,
+                        base: lift(canopy.properties.base)
+                    }
+                }))
+            });
+        });
+
+        this.replaceTrees(replacements, label);
+    }
+
+    /**
+     * Replace the trunk and canopy features of trees as one undoable edit
+     * New feature objects are inserted so the spatial indexes and tile caches stay in sync.
+     * @param {Array} trees - [{ id, trunk, canopies }] with the new features of each tree
+     * @param {string} label - History entry label
+     */
+    replaceTrees(trees, label) {
+        if (!trees.length) return;
+
+        const trunkIndex = this.getSpatialIndex('trunks');
+        const canopyIndex = this.getSpatialIndex('canopies');
+        const oldTrunks = new Set();
+        const oldCanopies = new Set();
+        trees.forEach(tree => {
+            trunkIndex.getById(tree.id).forEach(feature => oldTrunks.add(feature));
+            canopyIndex.getById(tree.id).forEach(feature => oldCanopies.add(feature));
+        });
+        const newTrunks = trees.filter(tree => tree.trunk).map(tree => tree.trunk);
+        const newCanopies = trees.flatMap(tree => tree.canopies);
+
+        const removedTrunks = this.removeFromCollection('trunks', oldTrunks);
+        const removedCanopies = this.removeFromCollection('canopies', oldCanopies);
+        this.addToCollection('trunks', newTrunks);
+        this.addToCollection('canopies', newCanopies);
+
+        this.recordTreeChange(label,
+            { trunks: newTrunks, canopies: newCanopies },
+            { trunks: removedTrunks, canopies: removedCanopies });
+
+        this.updateTreeSources(this.core.getMap());
+    }
+
     /**
      * Delete all buildings (keep trees)
      */
@@ -1098,6 +2554,16 @@ class DataModule {
         // Store count for verification
         const beforeCount = this.buildingData.features.length;
         
+        // Record for undo before clearing
+        if (this.historyModule && beforeCount > 0) {
+            const previousFeatures = this.buildingData.features.slice();
+            this.historyModule.record({
+                label: `Delete ${beforeCount} buildings`,
+                undo: () => this.restoreBuildingFeatures(previousFeatures),
+                redo: () => this.restoreBuildingFeatures([])
+            });
+        }
+        
         // Clear building data
         this.buildingData = { type: 'FeatureCollection', features: [] };
         this.energyStats = { min: 0, max: 100, hasEnergyData: false };
@@ -1172,12 +2638,24 @@ class DataModule {
      * Reset all data
      */
     reset() {
+        // Record for undo unless the scene is already empty
+        const snapshot = this.captureSceneSnapshot();
+        if (this.historyModule && (snapshot.buildings.length || snapshot.trunks.length || snapshot.canopies.length || snapshot.roads.length)) {
+            this.historyModule.record({
+                label: 'Reset scene',
+                undo: () => this.restoreSceneSnapshot(snapshot),
+                redo: () => this.restoreSceneSnapshot({ buildings: [], trunks: [], canopies: [], roads: [], treeIdCounter: 0, datasetCenter: null })
+            });
+        }
+
         this.buildingData = { type: 'FeatureCollection', features: [] };
         this.treeTrunkData = { type: 'FeatureCollection', features: [] };
         this.treeCanopyData = { type: 'FeatureCollection', features: [] };
         this.roadData = { type: 'FeatureCollection', features: [] };
         this.energyStats = { min: 0, max: 100, hasEnergyData: false };
         this.treeIdCounter = 0;
+        this.datasetCenter = null;
+        this.discoverEnergyColumns({ keepSelection: true });
 
         const map = this.core.getMap();
         map.getSource('geojson-data').setData(this.buildingData);
@@ -1190,9 +2668,19 @@ class DataModule {
             window.app.tree.updateTreeCounter();
         }
 
+        // Sun simulation falls back to the map center
+        if (window.app && window.app.sun) {
+            window.app.sun.setDatasetLocation(null);
+        }
+
         // Update building counter
         this.updateBuildingCounter();
 
+        // Shading results belong to the previous scene
+        if (window.app && window.app.treeShading) {
+            window.app.treeShading.clear();
+        }
+
         // Notify energy statistics module
         if (this.energyStatsModule) {
             this.energyStatsModule.updateStats();
@@ -1262,74 +2750,31 @@ class DataModule {
 
     /**
      * Update tree sources with viewport-based rendering for performance
-     * Limits the number of trees rendered to prevent Out of Memory errors
+     * Limits the number of trees rendered to prevent Out of Memory errors; above the limit
+     * the trees of the visible tiles are streamed by TreeTilesModule.
      * @param {Object} map - Mapbox map instance
      */
     updateTreeSources(map) {
-        const MAX_RENDERED_TREES = 50000; // Maximum trees to render at once
         const totalTrees = this.treeTrunkData.features.length;
         
         let trunksToRender = this.treeTrunkData.features;
         let canopiesToRender = this.treeCanopyData.features;
         
-        // If we have too many trees, use viewport-based filtering
-        if (totalTrees > MAX_RENDERED_TREES) {
+        // If we have too many trees, render a stable sample of the visible tiles
+        if (totalTrees > this.maxRenderedTrees) {
             try {
-                // Get current viewport bounds
-                const bounds = map.getBounds();
-                const bbox = [
-                    bounds.getWest(),
-                    bounds.getSouth(),
-                    bounds.getEast(),
-                    bounds.getNorth()
-                ];
-                
-                // Filter trees within viewport
-                const viewportPolygon = turf.bboxPolygon(bbox);
-                const visibleTrunkIds = new Set();
-                
-                // Sample trees: take every Nth tree to stay within limit
-                const sampleRate = Math.ceil(totalTrees / MAX_RENDERED_TREES);
-                let sampledCount = 0;
-                
-                for (let i = 0; i < trunksToRender.length && sampledCount < MAX_RENDERED_TREES; i += sampleRate) {
-                    const trunk = trunksToRender[i];
-                    const trunkCenter = turf.centroid(trunk);
-                    
-                    // Check if tree is in viewport or close to it
-                    if (turf.booleanPointInPolygon(trunkCenter, viewportPolygon)) {
-                        visibleTrunkIds.add(trunk.properties.id);
-                        sampledCount++;
-                    }
-                }
-                
-                // If we still have space, add trees near viewport
-                if (sampledCount < MAX_RENDERED_TREES) {
-                    const expandedBbox = turf.bbox(turf.buffer(viewportPolygon, 0.01, { units: 'degrees' }));
-                    const expandedPolygon = turf.bboxPolygon(expandedBbox);
-                    
-                    for (let i = 0; i < trunksToRender.length && sampledCount < MAX_RENDERED_TREES; i++) {
-                        if (visibleTrunkIds.has(trunksToRender[i].properties.id)) continue;
-                        
-                        const trunk = trunksToRender[i];
-                        const trunkCenter = turf.centroid(trunk);
-                        
-                        if (turf.booleanPointInPolygon(trunkCenter, expandedPolygon)) {
-                            visibleTrunkIds.add(trunk.properties.id);
-                            sampledCount++;
-                        }
-                    }
+                if (!window.app || !window.app.treeTiles) {
+                    throw new Error('Tree tiles module not available');
                 }
+                const visible = window.app.treeTiles.getVisibleTrees(map, this.maxRenderedTrees);
+                trunksToRender = visible.trunks;
+                canopiesToRender = visible.canopies;
                 
-                // Filter trunks and canopies based on visible IDs
-                trunksToRender = trunksToRender.filter(t => visibleTrunkIds.has(t.properties.id));
-                canopiesToRender = canopiesToRender.filter(c => visibleTrunkIds.has(c.properties.id));
-                
-                console.log(`Rendering ${trunksToRender.length} of ${totalTrees} trees (viewport-based optimization)`);
+                console.log(`Rendering ${trunksToRender.length} of ${totalTrees} trees (viewport tiles)`);
             } catch (error) {
                 console.warn('Error in viewport filtering, using simple sampling:', error);
                 // Fallback: simple sampling
-                const sampleRate = Math.ceil(totalTrees / MAX_RENDERED_TREES);
+                const sampleRate = Math.ceil(totalTrees / this.maxRenderedTrees);
                 trunksToRender = trunksToRender.filter((_, i) => i % sampleRate === 0);
                 const visibleIds = new Set(trunksToRender.map(t => t.properties.id));
                 canopiesToRender = canopiesToRender.filter(c => visibleIds.has(c.properties.id));
@@ -1389,6 +2834,24 @@ class DataModule {
         return this.treeCanopyData;
     }
 
+    /**
+     * Get the lowest canopy tier of every tree
+     * Multi-tier crowns have several canopy features per tree id (see placeTree()). The list
+     * is cached until the canopy collection changes (it is read on every map move).
+     * @returns {Array} One canopy feature per tree
+     */
+    getPrimaryCanopies() {
+        const features = this.treeCanopyData.features;
+        const revision = this.getCollectionRevision('canopies');
+        const cache = this.primaryCanopyCache;
+        if (cache && cache.features === features && cache.revision === revision) {
+            return cache.canopies;
+        }
+        const canopies = features.filter(canopy => !(canopy.properties.tier > 0));
+        this.primaryCanopyCache = { features, revision, canopies };
+        return canopies;
+    }
+    
     /**
      * Get energy statistics
      * @returns {Object} Energy statistics
@@ -1405,23 +2868,43 @@ class DataModule {
     updateBuildingFeature(featureId, newProperties) {
         const featureToUpdate = this.buildingData.features.find(f => f.properties.ID === featureId);
         if (featureToUpdate) {
-            featureToUpdate.properties = newProperties;
-            const map = this.core.getMap();
-            map.getSource('geojson-data').setData(this.buildingData);
+            const oldProperties = featureToUpdate.properties;
+            this.applyBuildingProperties(featureToUpdate, newProperties);
+
+            if (this.historyModule) {
+                this.historyModule.record({
+                    label: `Edit building ${featureId}`,
+                    undo: () => this.applyBuildingProperties(featureToUpdate, oldProperties),
+                    redo: () => this.applyBuildingProperties(featureToUpdate, newProperties)
+                });
+            }
             return true;
         }
         return false;
     }
 
+    /**
+     * Set a building's properties and refresh the building source
+     * @param {Object} feature - Building feature
+     * @param {Object} properties - Properties to assign
+     */
+    applyBuildingProperties(feature, properties) {
+        feature.properties = properties;
+        this.markCollectionChanged('buildings');
+        this.updateDerivedMetrics([feature]);
+        this.updateBuildingSource();
+    }
+
     /**
      * Set the selected energy column
      * @param {string} energyColumn - Name of the energy column to use
      */
     setEnergyColumn(energyColumn) {
         this.selectedEnergyColumn = energyColumn;
+        this.rememberEnergyColumn(energyColumn);
         
         // Recalculate energy statistics with new column
-        this.energyStats = UtilsModule.calculateEnergyStats(this.buildingData.features, this.selectedEnergyColumn);
+        this.updateEnergyStats();
         
         // Update building colors
         this.updateBuildingColors();
@@ -1440,17 +2923,248 @@ class DataModule {
         return this.selectedEnergyColumn;
     }
 
+    /**
+     * Get the numeric building attributes offered in the energy column selector
+     * @returns {Array} Column descriptors, see DataModule.analyzeNumericColumns()
+     */
+    getEnergyColumns() {
+        return this.energyColumns;
+    }
+
+    /**
+     * Get the descriptor of a numeric building attribute
+     * @param {string} column - Attribute name (defaults to the selected column)
+     * @returns {Object|null} Column descriptor, or null if the buildings do not have it
+     */
+    getEnergyColumnInfo(column = this.selectedEnergyColumn) {
+        return this.energyColumns.find(info => info.name === column) || null;
+    }
+
+    /**
+     * Scan the buildings for numeric attributes and select the column to color by
+     * The selection is, in order: the column last chosen for this dataset, the current
+     * column (when keepSelection is set), a known energy column, the best covered
+     * attribute with an energy unit, and the best covered numeric attribute (derived
+     * floor area metrics are only used when chosen).
+     * @param {Object} options - { keepSelection: prefer the current column over the remembered one }
+     * @returns {Array} Column descriptors
+     */
+    discoverEnergyColumns(options = {}) {
+        const features = this.buildingData.features;
+        const rows = features.map(feature => ({ properties: this.getBuildingAttributes(feature) }));
+        this.energyColumns = DataModule.analyzeNumericColumns(rows, this.buildingHeightKeys);
+        const derivedLabels = { footprint_m2: 'Footprint area (m²)', floors_est: 'Floors (estimated)', gfa_m2: 'Gross floor area (m²)' };
+        this.energyColumns.forEach(info => {
+            info.isDerived = this.isDerivedBuildingKey(info.name);
+            if (derivedLabels[info.name]) {
+                info.label = derivedLabels[info.name];
+            } else if (this.euiColumns.has(info.name)) {
+                const source = this.euiColumns.get(info.name);
+                info.unit = 'kWh/m²';
+                const sourceLabel = DataModule.formatColumnLabel(source, DataModule.detectUnit(source)).replace(/\s*\([^)]*\)$/, '');
+                info.label = `EUI ${sourceLabel} (kWh/m²)`;
+            }
+        });
+        this.datasetSignature = DataModule.getDatasetSignature(features);
+
+        const available = new Set(this.energyColumns.map(info => info.name));
+        const byCoverage = this.energyColumns.slice().sort((a, b) => b.coverage - a.coverage);
+        const remembered = this.getRememberedEnergyColumn();
+        const candidates = [
+            options.keepSelection ? this.selectedEnergyColumn : remembered,
+            options.keepSelection ? remembered : null,
+            ...this.preferredEnergyColumns,
+            (byCoverage.find(info => info.isEnergy && !info.isDerived) || {}).name,
+            (byCoverage.find(info => !info.isHeight && !info.isDerived) || {}).name
+        ];
+        const column = candidates.find(name => name && available.has(name));
+        if (column) {
+            this.selectedEnergyColumn = column;
+        }
+
+        console.log(`✓ Found ${this.energyColumns.length} numeric building attributes, coloring by '${this.selectedEnergyColumn}'`);
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateColumnSelector();
+        }
+        return this.energyColumns;
+    }
+
+    /**
+     * Get the column last chosen for the loaded dataset
+     * @returns {string|null} Column name, or null if none was stored
+     */
+    getRememberedEnergyColumn() {
+        if (!this.datasetSignature) return null;
+        try {
+            const choices = JSON.parse(window.localStorage.getItem(this.energyColumnStorageKey) || '{}');
+            return choices[this.datasetSignature] || null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Store the chosen column for the loaded dataset (the 50 most recent datasets are kept)
+     * @param {string} column - Column name
+     */
+    rememberEnergyColumn(column) {
+        if (!this.datasetSignature) return;
+        try {
+            const choices = JSON.parse(window.localStorage.getItem(this.energyColumnStorageKey) || '{}');
+            delete choices[this.datasetSignature];
+            choices[this.datasetSignature] = column;
+            const keys = Object.keys(choices);
+            keys.slice(0, Math.max(0, keys.length - 50)).forEach(key => delete choices[key]);
+            window.localStorage.setItem(this.energyColumnStorageKey, JSON.stringify(choices));
+        } catch (_) {}
+    }
+
+    /**
+     * Identify a dataset by its building attribute names
+     * Files exported from the same model share a signature, so a choice made for one
+     * scenario file also applies to the next.
+     * @param {Array} features - Building features
+     * @returns {string|null} Signature, or null without attributes
+     */
+    static getDatasetSignature(features) {
+        const keys = new Set();
+        features.forEach(feature => Object.keys(feature.properties || {}).forEach(key => keys.add(key)));
+        if (keys.size === 0) return null;
+
+        // 32-bit FNV-1a hash of the sorted names
+        const text = Array.from(keys).sort().join('|');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `attrs-${(hash >>> 0).toString(16)}-${keys.size}`;
+    }
+
+    /**
+     * Find the numeric attributes of a set of features
+     * Numbers and numeric strings count as values; null, undefined and empty strings as
+     * missing. Attributes with other values (text, booleans, objects) in more than 5% of the
+     * filled features are not numeric. Identifiers and the tree/editor flags are skipped.
+     * @param {Array} features - Building features
+     * @param {Array} heightKeys - Height attribute names (flagged with isHeight)
+     * @returns {Array} [{ name, label, unit, type: 'integer'|'float', isEnergy, isHeight,
+     *   count, missing, coverage (0-1), numericStrings (values stored as text), min, max }]
+     */
+    static analyzeNumericColumns(features, heightKeys = []) {
+        const skip = /^(id|fid|gid|objectid|osm_id|.*_id|.*ID|is[A-Z].*|layer)$/;
+        const columns = new Map();
+
+        features.forEach(feature => {
+            const properties = feature.properties || {};
+            Object.keys(properties).forEach(key => {
+                if (skip.test(key)) return;
+                let column = columns.get(key);
+                if (!column) {
+                    column = { name: key, count: 0, invalid: 0, numericStrings: 0, integer: true, min: Infinity, max: -Infinity };
+                    columns.set(key, column);
+                }
+
+                const raw = properties[key];
+                if (raw === null || raw === undefined || raw === '') return;
+                let value = NaN;
+                if (typeof raw === 'number') {
+                    value = raw;
+                } else if (typeof raw === 'string' && raw.trim() !== '') {
+                    value = Number(raw.trim());
+                    if (isFinite(value)) column.numericStrings++;
+                }
+                if (!isFinite(value)) {
+                    column.invalid++;
+                    return;
+                }
+                column.count++;
+                if (!Number.isInteger(value)) column.integer = false;
+                if (value < column.min) column.min = value;
+                if (value > column.max) column.max = value;
+            });
+        });
+
+        const total = features.length;
+        return Array.from(columns.values())
+            .filter(column => column.count > 0 && column.invalid <= (column.count + column.invalid) * 0.05)
+            .map(column => {
+                const isHeight = heightKeys.includes(column.name);
+                const unit = isHeight ? 'm' : DataModule.detectUnit(column.name);
+                return {
+                    name: column.name,
+                    label: DataModule.formatColumnLabel(column.name, unit),
+                    unit,
+                    type: column.integer ? 'integer' : 'float',
+                    isEnergy: /wh|joule|gj|mj|btu|therm|energy|eui/i.test(column.name),
+                    isHeight,
+                    count: column.count,
+                    missing: total - column.count,
+                    coverage: total > 0 ? column.count / total : 0,
+                    numericStrings: column.numericStrings,
+                    min: column.min,
+                    max: column.max
+                };
+            });
+    }
+
+    /**
+     * Detect the unit of an attribute from its name, e.g. Energy_kWh_m2 → kWh/m²
+     * @param {string} name - Attribute name
+     * @returns {string} Unit, or '' if the name does not carry one
+     */
+    static detectUnit(name) {
+        const units = [
+            [/kwh[_\s/-]*(per[_\s]*)?(m2|m²|sqm)|eui/i, 'kWh/m²'],
+            [/gwh/i, 'GWh'],
+            [/mwh/i, 'MWh'],
+            [/kwh/i, 'kWh'],
+            [/(^|[^a-z])wh([^a-z]|$)/i, 'Wh'],
+            [/(^|[^a-z])gj([^a-z]|$)/i, 'GJ'],
+            [/(^|[^a-z])mj([^a-z]|$)/i, 'MJ'],
+            [/kbtu/i, 'kBtu'],
+            [/therm/i, 'therms'],
+            [/co2|ghg|emission/i, 'kgCO₂e'],
+            [/(^|[^a-z])(m2|sqm)([^a-z]|$)|area/i, 'm²']
+        ];
+        const match = units.find(([pattern]) => pattern.test(name));
+        return match ? match[1] : '';
+    }
+
+    /**
+     * Readable label of an attribute, e.g. Energy_UrbanWWR_kWh → Energy UrbanWWR (kWh)
+     * @param {string} name - Attribute name
+     * @param {string} unit - Detected unit
+     * @returns {string} Label
+     */
+    static formatColumnLabel(name, unit) {
+        let label = name.replace(/[_-]+/g, ' ').trim();
+        if (unit) {
+            // Drop the unit token from the name, it is shown in brackets
+            const stripped = label.replace(/\s*\b(kwh\s*(per\s*)?m2|kwh|mwh|gwh|wh|gj|mj|kbtu|m2|sqm)\b\s*$/i, '').trim();
+            label = `${stripped || label} (${unit})`;
+        }
+        return label;
+    }
+
     /**
      * Set the selected color scale
      * @param {string} colorScale - Name of the color scale to use
+     * @param {boolean} reversed - Run the ramp from high to low (keeps the current setting if omitted)
      */
-    setColorScale(colorScale) {
+    setColorScale(colorScale, reversed = this.colorScaleReversed) {
         this.selectedColorScale = colorScale;
+        this.colorScaleReversed = reversed;
         
         // Update building colors with new scale
         this.updateBuildingColors();
+
+        // Legend swatches follow the building colors
+        if (this.energyStatsModule) {
+            this.energyStatsModule.updateStats();
+        }
         
-        console.log(`✓ Color scale changed to: ${colorScale}`);
+        console.log(`✓ Color scale changed to: ${colorScale}${reversed ? ' (reversed)' : ''}`);
     }
 
     /**
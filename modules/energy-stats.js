@@ -205,7 +205,7 @@ class EnergyStatsModule {
         let averageEnergy = 0;
         if (energyStats.hasEnergyData && buildingData.features.length > 0) {
             const energyValues = buildingData.features
-                .map(feature => feature.properties[selectedColumn])
+                .map(feature => this.data.getBuildingValue(feature, selectedColumn))
                 .filter(energy => energy !== null && energy !== undefined && !isNaN(energy))
                 .map(energy => parseFloat(energy));
             
@@ -226,16 +226,141 @@ class EnergyStatsModule {
         this.updateDisplay();
     }
 
+    /**
+     * Fill the energy column selector with the numeric building attributes
+     * Options show the unit and the share of buildings with a value; attributes
+     * with an energy unit or name come first.
+     */
+    updateColumnSelector() {
+        const select = document.getElementById('energy-column-selector');
+        if (!select) return;
+
+        const columns = this.data.getEnergyColumns().slice().sort((a, b) =>
+            (b.isEnergy - a.isEnergy) || (a.isHeight - b.isHeight) || a.label.localeCompare(b.label)
+        );
+        select.innerHTML = '';
+        if (columns.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = this.data.getBuildingData().features.length > 0
+                ? 'No numeric building attributes'
+                : 'Load a file to list its numeric attributes';
+            select.appendChild(option);
+            select.disabled = true;
+        } else {
+            columns.forEach(column => {
+                const option = document.createElement('option');
+                option.value = column.name;
+                option.textContent = `${column.label} · ${Math.round(column.coverage * 100)}%`;
+                option.title = column.name;
+                select.appendChild(option);
+            });
+            select.disabled = false;
+            select.value = this.data.getSelectedEnergyColumn();
+        }
+        this.updateColumnInfo();
+        this.updateComparisonControls();
+    }
+
+    /**
+     * Fill the comparison column selects and show the baseline scene
+     * In column mode both selects list the scene's columns; in scene mode "Before"
+     * lists the baseline's columns.
+     */
+    updateComparisonControls() {
+        const comparison = this.data.getComparison();
+        const baseline = this.data.getBaselineScene();
+        const fill = (id, columns, value) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = '';
+            columns.forEach(column => {
+                const option = document.createElement('option');
+                option.value = column.name;
+                option.textContent = column.label;
+                select.appendChild(option);
+            });
+            select.value = value || '';
+        };
+        const sceneColumns = this.data.getEnergyColumns();
+        const baseColumns = comparison.mode === 'scene' && baseline ? baseline.columns : sceneColumns;
+        fill('comparison-column', sceneColumns, comparison.column);
+        fill('comparison-base-column', baseColumns, comparison.baseColumn);
+
+        const modeSelect = document.getElementById('comparison-mode');
+        if (modeSelect) modeSelect.value = comparison.mode;
+        const deltaSelect = document.getElementById('comparison-delta');
+        if (deltaSelect) deltaSelect.value = comparison.deltaType;
+
+        const status = document.getElementById('comparison-status');
+        if (status) {
+            if (baseline) {
+                status.textContent = `Baseline: ${baseline.name} · ${baseline.count} buildings`;
+            } else if (comparison.mode === 'scene') {
+                status.textContent = 'Load a file with Load Mode "Comparison baseline" to compare scenes by building ID';
+            } else {
+                status.textContent = '';
+            }
+        }
+        const clearButton = document.getElementById('comparison-clear-baseline');
+        if (clearButton) clearButton.style.display = baseline ? 'inline-flex' : 'none';
+    }
+
+    /**
+     * Show type and null coverage of the selected column below the selector
+     */
+    updateColumnInfo() {
+        const infoElement = document.getElementById('energy-column-info');
+        if (!infoElement) return;
+
+        const column = this.data.getEnergyColumnInfo();
+        if (!column) {
+            infoElement.textContent = '';
+            return;
+        }
+        const total = column.count + column.missing;
+        const parts = [
+            column.type === 'integer' ? 'Integer' : 'Decimal',
+            `${column.count} of ${total} buildings filled${column.missing ? ` (${column.missing} empty)` : ''}`
+        ];
+        if (column.numericStrings > 0) {
+            parts.push(`${column.numericStrings} stored as text`);
+        }
+        infoElement.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Update the unit of the selected column in the legend
+     */
+    updateUnits() {
+        const unitsElement = document.getElementById('energy-units');
+        if (unitsElement) {
+            const column = this.data.getEnergyColumnInfo();
+            if (this.data.isComparisonActive() && this.data.getComparison().deltaType === 'percent') {
+                unitsElement.textContent = '%';
+                return;
+            }
+            const comparedColumn = this.data.isComparisonActive() ? this.data.getEnergyColumnInfo(this.data.getComparison().column) : null;
+            const info = comparedColumn || column;
+            unitsElement.textContent = info && info.unit ? info.unit : 'N/A';
+        }
+    }
+
     /**
      * Update the display with current statistics
      */
     updateDisplay() {
         this.updateBuildingCount();
+        this.updateColumnInfo();
+        this.updateUnits();
         this.updateEnergyRange();
         this.updateLegendValues();
         this.updateAverageEnergy();
         this.updateLegendValueRanges();
         this.updateDistributionInfo();
+        this.updateTreeShadingImpact();
+        this.updateFloorAreaMetrics();
+        this.updateComparisonSummary();
     }
 
     /**
@@ -296,6 +421,78 @@ class EnergyStatsModule {
         }
     }
 
+    /**
+     * Update tree shading cooling impact display for the selected column
+     */
+    updateTreeShadingImpact() {
+        const deltaElement = document.getElementById('tree-cooling-delta');
+        const shadedElement = document.getElementById('tree-shaded-buildings');
+        const summary = window.app && window.app.treeShading
+            ? window.app.treeShading.getSummary(this.data.getSelectedEnergyColumn())
+            : null;
+
+        if (!summary) {
+            if (deltaElement) deltaElement.textContent = 'N/A';
+            if (shadedElement) shadedElement.textContent = 'N/A';
+            return;
+        }
+
+        if (deltaElement) {
+            const sign = summary.totalDelta < 0 ? '−' : '';
+            const percent = summary.totalEnergy > 0 ? Math.abs(summary.totalDelta / summary.totalEnergy) * 100 : 0;
+            deltaElement.textContent = `${sign}${this.formatEnergyValue(Math.abs(summary.totalDelta))} (${sign}${percent.toFixed(1)}%)${summary.stale ? ' · outdated' : ''}`;
+            this.animateValue(deltaElement);
+        }
+        if (shadedElement) {
+            shadedElement.textContent = `${summary.shadedCount} / ${summary.buildingCount}`;
+        }
+    }
+
+    /**
+     * Update footprint, gross floor area, floor count and site EUI display
+     */
+    updateFloorAreaMetrics() {
+        const summary = this.currentStats.buildingCount > 0 ? this.data.getDerivedMetricsSummary() : null;
+        const values = {
+            'footprint-area': summary ? `${this.formatEnergyValue(summary.footprintArea)} m²` : 'N/A',
+            'gross-floor-area': summary ? `${this.formatEnergyValue(summary.gfa)} m²` : 'N/A',
+            'average-floors': summary ? summary.averageFloors.toFixed(1) : 'N/A',
+            'site-eui': summary && summary.siteEui !== null ? `${summary.siteEui.toFixed(1)} kWh/m²` : 'N/A'
+        };
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = values[id];
+                element.title = id === 'site-eui' && summary && summary.euiColumn ? `Total ${summary.euiColumn} / gross floor area` : '';
+            }
+        });
+    }
+
+    /**
+     * Update the comparison totals and distribution shift
+     */
+    updateComparisonSummary() {
+        const summary = this.data.getComparisonSummary();
+        const format = value => value === null ? 'N/A' : this.formatEnergyValue(value);
+        const signed = value => value === null ? 'N/A' : `${value < 0 ? '−' : '+'}${this.formatEnergyValue(Math.abs(value))}`;
+        const values = summary ? {
+            'comparison-matched': `${summary.matched} / ${summary.buildingCount}`,
+            'comparison-totals': `${format(summary.totalBefore)} → ${format(summary.totalAfter)}`,
+            'comparison-total-delta': `${signed(summary.totalDelta)}${summary.totalDeltaPercent !== null ? ` (${summary.totalDeltaPercent < 0 ? '−' : '+'}${Math.abs(summary.totalDeltaPercent).toFixed(1)}%)` : ''}`,
+            'comparison-direction': `${summary.increased} ↑ · ${summary.decreased} ↓ · ${summary.unchanged} =`,
+            'comparison-median': `${format(summary.before.median)} → ${format(summary.after.median)}`,
+            'comparison-iqr': `${format(summary.before.q25)}–${format(summary.before.q75)} → ${format(summary.after.q25)}–${format(summary.after.q75)}`
+        } : null;
+
+        ['comparison-matched', 'comparison-totals', 'comparison-total-delta', 'comparison-direction',
+            'comparison-median', 'comparison-iqr'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = values ? values[id] : 'N/A';
+            }
+        });
+    }
+
     /**
      * Animate value update
      * @param {HTMLElement} element - Element to animate
@@ -369,113 +566,90 @@ class EnergyStatsModule {
 
 
     /**
-     * Update legend value ranges based on current energy statistics
+     * Rebuild the legend rows from the class breaks of the building colors
+     * One row per class, highest first: swatch, exact range and number of buildings.
+     * A class holds values from its lower break up to (not including) the next one; the
+     * last class includes the maximum.
      */
     updateLegendValueRanges() {
-        if (!this.currentStats.hasEnergyData) {
-            // Reset to default values
-            const defaultValues = ['100', '85', '70', '50', '30', '15', '0'];
-            const valueElements = [
-                'legend-max-value', 'legend-high-value', 'legend-medium-high-value',
-                'legend-medium-value', 'legend-medium-low-value', 'legend-low-value', 'legend-min-value'
-            ];
-            
-            valueElements.forEach((id, index) => {
-                const element = document.getElementById(id);
-                if (element) {
-                    element.textContent = defaultValues[index];
-                }
-            });
-            return;
-        }
+        const container = document.getElementById('legend-classes');
+        if (!container) return;
+        container.innerHTML = '';
 
-        const minEnergy = this.currentStats.minEnergy;
-        const maxEnergy = this.currentStats.maxEnergy;
-        const energyRange = maxEnergy - minEnergy;
+        const title = document.getElementById('legend-title');
+        if (title) {
+            title.textContent = this.data.isComparisonActive() ? this.data.describeComparison() : 'Energy Consumption Legend';
+        }
 
-        let legendValues;
-        let distribution = null;
-        
-        try {
-            // Get building distribution analysis
-            distribution = this.data.analyzeBuildingDistribution(minEnergy, maxEnergy);
-
-            // Calculate values for each legend level using dynamic distribution
-            const denseRange = distribution.denseEnd - distribution.denseStart;
-            legendValues = [
-                maxEnergy, // Very High (covers sparse range)
-                distribution.denseEnd, // High (end of dense range)
-                distribution.denseStart + (denseRange * 0.8), // Medium-High (80% of dense range)
-                distribution.denseStart + (denseRange * 0.6), // Medium (60% of dense range)
-                distribution.denseStart + (denseRange * 0.4), // Medium-Low (40% of dense range)
-                distribution.denseStart + (denseRange * 0.2), // Low (20% of dense range)
-                minEnergy // Very Low (minimum)
-            ];
-            
-            console.log(`Legend values updated with dynamic distribution: Dense range=${distribution.denseStart.toFixed(2)}-${distribution.denseEnd.toFixed(2)} (${distribution.densePercentage}% of buildings), Dense range size=${denseRange.toFixed(2)}`);
-        } catch (error) {
-            console.warn('Error in legend calculation, using uniform distribution:', error);
-            // Fallback to uniform distribution
-            legendValues = [
-                maxEnergy, // Very High
-                minEnergy + (energyRange * 0.83), // High
-                minEnergy + (energyRange * 0.67), // Medium-High
-                minEnergy + (energyRange * 0.5), // Medium
-                minEnergy + (energyRange * 0.33), // Medium-Low
-                minEnergy + (energyRange * 0.17), // Low
-                minEnergy // Very Low
-            ];
+        const classification = this.data.getClassification();
+        if (!classification) {
+            const row = document.createElement('div');
+            row.className = 'legend-row';
+            const label = document.createElement('span');
+            label.className = 'legend-label';
+            label.textContent = 'No data for the selected column';
+            row.appendChild(label);
+            container.appendChild(row);
+            return;
         }
 
-        const valueElements = [
-            'legend-max-value', 'legend-high-value', 'legend-medium-high-value',
-            'legend-medium-value', 'legend-medium-low-value', 'legend-low-value', 'legend-min-value'
-        ];
+        const { breaks, colors, counts } = classification;
+        for (let i = counts.length - 1; i >= 0; i--) {
+            const row = document.createElement('div');
+            row.className = 'legend-row';
+
+            const swatch = document.createElement('div');
+            swatch.className = 'legend-color';
+            swatch.style.background = colors[i];
+
+            const label = document.createElement('span');
+            label.className = 'legend-label';
+            const upper = breaks.length > i + 1 ? breaks[i + 1] : breaks[i]; // A single value has one break
+            label.textContent = `${this.formatBreak(breaks[i])} – ${this.formatBreak(upper)}`;
+            label.title = `${breaks[i]} to ${upper}`;
+
+            const value = document.createElement('span');
+            value.className = 'legend-value';
+            value.textContent = String(counts[i]);
+            value.title = `${counts[i]} buildings`;
+
+            row.appendChild(swatch);
+            row.appendChild(label);
+            row.appendChild(value);
+            container.appendChild(row);
+        }
+    }
 
-        valueElements.forEach((id, index) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.textContent = legendValues[index].toFixed(1);
-            }
-        });
+    /**
+     * Format a class break without rounding it away (6 significant digits)
+     * @param {number} value - Break value
+     * @returns {string} Formatted value
+     */
+    formatBreak(value) {
+        return String(parseFloat(value.toPrecision(6)));
     }
 
     /**
-     * Update distribution information display
+     * Update the classification summary (method, class count and goodness of variance fit)
      */
     updateDistributionInfo() {
-        if (!this.currentStats.hasEnergyData) {
-            const denseRangeElement = document.getElementById('dense-range');
-            const densePercentageElement = document.getElementById('dense-percentage');
-            
-            if (denseRangeElement) denseRangeElement.textContent = 'N/A';
-            if (densePercentageElement) densePercentageElement.textContent = 'N/A';
+        const methodElement = document.getElementById('classification-summary');
+        const fitElement = document.getElementById('classification-fit');
+        const classification = this.data.getClassification();
+
+        if (!classification) {
+            if (methodElement) methodElement.textContent = 'N/A';
+            if (fitElement) fitElement.textContent = 'N/A';
             return;
         }
 
-        const minEnergy = this.currentStats.minEnergy;
-        const maxEnergy = this.currentStats.maxEnergy;
-        
-        try {
-            const distribution = this.data.analyzeBuildingDistribution(minEnergy, maxEnergy);
-
-            const denseRangeElement = document.getElementById('dense-range');
-            const densePercentageElement = document.getElementById('dense-percentage');
-            
-            if (denseRangeElement) {
-                denseRangeElement.textContent = `${distribution.denseStart.toFixed(0)}-${distribution.denseEnd.toFixed(0)}`;
-            }
-            
-            if (densePercentageElement) {
-                densePercentageElement.textContent = `${distribution.densePercentage}%`;
-            }
-        } catch (error) {
-            console.warn('Error updating distribution info:', error);
-            const denseRangeElement = document.getElementById('dense-range');
-            const densePercentageElement = document.getElementById('dense-percentage');
-            
-            if (denseRangeElement) denseRangeElement.textContent = 'N/A';
-            if (densePercentageElement) densePercentageElement.textContent = 'N/A';
+        const select = document.getElementById('classification-method');
+        const option = select && Array.from(select.options || []).find(item => item.value === classification.method);
+        if (methodElement) {
+            methodElement.textContent = `${option ? option.textContent : classification.method} · ${classification.counts.length}`;
+        }
+        if (fitElement) {
+            fitElement.textContent = `${(classification.gvf * 100).toFixed(1)}%`;
         }
     }
 
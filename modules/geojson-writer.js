@@ -0,0 +1,197 @@
+/**
+ * GeoJSON Writer Module - Streams the scene to a GeoJSON file feature by feature
+ * Never builds the whole document as one string: features are serialized in chunks and
+ * written to a file picked with the File System Access API, or collected as Blob parts
+ * and downloaded where that API is missing. Optionally rounds coordinates and gzips the
+ * output (CompressionStream) to a .geojson.gz file.
+ */
+
+class GeoJSONWriterModule {
+    constructor(coreModule, dataModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.baseFilename = 'data-with-trees';
+        this.chunkSize = 1024 * 1024; // characters serialized before each write
+        this.yieldEvery = 2000; // features between UI updates
+    }
+
+    /**
+     * Initialize GeoJSON writer module
+     */
+    initialize() {
+        const gzipInput = document.getElementById('save-gzip');
+        if (gzipInput && !this.isCompressionSupported()) {
+            gzipInput.checked = false;
+            gzipInput.disabled = true;
+            gzipInput.title = 'This browser does not support CompressionStream';
+        }
+    }
+
+    /**
+     * Check whether gzip output is available
+     * @returns {boolean} True if CompressionStream is supported
+     */
+    isCompressionSupported() {
+        return typeof CompressionStream !== 'undefined';
+    }
+
+    /**
+     * Read the save options from the controls
+     * @returns {Object} { precision: decimal places or null for full precision, gzip }
+     */
+    getOptions() {
+        const precisionSelect = document.getElementById('save-precision');
+        const gzipInput = document.getElementById('save-gzip');
+        const precision = precisionSelect && precisionSelect.value !== 'full' ? parseInt(precisionSelect.value, 10) : null;
+        return {
+            precision: Number.isInteger(precision) ? precision : null,
+            gzip: Boolean(gzipInput && gzipInput.checked && this.isCompressionSupported())
+        };
+    }
+
+    /**
+     * Save the scene as GeoJSON
+     * @param {Object} options - { precision, gzip }, see getOptions()
+     * @param {Function} onProgress - Called with the fraction written (0-1) and a text
+     * @returns {Promise<Object|null>} { filename, featureCount } or null if there is nothing to save;
+     *   rejects with an AbortError if the user cancels the file picker
+     */
+    async save(options = this.getOptions(), onProgress = () => {}) {
+        const collections = [
+            this.data.buildingData.features,
+            this.data.treeTrunkData.features,
+            this.data.treeCanopyData.features,
+            this.data.roadData.features
+        ];
+        const featureCount = collections.reduce((sum, features) => sum + features.length, 0);
+        if (featureCount === 0) {
+            return null;
+        }
+
+        const filename = `${this.baseFilename}.geojson${options.gzip ? '.gz' : ''}`;
+        const destination = await this.openDestination(filename, options.gzip);
+
+        // Compressed output goes through a gzip stream piped into the destination
+        let writer;
+        let piping = null;
+        if (options.gzip) {
+            const compression = new CompressionStream('gzip');
+            piping = compression.readable.pipeTo(destination.stream);
+            writer = compression.writable.getWriter();
+        } else {
+            writer = destination.stream.getWriter();
+        }
+        const encoder = new TextEncoder();
+        const write = async (text) => {
+            await writer.ready;
+            await writer.write(encoder.encode(text));
+        };
+
+        try {
+            let buffer = '{"type":"FeatureCollection","features":[';
+            let written = 0;
+            for (const features of collections) {
+                for (let i = 0; i < features.length; i++) {
+                    buffer += (written > 0 ? ',\n' : '\n') + this.serializeFeature(features[i], options.precision);
+                    written++;
+
+                    if (buffer.length >= this.chunkSize) {
+                        await write(buffer);
+                        buffer = '';
+                    }
+                    if (written % this.yieldEvery === 0) {
+                        onProgress(written / featureCount, `Writing features... (${written} of ${featureCount})`);
+                        await new Promise(resolve => setTimeout(resolve, 0)); // Allow UI update
+                    }
+                }
+            }
+            buffer += '\n]}\n';
+            await write(buffer);
+
+            onProgress(1, 'Finishing file...');
+            await writer.close();
+            if (piping) {
+                await piping;
+            }
+        } catch (error) {
+            await writer.abort(error).catch(() => {});
+            throw error;
+        }
+
+        await destination.finish();
+        console.log(`✓ Saved ${featureCount} features to ${filename}${options.precision !== null ? ` (${options.precision} decimals)` : ''}`);
+        return { filename, featureCount };
+    }
+
+    /**
+     * Open the output: a file from the save picker, or Blob parts downloaded when done
+     * @param {string} filename - Suggested file name
+     * @param {boolean} gzip - True for gzip output
+     * @returns {Promise<Object>} { stream: WritableStream, finish() }
+     */
+    async openDestination(filename, gzip) {
+        if (typeof window.showSaveFilePicker === 'function') {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [gzip
+                    ? { description: 'Gzipped GeoJSON', accept: { 'application/gzip': ['.gz'] } }
+                    : { description: 'GeoJSON', accept: { 'application/geo+json': ['.geojson', '.json'] } }]
+            });
+            return { stream: await handle.createWritable(), finish: async () => {} };
+        }
+
+        const parts = [];
+        return {
+            stream: new WritableStream({
+                write(chunk) {
+                    parts.push(chunk);
+                }
+            }),
+            finish: async () => {
+                const blob = new Blob(parts, { type: gzip ? 'application/gzip' : 'application/geo+json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+            }
+        };
+    }
+
+    /**
+     * Serialize a feature, rounding only its geometry coordinates
+     * Properties are written as they are, even ones named "coordinates".
+     * @param {Object} feature - GeoJSON feature
+     * @param {number|null} precision - Decimal places, or null to keep full precision
+     * @returns {string} JSON text
+     */
+    serializeFeature(feature, precision) {
+        if (precision === null || precision === undefined || !feature.geometry) {
+            return JSON.stringify(feature);
+        }
+        const factor = Math.pow(10, precision);
+        return JSON.stringify({ ...feature, geometry: this.roundGeometry(feature.geometry, factor) });
+    }
+
+    /**
+     * Copy a geometry with rounded coordinates
+     * @param {Object} geometry - GeoJSON geometry (GeometryCollections are rounded member by member)
+     * @param {number} factor - 10 to the power of the decimal places
+     * @returns {Object} Rounded geometry
+     */
+    roundGeometry(geometry, factor) {
+        if (geometry.type === 'GeometryCollection') {
+            return { ...geometry, geometries: geometry.geometries.map(member => this.roundGeometry(member, factor)) };
+        }
+        const round = (value) => Array.isArray(value)
+            ? value.map(round)
+            : (typeof value === 'number' ? Math.round(value * factor) / factor : value);
+        return { ...geometry, coordinates: round(geometry.coordinates) };
+    }
+}
+
+// Export for use in other modules
+window.GeoJSONWriterModule = GeoJSONWriterModule;
@@ -0,0 +1,289 @@
+/**
+ * History Module - Undo/redo for scene edits
+ * Keeps a command stack of DataModule mutations and drives the history panel
+ */
+
+class HistoryModule {
+    constructor(coreModule, dataModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxEntries = 100; // Oldest entries are dropped beyond this
+        this.groupDepth = 0; // Nesting depth of open groups (drag strokes, brush placements)
+        this.pendingGroup = null; // { label, commands } collected while a group is open
+        this.isApplying = false; // True while a command is being undone/redone
+    }
+
+    /**
+     * Initialize history module
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updatePanel();
+    }
+
+    /**
+     * Setup event listeners for history buttons, panel and keyboard shortcuts
+     */
+    setupEventListeners() {
+        const undoBtn = document.getElementById('history-undo');
+        const redoBtn = document.getElementById('history-redo');
+
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+
+        const historyList = document.getElementById('history-list');
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const item = e.target.closest('li[data-index]');
+                if (item) {
+                    this.jumpTo(Number(item.dataset.index));
+                }
+            });
+        }
+
+        // Ctrl+Z = undo, Ctrl+Shift+Z / Ctrl+Y = redo (Cmd on macOS)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            // Leave text editing shortcuts alone
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    /**
+     * Record a command on the history stack
+     * A command is an object { label, undo(), redo() } and may implement
+     * mergeWith(next) to absorb a following command of the same kind.
+     * @param {Object} command - Command to record
+     */
+    record(command) {
+        if (this.isApplying || !command) return;
+
+        if (this.pendingGroup) {
+            const commands = this.pendingGroup.commands;
+            const last = commands[commands.length - 1];
+            if (last && typeof last.mergeWith === 'function' && last.mergeWith(command)) {
+                return;
+            }
+            commands.push(command);
+            return;
+        }
+
+        this.pushEntry(command);
+    }
+
+    /**
+     * Start collecting commands into a single undoable step
+     * Groups can nest; only the outermost label is kept.
+     * @param {string} label - Label for the combined history entry
+     */
+    beginGroup(label) {
+        if (this.groupDepth === 0) {
+            this.pendingGroup = { label, commands: [] };
+        }
+        this.groupDepth++;
+    }
+
+    /**
+     * Close the current group and push it as one history entry
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+
+        this.groupDepth--;
+        if (this.groupDepth > 0) return;
+
+        const group = this.pendingGroup;
+        this.pendingGroup = null;
+
+        if (!group || group.commands.length === 0) return;
+
+        if (group.commands.length === 1) {
+            const command = group.commands[0];
+            command.label = group.label;
+            this.pushEntry(command);
+            return;
+        }
+
+        const commands = group.commands;
+        this.pushEntry({
+            label: group.label,
+            undo: () => {
+                for (let i = commands.length - 1; i >= 0; i--) {
+                    commands[i].undo();
+                }
+            },
+            redo: () => {
+                commands.forEach(command => command.redo());
+            }
+        });
+    }
+
+    /**
+     * Push a finished command onto the undo stack
+     * @param {Object} command - Command to push
+     */
+    pushEntry(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxEntries);
+        }
+
+        this.updatePanel();
+    }
+
+    /**
+     * Undo the last command
+     * @returns {boolean} True if a command was undone
+     */
+    undo() {
+        if (this.groupDepth > 0) {
+            console.warn('History: edit in progress, undo ignored');
+            return false;
+        }
+        if (this.undoStack.length === 0) return false;
+
+        const command = this.undoStack.pop();
+        this.applyCommand(command, 'undo');
+        this.redoStack.push(command);
+
+        console.log(`✓ Undo: ${command.label}`);
+        this.updatePanel();
+        return true;
+    }
+
+    /**
+     * Redo the last undone command
+     * @returns {boolean} True if a command was redone
+     */
+    redo() {
+        if (this.groupDepth > 0) {
+            console.warn('History: edit in progress, redo ignored');
+            return false;
+        }
+        if (this.redoStack.length === 0) return false;
+
+        const command = this.redoStack.pop();
+        this.applyCommand(command, 'redo');
+        this.undoStack.push(command);
+
+        console.log(`✓ Redo: ${command.label}`);
+        this.updatePanel();
+        return true;
+    }
+
+    /**
+     * Run a command's undo or redo without recording new history
+     * @param {Object} command - Command to apply
+     * @param {'undo'|'redo'} direction - Which side of the command to run
+     */
+    applyCommand(command, direction) {
+        this.isApplying = true;
+        try {
+            command[direction]();
+        } catch (error) {
+            console.error(`History: failed to ${direction} "${command.label}":`, error);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Move through the history until the given entry is the latest applied one
+     * @param {number} index - Index in the combined list (undo entries, then redo entries)
+     *                         -1 undoes everything
+     */
+    jumpTo(index) {
+        while (this.undoStack.length - 1 > index && this.undo()) { /* step back */ }
+        while (this.undoStack.length - 1 < index && this.redo()) { /* step forward */ }
+    }
+
+    /**
+     * Clear all history (e.g. after a new file is loaded)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.groupDepth = 0;
+        this.pendingGroup = null;
+        this.updatePanel();
+    }
+
+    /**
+     * Check if there is anything to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Update history buttons and entry list
+     */
+    updatePanel() {
+        const undoBtn = document.getElementById('history-undo');
+        const redoBtn = document.getElementById('history-redo');
+        if (undoBtn) undoBtn.disabled = !this.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.canRedo();
+
+        const historyList = document.getElementById('history-list');
+        if (!historyList) return;
+
+        historyList.innerHTML = '';
+
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = 'No edits yet';
+            historyList.appendChild(empty);
+            return;
+        }
+
+        // Undone entries are shown after the current state, newest redo last
+        const entries = this.undoStack.concat(this.redoStack.slice().reverse());
+        entries.forEach((command, index) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            item.textContent = command.label;
+            if (index >= this.undoStack.length) {
+                item.classList.add('undone');
+            } else if (index === this.undoStack.length - 1) {
+                item.classList.add('current');
+            }
+            historyList.appendChild(item);
+        });
+
+        historyList.scrollTop = historyList.scrollHeight;
+    }
+}
+
+// Export for use in other modules
+window.HistoryModule = HistoryModule;
@@ -0,0 +1,820 @@
+/**
+ * Importer Module - Convert building/tree/road files into GeoJSON for the data module
+ * Importers are registered by file extension. Each one turns the file content into a
+ * FeatureCollection (plus the coordinate system it declares, if any); importFile() then
+ * reprojects it to WGS84 lng/lat and cleans it up for DataModule.addGeoJsonToMap().
+ *
+ * Built-in formats:
+ *   .geojson / .json  GeoJSON (including the legacy "crs" member)
+ *   .geojson.gz / .gz Gzipped GeoJSON, as written by Save with gzip (DecompressionStream)
+ *   .zip              Zipped Shapefile(s) with .prj, via shpjs
+ *   .gpkg             GeoPackage feature tables, via sql.js
+ *   .csv              CSV with a WKT/EWKT geometry column or lon/lat columns
+ *   .kml              KML placemarks, via @tmcw/togeojson
+ */
+
+class ImporterModule {
+    constructor(coreModule, crsModule) {
+        this.core = coreModule;
+        this.crs = crsModule;
+        this.importers = new Map(); // extension (without dot) -> importer
+        this.sqlJsPromise = null;
+        this.sqlJsBaseUrl = 'https://cdn.jsdelivr.net/npm/sql.js@1.14.2/dist/';
+        this.registerDefaultImporters();
+    }
+
+    /**
+     * Initialize importer module
+     */
+    initialize() {
+        this.updateFileInputAccept();
+    }
+
+    /**
+     * Register an importer for one or more file extensions
+     * @param {string|Array<string>} extensions - Extensions such as 'csv' or ['geojson', 'json']
+     * @param {Object} importer - { name, readAs: 'text'|'arrayBuffer', parse(content, context), mainThreadOnly }
+     *   parse() returns (or resolves to) { data: FeatureCollection, crs: EPSG code/WKT/proj4 string or null }.
+     *   context is { file, onProgress(fraction, text) }. Set mainThreadOnly if parse() needs the DOM,
+     *   so the load worker leaves the conversion to the main thread.
+     */
+    registerImporter(extensions, importer) {
+        (Array.isArray(extensions) ? extensions : [extensions]).forEach(extension => {
+            this.importers.set(extension.toLowerCase().replace(/^\./, ''), importer);
+        });
+        this.updateFileInputAccept();
+    }
+
+    /**
+     * Register the built-in importers
+     */
+    registerDefaultImporters() {
+        this.registerImporter(['geojson', 'json'], {
+            name: 'GeoJSON',
+            readAs: 'text',
+            parse: (text) => this.parseGeoJSON(text)
+        });
+        this.registerImporter(['geojson.gz', 'json.gz', 'gz'], {
+            name: 'Gzipped GeoJSON',
+            readAs: 'arrayBuffer',
+            parse: async (buffer) => this.parseGeoJSON(await this.gunzipText(buffer))
+        });
+        this.registerImporter('zip', {
+            name: 'Shapefile',
+            readAs: 'arrayBuffer',
+            parse: (buffer, context) => this.parseShapefile(buffer, context)
+        });
+        this.registerImporter('gpkg', {
+            name: 'GeoPackage',
+            readAs: 'arrayBuffer',
+            parse: (buffer, context) => this.parseGeoPackage(buffer, context)
+        });
+        this.registerImporter('csv', {
+            name: 'CSV',
+            readAs: 'text',
+            parse: (text, context) => this.parseCSV(text, context)
+        });
+        this.registerImporter('kml', {
+            name: 'KML',
+            readAs: 'text',
+            mainThreadOnly: true, // DOMParser is not available in workers
+            parse: (text) => this.parseKML(text)
+        });
+    }
+
+    /**
+     * Find the importer for a file name (longest matching extension wins)
+     * @param {string} fileName - File name
+     * @returns {Object|null} Importer
+     */
+    getImporter(fileName) {
+        const name = String(fileName || '').toLowerCase();
+        let match = null;
+        let matchLength = 0;
+        this.importers.forEach((importer, extension) => {
+            if (name.endsWith(`.${extension}`) && extension.length > matchLength) {
+                match = importer;
+                matchLength = extension.length;
+            }
+        });
+        return match;
+    }
+
+    /**
+     * Get the accept attribute value for file inputs
+     * @returns {string} e.g. ".geojson,.json,.zip"
+     */
+    getAcceptString() {
+        return Array.from(this.importers.keys()).map(extension => `.${extension}`).join(',');
+    }
+
+    /**
+     * Update the file input so the picker offers every registered format
+     */
+    updateFileInputAccept() {
+        const fileInput = typeof document !== 'undefined' ? document.getElementById('file-input') : null;
+        if (fileInput) {
+            fileInput.setAttribute('accept', this.getAcceptString());
+        }
+    }
+
+    /**
+     * Convert file content into a WGS84 FeatureCollection
+     * @param {File} file - Source file (name is used to pick the importer)
+     * @param {string|ArrayBuffer} content - File content, read as importer.readAs
+     * @param {Function} onProgress - Optional (fraction 0-1, text) callback
+     * @returns {Promise<Object>} FeatureCollection ready for DataModule.addGeoJsonToMap()
+     * @throws {Error} If the format is unsupported or the file cannot be converted
+     */
+    async importFile(file, content, onProgress = () => {}) {
+        const importer = this.getImporter(file.name);
+        if (!importer) {
+            throw new Error(`Unsupported file type: ${file.name}. Supported: ${this.getAcceptString()}`);
+        }
+
+        onProgress(0, `Converting ${importer.name}...`);
+        const result = await importer.parse(content, { file, onProgress });
+        const data = this.normalizeFeatureCollection(result.data);
+
+        onProgress(0.7, 'Checking coordinate system...');
+        const sourceCRS = result.crs || await this.askForUndeclaredCRS(data, file.name);
+        if (sourceCRS) {
+            onProgress(0.8, `Reprojecting from ${this.describeCRS(sourceCRS)} to WGS84...`);
+            await new Promise(resolve => setTimeout(resolve, 0)); // Allow UI update
+            this.reprojectFeatureCollection(data, sourceCRS);
+        }
+
+        if (data.features.length === 0) {
+            throw new Error(`No features with geometry found in ${file.name}`);
+        }
+
+        onProgress(1, `Converted ${data.features.length} features from ${importer.name}`);
+        console.log(`✓ Imported ${data.features.length} features from ${file.name} (${importer.name}${sourceCRS ? `, ${this.describeCRS(sourceCRS)}` : ''})`);
+        return data;
+    }
+
+    /**
+     * Clean up a FeatureCollection for the data module
+     * Drops features without geometry, splits GeometryCollections into one feature
+     * per member and makes sure every feature has a properties object.
+     * @param {Object} data - FeatureCollection
+     * @returns {Object} New FeatureCollection
+     */
+    normalizeFeatureCollection(data) {
+        const features = [];
+        const addFeature = (geometry, properties, id) => {
+            if (!geometry) return;
+            if (geometry.type === 'GeometryCollection') {
+                (geometry.geometries || []).forEach(member => addFeature(member, Object.assign({}, properties)));
+                return;
+            }
+            if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) return;
+            const feature = { type: 'Feature', properties, geometry };
+            if (id !== undefined) {
+                feature.id = id;
+            }
+            features.push(feature);
+        };
+
+        ((data && data.features) || []).forEach(feature => {
+            if (!feature) return;
+            addFeature(feature.geometry, feature.properties && typeof feature.properties === 'object' ? feature.properties : {}, feature.id);
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Ask for the CRS of data whose coordinates are clearly not lng/lat
+     * The load worker replaces this with a round trip to the main thread.
+     * @param {Object} data - FeatureCollection
+     * @param {string} fileName - File name for the prompt
+     * @returns {string|null|Promise<string|null>} EPSG code, or null if the coordinates are lng/lat
+     * @throws {Error} If the user does not provide a code
+     */
+    askForUndeclaredCRS(data, fileName) {
+        if (this.looksGeographic(data)) {
+            return null;
+        }
+        return this.promptForCRS(fileName);
+    }
+
+    /**
+     * Ask the user for the EPSG code of a file without a declared coordinate system
+     * @param {string} fileName - File name for the prompt
+     * @returns {string} Normalized EPSG code
+     * @throws {Error} If the user does not provide a code
+     */
+    promptForCRS(fileName) {
+        const answer = prompt(`${fileName} does not declare its coordinate system and its coordinates are not longitude/latitude.\nEnter the EPSG code of the data (e.g. 25833, 2056, 27700):`);
+        if (!answer || !answer.trim()) {
+            throw new Error(`${fileName} uses projected coordinates without a coordinate system; import cancelled`);
+        }
+        return this.crs.normalizeCode(answer);
+    }
+
+    /**
+     * Check whether all coordinates are within lng/lat bounds
+     * @param {Object} data - FeatureCollection
+     * @returns {boolean} True if the data looks like WGS84 lng/lat
+     */
+    looksGeographic(data) {
+        let geographic = true;
+        data.features.forEach(feature => {
+            if (!geographic) return;
+            this.forEachPosition(feature.geometry.coordinates, position => {
+                if (Math.abs(position[0]) > 180 || Math.abs(position[1]) > 90) {
+                    geographic = false;
+                }
+            });
+        });
+        return geographic;
+    }
+
+    /**
+     * Reproject a FeatureCollection in place to WGS84 lng/lat
+     * @param {Object} data - FeatureCollection
+     * @param {string} sourceCRS - EPSG code, WKT or proj4 definition
+     */
+    reprojectFeatureCollection(data, sourceCRS) {
+        const transform = this.crs.createTransformToWGS84(sourceCRS);
+        if (!transform) return;
+
+        data.features.forEach(feature => {
+            this.forEachPosition(feature.geometry.coordinates, position => {
+                const [lng, lat] = transform(position);
+                if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+                    throw new Error(`Could not reproject coordinate ${position[0]}, ${position[1]} from ${this.describeCRS(sourceCRS)}`);
+                }
+                position[0] = lng;
+                position[1] = lat;
+            });
+        });
+    }
+
+    /**
+     * Call a function for every position in a coordinates array
+     * @param {Array} coordinates - GeoJSON coordinates of any depth
+     * @param {Function} callback - Called with each [x, y(, z)] position
+     */
+    forEachPosition(coordinates, callback) {
+        if (!Array.isArray(coordinates) || coordinates.length === 0) return;
+        if (typeof coordinates[0] === 'number') {
+            callback(coordinates);
+            return;
+        }
+        coordinates.forEach(child => this.forEachPosition(child, callback));
+    }
+
+    /**
+     * Short description of a source CRS for messages
+     * @param {string} sourceCRS - EPSG code, WKT or proj4 definition
+     * @returns {string} Description
+     */
+    describeCRS(sourceCRS) {
+        const text = String(sourceCRS);
+        const wktName = text.match(/^\s*[A-Z_]*CRS\s*\[\s*"([^"]+)"|^\s*(?:PROJCS|GEOGCS)\s*\[\s*"([^"]+)"/i);
+        if (wktName) {
+            return wktName[1] || wktName[2];
+        }
+        return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+    }
+
+    /**
+     * Parse GeoJSON text
+     * Accepts a FeatureCollection, a single Feature or a bare geometry.
+     * @param {string} text - File content
+     * @returns {Object} { data, crs }
+     */
+    parseGeoJSON(text) {
+        const json = JSON.parse(text);
+        let data;
+        if (json.type === 'FeatureCollection') {
+            data = json;
+        } else if (json.type === 'Feature') {
+            data = { type: 'FeatureCollection', features: [json] };
+        } else if (json.type && json.coordinates || json.type === 'GeometryCollection') {
+            data = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: json }] };
+        } else {
+            throw new Error('File is not GeoJSON (expected a FeatureCollection, Feature or geometry)');
+        }
+
+        // Legacy GeoJSON (2008) crs member, e.g. "urn:ogc:def:crs:EPSG::25833"
+        let crs = null;
+        const crsName = json.crs && json.crs.properties && json.crs.properties.name;
+        if (crsName && !/CRS84$/i.test(crsName)) {
+            const match = String(crsName).match(/EPSG:+(?:[\d.]*:)?(\d+)$/i);
+            crs = match ? `EPSG:${match[1]}` : crsName;
+        }
+        return { data, crs };
+    }
+
+    /**
+     * Parse a zipped Shapefile (one or more layers)
+     * shpjs reads the .prj of each layer and reprojects to WGS84 itself.
+     * @param {ArrayBuffer} buffer - Zip content
+     * @param {Object} context - Import context
+     * @returns {Promise<Object>} { data, crs }
+     */
+    async parseShapefile(buffer, context) {
+        if (typeof shp === 'undefined') {
+            throw new Error('Shapefile support is not loaded (shpjs)');
+        }
+
+        context.onProgress(0.2, 'Reading Shapefile layers...');
+        const result = await shp(buffer);
+        const layers = Array.isArray(result) ? result : [result];
+        const features = [];
+        layers.forEach(layer => {
+            (layer.features || []).forEach(feature => {
+                if (layers.length > 1 && layer.fileName && feature.properties) {
+                    feature.properties.layer = layer.fileName;
+                }
+                features.push(feature);
+            });
+        });
+
+        return { data: { type: 'FeatureCollection', features }, crs: null };
+    }
+
+    /**
+     * Load sql.js once (the WebAssembly binary comes from the same CDN)
+     * @returns {Promise<Object>} sql.js module
+     */
+    loadSqlJs() {
+        if (typeof initSqlJs === 'undefined') {
+            return Promise.reject(new Error('GeoPackage support is not loaded (sql.js)'));
+        }
+        if (!this.sqlJsPromise) {
+            this.sqlJsPromise = initSqlJs({ locateFile: (file) => `${this.sqlJsBaseUrl}${file}` });
+            this.sqlJsPromise.catch(() => {
+                this.sqlJsPromise = null; // Allow a retry after a network error
+            });
+        }
+        return this.sqlJsPromise;
+    }
+
+    /**
+     * Parse a GeoPackage: every feature table, each reprojected from its own CRS
+     * @param {ArrayBuffer} buffer - GeoPackage (SQLite) content
+     * @param {Object} context - Import context
+     * @returns {Promise<Object>} { data, crs }
+     */
+    async parseGeoPackage(buffer, context) {
+        context.onProgress(0.05, 'Loading GeoPackage reader...');
+        const SQL = await this.loadSqlJs();
+        const db = new SQL.Database(new Uint8Array(buffer));
+
+        try {
+            const tables = this.queryRows(db, `
+                SELECT c.table_name, g.column_name, g.srs_id, s.organization, s.organization_coordsys_id, s.definition
+                FROM gpkg_contents c
+                JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+                LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = g.srs_id
+                WHERE c.data_type = 'features'`);
+            if (tables.length === 0) {
+                throw new Error('GeoPackage has no feature tables');
+            }
+
+            const features = [];
+            tables.forEach((table, tableIndex) => {
+                context.onProgress(0.1 + 0.5 * tableIndex / tables.length, `Reading layer ${table.table_name}...`);
+
+                const layer = { type: 'FeatureCollection', features: [] };
+                const quotedTable = `"${String(table.table_name).replace(/"/g, '""')}"`;
+                this.queryRows(db, `SELECT * FROM ${quotedTable}`).forEach(row => {
+                    const blob = row[table.column_name];
+                    const properties = {};
+                    Object.keys(row).forEach(key => {
+                        if (key !== table.column_name && !(row[key] instanceof Uint8Array)) {
+                            properties[key] = row[key];
+                        }
+                    });
+                    if (tables.length > 1) {
+                        properties.layer = table.table_name;
+                    }
+                    const geometry = blob instanceof Uint8Array ? this.parseGeoPackageGeometry(blob) : null;
+                    layer.features.push({ type: 'Feature', properties, geometry });
+                });
+
+                const normalized = this.normalizeFeatureCollection(layer);
+                const sourceCRS = this.getGeoPackageCRS(table);
+                if (sourceCRS) {
+                    this.reprojectFeatureCollection(normalized, sourceCRS);
+                }
+                features.push(...normalized.features);
+            });
+
+            return { data: { type: 'FeatureCollection', features }, crs: null };
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Run a query and return rows as objects
+     * @param {Object} db - sql.js Database
+     * @param {string} sql - Query
+     * @returns {Array<Object>} Rows
+     */
+    queryRows(db, sql) {
+        const rows = [];
+        const statement = db.prepare(sql);
+        try {
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+        return rows;
+    }
+
+    /**
+     * Pick the source CRS of a GeoPackage layer
+     * Prefers a supported EPSG code, otherwise the stored WKT definition.
+     * srs_id -1 and 0 are the GeoPackage "undefined" systems.
+     * @param {Object} table - Row from gpkg_geometry_columns joined with gpkg_spatial_ref_sys
+     * @returns {string|null} Source CRS, or null for WGS84/undefined
+     */
+    getGeoPackageCRS(table) {
+        if (table.srs_id === -1 || table.srs_id === 0) {
+            return null;
+        }
+
+        if (String(table.organization || '').toUpperCase() === 'EPSG' && table.organization_coordsys_id) {
+            const code = `EPSG:${table.organization_coordsys_id}`;
+            if (code === 'EPSG:4326') {
+                return null;
+            }
+            if (this.crs.getDefinition(code) || this.crs.geographicDefinitions[code]) {
+                return code;
+            }
+        }
+
+        const definition = String(table.definition || '').trim();
+        if (definition && definition.toLowerCase() !== 'undefined') {
+            return definition;
+        }
+        throw new Error(`Layer ${table.table_name} uses an unsupported coordinate system (srs_id ${table.srs_id})`);
+    }
+
+    /**
+     * Decode a GeoPackage geometry blob (GP header + WKB)
+     * @param {Uint8Array} blob - Geometry blob
+     * @returns {Object|null} GeoJSON geometry, or null for empty geometries
+     */
+    parseGeoPackageGeometry(blob) {
+        if (blob[0] !== 0x47 || blob[1] !== 0x50) { // 'GP'
+            throw new Error('Invalid GeoPackage geometry header');
+        }
+
+        const flags = blob[3];
+        const empty = (flags >> 4) & 1;
+        const envelopeType = (flags >> 1) & 7;
+        const envelopeBytes = [0, 32, 48, 48, 64][envelopeType];
+        if (envelopeBytes === undefined) {
+            throw new Error(`Invalid GeoPackage envelope type ${envelopeType}`);
+        }
+        if (empty) {
+            return null;
+        }
+
+        const view = new DataView(blob.buffer, blob.byteOffset, blob.byteLength);
+        return this.readWKB(view, 8 + envelopeBytes).geometry;
+    }
+
+    /**
+     * Read a WKB geometry (ISO and EWKB variants; Z/M values are dropped)
+     * @param {DataView} view - Buffer view
+     * @param {number} offset - Byte offset of the geometry
+     * @returns {{geometry: Object, offset: number}} Geometry and the offset after it
+     */
+    readWKB(view, offset) {
+        const littleEndian = view.getUint8(offset) === 1;
+        let type = view.getUint32(offset + 1, littleEndian);
+        offset += 5;
+
+        // EWKB flags
+        let dimensions = 2;
+        if (type & 0x80000000) dimensions++;
+        if (type & 0x40000000) dimensions++;
+        if (type & 0x20000000) offset += 4; // Embedded SRID
+        type &= 0x0fffffff;
+
+        // ISO Z (1000), M (2000) and ZM (3000) type codes
+        const isoDimensions = Math.floor(type / 1000);
+        if (isoDimensions > 0) {
+            dimensions = isoDimensions === 3 ? 4 : 3;
+            type %= 1000;
+        }
+
+        const readPoint = () => {
+            const position = [view.getFloat64(offset, littleEndian), view.getFloat64(offset + 8, littleEndian)];
+            offset += dimensions * 8;
+            return position;
+        };
+        const readPoints = () => {
+            const count = view.getUint32(offset, littleEndian);
+            offset += 4;
+            const points = [];
+            for (let i = 0; i < count; i++) points.push(readPoint());
+            return points;
+        };
+        const readRings = () => {
+            const count = view.getUint32(offset, littleEndian);
+            offset += 4;
+            const rings = [];
+            for (let i = 0; i < count; i++) rings.push(readPoints());
+            return rings;
+        };
+        const readMembers = () => {
+            const count = view.getUint32(offset, littleEndian);
+            offset += 4;
+            const members = [];
+            for (let i = 0; i < count; i++) {
+                const member = this.readWKB(view, offset);
+                members.push(member.geometry);
+                offset = member.offset;
+            }
+            return members;
+        };
+
+        let geometry;
+        switch (type) {
+            case 1: {
+                const point = readPoint();
+                geometry = Number.isNaN(point[0]) ? null : { type: 'Point', coordinates: point };
+                break;
+            }
+            case 2: geometry = { type: 'LineString', coordinates: readPoints() }; break;
+            case 3: geometry = { type: 'Polygon', coordinates: readRings() }; break;
+            case 4: geometry = { type: 'MultiPoint', coordinates: readMembers().filter(Boolean).map(g => g.coordinates) }; break;
+            case 5: geometry = { type: 'MultiLineString', coordinates: readMembers().map(g => g.coordinates) }; break;
+            case 6: geometry = { type: 'MultiPolygon', coordinates: readMembers().map(g => g.coordinates) }; break;
+            case 7: geometry = { type: 'GeometryCollection', geometries: readMembers().filter(Boolean) }; break;
+            default:
+                throw new Error(`Unsupported WKB geometry type ${type}`);
+        }
+        return { geometry, offset };
+    }
+
+    /**
+     * Decompress gzip content to text
+     * @param {ArrayBuffer} buffer - Gzip file content
+     * @returns {Promise<string>} Decompressed UTF-8 text
+     * @throws {Error} If DecompressionStream is missing or the content is not gzip
+     */
+    async gunzipText(buffer) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read gzip files (DecompressionStream is not supported)');
+        }
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        try {
+            return await new Response(stream).text();
+        } catch (error) {
+            throw new Error(`The file is not valid gzip: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse CSV with a WKT/EWKT geometry column, or lon/lat columns for points
+     * @param {string} text - File content
+     * @param {Object} context - Import context
+     * @returns {Object} { data, crs }
+     */
+    parseCSV(text, context) {
+        const rows = this.parseCSVRows(text);
+        if (rows.length < 2) {
+            throw new Error('CSV has no data rows');
+        }
+
+        const header = rows[0].map(name => name.trim());
+        const dataRows = rows.slice(1).filter(row => row.some(value => value.trim() !== ''));
+        const wktPattern = /^\s*(SRID=\d+;)?\s*(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\b/i;
+
+        // Geometry column: a well-known name, else the first column holding WKT
+        let wktIndex = header.findIndex(name => /^(wkt|geom|geometry|the_geom|wkb_geometry|shape)$/i.test(name));
+        if (wktIndex === -1 && dataRows.length > 0) {
+            wktIndex = header.findIndex((_, index) => wktPattern.test(dataRows[0][index] || ''));
+        }
+        const lngIndex = header.findIndex(name => /^(lon|lng|long|longitude|x)$/i.test(name));
+        const latIndex = header.findIndex(name => /^(lat|latitude|y)$/i.test(name));
+        if (wktIndex === -1 && (lngIndex === -1 || latIndex === -1)) {
+            throw new Error('CSV needs a WKT geometry column (e.g. "WKT" or "geometry") or lon/lat columns');
+        }
+
+        let crs = null;
+        const features = [];
+        dataRows.forEach((row, rowIndex) => {
+            if (rowIndex % 5000 === 0) {
+                context.onProgress(0.6 * rowIndex / dataRows.length, `Parsing CSV row ${rowIndex + 1} of ${dataRows.length}...`);
+            }
+
+            const properties = {};
+            header.forEach((name, index) => {
+                if (index === wktIndex || !name) return;
+                properties[name] = this.parseTextValue(row[index]);
+            });
+
+            let geometry = null;
+            if (wktIndex !== -1) {
+                let wkt = (row[wktIndex] || '').trim();
+                const srid = wkt.match(/^SRID=(\d+);/i);
+                if (srid) {
+                    const code = `EPSG:${srid[1]}`;
+                    if (crs && crs !== code) {
+                        throw new Error(`CSV mixes coordinate systems (${crs} and ${code})`);
+                    }
+                    crs = code;
+                    wkt = wkt.slice(srid[0].length);
+                }
+                if (wkt) {
+                    try {
+                        geometry = this.parseWKT(wkt);
+                    } catch (error) {
+                        throw new Error(`CSV row ${rowIndex + 2}: ${error.message}`);
+                    }
+                }
+            } else {
+                const lng = parseFloat(row[lngIndex]);
+                const lat = parseFloat(row[latIndex]);
+                if (Number.isFinite(lng) && Number.isFinite(lat)) {
+                    geometry = { type: 'Point', coordinates: [lng, lat] };
+                }
+            }
+            features.push({ type: 'Feature', properties, geometry });
+        });
+
+        return { data: { type: 'FeatureCollection', features }, crs: crs === 'EPSG:4326' ? null : crs };
+    }
+
+    /**
+     * Split CSV text into rows of fields (RFC 4180 quoting; delimiter , ; or tab)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCSVRows(text) {
+        const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+        const firstLine = source.slice(0, source.search(/\r?\n|$/));
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Convert a text field (CSV, KML ExtendedData) to a number, boolean or null where it clearly is one
+     * @param {string} value - Field text
+     * @returns {*} Parsed value
+     */
+    parseTextValue(value) {
+        if (value === undefined) return null;
+        const trimmed = value.trim();
+        if (trimmed === '') return null;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) return Number(trimmed);
+        if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+        return value;
+    }
+
+    /**
+     * Parse a WKT geometry (Z/M values are dropped)
+     * @param {string} wkt - Well-known text
+     * @returns {Object|null} GeoJSON geometry, or null for EMPTY
+     * @throws {Error} If the text is not valid WKT
+     */
+    parseWKT(wkt) {
+        const tokens = wkt.match(/[A-Za-z]+|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[(),]/g) || [];
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const expect = (token) => {
+            if (next() !== token) {
+                throw new Error(`Invalid WKT near "${tokens.slice(Math.max(0, index - 3), index + 2).join(' ')}"`);
+            }
+        };
+
+        const readPosition = () => {
+            const position = [];
+            while (peek() !== undefined && /^[-+.\d]/.test(peek())) {
+                position.push(parseFloat(next()));
+            }
+            if (position.length < 2) {
+                throw new Error('Invalid WKT coordinate');
+            }
+            return position.slice(0, 2);
+        };
+        const readList = (readItem) => {
+            expect('(');
+            const items = [readItem()];
+            while (peek() === ',') {
+                next();
+                items.push(readItem());
+            }
+            expect(')');
+            return items;
+        };
+        const readPositions = () => readList(readPosition);
+        const readRings = () => readList(readPositions);
+        // MULTIPOINT allows both (1 2, 3 4) and ((1 2), (3 4))
+        const readMultiPointMember = () => {
+            if (peek() !== '(') return readPosition();
+            expect('(');
+            const position = readPosition();
+            expect(')');
+            return position;
+        };
+
+        const readGeometry = () => {
+            const type = (next() || '').toUpperCase();
+            while (/^(Z|M|ZM)$/i.test(peek() || '')) next();
+            if ((peek() || '').toUpperCase() === 'EMPTY') {
+                next();
+                return null;
+            }
+
+            switch (type) {
+                case 'POINT': return { type: 'Point', coordinates: readList(readPosition)[0] };
+                case 'LINESTRING': return { type: 'LineString', coordinates: readPositions() };
+                case 'POLYGON': return { type: 'Polygon', coordinates: readRings() };
+                case 'MULTIPOINT': return { type: 'MultiPoint', coordinates: readList(readMultiPointMember) };
+                case 'MULTILINESTRING': return { type: 'MultiLineString', coordinates: readRings() };
+                case 'MULTIPOLYGON': return { type: 'MultiPolygon', coordinates: readList(readRings) };
+                case 'GEOMETRYCOLLECTION': return { type: 'GeometryCollection', geometries: readList(readGeometry).filter(Boolean) };
+                default:
+                    throw new Error(`Unsupported WKT geometry type "${type}"`);
+            }
+        };
+
+        const geometry = readGeometry();
+        if (index !== tokens.length) {
+            throw new Error('Unexpected text after WKT geometry');
+        }
+        return geometry;
+    }
+
+    /**
+     * Parse KML placemarks (always WGS84 lng/lat)
+     * @param {string} text - File content
+     * @returns {Object} { data, crs }
+     */
+    parseKML(text) {
+        if (typeof toGeoJSON === 'undefined') {
+            throw new Error('KML support is not loaded (@tmcw/togeojson)');
+        }
+
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('File is not valid KML (XML parse error)');
+        }
+        // ExtendedData values are text; heights and energy columns need numbers
+        const data = toGeoJSON.kml(doc);
+        data.features.forEach(feature => {
+            const properties = feature.properties || {};
+            Object.keys(properties).forEach(key => {
+                if (typeof properties[key] === 'string') {
+                    properties[key] = this.parseTextValue(properties[key]);
+                }
+            });
+        });
+        return { data, crs: null };
+    }
+}
+
+// Export for use in other modules
+window.ImporterModule = ImporterModule;
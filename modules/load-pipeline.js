@@ -0,0 +1,212 @@
+/**
+ * Load Pipeline Module - Runs file loading in a Web Worker (modules/load-worker.js)
+ * The worker reads and converts the file, classifies it into buildings, trunks, canopies
+ * and roads (buffering the roads) and calculates the energy statistics. The result is
+ * handed to DataModule.addClassifiedDataToMap() / appendClassifiedData() on the main thread.
+ */
+
+class LoadPipelineModule {
+    constructor(coreModule, dataModule, importerModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.importers = importerModule;
+        this.workerUrl = 'modules/load-worker.js';
+        this.worker = null;
+        this.job = null; // { resolve, reject, result, received, total, onProgress } of the running load
+    }
+
+    /**
+     * Initialize load pipeline module
+     * The worker itself is started on the first load.
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listener for the cancel button of the progress bar
+     */
+    setupEventListeners() {
+        const cancelBtn = document.getElementById('progress-cancel');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancel());
+        }
+    }
+
+    /**
+     * Check whether loads can run in a worker
+     * Workers cannot be started from file:// pages; the UI then loads on the main thread.
+     * @returns {boolean} True if a worker can be used
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    }
+
+    /**
+     * Get the worker, starting it on first use
+     * @returns {Worker} Load worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                const error = new Error(`Load worker failed: ${event.message || 'could not be started'}`);
+                error.name = 'WorkerError';
+                this.terminate();
+                this.finish(error);
+            };
+        }
+        return this.worker;
+    }
+
+    /**
+     * Load a file in the worker
+     * Importers flagged mainThreadOnly (e.g. KML, which needs DOMParser) convert the file
+     * here and only the classification runs in the worker.
+     * @param {File} file - File to load
+     * @param {Function} onProgress - Called with the fraction done (0-1) and a text
+     * @returns {Promise<Object>} { classified, hasHeightData, featureCount }; rejects with an
+     *   AbortError when cancelled and a WorkerError when the worker cannot run
+     */
+    async load(file, onProgress = () => {}) {
+        if (this.job) {
+            throw new Error('Another file is still loading');
+        }
+
+        const importer = this.importers.getImporter(file.name);
+        if (!importer) {
+            throw new Error(`Unsupported file type: ${file.name}. Supported: ${this.importers.getAcceptString()}`);
+        }
+
+        const done = new Promise((resolve, reject) => {
+            this.job = {
+                resolve,
+                reject,
+                onProgress,
+                result: { buildings: [], trunks: [], canopies: [], roads: [] },
+                received: 0,
+                total: 0
+            };
+        });
+        const job = this.job; // A cancel followed by a new load replaces this.job
+        const energyColumn = this.data.selectedEnergyColumn;
+
+        try {
+            if (importer.mainThreadOnly) {
+                onProgress(0, 'Reading file...');
+                const content = importer.readAs === 'arrayBuffer' ? await file.arrayBuffer() : await file.text();
+                const data = await this.importers.importFile(file, content, (fraction, text) => onProgress(0.3 + fraction * 0.2, text));
+                if (this.job !== job) return done; // Cancelled during conversion
+                this.getWorker().postMessage({ type: 'classify', data, fileName: file.name, energyColumn });
+            } else {
+                this.getWorker().postMessage({ type: 'load', file, energyColumn });
+            }
+        } catch (error) {
+            if (this.job === job) this.finish(error);
+        }
+
+        return done;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Worker message (see modules/load-worker.js)
+     */
+    handleMessage(message) {
+        const job = this.job;
+        if (!job) return;
+
+        switch (message.type) {
+            case 'progress':
+                job.onProgress(message.fraction, message.text);
+                break;
+            case 'crs-request':
+                try {
+                    this.worker.postMessage({ type: 'crs-response', code: this.importers.promptForCRS(message.fileName) });
+                } catch (error) {
+                    this.worker.postMessage({ type: 'crs-response', error: error.message });
+                }
+                break;
+            case 'classified':
+                job.total = message.total;
+                break;
+            case 'batch': {
+                // 90-100% for decoding the transferred batches
+                const features = JSON.parse(new TextDecoder().decode(message.buffer));
+                features.forEach(feature => job.result[message.collection].push(feature));
+                job.received += features.length;
+                job.onProgress(0.9 + 0.1 * (job.total ? job.received / job.total : 1),
+                    `Receiving features... (${job.received} of ${job.total})`);
+                break;
+            }
+            case 'done':
+                this.finish(null, {
+                    classified: Object.assign(job.result, {
+                        points: message.points,
+                        center: message.center,
+                        counts: message.counts,
+                        energyStats: message.energyStats,
+                        energyColumn: message.energyColumn
+                    }),
+                    hasHeightData: message.hasHeightData,
+                    featureCount: message.featureCount
+                });
+                break;
+            case 'error':
+                this.finish(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Settle the running load
+     * @param {Error|null} error - Error to reject with
+     * @param {Object} result - Result to resolve with
+     */
+    finish(error, result) {
+        const job = this.job;
+        this.job = null;
+        if (!job) return;
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    /**
+     * Cancel the running load
+     * The worker is terminated (a new one is started for the next load).
+     */
+    cancel() {
+        if (!this.job) return;
+        this.terminate();
+        const error = new Error('Loading cancelled');
+        error.name = 'AbortError';
+        this.finish(error);
+        console.log('Load cancelled');
+    }
+
+    /**
+     * Terminate the worker
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Check whether a load is running
+     * @returns {boolean} True while loading
+     */
+    isLoading() {
+        return this.job !== null;
+    }
+}
+
+// Export for use in other modules
+window.LoadPipelineModule = LoadPipelineModule;
@@ -0,0 +1,172 @@
+/**
+ * Load Worker - Reads, converts and classifies data files off the main thread
+ * Started by LoadPipelineModule. Runs the same code as the main thread (ImporterModule,
+ * DataModule.classifyFeatures, UtilsModule.calculateEnergyStats) and sends the classified
+ * features back in batches of UTF-8 JSON in transferable buffers.
+ *
+ * Messages in:
+ *   { type: 'load', file, energyColumn }                  read and convert a File with its importer
+ *   { type: 'classify', data, fileName, energyColumn }    classify an already converted FeatureCollection
+ *   { type: 'crs-response', code } / { error }            answer to 'crs-request'
+ * Messages out:
+ *   { type: 'progress', fraction, text }                  fraction of the whole job (0-1)
+ *   { type: 'crs-request', fileName }                     ask the user for the EPSG code of the file
+ *   { type: 'classified', total }                         number of features the batches will carry
+ *   { type: 'batch', collection, buffer }                 JSON array of buildings/trunks/canopies/roads
+ *   { type: 'done', points, center, counts, energyStats, energyColumn, hasHeightData, featureCount }
+ *   { type: 'error', message }
+ */
+
+// The modules register themselves on window; in a worker that is the global scope
+self.window = self;
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@turf/turf@7/turf.min.js',
+    'https://cdn.jsdelivr.net/npm/proj4@2.12.1/dist/proj4.js',
+    'https://cdn.jsdelivr.net/npm/shpjs@6.2.0/dist/shp.min.js',
+    'https://cdn.jsdelivr.net/npm/sql.js@1.14.2/dist/sql-wasm.js',
+    'utils.js',
+    'crs.js',
+    'importers.js',
+    'data.js'
+);
+
+const BATCH_SIZE = 2000; // features per transferred batch
+
+const crs = new CRSModule(null);
+const importers = new ImporterModule(null, crs);
+let pendingCRSRequest = null;
+let lastProgress = -1;
+
+// Projected coordinates without a declared CRS: the main thread asks the user
+importers.askForUndeclaredCRS = (data, fileName) => {
+    if (importers.looksGeographic(data)) {
+        return null;
+    }
+    return new Promise((resolve, reject) => {
+        pendingCRSRequest = { resolve, reject };
+        self.postMessage({ type: 'crs-request', fileName });
+    });
+};
+
+/**
+ * Report progress, at most once per percent
+ * @param {number} fraction - Fraction of the whole job (0-1)
+ * @param {string} text - Progress text
+ */
+function reportProgress(fraction, text) {
+    const percent = Math.floor(fraction * 100);
+    if (percent === lastProgress && fraction < 1) return;
+    lastProgress = percent;
+    self.postMessage({ type: 'progress', fraction, text });
+}
+
+/**
+ * Read a file with byte progress
+ * @param {File} file - File to read
+ * @param {string} readAs - 'text' or 'arrayBuffer'
+ * @param {Function} onProgress - Called with the fraction read and a text
+ * @returns {Promise<string|ArrayBuffer>} Content
+ */
+async function readFile(file, readAs, onProgress) {
+    const reader = file.stream().getReader();
+    const bytes = new Uint8Array(file.size);
+    let loaded = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytes.set(value, loaded);
+        loaded += value.length;
+        onProgress(file.size ? loaded / file.size : 1, `Reading file... (${(loaded / 1024 / 1024).toFixed(2)} MB)`);
+    }
+
+    return readAs === 'arrayBuffer' ? bytes.buffer : new TextDecoder().decode(bytes);
+}
+
+/**
+ * Send one classified collection in transferable batches
+ * @param {string} collection - 'buildings', 'trunks', 'canopies' or 'roads'
+ * @param {Array} features - Features of the collection
+ */
+function sendCollection(collection, features) {
+    const encoder = new TextEncoder();
+    for (let i = 0; i < features.length; i += BATCH_SIZE) {
+        const buffer = encoder.encode(JSON.stringify(features.slice(i, i + BATCH_SIZE))).buffer;
+        self.postMessage({ type: 'batch', collection, buffer }, [buffer]);
+    }
+}
+
+/**
+ * Classify a converted FeatureCollection and send the result to the main thread
+ * Progress: 0.5-0.85 classification, 0.85-0.9 energy statistics and encoding.
+ * @param {Object} data - WGS84 FeatureCollection
+ * @param {string} energyColumn - Energy column selected on the main thread
+ */
+function classifyAndSend(data, energyColumn) {
+    const features = data.features;
+    reportProgress(0.5, `Classifying ${features.length} features...`);
+
+    const classified = DataModule.classifyFeatures(features, (fraction) => {
+        reportProgress(0.5 + fraction * 0.35, `Classifying features and buffering roads... (${Math.round(fraction * features.length)} of ${features.length})`);
+    });
+
+    reportProgress(0.85, 'Calculating energy statistics...');
+    const energyStats = UtilsModule.calculateEnergyStats(classified.buildings, energyColumn);
+    const hasHeightData = UtilsModule.hasHeightData(features);
+
+    reportProgress(0.9, 'Sending features...');
+    const collections = ['buildings', 'trunks', 'canopies', 'roads'];
+    const total = collections.reduce((sum, collection) => sum + classified[collection].length, 0);
+    self.postMessage({ type: 'classified', total });
+    collections.forEach(collection => sendCollection(collection, classified[collection]));
+
+    self.postMessage({
+        type: 'done',
+        points: classified.points,
+        center: classified.center,
+        counts: classified.counts,
+        energyStats,
+        energyColumn,
+        hasHeightData,
+        featureCount: features.length
+    });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'crs-response') {
+        const request = pendingCRSRequest;
+        pendingCRSRequest = null;
+        if (request) {
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message.code);
+            }
+        }
+        return;
+    }
+
+    lastProgress = -1;
+    try {
+        if (message.type === 'load') {
+            const file = message.file;
+            const importer = importers.getImporter(file.name);
+            if (!importer) {
+                throw new Error(`Unsupported file type: ${file.name}. Supported: ${importers.getAcceptString()}`);
+            }
+
+            // 0-0.3 reading, 0.3-0.5 conversion and reprojection
+            const content = await readFile(file, importer.readAs, (fraction, text) => reportProgress(fraction * 0.3, text));
+            reportProgress(0.3, importer.readAs === 'text' && importer.name === 'GeoJSON' ? 'Parsing JSON...' : `Converting ${importer.name}...`);
+            const data = await importers.importFile(file, content, (fraction, text) => reportProgress(0.3 + fraction * 0.2, text));
+            classifyAndSend(data, message.energyColumn);
+        } else if (message.type === 'classify') {
+            classifyAndSend(message.data, message.energyColumn);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,459 @@
+/**
+ * Project Browser Module - Load and save scenes through the backend API
+ * Lists projects stored on the server, loads a project (any version) by ID and
+ * saves the edited scene back as a new version, so a team can share one
+ * canonical scene instead of passing GeoJSON files around.
+ *
+ * API (relative to window.API_BASE_URL, JSON bodies; see mock-server.js):
+ *   GET  /api/projects                    → { projects: [{ id, name, version, updatedAt, featureCount }] }
+ *   GET  /api/projects/:id[?version=n]    → { id, name, version, latestVersion, updatedAt, heightUnit, data }
+ *   GET  /api/projects/:id/versions       → { versions: [{ version, createdAt, message, featureCount }] }
+ *   POST /api/projects                    { name, message, heightUnit, data } → 201 { id, name, version, updatedAt }
+ *   PUT  /api/projects/:id                { baseVersion, message, heightUnit, data } → { id, name, version, updatedAt }
+ *                                         409 { error, currentVersion } if baseVersion is not the latest version
+ */
+
+class ProjectBrowserModule {
+    constructor(coreModule, dataModule, uiModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.ui = uiModule;
+        this.projects = [];
+        this.selectedProjectId = null;
+        this.currentProject = null; // { id, name, version } of the scene on the map
+    }
+
+    /**
+     * Initialize project browser module
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateCurrentProjectInfo();
+    }
+
+    /**
+     * Setup event listeners for the project browser dialog
+     */
+    setupEventListeners() {
+        const openBtn = document.getElementById('open-projects');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.open());
+        }
+
+        const closeBtn = document.getElementById('project-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        const refreshBtn = document.getElementById('project-refresh');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.refreshList());
+        }
+
+        const loadBtn = document.getElementById('project-load');
+        if (loadBtn) {
+            loadBtn.addEventListener('click', () => {
+                const versionSelect = document.getElementById('project-version');
+                const version = versionSelect && versionSelect.value ? Number(versionSelect.value) : null;
+                this.loadProject(this.selectedProjectId, version);
+            });
+        }
+
+        const saveVersionBtn = document.getElementById('project-save-version');
+        if (saveVersionBtn) {
+            saveVersionBtn.addEventListener('click', () => this.saveCurrentProject());
+        }
+
+        const saveNewBtn = document.getElementById('project-save-new');
+        if (saveNewBtn) {
+            saveNewBtn.addEventListener('click', () => this.saveAsNewProject());
+        }
+    }
+
+    /**
+     * Get the API base URL (same resolution as CoreModule)
+     * @returns {string} Base URL without trailing slash
+     */
+    getApiBase() {
+        const base = (typeof window !== 'undefined' && window.API_BASE_URL) ? window.API_BASE_URL : '';
+        return base.replace(/\/+$/, '');
+    }
+
+    /**
+     * Send a JSON request to the API
+     * @param {string} path - Path starting with /api
+     * @param {Object} options - fetch options; body objects are JSON encoded
+     * @returns {Promise<Object>} Parsed response
+     * @throws {Error} With status and server payload for non-2xx responses
+     */
+    async request(path, options = {}) {
+        const init = Object.assign({ method: 'GET', headers: {} }, options);
+        if (init.body !== undefined && typeof init.body !== 'string') {
+            init.body = JSON.stringify(init.body);
+            init.headers = Object.assign({ 'Content-Type': 'application/json' }, init.headers);
+        }
+
+        const response = await fetch(`${this.getApiBase()}${path}`, init);
+        const text = await response.text();
+        let payload = null;
+        try {
+            payload = text ? JSON.parse(text) : null;
+        } catch (_) {
+            payload = null;
+        }
+
+        if (!response.ok) {
+            const error = new Error((payload && payload.error) || `HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            error.payload = payload;
+            throw error;
+        }
+        return payload;
+    }
+
+    /**
+     * List projects on the server
+     * @returns {Promise<Array>} Project summaries
+     */
+    async listProjects() {
+        const result = await this.request('/api/projects');
+        return (result && result.projects) || [];
+    }
+
+    /**
+     * Get a project, optionally at a specific version
+     * @param {string} id - Project ID
+     * @param {number|null} version - Version number (latest if omitted)
+     * @returns {Promise<Object>} Project with its GeoJSON data
+     */
+    async getProject(id, version = null) {
+        const query = version ? `?version=${encodeURIComponent(version)}` : '';
+        return this.request(`/api/projects/${encodeURIComponent(id)}${query}`);
+    }
+
+    /**
+     * List the versions of a project
+     * @param {string} id - Project ID
+     * @returns {Promise<Array>} Versions, newest first
+     */
+    async listVersions(id) {
+        const result = await this.request(`/api/projects/${encodeURIComponent(id)}/versions`);
+        return ((result && result.versions) || []).slice().sort((a, b) => b.version - a.version);
+    }
+
+    /**
+     * Create a project from scene data
+     * @param {string} name - Project name
+     * @param {Object} data - Scene GeoJSON
+     * @param {string} message - Version message
+     * @returns {Promise<Object>} { id, name, version, updatedAt }
+     */
+    async createProject(name, data, message = '') {
+        return this.request('/api/projects', {
+            method: 'POST',
+            body: { name, message, heightUnit: this.data.heightUnit, data }
+        });
+    }
+
+    /**
+     * Save scene data as a new version of a project
+     * @param {string} id - Project ID
+     * @param {number} baseVersion - Version the edits are based on
+     * @param {Object} data - Scene GeoJSON
+     * @param {string} message - Version message
+     * @returns {Promise<Object>} { id, name, version, updatedAt }
+     */
+    async saveProjectVersion(id, baseVersion, data, message = '') {
+        return this.request(`/api/projects/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: { baseVersion, message, heightUnit: this.data.heightUnit, data }
+        });
+    }
+
+    /**
+     * Open the project browser dialog
+     */
+    async open() {
+        const modal = document.getElementById('project-modal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+        this.updateCurrentProjectInfo();
+        await this.refreshList();
+    }
+
+    /**
+     * Close the project browser dialog
+     */
+    close() {
+        const modal = document.getElementById('project-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Reload the project list from the server
+     */
+    async refreshList() {
+        this.setStatus('Loading projects...');
+        try {
+            this.projects = await this.listProjects();
+            if (!this.projects.some(project => project.id === this.selectedProjectId)) {
+                this.selectedProjectId = this.currentProject ? this.currentProject.id : null;
+            }
+            this.renderProjectList();
+            await this.renderVersions();
+            this.setStatus(this.projects.length ? `${this.projects.length} project(s) on ${this.getApiBase() || 'this server'}` : 'No projects on the server yet');
+        } catch (error) {
+            console.error('Error loading projects:', error);
+            this.projects = [];
+            this.renderProjectList();
+            this.setStatus(`Could not reach the project API: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Render the project list
+     */
+    renderProjectList() {
+        const list = document.getElementById('project-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.projects.forEach(project => {
+            const item = document.createElement('li');
+            item.className = 'project-item' + (project.id === this.selectedProjectId ? ' selected' : '');
+            item.dataset.id = project.id;
+
+            const name = document.createElement('span');
+            name.className = 'project-name';
+            name.textContent = project.name || project.id;
+
+            const meta = document.createElement('span');
+            meta.className = 'project-meta';
+            const updated = project.updatedAt ? new Date(project.updatedAt).toLocaleString() : '';
+            meta.textContent = `v${project.version}${project.featureCount !== undefined ? ` · ${project.featureCount} features` : ''}${updated ? ` · ${updated}` : ''}`;
+
+            item.appendChild(name);
+            item.appendChild(meta);
+            item.addEventListener('click', () => this.selectProject(project.id));
+            item.addEventListener('dblclick', () => this.loadProject(project.id));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Select a project in the list
+     * @param {string} id - Project ID
+     */
+    async selectProject(id) {
+        this.selectedProjectId = id;
+        this.renderProjectList();
+        await this.renderVersions();
+    }
+
+    /**
+     * Fill the version selector for the selected project
+     */
+    async renderVersions() {
+        const versionSelect = document.getElementById('project-version');
+        const loadBtn = document.getElementById('project-load');
+        if (loadBtn) {
+            loadBtn.disabled = !this.selectedProjectId;
+        }
+        if (!versionSelect) return;
+
+        versionSelect.innerHTML = '';
+        if (!this.selectedProjectId) return;
+
+        try {
+            const versions = await this.listVersions(this.selectedProjectId);
+            versions.forEach((entry, index) => {
+                const option = document.createElement('option');
+                option.value = index === 0 ? '' : String(entry.version); // '' = latest
+                const created = entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '';
+                option.textContent = `v${entry.version}${index === 0 ? ' (latest)' : ''}${created ? ` · ${created}` : ''}${entry.message ? ` · ${entry.message}` : ''}`;
+                versionSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading project versions:', error);
+            this.setStatus(`Could not load versions: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Load a project onto the map
+     * The scene goes through the same load pipeline as local files (worker classification,
+     * progress, cancel and the replace / append / compare load modes). Only a replaced scene
+     * becomes the current project.
+     * @param {string} id - Project ID
+     * @param {number|null} version - Version number (latest if omitted)
+     */
+    async loadProject(id, version = null) {
+        if (!id) return;
+
+        let project;
+        try {
+            this.ui.showProgress();
+            this.ui.updateProgress(0, 'Downloading project...');
+            project = await this.getProject(id, version);
+            if (!project || !project.data || !Array.isArray(project.data.features)) {
+                throw new Error('The server returned no scene data for this project');
+            }
+        } catch (error) {
+            this.ui.hideProgress();
+            console.error('Error loading project:', error);
+            alert(`Error loading project: ${error.message}`);
+            return;
+        }
+
+        // Projects store their height unit; older ones fall back to asking like a file load
+        const file = new File([JSON.stringify(project.data)], `${project.name} v${project.version}.geojson`, { type: 'application/geo+json' });
+        const heightUnit = project.heightUnit === 'meters' || project.heightUnit === 'feet' ? project.heightUnit : null;
+        this.close();
+        const mode = await this.ui.loadDataWithProgress(file, { heightUnit });
+        if (!mode) return;
+
+        if (mode === 'replace') {
+            this.setCurrentProject({
+                id: project.id,
+                name: project.name,
+                version: project.version,
+                latestVersion: project.latestVersion || project.version
+            });
+        }
+        console.log(`✓ Loaded project "${project.name}" v${project.version} (${project.data.features.length} features, ${mode})`);
+    }
+
+    /**
+     * Save the scene as a new version of the current project
+     * If the project has newer versions (saved by someone else, or an older version
+     * was loaded), ask before saving on top of them.
+     */
+    async saveCurrentProject() {
+        if (!this.currentProject) {
+            await this.saveAsNewProject();
+            return;
+        }
+
+        const data = this.data.saveData();
+        if (!data) {
+            alert('No data to save.');
+            return;
+        }
+
+        const messageInput = document.getElementById('project-message');
+        const message = messageInput ? messageInput.value.trim() : '';
+        let baseVersion = this.currentProject.version;
+
+        try {
+            this.setStatus('Saving...');
+            let saved;
+            try {
+                saved = await this.saveProjectVersion(this.currentProject.id, baseVersion, data, message);
+            } catch (error) {
+                if (error.status !== 409) throw error;
+
+                const latest = error.payload && error.payload.currentVersion;
+                if (!confirm(`"${this.currentProject.name}" has newer versions than v${baseVersion} (latest is v${latest}).\nSave your scene as the next version anyway?`)) {
+                    this.setStatus('Save cancelled: the project has a newer version', true);
+                    return;
+                }
+                baseVersion = latest;
+                saved = await this.saveProjectVersion(this.currentProject.id, baseVersion, data, message);
+            }
+
+            this.setCurrentProject({ id: saved.id, name: saved.name, version: saved.version, latestVersion: saved.version });
+            if (messageInput) messageInput.value = '';
+            this.setStatus(`Saved "${saved.name}" as v${saved.version}`);
+            console.log(`✓ Saved project "${saved.name}" v${saved.version} (${data.features.length} features)`);
+            await this.refreshList();
+        } catch (error) {
+            console.error('Error saving project:', error);
+            this.setStatus(`Error saving project: ${error.message}`, true);
+            alert(`Error saving project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the scene as a new project
+     */
+    async saveAsNewProject() {
+        const data = this.data.saveData();
+        if (!data) {
+            alert('No data to save.');
+            return;
+        }
+
+        const nameInput = document.getElementById('project-name');
+        let name = nameInput ? nameInput.value.trim() : '';
+        if (!name) {
+            name = (prompt('Project name:', this.currentProject ? `${this.currentProject.name} copy` : 'New scene') || '').trim();
+        }
+        if (!name) return;
+
+        const messageInput = document.getElementById('project-message');
+        const message = messageInput ? messageInput.value.trim() : '';
+
+        try {
+            this.setStatus('Saving...');
+            const saved = await this.createProject(name, data, message);
+            this.setCurrentProject({ id: saved.id, name: saved.name, version: saved.version, latestVersion: saved.version });
+            this.selectedProjectId = saved.id;
+            if (nameInput) nameInput.value = '';
+            if (messageInput) messageInput.value = '';
+            this.setStatus(`Created "${saved.name}" (v${saved.version})`);
+            console.log(`✓ Created project "${saved.name}" (${data.features.length} features)`);
+            await this.refreshList();
+        } catch (error) {
+            console.error('Error creating project:', error);
+            this.setStatus(`Error creating project: ${error.message}`, true);
+            alert(`Error creating project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the project the scene on the map belongs to
+     * @param {Object|null} project - { id, name, version, latestVersion } or null for local data
+     */
+    setCurrentProject(project) {
+        this.currentProject = project;
+        this.updateCurrentProjectInfo();
+    }
+
+    /**
+     * Update the current project labels
+     */
+    updateCurrentProjectInfo() {
+        const text = this.currentProject
+            ? `${this.currentProject.name} · v${this.currentProject.version}`
+            : 'Local data (not linked to a project)';
+
+        const info = document.getElementById('current-project-info');
+        if (info) {
+            info.textContent = text;
+        }
+
+        const saveVersionBtn = document.getElementById('project-save-version');
+        if (saveVersionBtn) {
+            saveVersionBtn.disabled = !this.currentProject;
+        }
+    }
+
+    /**
+     * Show a status message in the dialog
+     * @param {string} message - Message
+     * @param {boolean} isError - Error styling
+     */
+    setStatus(message, isError = false) {
+        const status = document.getElementById('project-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ProjectBrowserModule = ProjectBrowserModule;
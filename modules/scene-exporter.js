@@ -0,0 +1,298 @@
+/**
+ * Scene Exporter Module - Export buildings, roads and trees as one 3D scene
+ * Writes binary STL, Wavefront OBJ (+ MTL) and glTF binary (GLB) with
+ * per-object names and the colors shown on the map
+ */
+
+class SceneExporterModule {
+    constructor(coreModule, dataModule, stlExporterModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.stl = stlExporterModule; // Provides extrusion, local coordinates and binary STL
+        this.roadHeight = 0.1; // meters, same as the roads layer
+        this.colors = {
+            road: '#666666',
+            trunk: '#8B4513',
+            canopy: '#008000'
+        };
+    }
+
+    /**
+     * Initialize scene exporter module
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for the scene export button
+     */
+    setupEventListeners() {
+        const exportBtn = document.getElementById('export-scene');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const formatSelect = document.getElementById('scene-export-format');
+                this.exportScene(formatSelect ? formatSelect.value : 'glb');
+            });
+        }
+    }
+
+    /**
+     * Export the scene in the given format
+     * @param {'stl'|'obj'|'glb'} format - Output format
+     */
+    async exportScene(format) {
+        try {
+            const objects = this.buildSceneObjects();
+            if (objects.length === 0) {
+                alert('Nothing to export!');
+                return;
+            }
+
+            const filename = prompt('Enter filename (without extension):', 'scene');
+            if (filename === null || filename.trim() === '') {
+                return; // User cancelled
+            }
+            const baseFilename = filename.trim().replace(/[<>:"/\\|?*]/g, '_');
+
+            if (format === 'obj') {
+                const { obj, mtl } = this.createOBJ(objects, `${baseFilename}.mtl`);
+                this.stl.downloadBlob(new Blob([obj], { type: 'text/plain' }), `${baseFilename}.obj`);
+                // Let the first download start before triggering the second
+                await new Promise(resolve => setTimeout(resolve, 100));
+                this.stl.downloadBlob(new Blob([mtl], { type: 'text/plain' }), `${baseFilename}.mtl`);
+            } else if (format === 'stl') {
+                const header = this.stl.getBinarySTLHeader(`EcoTwinAI scene: ${objects.length}`);
+                this.stl.downloadBlob(new Blob([this.stl.createBinarySTL(objects, header)], { type: 'application/octet-stream' }), `${baseFilename}.stl`);
+            } else {
+                this.stl.downloadBlob(new Blob([this.createGLB(objects)], { type: 'model/gltf-binary' }), `${baseFilename}.glb`);
+            }
+
+            console.log(`✓ Exported ${objects.length} scene objects to ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Error exporting scene:', error);
+            alert(`Error exporting scene: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build named, colored triangle meshes for all buildings, roads and trees
+     * Coordinates are local meters (x east, y north, z up) around the scene center.
+     * @returns {Array} Objects { name, category, color: [r, g, b], triangles }
+     */
+    buildSceneObjects() {
+        const buildings = this.data.getBuildingData().features;
+        const roads = this.data.getRoadData().features;
+        const trunks = this.data.getTreeTrunkData().features;
+        const canopies = this.data.getTreeCanopyData().features;
+
+        const allFeatures = buildings.concat(roads, trunks, canopies);
+        if (allFeatures.length === 0) return [];
+        this.stl.setReferencePointFromFeatures(allFeatures);
+
+        const objects = [];
+        const addObject = (name, category, color, triangles) => {
+            if (triangles.length > 0) {
+                objects.push({ name, category, color, triangles });
+            }
+        };
+
+        // Buildings: current height unit, colored by the energy ramp
+        const getBuildingColor = this.data.getBuildingColorFunction();
+        buildings.forEach((feature, index) => {
+            const id = feature.properties.ID !== undefined ? feature.properties.ID : index + 1;
+            const height = this.data.getBuildingHeightMeters(feature);
+            addObject(`building_${id}`, 'building', getBuildingColor(feature), this.stl.featureToTriangles(feature, 0, height));
+        });
+
+        const roadColor = UtilsModule.hexToRgb(this.colors.road);
+        roads.forEach((feature, index) => {
+            addObject(`road_${index + 1}`, 'road', roadColor, this.stl.featureToTriangles(feature, 0, this.roadHeight));
+        });
+
+        const trunkColor = UtilsModule.hexToRgb(this.colors.trunk);
+        const canopyColor = UtilsModule.hexToRgb(this.colors.canopy);
+        this.stl.groupTreesById({ features: trunks }, { features: canopies }).forEach((tree, treeId) => {
+            if (tree.trunk) {
+                const { base, top } = this.stl.getTreePartExtent(tree.trunk);
+                addObject(`${treeId}_trunk`, 'tree', trunkColor, this.stl.featureToTriangles(tree.trunk, base, top));
+            }
+            // All crown tiers form one closed canopy mesh
+            addObject(`${treeId}_canopy`, 'tree', canopyColor, this.stl.canopyToTriangles(tree.canopies));
+        });
+
+        return objects;
+    }
+
+    /**
+     * Get a material name for a color
+     * @param {Array} color - [r, g, b] (0-1)
+     * @returns {string} Material name like 'color_10b981'
+     */
+    getMaterialName(color) {
+        return 'color_' + color.map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Build a Wavefront OBJ file and its material library
+     * OBJ is written Y-up (x east, y up, z south) as most tools expect.
+     * @param {Array} objects - Scene objects
+     * @param {string} mtlFilename - Material library filename referenced by the OBJ
+     * @returns {{obj: string, mtl: string}} File contents
+     */
+    createOBJ(objects, mtlFilename) {
+        const crs = this.stl.getCRSMetadata();
+        const objParts = [
+            '# EcoTwinAI scene export\n' +
+            `# CRS: ${crs.crs} (${crs.crsName}), units: m\n` +
+            `# Origin: lng ${crs.origin.lng.toFixed(8)} lat ${crs.origin.lat.toFixed(8)}, ` +
+            `projected x ${crs.originProjected.x.toFixed(3)} y ${crs.originProjected.y.toFixed(3)}\n` +
+            '# Axes: x = easting - origin x, y = up, z = -(northing - origin y)\n' +
+            `mtllib ${mtlFilename}\n`
+        ];
+        const materials = new Map();
+        let vertexOffset = 1;
+
+        objects.forEach(object => {
+            const material = this.getMaterialName(object.color);
+            materials.set(material, object.color);
+
+            // Shared vertices per object
+            const vertexIndex = new Map();
+            const vertexLines = [];
+            const faceLines = [];
+            object.triangles.forEach(triangle => {
+                const indices = triangle.map(([x, y, z]) => {
+                    const key = `${x},${y},${z}`;
+                    if (!vertexIndex.has(key)) {
+                        vertexIndex.set(key, vertexOffset + vertexLines.length);
+                        vertexLines.push(`v ${x.toFixed(4)} ${z.toFixed(4)} ${(-y).toFixed(4)}`);
+                    }
+                    return vertexIndex.get(key);
+                });
+                faceLines.push(`f ${indices.join(' ')}`);
+            });
+
+            objParts.push(`o ${object.name}\nusemtl ${material}\n${vertexLines.join('\n')}\n${faceLines.join('\n')}\n`);
+            vertexOffset += vertexLines.length;
+        });
+
+        const mtlParts = ['# EcoTwinAI scene materials\n'];
+        materials.forEach((color, name) => {
+            mtlParts.push(`newmtl ${name}\nKd ${color.map(channel => channel.toFixed(4)).join(' ')}\nKa 0 0 0\nd 1\nillum 1\n`);
+        });
+
+        return { obj: objParts.join(''), mtl: mtlParts.join('\n') };
+    }
+
+    /**
+     * Build a glTF 2.0 binary (GLB) file
+     * One node and mesh per object, flat normals, one material per color.
+     * glTF is Y-up, so (x, y, z) becomes (x, z, -y).
+     * @param {Array} objects - Scene objects
+     * @returns {ArrayBuffer} GLB file content
+     */
+    createGLB(objects) {
+        const vertexCount = objects.reduce((sum, object) => sum + object.triangles.length * 3, 0);
+        // Positions and normals, 3 floats each per vertex
+        const binary = new Float32Array(vertexCount * 6);
+        const gltf = {
+            // CRS and origin of the local coordinates (glTF x = easting, -z = northing)
+            asset: { version: '2.0', generator: 'EcoTwinAI', extras: this.stl.getCRSMetadata() },
+            scene: 0,
+            scenes: [{ nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: [{ byteLength: binary.byteLength }]
+        };
+
+        const materialIndex = new Map();
+        let floatOffset = 0;
+
+        objects.forEach(object => {
+            const name = this.getMaterialName(object.color);
+            if (!materialIndex.has(name)) {
+                materialIndex.set(name, gltf.materials.length);
+                gltf.materials.push({
+                    name,
+                    pbrMetallicRoughness: {
+                        // Colors are sRGB, glTF base colors are linear
+                        baseColorFactor: [...object.color.map(channel => Math.pow(channel, 2.2)), 1],
+                        metallicFactor: 0,
+                        roughnessFactor: 0.9
+                    }
+                });
+            }
+
+            const count = object.triangles.length * 3;
+            const positionStart = floatOffset;
+            const normalStart = floatOffset + count * 3;
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+
+            object.triangles.forEach((triangle, t) => {
+                const normal = this.stl.calculateNormal(...triangle);
+                triangle.forEach(([x, y, z], v) => {
+                    const position = [x, z, -y];
+                    const index = (t * 3 + v) * 3;
+                    for (let c = 0; c < 3; c++) {
+                        binary[positionStart + index + c] = position[c];
+                        min[c] = Math.min(min[c], position[c]);
+                        max[c] = Math.max(max[c], position[c]);
+                    }
+                    binary[normalStart + index] = normal[0];
+                    binary[normalStart + index + 1] = normal[2];
+                    binary[normalStart + index + 2] = -normal[1];
+                });
+            });
+            floatOffset += count * 6;
+
+            const positionView = gltf.bufferViews.push({ buffer: 0, byteOffset: positionStart * 4, byteLength: count * 12, target: 34962 }) - 1;
+            const normalView = gltf.bufferViews.push({ buffer: 0, byteOffset: normalStart * 4, byteLength: count * 12, target: 34962 }) - 1;
+            const positionAccessor = gltf.accessors.push({ bufferView: positionView, componentType: 5126, count, type: 'VEC3', min, max }) - 1;
+            const normalAccessor = gltf.accessors.push({ bufferView: normalView, componentType: 5126, count, type: 'VEC3' }) - 1;
+
+            const mesh = gltf.meshes.push({
+                name: object.name,
+                primitives: [{
+                    attributes: { POSITION: positionAccessor, NORMAL: normalAccessor },
+                    material: materialIndex.get(name)
+                }]
+            }) - 1;
+            const node = gltf.nodes.push({ name: object.name, mesh, extras: { category: object.category } }) - 1;
+            gltf.scenes[0].nodes.push(node);
+        });
+
+        // GLB container: header, JSON chunk (space padded), BIN chunk
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+        const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+        const binLength = binary.byteLength;
+        const totalLength = 12 + 8 + jsonLength + 8 + binLength;
+
+        const glb = new ArrayBuffer(totalLength);
+        const view = new DataView(glb);
+        const bytes = new Uint8Array(glb);
+
+        view.setUint32(0, 0x46546C67, true); // 'glTF'
+        view.setUint32(4, 2, true);
+        view.setUint32(8, totalLength, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+        bytes.fill(0x20, 20, 20 + jsonLength);
+        bytes.set(jsonBytes, 20);
+
+        const binOffset = 20 + jsonLength;
+        view.setUint32(binOffset, binLength, true);
+        view.setUint32(binOffset + 4, 0x004E4942, true); // 'BIN'
+        bytes.set(new Uint8Array(binary.buffer), binOffset + 8);
+
+        return glb;
+    }
+}
+
+// Export for use in other modules
+window.SceneExporterModule = SceneExporterModule;
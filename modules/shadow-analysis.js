@@ -0,0 +1,716 @@
+/**
+ * Shadow Analysis Module - Sun-hour accumulation on the ground plane
+ * Samples sun positions over a date range, ray-casts against building and tree
+ * volumes and renders a gridded heatmap of total sun (or shade) hours
+ */
+
+class ShadowAnalysisModule {
+    constructor(coreModule, dataModule, sunModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.sun = sunModule;
+        this.isRunning = false;
+        this.cancelRequested = false;
+        this.result = null; // { features, daylightHours } of the last run
+        this.bucketSize = 25; // meters, cell size of the obstacle lookup grid
+        this.maxCells = 40000; // Grid resolution is coarsened above this
+        this.maxRayLength = 500; // meters, shadows longer than this are ignored
+        this.raysPerChunk = 20000; // Rays traced before yielding to the UI
+        this.canopyExtinction = 0.5; // Beer-Lambert extinction coefficient of foliage (spherical leaf angles)
+        this.minTransmittance = 0.001; // Rays dimmed below this count as fully shaded
+        this.colors = ['#1e1b4b', '#3730a3', '#2563eb', '#06b6d4', '#a3e635', '#facc15', '#f97316'];
+    }
+
+    /**
+     * Initialize shadow analysis module
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.setDefaultDates();
+        this.updateLegend();
+    }
+
+    /**
+     * Setup event listeners for analysis controls
+     */
+    setupEventListeners() {
+        const runBtn = document.getElementById('shadow-run');
+        const clearBtn = document.getElementById('shadow-clear');
+        const metricSelector = document.getElementById('shadow-metric');
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => {
+                if (this.isRunning) {
+                    this.cancelRequested = true;
+                } else {
+                    this.runAnalysis();
+                }
+            });
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clear());
+        }
+        if (metricSelector) {
+            metricSelector.addEventListener('change', () => this.updateLayer());
+        }
+    }
+
+    /**
+     * Default the date range to the date selected in the sun simulation
+     */
+    setDefaultDates() {
+        const values = this.sun.getCurrentValues();
+        const pad = (value) => String(value).padStart(2, '0');
+        const date = `${values.year}-${pad(values.month)}-${pad(values.day)}`;
+
+        ['shadow-start-date', 'shadow-end-date'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input && !input.value) {
+                input.value = date;
+            }
+        });
+    }
+
+    /**
+     * Read analysis parameters from the UI
+     * @returns {Object|null} Parameters or null if invalid
+     */
+    getParameters() {
+        const startValue = document.getElementById('shadow-start-date')?.value;
+        const endValue = document.getElementById('shadow-end-date')?.value;
+        const interval = Number(document.getElementById('shadow-interval')?.value || 30);
+        const cellSize = Number(document.getElementById('shadow-cell-size')?.value || 5);
+
+        const parseDate = (value) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+            return match ? { year: Number(match[1]), month: Number(match[2]) - 1, day: Number(match[3]) } : null;
+        };
+
+        const start = parseDate(startValue);
+        const end = parseDate(endValue);
+        if (!start || !end) {
+            alert('Please select a valid start and end date.');
+            return null;
+        }
+
+        const startMs = Date.UTC(start.year, start.month, start.day);
+        const endMs = Date.UTC(end.year, end.month, end.day);
+        if (endMs < startMs) {
+            alert('End date must not be before start date.');
+            return null;
+        }
+        const dayCount = Math.round((endMs - startMs) / 86400000) + 1;
+        if (dayCount > 366) {
+            alert('Please choose a range of at most one year.');
+            return null;
+        }
+        if (!(interval > 0) || !(cellSize > 0)) {
+            alert('Interval and cell size must be positive numbers.');
+            return null;
+        }
+
+        return { startMs, dayCount, interval, cellSize };
+    }
+
+    /**
+     * Collect sun directions for every sample with the sun above the horizon
+     * Each sample carries the leaf area index of every species on its day (see TreeSpeciesModule.getLeafState()).
+     * @param {Object} params - { startMs, dayCount, interval, dayStep? } (dayStep samples every n-th day)
+     * @param {Object} location - Site location { lat, lon }
+     * @returns {{samples: Array, hoursPerSample: number, daylightHours: number}} Sun samples
+     */
+    collectSunSamples(params, location) {
+        const samples = [];
+        const dayStep = params.dayStep || 1;
+        const hoursPerSample = (params.interval / 60) * dayStep;
+        const speciesModule = this.data.speciesModule;
+
+        for (let d = 0; d < params.dayCount; d += dayStep) {
+            const day = new Date(params.startMs + d * 86400000);
+            const leafAreaIndex = {};
+            if (speciesModule) {
+                speciesModule.getAllSpecies().forEach(species => {
+                    leafAreaIndex[species.id] = speciesModule.getLeafState(species.id, day, location.lat).leafAreaIndex;
+                });
+            }
+            for (let minutes = 0; minutes < 1440; minutes += params.interval) {
+                const date = this.sun.siteTimeToDate(
+                    day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(),
+                    Math.floor(minutes / 60), minutes % 60, location.lon
+                );
+                const position = SunCalc.getPosition(date, location.lat, location.lon);
+                if (position.altitude <= 0) continue;
+
+                // SunCalc azimuth is measured from south, clockwise (towards west)
+                samples.push({
+                    dirX: -Math.sin(position.azimuth),
+                    dirY: -Math.cos(position.azimuth),
+                    altitude: position.altitude,
+                    tanAltitude: Math.tan(position.altitude),
+                    leafAreaIndex
+                });
+            }
+        }
+
+        return { samples, hoursPerSample, daylightHours: samples.length * hoursPerSample };
+    }
+
+    /**
+     * Create converters between lng/lat and local meters around an origin
+     * Projected like the exporters (CRSModule.createLocalFrame()), then turned by the
+     * meridian convergence at the origin so y points to true north, as sun azimuths do.
+     * @param {Array} origin - [lng, lat] origin
+     * @returns {{toLocal: Function, toLngLat: Function}} Converters
+     */
+    createLocalFrame(origin) {
+        const frame = this.data.crsModule.createLocalFrame(origin);
+        const north = frame.toLocal([origin[0], origin[1] + 0.001]);
+        const convergence = Math.atan2(north[0], north[1]); // True north, clockwise from grid north
+        const cos = Math.cos(convergence);
+        const sin = Math.sin(convergence);
+        return {
+            toLocal: (coord) => {
+                const [x, y] = frame.toLocal(coord);
+                return [x * cos - y * sin, x * sin + y * cos];
+            },
+            toLngLat: (x, y) => frame.toLngLat(x * cos + y * sin, -x * sin + y * cos)
+        };
+    }
+
+    /**
+     * Build obstacle prisms (buildings, trunks, canopies) in local coordinates
+     * Canopies of trees with a species are foliage: sun rays are dimmed by their path through
+     * the crown (see getSunTransmittance()). Generic canopies, trunks and buildings are opaque.
+     * @param {Function} toLocal - lng/lat to local meters converter
+     * @param {Array} extent - [minX, minY, maxX, maxY] area of interest in meters
+     * @param {Object} types - Which obstacle kinds to include
+     * @returns {{obstacles: Array, buckets: Map}} Obstacles and bucket index
+     */
+    buildObstacles(toLocal, extent, types = { buildings: true, trunks: true, canopies: true }) {
+        const obstacles = [];
+        const buckets = new Map();
+        const bucketSize = this.bucketSize;
+
+        const addObstacle = (feature, zMin, zMax, isBuilding, foliage = null) => {
+            const geometry = feature.geometry;
+            if (!geometry || !(zMax > zMin)) return;
+
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+            // Even-odd ray tests work on all rings of all parts at once
+            const rings = [];
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            polygons.forEach(polygon => {
+                polygon.forEach(ring => {
+                    const localRing = ring.map(coord => toLocal(coord));
+                    localRing.forEach(([x, y]) => {
+                        if (x < minX) minX = x;
+                        if (y < minY) minY = y;
+                        if (x > maxX) maxX = x;
+                        if (y > maxY) maxY = y;
+                    });
+                    rings.push(localRing);
+                });
+            });
+            if (rings.length === 0) return;
+
+            if (maxX < extent[0] || maxY < extent[1] || minX > extent[2] || minY > extent[3]) return;
+
+            const obstacle = { rings, minX, minY, maxX, maxY, zMin, zMax, isBuilding, foliage, stamp: -1 };
+            obstacles.push(obstacle);
+
+            for (let ix = Math.floor(minX / bucketSize); ix <= Math.floor(maxX / bucketSize); ix++) {
+                for (let iy = Math.floor(minY / bucketSize); iy <= Math.floor(maxY / bucketSize); iy++) {
+                    const key = this.bucketKey(ix, iy);
+                    if (!buckets.has(key)) buckets.set(key, []);
+                    buckets.get(key).push(obstacle);
+                }
+            }
+        };
+
+        if (types.buildings) {
+            this.data.getBuildingData().features.forEach(feature => {
+                addObstacle(feature, 0, this.data.getBuildingHeightMeters(feature), true);
+            });
+        }
+
+        // Same vertical extents as the tree layers' paint expressions
+        if (types.trunks) {
+            this.data.getTreeTrunkData().features.forEach(feature => {
+                const props = feature.properties || {};
+                addObstacle(feature, Number(props.base) || 0, Number(props.height) || 0, false);
+            });
+        }
+        if (types.canopies) {
+            // Crown depth per tree: the leaf area index is spread over all canopy tiers
+            const canopies = this.data.getTreeCanopyData().features;
+            const crowns = new Map();
+            canopies.forEach(feature => {
+                const props = feature.properties || {};
+                if (!props.species) return;
+                const base = Number(props.base) || 0;
+                const top = base + (Number(props.height) || 0);
+                const crown = crowns.get(props.id);
+                crowns.set(props.id, crown
+                    ? { base: Math.min(crown.base, base), top: Math.max(crown.top, top) }
+                    : { base, top });
+            });
+
+            canopies.forEach(feature => {
+                const props = feature.properties || {};
+                const base = Number(props.base) || 0;
+                const crown = props.species ? crowns.get(props.id) : null;
+                const foliage = crown && crown.top > crown.base
+                    ? { species: props.species, crownDepth: crown.top - crown.base }
+                    : null;
+                addObstacle(feature, base, base + (Number(props.height) || 0), false, foliage);
+            });
+        }
+
+        return { obstacles, buckets };
+    }
+
+    /**
+     * Numeric key for a bucket cell
+     * @param {number} ix - Bucket column
+     * @param {number} iy - Bucket row
+     * @returns {number} Key
+     */
+    bucketKey(ix, iy) {
+        return (ix + 32768) * 65536 + (iy + 32768);
+    }
+
+    /**
+     * Even-odd point in polygon test over all rings
+     * @param {number} x - X in meters
+     * @param {number} y - Y in meters
+     * @param {Array} rings - Local rings
+     * @returns {boolean} True if inside
+     */
+    pointInRings(x, y, rings) {
+        let inside = false;
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const xi = ring[i][0], yi = ring[i][1];
+                const xj = ring[j][0], yj = ring[j][1];
+                if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                    inside = !inside;
+                }
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Horizontal distances at which a sun ray crosses the footprint of an obstacle
+     * @param {number} px - Ray origin x
+     * @param {number} py - Ray origin y
+     * @param {Object} sample - Sun sample { dirX, dirY }
+     * @param {Object} obstacle - Obstacle prism
+     * @returns {Array|null} Sorted distances (0 first if the origin is inside), or null if the ray misses
+     */
+    getRayCrossings(px, py, sample, obstacle) {
+        const { dirX, dirY } = sample;
+        const distances = [];
+
+        for (const ring of obstacle.rings) {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const ax = ring[i][0], ay = ring[i][1];
+                const ex = ring[i + 1][0] - ax, ey = ring[i + 1][1] - ay;
+                const denominator = dirX * ey - dirY * ex;
+                if (Math.abs(denominator) < 1e-12) continue;
+
+                const wx = ax - px, wy = ay - py;
+                const t = (wx * ey - wy * ex) / denominator;
+                const u = (wx * dirY - wy * dirX) / denominator;
+                if (t > 0 && u >= 0 && u < 1) {
+                    distances.push(t);
+                }
+            }
+        }
+
+        const startsInside = this.pointInRings(px, py, obstacle.rings);
+        if (distances.length === 0 && !startsInside) return null;
+
+        distances.sort((a, b) => a - b);
+        if (startsInside) distances.unshift(0);
+        return distances;
+    }
+
+    /**
+     * Check whether a sun ray from a point passes through an obstacle prism
+     * @param {number} px - Ray origin x
+     * @param {number} py - Ray origin y
+     * @param {Object} sample - Sun sample { dirX, dirY, tanAltitude }
+     * @param {Object} obstacle - Obstacle prism
+     * @param {number} maxDistance - Horizontal ray length to consider
+     * @param {number} originZ - Ray origin height in meters (0 = ground)
+     * @returns {boolean} True if the ray is blocked
+     */
+    rayHitsObstacle(px, py, sample, obstacle, maxDistance, originZ = 0) {
+        const distances = this.getRayCrossings(px, py, sample, obstacle);
+        if (!distances) return false;
+        const { tanAltitude } = sample;
+
+        // Consecutive crossings bound the stretches of the ray inside the footprint
+        for (let i = 0; i < distances.length; i += 2) {
+            const enter = distances[i];
+            const exit = i + 1 < distances.length ? distances[i + 1] : enter;
+            if (enter > maxDistance) break;
+            if (originZ + enter * tanAltitude <= obstacle.zMax && originZ + exit * tanAltitude >= obstacle.zMin) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Length of a sun ray inside an obstacle prism
+     * @param {number} px - Ray origin x
+     * @param {number} py - Ray origin y
+     * @param {Object} sample - Sun sample { dirX, dirY, altitude, tanAltitude }
+     * @param {Object} obstacle - Obstacle prism
+     * @param {number} maxDistance - Horizontal ray length to consider
+     * @param {number} originZ - Ray origin height in meters (0 = ground)
+     * @returns {number} Path length in meters (0 if the ray misses)
+     */
+    getRayPathLength(px, py, sample, obstacle, maxDistance, originZ = 0) {
+        const distances = this.getRayCrossings(px, py, sample, obstacle);
+        if (!distances) return 0;
+        const { tanAltitude } = sample;
+
+        let length = 0;
+        for (let i = 0; i + 1 < distances.length; i += 2) {
+            if (distances[i] > maxDistance) break;
+            // Clip the stretch inside the footprint to the prism's height range
+            const enter = Math.max(distances[i], (obstacle.zMin - originZ) / tanAltitude);
+            const exit = Math.min(distances[i + 1], (obstacle.zMax - originZ) / tanAltitude);
+            if (exit > enter) length += exit - enter;
+        }
+        return length / Math.cos(sample.altitude);
+    }
+
+    /**
+     * Trace one sun ray through the bucket grid (DDA traversal)
+     * Opaque obstacles block the ray. Foliage dims it by Beer-Lambert,
+     * exp(-k × leaf area index / crown depth × path length), with the species' leaf area
+     * index on the sample's day, so deciduous crowns let most light through in winter.
+     * @param {number} px - Ray origin x
+     * @param {number} py - Ray origin y
+     * @param {Object} sample - Sun sample
+     * @param {Map} buckets - Obstacle bucket index
+     * @param {number} maxTop - Highest obstacle top in meters
+     * @param {number} rayId - Unique ray id (obstacles are tested once per ray)
+     * @param {number} originZ - Ray origin height in meters (0 = ground)
+     * @returns {number} Share of the direct sun reaching the point (0 = full shade, 1 = full sun)
+     */
+    getSunTransmittance(px, py, sample, buckets, maxTop, rayId, originZ = 0) {
+        const bucketSize = this.bucketSize;
+        const maxDistance = Math.min(this.maxRayLength, (maxTop - originZ) / sample.tanAltitude);
+        if (maxDistance < 0) return 1;
+        let transmittance = 1;
+        const { dirX, dirY } = sample;
+
+        let ix = Math.floor(px / bucketSize);
+        let iy = Math.floor(py / bucketSize);
+        const stepX = dirX > 0 ? 1 : -1;
+        const stepY = dirY > 0 ? 1 : -1;
+        let tMaxX = dirX !== 0 ? ((dirX > 0 ? ix + 1 : ix) * bucketSize - px) / dirX : Infinity;
+        let tMaxY = dirY !== 0 ? ((dirY > 0 ? iy + 1 : iy) * bucketSize - py) / dirY : Infinity;
+        const tDeltaX = dirX !== 0 ? bucketSize / Math.abs(dirX) : Infinity;
+        const tDeltaY = dirY !== 0 ? bucketSize / Math.abs(dirY) : Infinity;
+
+        while (true) {
+            const candidates = buckets.get(this.bucketKey(ix, iy));
+            if (candidates) {
+                for (const obstacle of candidates) {
+                    if (obstacle.stamp === rayId) continue;
+                    obstacle.stamp = rayId;
+                    const leafAreaIndex = obstacle.foliage && sample.leafAreaIndex
+                        ? sample.leafAreaIndex[obstacle.foliage.species]
+                        : null;
+                    if (leafAreaIndex === null || leafAreaIndex === undefined) {
+                        if (this.rayHitsObstacle(px, py, sample, obstacle, maxDistance, originZ)) {
+                            return 0;
+                        }
+                        continue;
+                    }
+                    const path = this.getRayPathLength(px, py, sample, obstacle, maxDistance, originZ);
+                    if (path > 0) {
+                        transmittance *= Math.exp(-this.canopyExtinction * leafAreaIndex / obstacle.foliage.crownDepth * path);
+                        if (transmittance < this.minTransmittance) return 0;
+                    }
+                }
+            }
+
+            if (Math.min(tMaxX, tMaxY) > maxDistance) return transmittance;
+            if (tMaxX < tMaxY) {
+                ix += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                iy += stepY;
+                tMaxY += tDeltaY;
+            }
+        }
+    }
+
+    /**
+     * Run the sun-hour analysis for the current viewport
+     */
+    async runAnalysis() {
+        const params = this.getParameters();
+        if (!params) return;
+
+        const map = this.core.getMap();
+        const location = this.sun.getLocation();
+
+        this.isRunning = true;
+        this.cancelRequested = false;
+        this.updateControls();
+        this.setStatus('Preparing...');
+
+        try {
+            // Analysis area: current viewport
+            const bounds = map.getBounds();
+            const origin = [(bounds.getWest() + bounds.getEast()) / 2, (bounds.getSouth() + bounds.getNorth()) / 2];
+            const frame = this.createLocalFrame(origin);
+            const [minX, minY] = frame.toLocal([bounds.getWest(), bounds.getSouth()]);
+            const [maxX, maxY] = frame.toLocal([bounds.getEast(), bounds.getNorth()]);
+
+            let cellSize = params.cellSize;
+            const width = maxX - minX;
+            const height = maxY - minY;
+            if ((width / cellSize) * (height / cellSize) > this.maxCells) {
+                cellSize = Math.sqrt((width * height) / this.maxCells);
+                console.warn(`Shadow analysis: cell size increased to ${cellSize.toFixed(1)} m to stay under ${this.maxCells} cells. Zoom in for finer results.`);
+            }
+            const cols = Math.max(1, Math.ceil(width / cellSize));
+            const rows = Math.max(1, Math.ceil(height / cellSize));
+
+            // Obstacles outside the viewport can still cast shadows into it
+            const margin = this.maxRayLength;
+            const { obstacles, buckets } = this.buildObstacles(frame.toLocal, [minX - margin, minY - margin, maxX + margin, maxY + margin]);
+            const maxTop = obstacles.reduce((max, obstacle) => Math.max(max, obstacle.zMax), 0);
+
+            const { samples, hoursPerSample, daylightHours } = this.collectSunSamples(params, location);
+            console.log(`Shadow analysis: ${cols}x${rows} cells, ${obstacles.length} obstacles, ${samples.length} sun samples`);
+
+            // Ground cells; cells on building roofs are skipped
+            const cells = [];
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const x = minX + (col + 0.5) * cellSize;
+                    const y = minY + (row + 0.5) * cellSize;
+                    const bucket = buckets.get(this.bucketKey(Math.floor(x / this.bucketSize), Math.floor(y / this.bucketSize))) || [];
+                    const onRoof = bucket.some(obstacle => obstacle.isBuilding &&
+                        x >= obstacle.minX && x <= obstacle.maxX && y >= obstacle.minY && y <= obstacle.maxY &&
+                        this.pointInRings(x, y, obstacle.rings));
+                    if (!onRoof) {
+                        cells.push({ x, y, col, row });
+                    }
+                }
+            }
+
+            const sunSamples = new Float64Array(cells.length); // Sum of the transmitted sun per cell
+            const totalRays = cells.length * samples.length;
+            let rayId = 0;
+
+            for (let s = 0; s < samples.length; s++) {
+                const sample = samples[s];
+                for (let c = 0; c < cells.length; c++) {
+                    sunSamples[c] += maxTop === 0 ? 1 : this.getSunTransmittance(cells[c].x, cells[c].y, sample, buckets, maxTop, rayId);
+                    rayId++;
+
+                    if (rayId % this.raysPerChunk === 0) {
+                        this.setStatus(`Ray casting... ${((rayId / totalRays) * 100).toFixed(0)}%`);
+                        await new Promise(resolve => setTimeout(resolve, 0));
+                        if (this.cancelRequested) {
+                            this.setStatus('Cancelled');
+                            return;
+                        }
+                    }
+                }
+            }
+
+            // Grid cells as polygons for the heatmap layer
+            const features = cells.map((cell, index) => {
+                const x0 = minX + cell.col * cellSize;
+                const y0 = minY + cell.row * cellSize;
+                const ring = [
+                    frame.toLngLat(x0, y0),
+                    frame.toLngLat(x0 + cellSize, y0),
+                    frame.toLngLat(x0 + cellSize, y0 + cellSize),
+                    frame.toLngLat(x0, y0 + cellSize),
+                    frame.toLngLat(x0, y0)
+                ];
+                const sunHours = sunSamples[index] * hoursPerSample;
+                return {
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: [ring] },
+                    properties: {
+                        sunHours: Math.round(sunHours * 100) / 100,
+                        shadeHours: Math.round((daylightHours - sunHours) * 100) / 100
+                    }
+                };
+            });
+
+            this.result = { features, daylightHours, cellSize, dayCount: params.dayCount };
+            this.updateLayer();
+            this.setStatus(`${features.length} cells · ${cellSize.toFixed(1)} m · ${daylightHours.toFixed(1)} h daylight over ${params.dayCount} day(s)`);
+            console.log('✓ Shadow analysis complete');
+        } catch (error) {
+            console.error('Shadow analysis failed:', error);
+            this.setStatus('Analysis failed');
+            alert(`Shadow analysis failed: ${error.message}`);
+        } finally {
+            this.isRunning = false;
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Get the selected display metric
+     * @returns {'sunHours'|'shadeHours'} Metric property name
+     */
+    getMetric() {
+        const metricSelector = document.getElementById('shadow-metric');
+        return metricSelector && metricSelector.value === 'shadeHours' ? 'shadeHours' : 'sunHours';
+    }
+
+    /**
+     * Get min/max of the selected metric in the current result
+     * @returns {{min: number, max: number}} Value range
+     */
+    getMetricRange() {
+        if (!this.result || this.result.features.length === 0) {
+            return { min: 0, max: 0 };
+        }
+        const metric = this.getMetric();
+        let min = Infinity, max = -Infinity;
+        this.result.features.forEach(feature => {
+            const value = feature.properties[metric];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        return { min, max };
+    }
+
+    /**
+     * Create or update the heatmap layer
+     */
+    updateLayer() {
+        const map = this.core.getMap();
+        const data = { type: 'FeatureCollection', features: this.result ? this.result.features : [] };
+
+        if (map.getSource('shadow-analysis-source')) {
+            map.getSource('shadow-analysis-source').setData(data);
+        } else {
+            map.addSource('shadow-analysis-source', { type: 'geojson', data });
+        }
+
+        const metric = this.getMetric();
+        const { min, max } = this.getMetricRange();
+        const colors = metric === 'shadeHours' ? this.colors.slice().reverse() : this.colors;
+        const span = max > min ? max - min : 1;
+        const colorStops = [];
+        colors.forEach((color, i) => {
+            colorStops.push(min + span * i / (colors.length - 1), color);
+        });
+
+        const colorExpression = ['interpolate', ['linear'], ['get', metric], ...colorStops];
+
+        if (!map.getLayer('shadow-analysis-layer')) {
+            // Thin slab just above the road extrusions, below buildings
+            const layer = {
+                'id': 'shadow-analysis-layer',
+                'type': 'fill-extrusion',
+                'source': 'shadow-analysis-source',
+                'paint': {
+                    'fill-extrusion-color': colorExpression,
+                    'fill-extrusion-base': 0.11,
+                    'fill-extrusion-height': 0.2,
+                    'fill-extrusion-opacity': 0.75
+                }
+            };
+            if (map.getLayer('geojson-layer')) {
+                map.addLayer(layer, 'geojson-layer');
+            } else {
+                map.addLayer(layer);
+            }
+        } else {
+            map.setPaintProperty('shadow-analysis-layer', 'fill-extrusion-color', colorExpression);
+        }
+
+        this.updateLegend();
+    }
+
+    /**
+     * Update the heatmap legend to the current metric and range
+     */
+    updateLegend() {
+        const legend = document.getElementById('shadow-legend');
+        if (!legend) return;
+
+        if (!this.result) {
+            legend.style.display = 'none';
+            return;
+        }
+        legend.style.display = 'block';
+
+        const metric = this.getMetric();
+        const { min, max } = this.getMetricRange();
+        const colors = metric === 'shadeHours' ? this.colors.slice().reverse() : this.colors;
+
+        const title = document.getElementById('shadow-legend-title');
+        const bar = document.getElementById('shadow-legend-bar');
+        const minLabel = document.getElementById('shadow-legend-min');
+        const maxLabel = document.getElementById('shadow-legend-max');
+
+        if (title) title.textContent = metric === 'shadeHours' ? 'Shade hours (h)' : 'Sun hours (h)';
+        if (bar) bar.style.background = `linear-gradient(90deg, ${colors.join(', ')})`;
+        if (minLabel) minLabel.textContent = min.toFixed(1);
+        if (maxLabel) maxLabel.textContent = max.toFixed(1);
+    }
+
+    /**
+     * Remove the heatmap
+     */
+    clear() {
+        this.result = null;
+        const map = this.core.getMap();
+        if (map.getLayer('shadow-analysis-layer')) {
+            map.removeLayer('shadow-analysis-layer');
+        }
+        if (map.getSource('shadow-analysis-source')) {
+            map.removeSource('shadow-analysis-source');
+        }
+        this.updateLegend();
+        this.setStatus('');
+    }
+
+    /**
+     * Set status text below the analysis controls
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        const status = document.getElementById('shadow-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * Update run/cancel button state
+     */
+    updateControls() {
+        const runBtn = document.getElementById('shadow-run');
+        if (runBtn) {
+            runBtn.innerHTML = this.isRunning ? '<span>⏹ Cancel</span>' : '<span>▶ Run Analysis</span>';
+            runBtn.classList.toggle('active', this.isRunning);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ShadowAnalysisModule = ShadowAnalysisModule;
@@ -0,0 +1,282 @@
+/**
+ * Spatial Index Module - Uniform grid over lng/lat bounding boxes
+ * DataModule keeps one index per collection (buildings, tree trunks, tree canopies) so
+ * brush, delete, viewport and neighbour-distance queries only look at nearby features
+ * instead of scanning every feature. Items are bucketed into every grid cell their
+ * bounding box touches; very large items go to a separate list checked by every query.
+ */
+
+class SpatialIndexModule {
+    /**
+     * @param {Object} options - { cellSize in degrees, getId(item) for id lookups }
+     */
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 0.0005; // degrees, roughly 50 m
+        this.getId = options.getId || null;
+        this.maxCellsPerItem = 64; // Items spanning more cells go to this.oversized
+        this.cells = new Map(); // "x,y" -> Set of items
+        this.oversized = new Set();
+        this.entries = new Map(); // item -> { bbox, keys }
+        this.unindexed = new Set(); // Items without a bounding box (empty geometry): counted, never found
+        this.ids = new Map(); // id -> Set of items (when getId is set)
+        this.source = null; // Array the index was loaded from (see DataModule.getSpatialIndex)
+        this.generation = 0; // Incremented by load(), so caches built on the index can tell it was rebuilt
+    }
+
+    /**
+     * Number of indexed items
+     * @returns {number} Item count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Number of items the index was given, including those without a bounding box
+     * Compare this, not size, with the length of the source array.
+     * @returns {number} Item count
+     */
+    get count() {
+        return this.entries.size + this.unindexed.size;
+    }
+
+    /**
+     * Bounding box of a GeoJSON feature or geometry without turf overhead
+     * @param {Object} feature - GeoJSON feature or geometry
+     * @returns {Array|null} [west, south, east, north], or null without coordinates
+     */
+    static getBBox(feature) {
+        const geometry = feature && (feature.geometry || feature);
+        if (!geometry || !geometry.coordinates) return null;
+
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                if (coords[0] < bbox[0]) bbox[0] = coords[0];
+                if (coords[1] < bbox[1]) bbox[1] = coords[1];
+                if (coords[0] > bbox[2]) bbox[2] = coords[0];
+                if (coords[1] > bbox[3]) bbox[3] = coords[1];
+                return;
+            }
+            for (let i = 0; i < coords.length; i++) {
+                visit(coords[i]);
+            }
+        };
+        visit(geometry.coordinates);
+        return bbox[0] <= bbox[2] ? bbox : null;
+    }
+
+    /**
+     * Grow a bounding box by a distance in meters
+     * The box is grown in a local projected frame (CRSModule.createLocalFrame()); without one
+     * (proj4 missing) the margin is measured along the geodesic with turf.destination().
+     * @param {Array} bbox - [west, south, east, north]
+     * @param {number} meters - Margin on every side
+     * @param {Object} frame - Optional local frame near the box
+     * @returns {Array} Expanded bounding box
+     */
+    static expandBBox(bbox, meters, frame = null) {
+        if (!frame) {
+            // The widest longitude step is at the edge farthest from the equator
+            const edgeLat = Math.abs(bbox[1]) > Math.abs(bbox[3]) ? bbox[1] : bbox[3];
+            const dLat = turf.destination([bbox[0], 0], meters, 0, { units: 'meters' }).geometry.coordinates[1];
+            const dLng = turf.destination([bbox[0], edgeLat], meters, 90, { units: 'meters' }).geometry.coordinates[0] - bbox[0];
+            return [bbox[0] - dLng, bbox[1] - dLat, bbox[2] + dLng, bbox[3] + dLat];
+        }
+
+        const local = [[bbox[0], bbox[1]], [bbox[2], bbox[1]], [bbox[2], bbox[3]], [bbox[0], bbox[3]]].map(frame.toLocal);
+        const minX = Math.min(local[0][0], local[1][0], local[2][0], local[3][0]) - meters;
+        const minY = Math.min(local[0][1], local[1][1], local[2][1], local[3][1]) - meters;
+        const maxX = Math.max(local[0][0], local[1][0], local[2][0], local[3][0]) + meters;
+        const maxY = Math.max(local[0][1], local[1][1], local[2][1], local[3][1]) + meters;
+        const corners = [frame.toLngLat(minX, minY), frame.toLngLat(maxX, minY), frame.toLngLat(maxX, maxY), frame.toLngLat(minX, maxY)];
+        return [
+            Math.min(corners[0][0], corners[1][0], corners[2][0], corners[3][0]),
+            Math.min(corners[0][1], corners[1][1], corners[2][1], corners[3][1]),
+            Math.max(corners[0][0], corners[1][0], corners[2][0], corners[3][0]),
+            Math.max(corners[0][1], corners[1][1], corners[2][1], corners[3][1])
+        ];
+    }
+
+    /**
+     * Replace the contents of the index
+     * @param {Array} items - GeoJSON features
+     */
+    load(items) {
+        this.clear();
+        for (let i = 0; i < items.length; i++) {
+            this.insert(items[i]);
+        }
+        this.source = items;
+        this.generation++;
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.cells = new Map();
+        this.oversized = new Set();
+        this.entries = new Map();
+        this.unindexed = new Set();
+        this.ids = new Map();
+        this.source = null;
+    }
+
+    /**
+     * Add an item
+     * @param {Object} item - GeoJSON feature
+     * @param {Array} bbox - Optional precomputed bounding box
+     */
+    insert(item, bbox = SpatialIndexModule.getBBox(item)) {
+        if (this.entries.has(item)) return;
+        if (!bbox) {
+            this.unindexed.add(item);
+            return;
+        }
+
+        const range = this.getCellRange(bbox);
+        const cellCount = (range[2] - range[0] + 1) * (range[3] - range[1] + 1);
+        const keys = [];
+        if (cellCount > this.maxCellsPerItem) {
+            this.oversized.add(item);
+        } else {
+            for (let x = range[0]; x <= range[2]; x++) {
+                for (let y = range[1]; y <= range[3]; y++) {
+                    const key = `${x},${y}`;
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = new Set();
+                        this.cells.set(key, cell);
+                    }
+                    cell.add(item);
+                    keys.push(key);
+                }
+            }
+        }
+        this.entries.set(item, { bbox, keys });
+
+        if (this.getId) {
+            const id = this.getId(item);
+            if (!this.ids.has(id)) this.ids.set(id, new Set());
+            this.ids.get(id).add(item);
+        }
+    }
+
+    /**
+     * Remove an item
+     * @param {Object} item - Indexed GeoJSON feature
+     * @returns {boolean} True if the item was in the index
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return this.unindexed.delete(item);
+
+        entry.keys.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(item);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        this.oversized.delete(item);
+        this.entries.delete(item);
+
+        if (this.getId) {
+            const id = this.getId(item);
+            const items = this.ids.get(id);
+            if (items) {
+                items.delete(item);
+                if (items.size === 0) this.ids.delete(id);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Find items whose bounding box intersects a bounding box
+     * @param {Array} bbox - [west, south, east, north]
+     * @returns {Array} Matching items
+     */
+    search(bbox) {
+        const found = new Set();
+        const test = (item) => {
+            if (found.has(item)) return;
+            const itemBBox = this.entries.get(item).bbox;
+            if (itemBBox[0] <= bbox[2] && itemBBox[2] >= bbox[0] && itemBBox[1] <= bbox[3] && itemBBox[3] >= bbox[1]) {
+                found.add(item);
+            }
+        };
+
+        const range = this.getCellRange(bbox);
+        const cellCount = (range[2] - range[0] + 1) * (range[3] - range[1] + 1);
+        if (cellCount > this.cells.size) {
+            // Query larger than the occupied area: walk the occupied cells instead
+            this.cells.forEach((cell, key) => {
+                const [x, y] = key.split(',').map(Number);
+                if (x >= range[0] && x <= range[2] && y >= range[1] && y <= range[3]) {
+                    cell.forEach(test);
+                }
+            });
+        } else {
+            for (let x = range[0]; x <= range[2]; x++) {
+                for (let y = range[1]; y <= range[3]; y++) {
+                    const cell = this.cells.get(`${x},${y}`);
+                    if (cell) cell.forEach(test);
+                }
+            }
+        }
+        this.oversized.forEach(test);
+
+        return Array.from(found);
+    }
+
+    /**
+     * Find items whose bounding box center is within a distance of a point
+     * @param {Array} lngLat - [lng, lat]
+     * @param {number} meters - Search radius
+     * @param {Object} frame - Optional local frame near the point (see expandBBox())
+     * @returns {Array} Matching items
+     */
+    searchRadius(lngLat, meters, frame = null) {
+        const point = turf.point(lngLat);
+        return this.search(SpatialIndexModule.expandBBox([lngLat[0], lngLat[1], lngLat[0], lngLat[1]], meters, frame))
+            .filter(item => turf.distance(point, turf.point(this.getCenter(item)), { units: 'meters' }) < meters);
+    }
+
+    /**
+     * Items with an id (requires the getId option)
+     * @param {string|number} id - Item id
+     * @returns {Array} Items with that id
+     */
+    getById(id) {
+        const items = this.ids.get(id);
+        return items ? Array.from(items) : [];
+    }
+
+    /**
+     * Bounding box center of an indexed item
+     * @param {Object} item - Indexed GeoJSON feature
+     * @returns {Array|null} [lng, lat]
+     */
+    getCenter(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return null;
+        return [(entry.bbox[0] + entry.bbox[2]) / 2, (entry.bbox[1] + entry.bbox[3]) / 2];
+    }
+
+    /**
+     * Grid cell range covered by a bounding box
+     * @param {Array} bbox - [west, south, east, north]
+     * @returns {Array} [minX, minY, maxX, maxY] cell indices
+     */
+    getCellRange(bbox) {
+        return [
+            Math.floor(bbox[0] / this.cellSize),
+            Math.floor(bbox[1] / this.cellSize),
+            Math.floor(bbox[2] / this.cellSize),
+            Math.floor(bbox[3] / this.cellSize)
+        ];
+    }
+}
+
+// Export for use in other modules
+window.SpatialIndexModule = SpatialIndexModule;
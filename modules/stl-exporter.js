@@ -1,6 +1,6 @@
 /**
- * STL Exporter Module - Export trees to STL format
- * Handles STL file generation for tree trunks and canopies
+ * STL Exporter Module - Export trees, buildings and roads to STL format
+ * Handles ASCII and binary STL file generation for trees, building footprints and roads
  */
 
 class STLExporterModule {
@@ -23,11 +23,54 @@ class STLExporterModule {
         const exportBtn = document.getElementById('export-stl-trees');
         if (exportBtn) {
             exportBtn.addEventListener('click', () => {
-                this.exportTreesToSTL();
+                this.exportToSTL();
             });
         }
     }
 
+    /**
+     * Read STL export options from the UI
+     * @returns {Object} { include: { trees, buildings, roads }, layout: 'solids'|'files', format: 'ascii'|'binary' }
+     */
+    getSTLExportOptions() {
+        const isChecked = (id, fallback) => {
+            const checkbox = document.getElementById(id);
+            return checkbox ? checkbox.checked : fallback;
+        };
+        const layoutSelect = document.getElementById('stl-layout');
+        const formatSelect = document.getElementById('stl-format');
+
+        return {
+            include: {
+                trees: isChecked('stl-include-trees', true),
+                buildings: isChecked('stl-include-buildings', false),
+                roads: isChecked('stl-include-roads', false)
+            },
+            layout: layoutSelect ? layoutSelect.value : 'solids',
+            format: formatSelect ? formatSelect.value : 'ascii'
+        };
+    }
+
+    /**
+     * Export the selected layers to STL
+     * Trees alone keep the original tree export (numbering, chunking);
+     * any other combination goes through exportLayersToSTL.
+     */
+    async exportToSTL() {
+        const options = this.getSTLExportOptions();
+        const { trees, buildings, roads } = options.include;
+
+        if (!trees && !buildings && !roads) {
+            alert('Select at least one layer to export!');
+            return;
+        }
+        if (trees && !buildings && !roads) {
+            await this.exportTreesToSTL();
+            return;
+        }
+        await this.exportLayersToSTL(options);
+    }
+
     /**
      * Export trees to STL format
      */
@@ -50,7 +93,10 @@ class STLExporterModule {
                 console.warn('stl-start-number input not found, using default value 1');
             }
 
-            console.log(`Exporting trees with start number: ${startNumber}`);
+            const formatSelect = document.getElementById('stl-format');
+            const format = formatSelect ? formatSelect.value : 'ascii';
+
+            console.log(`Exporting trees with start number: ${startNumber} (${format})`);
 
             // Get file path from user
             const filePath = await this.getSaveFilePath();
@@ -70,6 +116,17 @@ class STLExporterModule {
             const totalTrees = treeTrunkData.features.length;
             const MAX_TREES_PER_FILE = 50000;
 
+            // Binary STL is built in a typed buffer and needs no string-length workarounds
+            if (format === 'binary') {
+                const numFiles = Math.ceil(totalTrees / MAX_TREES_PER_FILE);
+                if (numFiles > 1 && !confirm(`You have ${totalTrees} trees. They will be exported to ${numFiles} separate STL files (${MAX_TREES_PER_FILE} trees per file). Continue?`)) {
+                    return; // User cancelled
+                }
+                await this.exportTreesToBinarySTL(treeTrunkData, treeCanopyData, startNumber, filePath, MAX_TREES_PER_FILE);
+                console.log(`✓ Exported ${totalTrees} trees to binary STL`);
+                return;
+            }
+
             // Check if we need to split into multiple files
             if (totalTrees > MAX_TREES_PER_FILE) {
                 const numFiles = Math.ceil(totalTrees / MAX_TREES_PER_FILE);
@@ -111,6 +168,7 @@ class STLExporterModule {
 
                     // Save file
                     this.saveSTLFile(stlContent, filePath);
+                    await this.saveCRSFile(filePath.replace(/\.stl$/i, ''));
                 }
 
                 console.log(`✓ Exported ${totalTrees} trees to STL file`);
@@ -138,12 +196,13 @@ class STLExporterModule {
 
     /**
      * Get save file path from user
+     * @param {string} defaultName - Suggested filename
      * @returns {Promise<string|null>} File path or null if cancelled
      */
-    async getSaveFilePath() {
+    async getSaveFilePath(defaultName = 'trees') {
         return new Promise((resolve) => {
             // Get filename from user
-            const filename = prompt('Enter filename (without extension):', 'trees');
+            const filename = prompt('Enter filename (without extension):', defaultName);
             if (filename === null || filename.trim() === '') {
                 resolve(null);
                 return;
@@ -161,9 +220,10 @@ class STLExporterModule {
      * @param {Object} treeTrunkData - Tree trunk GeoJSON data
      * @param {Object} treeCanopyData - Tree canopy GeoJSON data
      * @param {number} startNumber - Starting number for tree numbering
+     * @param {boolean} keepReferencePoint - Reuse the current reference point (chunked exports)
      * @returns {string} STL file content
      */
-    generateSTLContent(treeTrunkData, treeCanopyData, startNumber) {
+    generateSTLContent(treeTrunkData, treeCanopyData, startNumber, keepReferencePoint = false) {
         // Use Array to avoid "Invalid string length" error for large datasets
         const stlParts = [];
         let treeNumber = startNumber;
@@ -171,53 +231,38 @@ class STLExporterModule {
         console.log(`Generating STL for ${treeTrunkData.features.length} trees...`);
 
         // Create a map of tree IDs to their trunks and canopies
-        const treeMap = new Map();
-
-        // Group trunks by tree ID
-        treeTrunkData.features.forEach(trunk => {
-            const treeId = trunk.properties.id;
-            if (!treeMap.has(treeId)) {
-                treeMap.set(treeId, { trunk: null, canopy: null });
-            }
-            treeMap.get(treeId).trunk = trunk;
-        });
-
-        // Group canopies by tree ID
-        treeCanopyData.features.forEach(canopy => {
-            const treeId = canopy.properties.id;
-            if (!treeMap.has(treeId)) {
-                treeMap.set(treeId, { trunk: null, canopy: null });
-            }
-            treeMap.get(treeId).canopy = canopy;
-        });
+        const treeMap = this.groupTreesById(treeTrunkData, treeCanopyData);
 
         console.log(`Tree map created: ${treeMap.size} unique trees`);
 
         // Calculate reference point (center of all trees) for coordinate offset
-        // This prevents trees from being compressed in STL
-        let minLng = Infinity, maxLng = -Infinity;
-        let minLat = Infinity, maxLat = -Infinity;
+        // unless the caller has already set one shared by several files
+        if (!keepReferencePoint || !this.localFrame) {
+            // This prevents trees from being compressed in STL
+            let minLng = Infinity, maxLng = -Infinity;
+            let minLat = Infinity, maxLat = -Infinity;
         
-        treeTrunkData.features.forEach(trunk => {
-            if (trunk.geometry.type === 'Polygon' && trunk.geometry.coordinates[0]) {
-                trunk.geometry.coordinates[0].forEach(coord => {
-                    minLng = Math.min(minLng, coord[0]);
-                    maxLng = Math.max(maxLng, coord[0]);
-                    minLat = Math.min(minLat, coord[1]);
-                    maxLat = Math.max(maxLat, coord[1]);
-                });
-            }
-        });
+            treeTrunkData.features.forEach(trunk => {
+                if (trunk.geometry.type === 'Polygon' && trunk.geometry.coordinates[0]) {
+                    trunk.geometry.coordinates[0].forEach(coord => {
+                        minLng = Math.min(minLng, coord[0]);
+                        maxLng = Math.max(maxLng, coord[0]);
+                        minLat = Math.min(minLat, coord[1]);
+                        maxLat = Math.max(maxLat, coord[1]);
+                    });
+                }
+            });
         
-        // Calculate center point
-        const centerLng = (minLng + maxLng) / 2;
-        const centerLat = (minLat + maxLat) / 2;
+            // Calculate center point
+            const centerLng = (minLng + maxLng) / 2;
+            const centerLat = (minLat + maxLat) / 2;
         
-        console.log(`Coordinate bounds: lng [${minLng.toFixed(6)}, ${maxLng.toFixed(6)}], lat [${minLat.toFixed(6)}, ${maxLat.toFixed(6)}]`);
-        console.log(`Reference center: [${centerLng.toFixed(6)}, ${centerLat.toFixed(6)}]`);
+            console.log(`Coordinate bounds: lng [${minLng.toFixed(6)}, ${maxLng.toFixed(6)}], lat [${minLat.toFixed(6)}, ${maxLat.toFixed(6)}]`);
+            console.log(`Reference center: [${centerLng.toFixed(6)}, ${centerLat.toFixed(6)}]`);
         
-        // Store reference point for coordinate conversion
-        this.referencePoint = { lng: centerLng, lat: centerLat };
+            // Store reference point for coordinate conversion
+            this.setReferencePoint(centerLng, centerLat);
+        }
 
         // Export each tree as a combined solid (trunk + canopy)
         let processedCount = 0;
@@ -228,7 +273,7 @@ class STLExporterModule {
             const solidName = `tree_${treeNumber}`;
             
             // Combine trunk and canopy into one solid (with coordinate conversion)
-            const treeSTL = this.treeToSTL(tree.trunk, tree.canopy, solidName);
+            const treeSTL = this.treeToSTL(tree.trunk, tree.canopies, solidName);
             stlParts.push(treeSTL);
 
             treeNumber++;
@@ -253,13 +298,14 @@ class STLExporterModule {
 
     /**
      * Convert a tree (trunk + canopy) to STL format as a single solid
-     * All facets from trunk and canopy are combined into one solid without separation
+     * All facets from trunk and canopy are combined into one solid without separation;
+     * the trunk and the crown are each a closed shell.
      * @param {Object} trunkFeature - Tree trunk GeoJSON feature
-     * @param {Object} canopyFeature - Tree canopy GeoJSON feature
+     * @param {Array|Object} canopyFeatures - Canopy tier features of the tree (or a single canopy)
      * @param {string} solidName - Name for the solid in STL
      * @returns {string} STL content for the combined tree
      */
-    treeToSTL(trunkFeature, canopyFeature, solidName) {
+    treeToSTL(trunkFeature, canopyFeatures, solidName) {
         let stlContent = `solid ${solidName}\n`;
 
         // Add all facets from trunk (if exists)
@@ -267,10 +313,11 @@ class STLExporterModule {
             stlContent += this.polygonToSTLFacets(trunkFeature);
         }
 
-        // Add all facets from canopy (if exists)
+        // Add all facets from the crown (if exists)
         // All facets are combined seamlessly in one solid
-        if (canopyFeature) {
-            stlContent += this.polygonToSTLFacets(canopyFeature);
+        const canopies = [].concat(canopyFeatures || []);
+        if (canopies.length > 0) {
+            stlContent += this.canopyToTriangles(canopies).map(triangle => this.formatFacet(triangle)).join('');
         }
 
         stlContent += `endsolid ${solidName}\n`;
@@ -285,232 +332,574 @@ class STLExporterModule {
      * @returns {Array} [x, y] in meters relative to reference point
      */
     convertToLocalCoordinates(lng, lat) {
-        if (!this.referencePoint) {
+        if (!this.localFrame) {
             // Fallback: use coordinates as-is if no reference point
             return [lng, lat];
         }
         
-        // Convert lat/lng to meters relative to reference point
-        // 1 degree latitude ≈ 111320 meters
-        // 1 degree longitude ≈ 111320 * cos(latitude) meters
-        const latMeters = (lat - this.referencePoint.lat) * 111320;
-        const lngMeters = (lng - this.referencePoint.lng) * 111320 * Math.cos(this.referencePoint.lat * Math.PI / 180);
-        
-        return [lngMeters, latMeters];
+        // Projected easting/northing relative to the reference point (see CRSModule)
+        return this.localFrame.toLocal([lng, lat]);
     }
 
     /**
-     * Convert a polygon feature to STL facets (without solid/endsolid tags)
-     * @param {Object} feature - GeoJSON feature with Polygon geometry
-     * @returns {string} STL facets content
+     * Set the local coordinate origin and the projected CRS used around it
+     * @param {number} lng - Origin longitude
+     * @param {number} lat - Origin latitude
      */
-    polygonToSTLFacets(feature) {
+    setReferencePoint(lng, lat) {
+        this.referencePoint = { lng, lat };
+        this.localFrame = this.data.crsModule.createLocalFrame([lng, lat]);
+        console.log(`Local coordinates: ${this.data.crsModule.describeFrame(this.localFrame)}`);
+    }
+
+    /**
+     * Get the CRS and origin of the current local coordinates
+     * @returns {Object} Metadata from CRSModule.getFrameMetadata()
+     */
+    getCRSMetadata() {
+        return this.data.crsModule.getFrameMetadata(this.localFrame);
+    }
+
+    /**
+     * Get a binary STL header that records the CRS and origin
+     * @param {string} label - Leading description
+     * @returns {string} Header text (at most 80 bytes are written)
+     */
+    getBinarySTLHeader(label) {
+        return `${label} ${this.data.crsModule.describeFrame(this.localFrame, true)}`;
+    }
+
+    /**
+     * Save the CRS and origin next to an ASCII STL export
+     * ASCII STL has no header and solid names are used as region names by
+     * meshing tools, so the metadata goes into <name>.crs.json instead.
+     * @param {string} baseFilename - Filename without extension
+     */
+    async saveCRSFile(baseFilename) {
+        // Let the STL download start before triggering the next one
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const metadata = Object.assign(this.getCRSMetadata(), {
+            axes: 'x = easting - origin x, y = northing - origin y, z = height above ground (m)'
+        });
+        this.downloadBlob(new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }), `${baseFilename}.crs.json`);
+    }
+
+    /**
+     * Get the vertical extent of a tree part as rendered on the map
+     * Trunk heights are absolute, canopy heights are measured from their base.
+     * @param {Object} feature - Tree trunk or canopy feature
+     * @returns {{base: number, top: number}} Extent in meters
+     */
+    getTreePartExtent(feature) {
+        const properties = feature.properties || {};
+        const base = Number(properties.base) || 0;
+        const height = Number(properties.height) || 0;
+        return { base, top: properties.isCanopy ? base + height : height };
+    }
+
+    /**
+     * Extrude a polygon feature into triangles in local coordinates
+     * Outer rings are normalized to counter-clockwise and holes to clockwise, so every
+     * triangle faces outward and each polygon becomes a closed, consistently wound shell.
+     * Caps are ear-clipped (TriangulationModule) and share their edges with the walls.
+     * @param {Object} feature - GeoJSON feature with Polygon or MultiPolygon geometry
+     * @param {number} base - Bottom height in meters
+     * @param {number} top - Top height in meters
+     * @returns {Array} Triangles, each [[x, y, z], [x, y, z], [x, y, z]]
+     */
+    featureToTriangles(feature, base, top) {
         const geometry = feature.geometry;
-        const properties = feature.properties;
-        const height = properties.height || 0;
-        const base = properties.base || 0;
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
 
-        if (geometry.type !== 'Polygon') {
+        if (!polygons) {
             console.warn(`Skipping non-polygon geometry: ${geometry.type}`);
-            return '';
+            return [];
+        }
+        if (!(top > base)) {
+            return [];
         }
 
-        let facetsContent = '';
+        const triangles = [];
+        polygons.forEach(polygon => {
+            const rings = this.toLocalRings(polygon);
+            if (rings.length === 0) return;
+
+            // Caps: top faces up, bottom (reversed) faces down
+            const vertices = [].concat(...rings);
+            TriangulationModule.triangulate(rings).forEach(([i, j, k]) => {
+                const a = vertices[i], b = vertices[j], c = vertices[k];
+                triangles.push([[a[0], a[1], top], [b[0], b[1], top], [c[0], c[1], top]]);
+                triangles.push([[a[0], a[1], base], [c[0], c[1], base], [b[0], b[1], base]]);
+            });
 
-        // Get the polygon coordinates and convert to local coordinates
-        const geoCoordinates = geometry.coordinates[0]; // Outer ring
-        const coordinates = geoCoordinates.map(coord => {
-            const local = this.convertToLocalCoordinates(coord[0], coord[1]);
-            return [local[0], local[1]]; // [x, y] in meters
+            // Walls: with counter-clockwise outer rings and clockwise holes the
+            // outside of the solid is to the right of each edge
+            rings.forEach(ring => {
+                for (let i = 0; i < ring.length; i++) {
+                    const p1 = ring[i];
+                    const p2 = ring[(i + 1) % ring.length];
+                    triangles.push([[p1[0], p1[1], base], [p2[0], p2[1], base], [p2[0], p2[1], top]]);
+                    triangles.push([[p1[0], p1[1], base], [p2[0], p2[1], top], [p1[0], p1[1], top]]);
+                }
+            });
         });
-        
-        const numVertices = coordinates.length - 1; // Last point is duplicate
 
-        // Bottom face (base)
-        if (numVertices >= 3) {
-            const bottomNormal = [0, 0, -1];
-            facetsContent += this.writeFacet(bottomNormal, coordinates.slice(0, numVertices), base);
+        return triangles;
+    }
+
+    /**
+     * Triangulate a tree crown made of stacked canopy tiers as one closed mesh
+     * Tiers that stack without gaps and have matching single rings (as placed by
+     * DataModule.placeTree()) are joined by horizontal steps between consecutive rings,
+     * so the crown is one watertight stepped solid instead of prisms touching face to face.
+     * Other canopies (single tiers, loaded geometry) become one closed prism each.
+     * @param {Array} canopies - Canopy features of one tree
+     * @returns {Array} Triangles, each [[x, y, z], [x, y, z], [x, y, z]]
+     */
+    canopyToTriangles(canopies) {
+        const tiers = canopies
+            .map(feature => ({ feature, ...this.getTreePartExtent(feature) }))
+            .filter(tier => tier.top > tier.base)
+            .sort((a, b) => a.base - b.base);
+        const prisms = () => tiers.flatMap(tier => this.featureToTriangles(tier.feature, tier.base, tier.top));
+        if (tiers.length < 2) {
+            return prisms();
         }
 
-        // Top face (base + height)
-        if (numVertices >= 3) {
-            const topNormal = [0, 0, 1];
-            const topCoords = coordinates.slice(0, numVertices).map(coord => [...coord]);
-            facetsContent += this.writeFacet(topNormal, topCoords, base + height, true);
+        // Single outer rings with the same vertex count, each tier starting where the last ends
+        const rings = [];
+        for (let i = 0; i < tiers.length; i++) {
+            const geometry = tiers[i].feature.geometry;
+            const polygonRings = geometry.type === 'Polygon' && geometry.coordinates.length === 1
+                ? this.toLocalRings(geometry.coordinates) : [];
+            if (polygonRings.length !== 1 || (i > 0 && (
+                polygonRings[0].length !== rings[0].length ||
+                Math.abs(tiers[i].base - tiers[i - 1].top) > 1e-6))) {
+                return prisms();
+            }
+            const ring = i > 0 ? this.alignRing(polygonRings[0], rings[i - 1]) : polygonRings[0];
+            if (!ring) {
+                return prisms();
+            }
+            rings.push(ring);
         }
 
-        // Side faces (extrusion walls)
-        for (let i = 0; i < numVertices; i++) {
-            const nextI = (i + 1) % numVertices;
-            const p1 = coordinates[i];
-            const p2 = coordinates[nextI];
-
-            // Create two triangles for each side face
-            // Triangle 1: bottom-left, top-left, bottom-right
-            const normal1 = this.calculateNormal(
-                [p1[0], p1[1], base],
-                [p1[0], p1[1], base + height],
-                [p2[0], p2[1], base]
-            );
-
-            facetsContent += `  facet normal ${this.formatNumber(normal1[0])} ${this.formatNumber(normal1[1])} ${this.formatNumber(normal1[2])}\n`;
-            facetsContent += `    outer loop\n`;
-            facetsContent += `      vertex ${this.formatNumber(p1[0])} ${this.formatNumber(p1[1])} ${this.formatNumber(base)}\n`;
-            facetsContent += `      vertex ${this.formatNumber(p1[0])} ${this.formatNumber(p1[1])} ${this.formatNumber(base + height)}\n`;
-            facetsContent += `      vertex ${this.formatNumber(p2[0])} ${this.formatNumber(p2[1])} ${this.formatNumber(base)}\n`;
-            facetsContent += `    endloop\n`;
-            facetsContent += `  endfacet\n`;
-
-            // Triangle 2: bottom-right, top-left, top-right
-            const normal2 = this.calculateNormal(
-                [p2[0], p2[1], base],
-                [p1[0], p1[1], base + height],
-                [p2[0], p2[1], base + height]
-            );
-
-            facetsContent += `  facet normal ${this.formatNumber(normal2[0])} ${this.formatNumber(normal2[1])} ${this.formatNumber(normal2[2])}\n`;
-            facetsContent += `    outer loop\n`;
-            facetsContent += `      vertex ${this.formatNumber(p2[0])} ${this.formatNumber(p2[1])} ${this.formatNumber(base)}\n`;
-            facetsContent += `      vertex ${this.formatNumber(p1[0])} ${this.formatNumber(p1[1])} ${this.formatNumber(base + height)}\n`;
-            facetsContent += `      vertex ${this.formatNumber(p2[0])} ${this.formatNumber(p2[1])} ${this.formatNumber(base + height)}\n`;
-            facetsContent += `    endloop\n`;
-            facetsContent += `  endfacet\n`;
+        const triangles = [];
+
+        // Bottom cap of the lowest tier (faces down) and top cap of the highest (faces up)
+        const first = rings[0];
+        const last = rings[rings.length - 1];
+        const bottom = tiers[0].base;
+        const top = tiers[tiers.length - 1].top;
+        TriangulationModule.triangulate([first]).forEach(([i, j, k]) => {
+            triangles.push([[first[i][0], first[i][1], bottom], [first[k][0], first[k][1], bottom], [first[j][0], first[j][1], bottom]]);
+        });
+        TriangulationModule.triangulate([last]).forEach(([i, j, k]) => {
+            triangles.push([[last[i][0], last[i][1], top], [last[j][0], last[j][1], top], [last[k][0], last[k][1], top]]);
+        });
+
+        rings.forEach((ring, t) => {
+            const { base, top: tierTop } = tiers[t];
+
+            // Walls, wound as in featureToTriangles()
+            for (let i = 0; i < ring.length; i++) {
+                const p1 = ring[i];
+                const p2 = ring[(i + 1) % ring.length];
+                triangles.push([[p1[0], p1[1], base], [p2[0], p2[1], base], [p2[0], p2[1], tierTop]]);
+                triangles.push([[p1[0], p1[1], base], [p2[0], p2[1], tierTop], [p1[0], p1[1], tierTop]]);
+            }
+
+            // Step to the next tier: quads between matching vertices of both rings. The winding
+            // faces up where the crown narrows and down where the next tier overhangs.
+            const next = rings[t + 1];
+            if (!next) return;
+            for (let i = 0; i < ring.length; i++) {
+                const a1 = ring[i], a2 = ring[(i + 1) % ring.length];
+                const b1 = next[i], b2 = next[(i + 1) % next.length];
+                if (a2[0] !== b2[0] || a2[1] !== b2[1]) {
+                    triangles.push([[a1[0], a1[1], tierTop], [a2[0], a2[1], tierTop], [b2[0], b2[1], tierTop]]);
+                }
+                if (a1[0] !== b1[0] || a1[1] !== b1[1]) {
+                    triangles.push([[a1[0], a1[1], tierTop], [b2[0], b2[1], tierTop], [b1[0], b1[1], tierTop]]);
+                }
+            }
+        });
+
+        return triangles;
+    }
+
+    /**
+     * Rotate a ring so its vertices line up with a concentric reference ring
+     * @param {Array} ring - Ring of [x, y] to rotate
+     * @param {Array} reference - Ring of [x, y] with the same vertex count
+     * @returns {Array|null} Rotated ring, or null if the vertex directions do not match
+     */
+    alignRing(ring, reference) {
+        const center = (points) => points.reduce((sum, p) => [sum[0] + p[0] / points.length, sum[1] + p[1] / points.length], [0, 0]);
+        const c1 = center(reference);
+        const c2 = center(ring);
+        const angle = (p, c) => Math.atan2(p[1] - c[1], p[0] - c[0]);
+        const difference = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+
+        let offset = 0;
+        let best = Infinity;
+        for (let i = 0; i < ring.length; i++) {
+            const d = difference(angle(ring[i], c2), angle(reference[0], c1));
+            if (d < best) {
+                best = d;
+                offset = i;
+            }
         }
+        const rotated = ring.slice(offset).concat(ring.slice(0, offset));
 
-        return facetsContent;
+        // Every vertex must point the same way as its partner, or the steps would overlap
+        const tolerance = Math.PI / ring.length;
+        return rotated.every((p, i) => difference(angle(p, c2), angle(reference[i], c1)) < tolerance) ? rotated : null;
     }
 
     /**
-     * Convert a polygon feature to STL format
-     * @param {Object} feature - GeoJSON feature with Polygon geometry
-     * @param {string} solidName - Name for the solid in STL
-     * @returns {string} STL content for this polygon
+     * Convert a GeoJSON polygon to cleaned, oriented local rings
+     * @param {Array} polygon - GeoJSON polygon coordinates (outer ring, then holes)
+     * @returns {Array} [outer, ...holes] in meters, outer counter-clockwise and holes
+     *                  clockwise; empty if the outer ring is degenerate
      */
-    polygonToSTL(feature, solidName) {
-        const geometry = feature.geometry;
-        const properties = feature.properties;
-        const height = properties.height || 0;
-        const base = properties.base || 0;
+    toLocalRings(polygon) {
+        const rings = [];
+        for (let r = 0; r < polygon.length; r++) {
+            const ring = TriangulationModule.cleanRing(this.toLocalRing(polygon[r]));
+            if (ring.length < 3) {
+                if (r === 0) return [];
+                continue; // Drop degenerate holes
+            }
+            const isCounterClockwise = this.ringArea(ring) > 0;
+            if (isCounterClockwise !== (r === 0)) ring.reverse();
+            rings.push(ring);
+        }
+        return rings;
+    }
 
-        if (geometry.type !== 'Polygon') {
-            console.warn(`Skipping non-polygon geometry: ${geometry.type}`);
-            return '';
+    /**
+     * Convert a GeoJSON ring to local coordinates without the closing vertex
+     * @param {Array} coordinates - Ring of [lng, lat] coordinates
+     * @returns {Array} Ring of [x, y] in meters
+     */
+    toLocalRing(coordinates) {
+        const ring = coordinates.map(coord => this.convertToLocalCoordinates(coord[0], coord[1]));
+        if (ring.length > 1) {
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] === last[0] && first[1] === last[1]) {
+                ring.pop();
+            }
         }
+        return ring;
+    }
 
-        let stlContent = `solid ${solidName}\n`;
+    /**
+     * Signed area of a ring (positive = counter-clockwise)
+     * @param {Array} ring - Ring of [x, y]
+     * @returns {number} Signed area
+     */
+    ringArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+        }
+        return area / 2;
+    }
 
-        // Get the polygon coordinates
-        const coordinates = geometry.coordinates[0]; // Outer ring
-        const numVertices = coordinates.length - 1; // Last point is duplicate
+    /**
+     * Build a binary STL file
+     * Per-facet colors use the VisCAM/SolidView convention (bit 15 set, red in bits 10-14,
+     * green in bits 5-9, blue in bits 0-4).
+     * @param {Array} objects - Objects { name, color?: [r, g, b] (0-1), triangles }
+     * @param {string} header - Header text (truncated to 80 bytes)
+     * @returns {ArrayBuffer} STL file content
+     */
+    createBinarySTL(objects, header = 'EcoTwinAI binary STL') {
+        const triangleCount = objects.reduce((sum, object) => sum + object.triangles.length, 0);
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const view = new DataView(buffer);
+
+        const headerBytes = new TextEncoder().encode(header).slice(0, 80);
+        new Uint8Array(buffer, 0, 80).set(headerBytes);
+        view.setUint32(80, triangleCount, true);
+
+        let offset = 84;
+        objects.forEach(object => {
+            let attribute = 0;
+            if (object.color) {
+                const [r, g, b] = object.color.map(channel => Math.round(channel * 31));
+                attribute = 0x8000 | (r << 10) | (g << 5) | b;
+            }
+
+            object.triangles.forEach(([v1, v2, v3]) => {
+                const normal = this.calculateNormal(v1, v2, v3);
+                [normal, v1, v2, v3].forEach(vector => {
+                    view.setFloat32(offset, vector[0], true);
+                    view.setFloat32(offset + 4, vector[1], true);
+                    view.setFloat32(offset + 8, vector[2], true);
+                    offset += 12;
+                });
+                view.setUint16(offset, attribute, true);
+                offset += 2;
+            });
+        });
+
+        return buffer;
+    }
+
+    /**
+     * Group tree trunks and canopies by tree ID
+     * @param {Object} treeTrunkData - Tree trunk GeoJSON data
+     * @param {Object} treeCanopyData - Tree canopy GeoJSON data
+     * @returns {Map} Tree ID -> { trunk, canopies } (canopies holds every crown tier)
+     */
+    groupTreesById(treeTrunkData, treeCanopyData) {
+        const treeMap = new Map();
+        const getTree = (treeId) => {
+            if (!treeMap.has(treeId)) {
+                treeMap.set(treeId, { trunk: null, canopies: [] });
+            }
+            return treeMap.get(treeId);
+        };
+        treeTrunkData.features.forEach(trunk => {
+            getTree(trunk.properties.id).trunk = trunk;
+        });
+        treeCanopyData.features.forEach(canopy => {
+            getTree(canopy.properties.id).canopies.push(canopy);
+        });
+        return treeMap;
+    }
+
+    /**
+     * Set the local coordinate reference point to the center of a set of features
+     * @param {Array} features - GeoJSON features
+     */
+    setReferencePointFromFeatures(features) {
+        const bbox = turf.bbox({ type: 'FeatureCollection', features });
+        this.setReferencePoint((bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2);
+    }
+
+    /**
+     * Export trees to binary STL (one file per chunk of trees)
+     * Binary STL has no solid names, so trees are written in numbering order and
+     * trunks/canopies carry brown/green facet colors.
+     * @param {Object} treeTrunkData - Tree trunk GeoJSON data
+     * @param {Object} treeCanopyData - Tree canopy GeoJSON data
+     * @param {number} startNumber - Starting number for tree numbering
+     * @param {string} filePath - Filename for the STL file
+     * @param {number} chunkSize - Number of trees per file
+     */
+    async exportTreesToBinarySTL(treeTrunkData, treeCanopyData, startNumber, filePath, chunkSize) {
+        const treesArray = Array.from(this.groupTreesById(treeTrunkData, treeCanopyData).values());
+        const numFiles = Math.ceil(treesArray.length / chunkSize);
+        const baseFilename = filePath.replace(/\.stl$/i, '');
+        const trunkColor = UtilsModule.hexToRgb('#8B4513');
+        const canopyColor = UtilsModule.hexToRgb('#008000');
 
-        // Convert coordinates to 3D points
-        // Note: GeoJSON uses [lng, lat], we need to convert to local coordinates
-        // For STL, we'll use the coordinates as-is but need to handle the extrusion
+        this.setReferencePointFromFeatures(treeTrunkData.features.concat(treeCanopyData.features));
 
-        // Bottom face (base)
-        if (numVertices >= 3) {
-            const bottomNormal = [0, 0, -1];
-            stlContent += this.writeFacet(bottomNormal, coordinates.slice(0, numVertices), base);
+        for (let fileIndex = 0; fileIndex < numFiles; fileIndex++) {
+            const chunkTrees = treesArray.slice(fileIndex * chunkSize, (fileIndex + 1) * chunkSize);
+            const objects = [];
+            chunkTrees.forEach(tree => {
+                if (tree.trunk) {
+                    const { base, top } = this.getTreePartExtent(tree.trunk);
+                    objects.push({ color: trunkColor, triangles: this.featureToTriangles(tree.trunk, base, top) });
+                }
+                if (tree.canopies.length > 0) {
+                    objects.push({ color: canopyColor, triangles: this.canopyToTriangles(tree.canopies) });
+                }
+            });
+
+            const firstNumber = startNumber + fileIndex * chunkSize;
+            const header = this.getBinarySTLHeader(`EcoTwinAI trees ${firstNumber}-${firstNumber + chunkTrees.length - 1}`);
+            const filename = numFiles > 1 ? `${baseFilename}_${fileIndex + 1}.stl` : `${baseFilename}.stl`;
+            this.downloadBlob(new Blob([this.createBinarySTL(objects, header)], { type: 'application/octet-stream' }), filename);
+            console.log(`✓ Saved ${filename} (${chunkTrees.length} trees, binary)`);
+
+            // Allow UI to update between files
+            if (fileIndex < numFiles - 1) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
         }
+    }
 
-        // Top face (base + height)
-        if (numVertices >= 3) {
-            const topNormal = [0, 0, 1];
-            const topCoords = coordinates.slice(0, numVertices).map(coord => [...coord]);
-            stlContent += this.writeFacet(topNormal, topCoords, base + height, true);
+    /**
+     * Collect named solids per layer for export
+     * Every building, road and tree is its own named solid (building_<ID>, road_<n>, tree_<n>).
+     * @param {Object} include - { trees, buildings, roads }
+     * @param {number} startNumber - Starting number for tree numbering
+     * @returns {Array} Layers { key, features, solids: [{ name, color, parts: [{ feature, base, top } or { canopies }] }] }
+     */
+    collectSTLLayers(include, startNumber) {
+        const layers = [];
+
+        if (include.buildings) {
+            const features = this.data.getBuildingData().features;
+            const getBuildingColor = this.data.getBuildingColorFunction();
+            layers.push({
+                key: 'buildings',
+                features,
+                solids: features.map((feature, index) => ({
+                    name: `building_${feature.properties.ID !== undefined ? feature.properties.ID : index + 1}`,
+                    color: getBuildingColor(feature),
+                    // Same height as the map extrusion (default height, feet/meters multiplier)
+                    parts: [{ feature, base: 0, top: this.data.getBuildingHeightMeters(feature) }]
+                }))
+            });
         }
 
-        // Side faces (extrusion walls)
-        for (let i = 0; i < numVertices; i++) {
-            const nextI = (i + 1) % numVertices;
-            const p1 = coordinates[i];
-            const p2 = coordinates[nextI];
-
-            // Create two triangles for each side face
-            // Triangle 1: bottom-left, top-left, bottom-right
-            const normal1 = this.calculateNormal(
-                [p1[0], p1[1], base],
-                [p1[0], p1[1], base + height],
-                [p2[0], p2[1], base]
-            );
-
-            stlContent += `  facet normal ${this.formatNumber(normal1[0])} ${this.formatNumber(normal1[1])} ${this.formatNumber(normal1[2])}\n`;
-            stlContent += `    outer loop\n`;
-            stlContent += `      vertex ${this.formatNumber(p1[0])} ${this.formatNumber(p1[1])} ${this.formatNumber(base)}\n`;
-            stlContent += `      vertex ${this.formatNumber(p1[0])} ${this.formatNumber(p1[1])} ${this.formatNumber(base + height)}\n`;
-            stlContent += `      vertex ${this.formatNumber(p2[0])} ${this.formatNumber(p2[1])} ${this.formatNumber(base)}\n`;
-            stlContent += `    endloop\n`;
-            stlContent += `  endfacet\n`;
-
-            // Triangle 2: bottom-right, top-left, top-right
-            const normal2 = this.calculateNormal(
-                [p2[0], p2[1], base],
-                [p1[0], p1[1], base + height],
-                [p2[0], p2[1], base + height]
-            );
-
-            stlContent += `  facet normal ${this.formatNumber(normal2[0])} ${this.formatNumber(normal2[1])} ${this.formatNumber(normal2[2])}\n`;
-            stlContent += `    outer loop\n`;
-            stlContent += `      vertex ${this.formatNumber(p2[0])} ${this.formatNumber(p2[1])} ${this.formatNumber(base)}\n`;
-            stlContent += `      vertex ${this.formatNumber(p1[0])} ${this.formatNumber(p1[1])} ${this.formatNumber(base + height)}\n`;
-            stlContent += `      vertex ${this.formatNumber(p2[0])} ${this.formatNumber(p2[1])} ${this.formatNumber(base + height)}\n`;
-            stlContent += `    endloop\n`;
-            stlContent += `  endfacet\n`;
+        if (include.roads) {
+            const features = this.data.getRoadData().features;
+            const roadColor = UtilsModule.hexToRgb('#666666');
+            layers.push({
+                key: 'roads',
+                features,
+                solids: features.map((feature, index) => ({
+                    name: `road_${index + 1}`,
+                    color: roadColor,
+                    // Same thickness as the roads layer
+                    parts: [{ feature, base: 0, top: 0.1 }]
+                }))
+            });
         }
 
-        stlContent += `endsolid ${solidName}\n`;
+        if (include.trees) {
+            const treeTrunkData = this.data.getTreeTrunkData();
+            const treeCanopyData = this.data.getTreeCanopyData();
+            const treeColor = UtilsModule.hexToRgb('#008000');
+            const solids = [];
+            let treeNumber = startNumber;
+            this.groupTreesById(treeTrunkData, treeCanopyData).forEach(tree => {
+                solids.push({
+                    name: `tree_${treeNumber++}`,
+                    color: treeColor,
+                    parts: [
+                        ...(tree.trunk ? [{ feature: tree.trunk, ...this.getTreePartExtent(tree.trunk) }] : []),
+                        ...(tree.canopies.length > 0 ? [{ canopies: tree.canopies }] : [])
+                    ]
+                });
+            });
+            layers.push({ key: 'trees', features: treeTrunkData.features.concat(treeCanopyData.features), solids });
+        }
 
-        return stlContent;
+        return layers;
     }
 
     /**
-     * Write a facet (face) to STL format
-     * @param {Array} normal - Normal vector [x, y, z]
-     * @param {Array} coordinates - Array of [lng, lat] coordinates
-     * @param {number} z - Z coordinate (height)
-     * @param {boolean} reverse - Whether to reverse the vertex order
-     * @returns {string} STL facet content
+     * Triangulate a part of a named solid
+     * @param {Object} part - { feature, base, top } extrusion or { canopies } tree crown
+     * @returns {Array} Triangles in local coordinates
      */
-    writeFacet(normal, coordinates, z, reverse = false) {
-        if (coordinates.length < 3) {
-            return '';
-        }
+    partToTriangles(part) {
+        return part.canopies ? this.canopyToTriangles(part.canopies) : this.featureToTriangles(part.feature, part.base, part.top);
+    }
 
-        // Triangulate the polygon
-        let stlContent = '';
-        const numVertices = coordinates.length;
-
-        // Simple fan triangulation from first vertex
-        for (let i = 1; i < numVertices - 1; i++) {
-            const v1 = coordinates[0];
-            const v2 = coordinates[i];
-            const v3 = coordinates[i + 1];
-
-            // Calculate normal for this triangle
-            const triNormal = this.calculateNormal(
-                [v1[0], v1[1], z],
-                reverse ? [v3[0], v3[1], z] : [v2[0], v2[1], z],
-                reverse ? [v2[0], v2[1], z] : [v3[0], v3[1], z]
-            );
-
-            stlContent += `  facet normal ${this.formatNumber(triNormal[0])} ${this.formatNumber(triNormal[1])} ${this.formatNumber(triNormal[2])}\n`;
-            stlContent += `    outer loop\n`;
-            
-            if (reverse) {
-                stlContent += `      vertex ${this.formatNumber(v1[0])} ${this.formatNumber(v1[1])} ${this.formatNumber(z)}\n`;
-                stlContent += `      vertex ${this.formatNumber(v3[0])} ${this.formatNumber(v3[1])} ${this.formatNumber(z)}\n`;
-                stlContent += `      vertex ${this.formatNumber(v2[0])} ${this.formatNumber(v2[1])} ${this.formatNumber(z)}\n`;
+    /**
+     * Convert a named solid to ASCII STL
+     * @param {Object} solid - { name, parts } (see partToTriangles())
+     * @returns {string} STL content for the solid
+     */
+    solidToSTL(solid) {
+        const facets = solid.parts.flatMap(part => this.partToTriangles(part)).map(triangle => this.formatFacet(triangle)).join('');
+        return `solid ${solid.name}\n${facets}endsolid ${solid.name}\n`;
+    }
+
+    /**
+     * Export buildings, roads and/or trees to STL
+     * All files share one local origin so separately exported layers line up.
+     * Binary STL has no solid names, so it is always written one file per layer.
+     * @param {Object} options - Export options from getSTLExportOptions()
+     */
+    async exportLayersToSTL(options) {
+        try {
+            const layers = this.collectSTLLayers(options.include, this.getStartNumber())
+                .filter(layer => layer.solids.length > 0);
+            if (layers.length === 0) {
+                alert('Nothing to export!');
+                return;
+            }
+
+            const filePath = await this.getSaveFilePath('scene');
+            if (!filePath) {
+                return; // User cancelled
+            }
+            const baseFilename = filePath.replace(/\.stl$/i, '');
+
+            this.setReferencePointFromFeatures(layers.flatMap(layer => layer.features));
+
+            const toObjects = (layer) => layer.solids.map(solid => ({
+                name: solid.name,
+                color: solid.color,
+                triangles: solid.parts.flatMap(part => this.partToTriangles(part))
+            }));
+
+            if (options.format === 'binary' || options.layout === 'files') {
+                for (let i = 0; i < layers.length; i++) {
+                    const layer = layers[i];
+                    const filename = `${baseFilename}_${layer.key}.stl`;
+                    const blob = options.format === 'binary'
+                        ? new Blob([this.createBinarySTL(toObjects(layer), this.getBinarySTLHeader(`EcoTwinAI ${layer.key}: ${layer.solids.length}`))], { type: 'application/octet-stream' })
+                        : new Blob(layer.solids.map(solid => this.solidToSTL(solid)), { type: 'application/octet-stream' });
+                    this.downloadBlob(blob, filename);
+                    console.log(`✓ Saved ${filename} (${layer.solids.length} ${layer.key})`);
+
+                    // Allow UI to update between files
+                    if (i < layers.length - 1) {
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                    }
+                }
             } else {
-                stlContent += `      vertex ${this.formatNumber(v1[0])} ${this.formatNumber(v1[1])} ${this.formatNumber(z)}\n`;
-                stlContent += `      vertex ${this.formatNumber(v2[0])} ${this.formatNumber(v2[1])} ${this.formatNumber(z)}\n`;
-                stlContent += `      vertex ${this.formatNumber(v3[0])} ${this.formatNumber(v3[1])} ${this.formatNumber(z)}\n`;
+                // Blob parts avoid building one huge string
+                const parts = layers.flatMap(layer => layer.solids.map(solid => this.solidToSTL(solid)));
+                this.downloadBlob(new Blob(parts, { type: 'application/octet-stream' }), `${baseFilename}.stl`);
+                console.log(`✓ Saved ${baseFilename}.stl (${parts.length} solids)`);
             }
-            
-            stlContent += `    endloop\n`;
-            stlContent += `  endfacet\n`;
+
+            if (options.format !== 'binary') {
+                await this.saveCRSFile(baseFilename);
+            }
+
+            console.log(`✓ Exported ${layers.map(layer => `${layer.solids.length} ${layer.key}`).join(', ')} to STL`);
+        } catch (error) {
+            console.error('Error exporting to STL:', error);
+            alert(`Error exporting to STL: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a polygon feature to STL facets (without solid/endsolid tags)
+     * @param {Object} feature - GeoJSON feature with Polygon or MultiPolygon geometry
+     * @param {number} base - Bottom height in meters (default: tree part extent)
+     * @param {number} top - Top height in meters (default: tree part extent)
+     * @returns {string} STL facets content
+     */
+    polygonToSTLFacets(feature, base = null, top = null) {
+        if (base === null || top === null) {
+            ({ base, top } = this.getTreePartExtent(feature));
         }
 
-        return stlContent;
+        return this.featureToTriangles(feature, base, top)
+            .map(triangle => this.formatFacet(triangle))
+            .join('');
+    }
+
+    /**
+     * Write a triangle as an ASCII STL facet
+     * @param {Array} triangle - [[x, y, z], [x, y, z], [x, y, z]] in counter-clockwise (outward) order
+     * @returns {string} STL facet content
+     */
+    formatFacet(triangle) {
+        const normal = this.calculateNormal(...triangle);
+        const vertexLines = triangle
+            .map(vertex => `      vertex ${this.formatNumber(vertex[0])} ${this.formatNumber(vertex[1])} ${this.formatNumber(vertex[2])}\n`)
+            .join('');
+
+        return `  facet normal ${this.formatNumber(normal[0])} ${this.formatNumber(normal[1])} ${this.formatNumber(normal[2])}\n` +
+            `    outer loop\n${vertexLines}    endloop\n  endfacet\n`;
     }
 
     /**
@@ -550,12 +939,9 @@ class STLExporterModule {
         if (num === 0) {
             return '0.000000e+00';
         }
-        const absNum = Math.abs(num);
-        const sign = num < 0 ? '-' : '';
-        const exponent = Math.floor(Math.log10(absNum));
-        const mantissa = absNum / Math.pow(10, exponent);
-        const exponentStr = exponent >= 0 ? `+${String(exponent).padStart(2, '0')}` : String(exponent).padStart(3, '0');
-        return `${sign}${mantissa.toFixed(6)}e${exponentStr}`;
+        // toExponential rounds the mantissa correctly; pad the exponent to two digits (e-01, e+02)
+        const [mantissa, exponent] = num.toExponential(6).split('e');
+        return `${mantissa}e${exponent[0]}${exponent.slice(1).padStart(2, '0')}`;
     }
 
     /**
@@ -573,25 +959,7 @@ class STLExporterModule {
         console.log(`Base filename: ${baseFilename}`);
 
         // Create a map of tree IDs to their trunks and canopies
-        const treeMap = new Map();
-
-        // Group trunks by tree ID
-        treeTrunkData.features.forEach(trunk => {
-            const treeId = trunk.properties.id;
-            if (!treeMap.has(treeId)) {
-                treeMap.set(treeId, { trunk: null, canopy: null });
-            }
-            treeMap.get(treeId).trunk = trunk;
-        });
-
-        // Group canopies by tree ID
-        treeCanopyData.features.forEach(canopy => {
-            const treeId = canopy.properties.id;
-            if (!treeMap.has(treeId)) {
-                treeMap.set(treeId, { trunk: null, canopy: null });
-            }
-            treeMap.get(treeId).canopy = canopy;
-        });
+        const treeMap = this.groupTreesById(treeTrunkData, treeCanopyData);
 
         // Convert map to array for easier chunking
         const treesArray = Array.from(treeMap.entries());
@@ -617,7 +985,7 @@ class STLExporterModule {
         
         const centerLng = (minLng + maxLng) / 2;
         const centerLat = (minLat + maxLat) / 2;
-        this.referencePoint = { lng: centerLng, lat: centerLat };
+        this.setReferencePoint(centerLng, centerLat);
         console.log(`Reference center: [${centerLng.toFixed(6)}, ${centerLat.toFixed(6)}]`);
 
         // Export each chunk
@@ -639,15 +1007,13 @@ class STLExporterModule {
                 if (tree.trunk) {
                     chunkTrunkData.features.push(tree.trunk);
                 }
-                if (tree.canopy) {
-                    chunkCanopyData.features.push(tree.canopy);
-                }
+                tree.canopies.forEach(canopy => chunkCanopyData.features.push(canopy));
             });
 
             // Generate STL for this chunk
             let stlContent;
             try {
-                stlContent = this.generateSTLContent(chunkTrunkData, chunkCanopyData, currentStartNumber);
+                stlContent = this.generateSTLContent(chunkTrunkData, chunkCanopyData, currentStartNumber, true);
             } catch (error) {
                 console.error(`Error generating STL for chunk ${fileIndex + 1}:`, error);
                 alert(`Error generating STL file ${fileIndex + 1}: ${error.message}`);
@@ -669,6 +1035,8 @@ class STLExporterModule {
             }
         }
 
+        await this.saveCRSFile(baseFilename);
+
         console.log(`\n=== Export complete ===`);
         console.log(`✓ Exported ${totalTrees} trees in ${numFiles} files`);
         alert(`Successfully exported ${totalTrees} trees to ${numFiles} STL files:\n${baseFilename}_1.stl to ${baseFilename}_${numFiles}.stl`);
@@ -685,23 +1053,7 @@ class STLExporterModule {
         console.log('Using streaming export for large dataset...');
         
         // Create a map of tree IDs
-        const treeMap = new Map();
-        
-        treeTrunkData.features.forEach(trunk => {
-            const treeId = trunk.properties.id;
-            if (!treeMap.has(treeId)) {
-                treeMap.set(treeId, { trunk: null, canopy: null });
-            }
-            treeMap.get(treeId).trunk = trunk;
-        });
-        
-        treeCanopyData.features.forEach(canopy => {
-            const treeId = canopy.properties.id;
-            if (!treeMap.has(treeId)) {
-                treeMap.set(treeId, { trunk: null, canopy: null });
-            }
-            treeMap.get(treeId).canopy = canopy;
-        });
+        const treeMap = this.groupTreesById(treeTrunkData, treeCanopyData);
 
         // Calculate reference point (center of all trees) for coordinate offset
         let minLng = Infinity, maxLng = -Infinity;
@@ -725,7 +1077,7 @@ class STLExporterModule {
         console.log(`Streaming: Reference center: [${centerLng.toFixed(6)}, ${centerLat.toFixed(6)}]`);
         
         // Store reference point for coordinate conversion
-        this.referencePoint = { lng: centerLng, lat: centerLat };
+        this.setReferencePoint(centerLng, centerLat);
 
         // Use Blob with chunks
         const chunks = [];
@@ -736,7 +1088,7 @@ class STLExporterModule {
         let processed = 0;
         for (const [treeId, tree] of treeMap) {
             const solidName = `tree_${treeNumber}`;
-            const treeSTL = this.treeToSTL(tree.trunk, tree.canopy, solidName);
+            const treeSTL = this.treeToSTL(tree.trunk, tree.canopies, solidName);
             chunks.push(treeSTL);
             
             treeNumber++;
@@ -757,6 +1109,7 @@ class STLExporterModule {
         
         console.log(`Blob created: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
         this.downloadBlob(blob, filename);
+        await this.saveCRSFile(filename.replace(/\.stl$/i, ''));
     }
 
     /**
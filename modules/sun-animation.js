@@ -0,0 +1,447 @@
+/**
+ * Sun Animation Module - Time-lapse playback and recording of the sun path
+ * Animates SunModule through a day (sunrise to sunset) or a year at a fixed hour
+ */
+
+class SunAnimationModule {
+    constructor(coreModule, sunModule) {
+        this.core = coreModule;
+        this.sun = sunModule;
+        this.isPlaying = false;
+        this.animationFrameId = null;
+        this.lastFrameTime = null;
+        this.playback = null; // { mode, start, end, current } for the running animation
+        this.recorder = null; // MediaRecorder while recording
+        this.recordedChunks = [];
+        this.recordingCanvas = null;
+        this.renderHandler = null;
+
+        // Simulated time per real second at 1x speed
+        this.dayModeMinutesPerSecond = 60; // 1 hour per second
+        this.yearModeDaysPerSecond = 7; // 1 week per second
+    }
+
+    /**
+     * Initialize sun animation module
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    /**
+     * Setup event listeners for playback controls
+     */
+    setupEventListeners() {
+        const playBtn = document.getElementById('sun-play');
+        const stopBtn = document.getElementById('sun-stop');
+        const recordBtn = document.getElementById('sun-record');
+        const modeSelector = document.getElementById('sun-animation-mode');
+
+        if (playBtn) {
+            playBtn.addEventListener('click', () => this.togglePlay());
+        }
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => this.stop());
+        }
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                if (this.recorder) {
+                    this.stopRecording();
+                } else {
+                    this.startRecording();
+                }
+            });
+        }
+        if (modeSelector) {
+            // Switching mode restarts from the beginning of the new range
+            modeSelector.addEventListener('change', () => {
+                this.playback = null;
+                if (this.isPlaying) {
+                    this.pause();
+                    this.play();
+                }
+            });
+        }
+
+        // Setting the time by hand ends the animation (and hides its clock)
+        const timeInputs = this.sun.sunSimUIPairs.flatMap(pair => [pair.slider, pair.input]);
+        timeInputs.concat('sun-year-input').forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(id === 'sun-year-input' ? 'change' : 'input', () => {
+                    if (this.playback) this.stop();
+                });
+            }
+        });
+    }
+
+    /**
+     * Get selected animation mode
+     * @returns {'day'|'year'} Animation mode
+     */
+    getMode() {
+        const modeSelector = document.getElementById('sun-animation-mode');
+        return modeSelector && modeSelector.value === 'year' ? 'year' : 'day';
+    }
+
+    /**
+     * Get selected speed multiplier
+     * @returns {number} Speed multiplier
+     */
+    getSpeed() {
+        const speedSelector = document.getElementById('sun-animation-speed');
+        const speed = speedSelector ? parseFloat(speedSelector.value) : 1;
+        return isNaN(speed) || speed <= 0 ? 1 : speed;
+    }
+
+    /**
+     * Check if looping is enabled
+     * @returns {boolean} True if playback should loop
+     */
+    isLooping() {
+        const loopToggle = document.getElementById('sun-animation-loop');
+        return !!(loopToggle && loopToggle.checked);
+    }
+
+    /**
+     * Build the time range for the selected mode
+     * Day mode: sunrise to sunset of the selected date at the site.
+     * Year mode: January 1 to December 31 of the selected year, at the selected hour.
+     * @returns {Object|null} Playback state or null if the sun never rises/sets
+     */
+    createPlayback() {
+        const mode = this.getMode();
+        const values = this.sun.getCurrentValues();
+        const location = this.sun.getLocation();
+
+        if (mode === 'year') {
+            const year = values.year;
+            const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000;
+            return { mode, start: 0, end: daysInYear - 1, current: 0, year, hour: values.hour, minute: values.minute };
+        }
+
+        const noon = this.sun.siteTimeToDate(values.year, values.month - 1, values.day, 12, 0, location.lon);
+        const times = SunCalc.getTimes(noon, location.lat, location.lon);
+        let start = times.sunrise ? times.sunrise.getTime() : NaN;
+        let end = times.sunset ? times.sunset.getTime() : NaN;
+
+        // Polar day/night: SunCalc returns invalid dates, animate the full day instead
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            console.warn('No sunrise/sunset on this date at this location, animating the full day');
+            start = this.sun.siteTimeToDate(values.year, values.month - 1, values.day, 0, 0, location.lon).getTime();
+            end = start + 86400000 - 60000;
+        }
+
+        return { mode, start, end, current: start };
+    }
+
+    /**
+     * Toggle play/pause
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (this.isPlaying) return;
+
+        if (!this.playback || this.playback.mode !== this.getMode() || this.playback.current >= this.playback.end) {
+            this.playback = this.createPlayback();
+        }
+        if (!this.playback) return;
+
+        this.isPlaying = true;
+        this.lastFrameTime = null;
+        this.showClockOverlay(true);
+        this.updateControls();
+        this.animationFrameId = requestAnimationFrame((timestamp) => this.step(timestamp));
+    }
+
+    /**
+     * Pause playback (keeps the current position)
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Stop playback (and a running recording), rewind and hide the clock overlay
+     */
+    stop() {
+        if (this.recorder) {
+            this.stopRecording();
+        }
+        this.pause();
+        this.playback = null;
+        this.showClockOverlay(false);
+        this.updateControls();
+    }
+
+    /**
+     * Advance the animation by one frame
+     * @param {number} timestamp - requestAnimationFrame timestamp
+     */
+    step(timestamp) {
+        if (!this.isPlaying || !this.playback) return;
+
+        const elapsedSeconds = this.lastFrameTime === null ? 0 : (timestamp - this.lastFrameTime) / 1000;
+        this.lastFrameTime = timestamp;
+
+        const playback = this.playback;
+        const speed = this.getSpeed();
+        if (playback.mode === 'year') {
+            playback.current += elapsedSeconds * this.yearModeDaysPerSecond * speed;
+        } else {
+            playback.current += elapsedSeconds * this.dayModeMinutesPerSecond * speed * 60000;
+        }
+
+        let finished = false;
+        if (playback.current >= playback.end) {
+            // A recording always covers exactly one cycle
+            if (this.isLooping() && !this.recorder) {
+                playback.current = playback.start;
+            } else {
+                playback.current = playback.end;
+                finished = true;
+            }
+        }
+
+        this.applyPlaybackPosition();
+
+        if (finished) {
+            this.pause();
+            if (this.recorder) {
+                this.stopRecording();
+            }
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame((ts) => this.step(ts));
+    }
+
+    /**
+     * Push the current playback position into the sun controls
+     */
+    applyPlaybackPosition() {
+        const playback = this.playback;
+        if (!playback) return;
+
+        if (playback.mode === 'year') {
+            const date = new Date(Date.UTC(playback.year, 0, 1 + Math.floor(playback.current)));
+            this.sun.setValues({
+                year: playback.year,
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: playback.hour,
+                minute: playback.minute
+            });
+        } else {
+            // Convert the instant back to wall-clock time at the site
+            const instant = new Date(playback.current);
+            const offset = this.sun.getUtcOffsetMinutes(instant, this.sun.getLocation().lon);
+            const siteTime = new Date(instant.getTime() + offset * 60000);
+            this.sun.setValues({
+                year: siteTime.getUTCFullYear(),
+                month: siteTime.getUTCMonth() + 1,
+                day: siteTime.getUTCDate(),
+                hour: siteTime.getUTCHours(),
+                minute: siteTime.getUTCMinutes()
+            });
+        }
+
+        this.updateClockOverlay();
+    }
+
+    /**
+     * Get the clock text for the current sun values
+     * @returns {string} Clock text
+     */
+    getClockText() {
+        const values = this.sun.getCurrentValues();
+        const location = this.sun.getLocation();
+        const date = this.sun.siteTimeToDate(values.year, values.month - 1, values.day, values.hour, values.minute, location.lon);
+        const offset = UtilsModule.formatUtcOffset(this.sun.getUtcOffsetMinutes(date, location.lon));
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${values.year}-${pad(values.month)}-${pad(values.day)}  ${pad(values.hour)}:${pad(values.minute)} (${offset})`;
+    }
+
+    /**
+     * Show or hide the clock overlay
+     * @param {boolean} visible - Whether the overlay is visible
+     */
+    showClockOverlay(visible) {
+        const overlay = document.getElementById('sun-clock-overlay');
+        if (overlay) {
+            overlay.style.display = visible ? 'block' : 'none';
+        }
+        if (visible) {
+            this.updateClockOverlay();
+        }
+    }
+
+    /**
+     * Update the clock overlay text
+     */
+    updateClockOverlay() {
+        const overlay = document.getElementById('sun-clock-overlay');
+        if (overlay) {
+            overlay.textContent = this.getClockText();
+        }
+    }
+
+    /**
+     * Start recording the map (with clock) to WebM and play one cycle
+     */
+    startRecording() {
+        if (typeof MediaRecorder === 'undefined') {
+            alert('Recording is not supported in this browser.');
+            return;
+        }
+
+        const map = this.core.getMap();
+        const mapCanvas = map.getCanvas();
+
+        // Composite canvas so the clock is burned into the video
+        const canvas = document.createElement('canvas');
+        canvas.width = mapCanvas.width;
+        canvas.height = mapCanvas.height;
+        if (typeof canvas.captureStream !== 'function') {
+            alert('Recording is not supported in this browser.');
+            return;
+        }
+        const ctx = canvas.getContext('2d');
+
+        // Copy the WebGL canvas while its buffer is still valid
+        this.renderHandler = () => {
+            ctx.drawImage(mapCanvas, 0, 0, canvas.width, canvas.height);
+            const fontSize = Math.round(canvas.height / 30);
+            ctx.font = `600 ${fontSize}px Inter, Arial, sans-serif`;
+            const text = this.getClockText();
+            const padding = fontSize / 2;
+            const textWidth = ctx.measureText(text).width;
+            ctx.fillStyle = 'rgba(20, 20, 20, 0.75)';
+            ctx.fillRect(canvas.width - textWidth - padding * 3, padding, textWidth + padding * 2, fontSize + padding * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.textBaseline = 'top';
+            ctx.fillText(text, canvas.width - textWidth - padding * 2, padding * 2);
+        };
+        map.on('render', this.renderHandler);
+
+        const mimeTypes = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        try {
+            this.recorder = new MediaRecorder(canvas.captureStream(30), mimeType ? { mimeType } : undefined);
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            alert(`Could not start recording: ${error.message}`);
+            map.off('render', this.renderHandler);
+            this.renderHandler = null;
+            return;
+        }
+
+        this.recordingCanvas = canvas;
+        this.recordedChunks = [];
+        this.recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) {
+                this.recordedChunks.push(e.data);
+            }
+        };
+        this.recorder.onstop = () => this.saveRecording();
+        this.recorder.start();
+        console.log('✓ Sun animation recording started');
+
+        // Record one full cycle from the beginning
+        this.pause();
+        this.playback = null;
+        this.updateControls();
+        this.play();
+    }
+
+    /**
+     * Stop recording (the file is saved in the recorder's stop handler)
+     */
+    stopRecording() {
+        if (!this.recorder) return;
+
+        const map = this.core.getMap();
+        if (this.renderHandler) {
+            map.off('render', this.renderHandler);
+            this.renderHandler = null;
+        }
+
+        if (this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        this.recorder = null;
+        this.pause();
+        this.updateControls();
+    }
+
+    /**
+     * Save recorded chunks as a WebM file
+     */
+    saveRecording() {
+        if (this.recordedChunks.length === 0) {
+            console.warn('No video data recorded');
+            return;
+        }
+
+        const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
+        const values = this.sun.getCurrentValues();
+        const filename = this.getMode() === 'year'
+            ? `sun-study-${values.year}-${String(values.hour).padStart(2, '0')}h.webm`
+            : `sun-study-${values.year}-${String(values.month).padStart(2, '0')}-${String(values.day).padStart(2, '0')}.webm`;
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.recordedChunks = [];
+        this.recordingCanvas = null;
+        console.log(`✓ Saved sun animation recording (${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
+    }
+
+    /**
+     * Update play/stop/record button states
+     */
+    updateControls() {
+        const playBtn = document.getElementById('sun-play');
+        const stopBtn = document.getElementById('sun-stop');
+        const recordBtn = document.getElementById('sun-record');
+
+        if (playBtn) {
+            playBtn.innerHTML = this.isPlaying ? '<span>⏸ Pause</span>' : '<span>▶ Play</span>';
+            playBtn.classList.toggle('active', this.isPlaying);
+            playBtn.disabled = !!this.recorder;
+        }
+        if (stopBtn) {
+            stopBtn.disabled = !this.playback;
+        }
+        if (recordBtn) {
+            recordBtn.innerHTML = this.recorder ? '<span>⏹ Stop</span>' : '<span>⏺ Record</span>';
+            recordBtn.classList.toggle('active', !!this.recorder);
+        }
+    }
+}
+
+// Export for use in other modules
+window.SunAnimationModule = SunAnimationModule;
@@ -12,6 +12,8 @@ class SunModule {
             { slider: 'sun-hour-slider', input: 'sun-hour-input' },
             { slider: 'sun-minute-slider', input: 'sun-minute-input' }
         ];
+        this.datasetLocation = null; // [lng, lat] center of the loaded dataset
+        this.fallbackLocation = { lat: 40.7128, lon: -74.0060 }; // Used only if the map is not available
     }
 
     /**
@@ -37,6 +39,212 @@ class SunModule {
             const input = document.getElementById(pair.input);
             this.syncInputs(slider, input);
         });
+
+        // Year selector
+        const yearInput = document.getElementById('sun-year-input');
+        if (yearInput) {
+            if (!yearInput.value) {
+                yearInput.value = new Date().getFullYear();
+            }
+            yearInput.addEventListener('change', () => this.updateSunPosition());
+        }
+
+        // Manual location override
+        const manualToggle = document.getElementById('sun-location-manual');
+        const latInput = document.getElementById('sun-lat-input');
+        const lonInput = document.getElementById('sun-lon-input');
+        if (manualToggle) {
+            manualToggle.addEventListener('change', () => {
+                this.updateLocationInputsState();
+                this.updateSunPosition();
+            });
+        }
+        [latInput, lonInput].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => this.updateSunPosition());
+            }
+        });
+        this.updateLocationInputsState();
+
+        // Time zone selector
+        this.populateTimeZoneSelector();
+        const timeZoneSelector = document.getElementById('sun-timezone');
+        if (timeZoneSelector) {
+            timeZoneSelector.addEventListener('change', () => this.updateSunPosition());
+        }
+
+        // Follow the map center when no dataset is loaded
+        const map = this.core.getMap();
+        map.on('moveend', () => {
+            if (this.getLocation().source === 'map') {
+                this.updateSunPosition();
+            }
+        });
+    }
+
+    /**
+     * Fill the time zone selector with the zones the browser knows
+     */
+    populateTimeZoneSelector() {
+        const selector = document.getElementById('sun-timezone');
+        if (!selector) return;
+
+        const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+        const options = [
+            '<option value="auto">Auto (solar time from longitude)</option>',
+            `<option value="browser">Browser (${browserZone || 'local'})</option>`
+        ];
+        zones.forEach(zone => {
+            options.push(`<option value="${zone}">${zone}</option>`);
+        });
+        selector.innerHTML = options.join('');
+        selector.value = 'auto';
+    }
+
+    /**
+     * Enable lat/lon inputs only when the manual override is on
+     */
+    updateLocationInputsState() {
+        const manualToggle = document.getElementById('sun-location-manual');
+        const manual = !!(manualToggle && manualToggle.checked);
+        ['sun-lat-input', 'sun-lon-input'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = !manual;
+        });
+    }
+
+    /**
+     * Set the location of the loaded dataset (called by DataModule after loading)
+     * @param {Array|null} lngLat - [lng, lat] dataset center, or null to clear
+     */
+    setDatasetLocation(lngLat) {
+        this.datasetLocation = Array.isArray(lngLat) ? lngLat : null;
+        this.updateSunPosition();
+    }
+
+    /**
+     * Get the location used for the sun calculation
+     * Priority: manual override > loaded dataset center > map center
+     * @returns {{lat: number, lon: number, source: string}} Site location
+     */
+    getLocation() {
+        const manualToggle = document.getElementById('sun-location-manual');
+        if (manualToggle && manualToggle.checked) {
+            const lat = parseFloat(document.getElementById('sun-lat-input').value);
+            const lon = parseFloat(document.getElementById('sun-lon-input').value);
+            if (!isNaN(lat) && !isNaN(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+                return { lat, lon, source: 'manual' };
+            }
+            console.warn('Invalid manual sun location, falling back to automatic location');
+        }
+
+        if (this.datasetLocation) {
+            return { lat: this.datasetLocation[1], lon: this.datasetLocation[0], source: 'dataset' };
+        }
+
+        try {
+            const center = this.core.getMap().getCenter();
+            return { lat: center.lat, lon: center.lng, source: 'map' };
+        } catch (error) {
+            return { ...this.fallbackLocation, source: 'default' };
+        }
+    }
+
+    /**
+     * Get the UTC offset of the site at a given instant
+     * @param {Date} date - Instant to evaluate
+     * @param {number} lon - Site longitude (used for the automatic solar offset)
+     * @returns {number} Offset in minutes
+     */
+    getUtcOffsetMinutes(date, lon) {
+        const selector = document.getElementById('sun-timezone');
+        const timeZone = selector ? selector.value : 'auto';
+
+        if (timeZone === 'browser') {
+            return -date.getTimezoneOffset();
+        }
+        if (timeZone && timeZone !== 'auto') {
+            try {
+                return UtilsModule.getTimeZoneOffsetMinutes(date, timeZone);
+            } catch (error) {
+                console.warn(`Unknown time zone '${timeZone}', using solar offset`);
+            }
+        }
+
+        // Whole-hour offset from longitude approximates local solar time
+        return Math.round(lon / 15) * 60;
+    }
+
+    /**
+     * Convert a wall-clock time at the site into a UTC instant
+     * @param {number} year - Year
+     * @param {number} month - Month (0-11)
+     * @param {number} day - Day (1-31)
+     * @param {number} hour - Hour (0-23)
+     * @param {number} minute - Minute (0-59)
+     * @param {number} lon - Site longitude
+     * @returns {Date} Instant for SunCalc
+     */
+    siteTimeToDate(year, month, day, hour, minute, lon) {
+        const wallClock = Date.UTC(year, month, day, hour, minute);
+
+        // Resolve twice so DST transitions use the offset valid at the target instant
+        let offset = this.getUtcOffsetMinutes(new Date(wallClock), lon);
+        const corrected = this.getUtcOffsetMinutes(new Date(wallClock - offset * 60000), lon);
+        if (corrected !== offset) {
+            offset = corrected;
+        }
+        return new Date(wallClock - offset * 60000);
+    }
+
+    /**
+     * Get the simulated instant from the year/month/day/hour/minute controls
+     * @param {number} lon - Site longitude
+     * @returns {Date|null} Simulated instant or null if invalid
+     */
+    getSimulationDate(lon) {
+        const yearInput = document.getElementById('sun-year-input');
+        const parsedYear = yearInput ? parseInt(yearInput.value) : NaN;
+        const year = isNaN(parsedYear) ? new Date().getFullYear() : parsedYear;
+        const month = parseInt(document.getElementById('sun-month-slider').value) - 1;
+        const day = parseInt(document.getElementById('sun-day-slider').value);
+        const hour = parseInt(document.getElementById('sun-hour-slider').value);
+        const minute = parseInt(document.getElementById('sun-minute-slider').value);
+
+        if (!UtilsModule.validateDate(year, month, day, hour, minute)) {
+            return null;
+        }
+        return this.siteTimeToDate(year, month, day, hour, minute, lon);
+    }
+
+    /**
+     * Update the location/time zone info line and the lat/lon inputs
+     * @param {Object} location - Location from getLocation()
+     * @param {Date} date - Simulated instant
+     */
+    updateLocationDisplay(location, date) {
+        const sourceLabels = {
+            manual: 'manual',
+            dataset: 'dataset center',
+            map: 'map center',
+            default: 'default'
+        };
+
+        const info = document.getElementById('sun-location-info');
+        if (info) {
+            const offset = this.getUtcOffsetMinutes(date, location.lon);
+            info.textContent = `${location.lat.toFixed(4)}°, ${location.lon.toFixed(4)}° (${sourceLabels[location.source]}) · ${UtilsModule.formatUtcOffset(offset)}`;
+        }
+
+        // Mirror the automatic location so switching to manual starts from it
+        if (location.source !== 'manual') {
+            const latInput = document.getElementById('sun-lat-input');
+            const lonInput = document.getElementById('sun-lon-input');
+            if (latInput) latInput.value = location.lat.toFixed(5);
+            if (lonInput) lonInput.value = location.lon.toFixed(5);
+        }
     }
 
     /**
@@ -75,23 +283,17 @@ class SunModule {
             return;
         }
 
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = parseInt(document.getElementById('sun-month-slider').value) - 1;
-        const day = parseInt(document.getElementById('sun-day-slider').value);
-        const hour = parseInt(document.getElementById('sun-hour-slider').value);
-        const minute = parseInt(document.getElementById('sun-minute-slider').value);
+        const location = this.getLocation();
+        const { lat, lon } = location;
 
-        // Validate date
-        if (!UtilsModule.validateDate(year, month, day, hour, minute)) {
+        // Slider values are wall-clock time at the site, not in the browser's time zone
+        const date = this.getSimulationDate(lon);
+        if (!date) {
             console.error("Invalid date values for sun calculation.");
             return;
         }
 
-        // Create a local date object to match the user's perception of time
-        const date = new Date(year, month, day, hour, minute);
-        const lat = 40.7128; // New York City latitude
-        const lon = -74.0060; // New York City longitude
+        this.updateLocationDisplay(location, date);
 
         const sunPosition = SunCalc.getPosition(date, lat, lon);
 
@@ -136,7 +338,9 @@ class SunModule {
      * @returns {Object} Current sun simulation values
      */
     getCurrentValues() {
+        const yearInput = document.getElementById('sun-year-input');
         return {
+            year: yearInput ? parseInt(yearInput.value) : new Date().getFullYear(),
             month: parseInt(document.getElementById('sun-month-slider').value),
             day: parseInt(document.getElementById('sun-day-slider').value),
             hour: parseInt(document.getElementById('sun-hour-slider').value),
@@ -149,6 +353,10 @@ class SunModule {
      * @param {Object} values - Values to set
      */
     setValues(values) {
+        if (values.year !== undefined) {
+            const yearInput = document.getElementById('sun-year-input');
+            if (yearInput) yearInput.value = values.year;
+        }
         if (values.month !== undefined) {
             document.getElementById('sun-month-slider').value = values.month;
             document.getElementById('sun-month-input').value = values.month;
@@ -169,15 +377,18 @@ class SunModule {
     }
 
     /**
-     * Reset sun simulation to current time
+     * Reset sun simulation to the current time at the site
      */
     resetToCurrentTime() {
         const now = new Date();
+        const offset = this.getUtcOffsetMinutes(now, this.getLocation().lon);
+        const siteNow = new Date(now.getTime() + offset * 60000);
         this.setValues({
-            month: now.getMonth() + 1,
-            day: now.getDate(),
-            hour: now.getHours(),
-            minute: now.getMinutes()
+            year: siteNow.getUTCFullYear(),
+            month: siteNow.getUTCMonth() + 1,
+            day: siteNow.getUTCDate(),
+            hour: siteNow.getUTCHours(),
+            minute: siteNow.getUTCMinutes()
         });
     }
 }
@@ -0,0 +1,428 @@
+/**
+ * Tree Shading Module - Canopy shading of buildings and its cooling-energy effect
+ * Estimates the share of roof and facade solar exposure blocked by tree canopies
+ * over the cooling season and turns it into a cooling-energy delta per building
+ */
+
+class TreeShadingModule {
+    constructor(coreModule, dataModule, sunModule, shadowAnalysisModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.sun = sunModule;
+        this.shadow = shadowAnalysisModule; // Provides sun sampling and ray casting
+        this.results = new Map(); // Building ID -> { roofShaded, facadeShaded, shadedFraction }
+        this.resultSignature = null; // Scene signature the results were computed for
+        this.signatureCache = null; // { key, signature } of the last getSceneSignature() scan
+        this.isRunning = false;
+        this.cancelRequested = false;
+        this.searchRadius = 60; // meters, canopies farther from a building are ignored
+        this.roofPointsTarget = 25; // Approximate roof samples per building
+        this.facadeSpacing = 4; // meters between facade samples along an edge
+        this.maxFacadeLevels = 4; // Vertical facade samples per edge segment
+        this.sampleDayStep = 7; // Sample one day per week of the cooling season
+        this.sampleInterval = 60; // minutes between sun samples
+    }
+
+    /**
+     * Initialize tree shading module
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for tree shading controls
+     */
+    setupEventListeners() {
+        const runBtn = document.getElementById('tree-shading-run');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => {
+                if (this.isRunning) {
+                    this.cancelRequested = true;
+                } else {
+                    this.runAnalysis();
+                }
+            });
+        }
+
+        // Cooling model parameters only affect the delta, not the shading
+        ['tree-shading-cooling-share', 'tree-shading-solar-share'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.refreshStats());
+            }
+        });
+    }
+
+    /**
+     * Get the cooling season for the simulation year and site hemisphere
+     * @param {number} latitude - Site latitude
+     * @returns {{startMs: number, dayCount: number, label: string}} Season
+     */
+    getCoolingSeason(latitude) {
+        const year = this.sun.getCurrentValues().year;
+        // June-September in the northern hemisphere, December-March in the southern
+        const start = latitude >= 0 ? Date.UTC(year, 5, 1) : Date.UTC(year - 1, 11, 1);
+        const end = latitude >= 0 ? Date.UTC(year, 8, 30) : Date.UTC(year, 2, 31);
+        return {
+            startMs: start,
+            dayCount: Math.round((end - start) / 86400000) + 1,
+            label: latitude >= 0 ? `Jun–Sep ${year}` : `Dec ${year - 1}–Mar ${year}`
+        };
+    }
+
+    /**
+     * Get cooling model parameters from the UI
+     * @returns {{coolingShare: number, solarShare: number}} Fractions (0-1)
+     */
+    getModelParameters() {
+        const readPercent = (id, fallback) => {
+            const value = Number(document.getElementById(id)?.value);
+            return isNaN(value) || value < 0 ? fallback : Math.min(value, 100) / 100;
+        };
+        return {
+            coolingShare: readPercent('tree-shading-cooling-share', 30), // Share of the energy column spent on cooling
+            solarShare: readPercent('tree-shading-solar-share', 40) // Share of the cooling load caused by solar gains
+        };
+    }
+
+    /**
+     * Signature of the geometry the analysis depends on (canopies and building heights)
+     * The scan is cached until the canopy or building collection is replaced or edited.
+     * @returns {string} Signature
+     */
+    getSceneSignature() {
+        const key = [
+            this.data.getTreeCanopyData().features, this.data.getCollectionRevision('canopies'),
+            this.data.getBuildingData().features, this.data.getCollectionRevision('buildings')
+        ];
+        if (this.signatureCache && this.signatureCache.key.every((value, i) => value === key[i])) {
+            return this.signatureCache.signature;
+        }
+
+        let checksum = 0;
+        this.data.getTreeCanopyData().features.forEach(feature => {
+            const props = feature.properties || {};
+            const first = feature.geometry.coordinates[0][0];
+            checksum += first[0] + first[1] + (Number(props.base) || 0) + (Number(props.height) || 0);
+        });
+        this.data.getBuildingData().features.forEach(feature => {
+            checksum += this.data.getBuildingHeightMeters(feature);
+        });
+        const signature = `${this.data.getTreeCanopyData().features.length}:${this.data.getBuildingData().features.length}:${checksum.toFixed(6)}`;
+        this.signatureCache = { key, signature };
+        return signature;
+    }
+
+    /**
+     * Check if results exist but the scene changed since they were computed
+     * @returns {boolean} True if results are outdated
+     */
+    isStale() {
+        return this.results.size > 0 && this.resultSignature !== this.getSceneSignature();
+    }
+
+    /**
+     * Check whether an obstacle overlaps a box
+     * Only the obstacle buckets the box covers are searched.
+     * @param {Map} buckets - Bucket index from ShadowAnalysisModule.buildObstacles()
+     * @param {Array} box - [minX, minY, maxX, maxY] in local meters
+     * @returns {boolean} True if an obstacle's bounds overlap the box
+     */
+    hasObstacleInBox(buckets, box) {
+        const size = this.shadow.bucketSize;
+        for (let ix = Math.floor(box[0] / size); ix <= Math.floor(box[2] / size); ix++) {
+            for (let iy = Math.floor(box[1] / size); iy <= Math.floor(box[3] / size); iy++) {
+                const bucket = buckets.get(this.shadow.bucketKey(ix, iy));
+                if (bucket && bucket.some(obstacle => obstacle.maxX >= box[0] && obstacle.minX <= box[2] &&
+                    obstacle.maxY >= box[1] && obstacle.minY <= box[3])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Create roof and facade sample points for a building footprint
+     * @param {Array} rings - Footprint rings in local meters (all parts)
+     * @param {number} height - Building height in meters
+     * @returns {{roof: Array, facade: Array}} Points { x, y, z, area, nx?, ny? }
+     */
+    createSurfaceSamples(rings, height) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        rings.forEach(ring => ring.forEach(([x, y]) => {
+            minX = Math.min(minX, x); minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x); maxY = Math.max(maxY, y);
+        }));
+
+        // Roof: regular grid clipped to the footprint
+        const roof = [];
+        const spacing = Math.max(1, Math.sqrt(((maxX - minX) * (maxY - minY)) / this.roofPointsTarget));
+        for (let x = minX + spacing / 2; x < maxX; x += spacing) {
+            for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+                if (this.shadow.pointInRings(x, y, rings)) {
+                    roof.push({ x, y, z: height, area: spacing * spacing });
+                }
+            }
+        }
+
+        // Facades: segments along every ring edge at a few heights, offset outward
+        const facade = [];
+        const levels = Math.max(1, Math.min(this.maxFacadeLevels, Math.ceil(height / 4)));
+        const offset = 0.05;
+        rings.forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [ax, ay] = ring[i];
+                const [bx, by] = ring[i + 1];
+                const length = Math.hypot(bx - ax, by - ay);
+                if (length < 1e-6) continue;
+
+                // Outward normal: the side of the edge midpoint that is not inside the footprint
+                let nx = (by - ay) / length;
+                let ny = -(bx - ax) / length;
+                const mx = (ax + bx) / 2, my = (ay + by) / 2;
+                if (this.shadow.pointInRings(mx + nx * offset, my + ny * offset, rings)) {
+                    nx = -nx;
+                    ny = -ny;
+                }
+
+                const segments = Math.max(1, Math.round(length / this.facadeSpacing));
+                for (let s = 0; s < segments; s++) {
+                    const t = (s + 0.5) / segments;
+                    const x = ax + (bx - ax) * t + nx * offset;
+                    const y = ay + (by - ay) * t + ny * offset;
+                    for (let level = 0; level < levels; level++) {
+                        facade.push({
+                            x, y,
+                            z: height * (level + 0.5) / levels,
+                            area: (length / segments) * (height / levels),
+                            nx, ny
+                        });
+                    }
+                }
+            }
+        });
+
+        return { roof, facade };
+    }
+
+    /**
+     * Run the shading analysis for all buildings
+     */
+    async runAnalysis() {
+        const buildings = this.data.getBuildingData().features;
+        const canopies = this.data.getTreeCanopyData().features;
+        if (buildings.length === 0) {
+            alert('No buildings loaded.');
+            return;
+        }
+
+        this.isRunning = true;
+        this.cancelRequested = false;
+        this.updateControls();
+        this.setStatus('Preparing...');
+
+        try {
+            const location = this.sun.getLocation();
+            const season = this.getCoolingSeason(location.lat);
+            const { samples } = this.shadow.collectSunSamples({
+                startMs: season.startMs,
+                dayCount: season.dayCount,
+                interval: this.sampleInterval,
+                dayStep: this.sampleDayStep
+            }, location);
+
+            const bbox = turf.bbox(this.data.getBuildingData());
+            const origin = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+            const frame = this.shadow.createLocalFrame(origin);
+            const [minX, minY] = frame.toLocal([bbox[0], bbox[1]]);
+            const [maxX, maxY] = frame.toLocal([bbox[2], bbox[3]]);
+            const margin = this.searchRadius;
+            const { obstacles, buckets } = this.shadow.buildObstacles(
+                frame.toLocal, [minX - margin, minY - margin, maxX + margin, maxY + margin], { canopies: true }
+            );
+            const maxTop = obstacles.reduce((max, obstacle) => Math.max(max, obstacle.zMax), 0);
+
+            const results = new Map();
+            let rayId = 0;
+            let raysSinceYield = 0;
+
+            for (let b = 0; b < buildings.length; b++) {
+                const feature = buildings[b];
+                const id = feature.properties ? feature.properties.ID : undefined;
+                const geometry = feature.geometry;
+                if (id === undefined || !geometry) continue;
+
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+                    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+                const rings = [];
+                polygons.forEach(polygon => polygon.forEach(ring => rings.push(ring.map(coord => frame.toLocal(coord)))));
+                const height = this.data.getBuildingHeightMeters(feature);
+                if (rings.length === 0 || height <= 0) continue;
+
+                // Buildings without canopies in reach are unshaded; skip ray casting
+                const box = [Infinity, Infinity, -Infinity, -Infinity];
+                rings.forEach(ring => ring.forEach(([x, y]) => {
+                    if (x < box[0]) box[0] = x;
+                    if (y < box[1]) box[1] = y;
+                    if (x > box[2]) box[2] = x;
+                    if (y > box[3]) box[3] = y;
+                }));
+                if (!this.hasObstacleInBox(buckets, [box[0] - margin, box[1] - margin, box[2] + margin, box[3] + margin])) {
+                    results.set(id, { roofShaded: 0, facadeShaded: 0, shadedFraction: 0 });
+                    continue;
+                }
+
+                const { roof, facade } = this.createSurfaceSamples(rings, height);
+                let roofTotal = 0, roofBlocked = 0, facadeTotal = 0, facadeBlocked = 0;
+
+                for (const sample of samples) {
+                    const sinAltitude = Math.sin(sample.altitude);
+                    const cosAltitude = Math.cos(sample.altitude);
+
+                    // Irradiance weights: horizontal roof ~ sin(alt), wall ~ cos(alt) * cos(incidence)
+                    for (const point of roof) {
+                        const weight = point.area * sinAltitude;
+                        roofTotal += weight;
+                        roofBlocked += weight * (1 - this.shadow.getSunTransmittance(point.x, point.y, sample, buckets, maxTop, rayId++, point.z));
+                    }
+                    for (const point of facade) {
+                        const incidence = point.nx * sample.dirX + point.ny * sample.dirY;
+                        if (incidence <= 0) continue; // Facade faces away from the sun
+                        const weight = point.area * cosAltitude * incidence;
+                        facadeTotal += weight;
+                        facadeBlocked += weight * (1 - this.shadow.getSunTransmittance(point.x, point.y, sample, buckets, maxTop, rayId++, point.z));
+                    }
+                    raysSinceYield += roof.length + facade.length;
+                }
+
+                results.set(id, {
+                    roofShaded: roofTotal > 0 ? roofBlocked / roofTotal : 0,
+                    facadeShaded: facadeTotal > 0 ? facadeBlocked / facadeTotal : 0,
+                    shadedFraction: roofTotal + facadeTotal > 0 ? (roofBlocked + facadeBlocked) / (roofTotal + facadeTotal) : 0
+                });
+
+                if (raysSinceYield >= this.shadow.raysPerChunk) {
+                    raysSinceYield = 0;
+                    this.setStatus(`Analysing buildings... ${(((b + 1) / buildings.length) * 100).toFixed(0)}%`);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (this.cancelRequested) {
+                        this.setStatus('Cancelled');
+                        return;
+                    }
+                }
+            }
+
+            this.results = results;
+            this.resultSignature = this.getSceneSignature();
+            this.setStatus(`${season.label} · ${samples.length} sun samples · ${canopies.length} canopies`);
+            console.log(`✓ Tree shading analysis complete for ${results.size} buildings`);
+            this.refreshStats();
+        } catch (error) {
+            console.error('Tree shading analysis failed:', error);
+            this.setStatus('Analysis failed');
+            alert(`Tree shading analysis failed: ${error.message}`);
+        } finally {
+            this.isRunning = false;
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Get shading result and cooling delta for one building
+     * @param {*} buildingId - Building ID
+     * @param {string} energyColumn - Energy column (defaults to the selected one)
+     * @param {Map} buildingsById - Building ID -> feature (looked up in the building data if omitted)
+     * @returns {Object|null} { roofShaded, facadeShaded, shadedFraction, coolingDelta, energy } or null
+     */
+    getBuildingImpact(buildingId, energyColumn = this.data.getSelectedEnergyColumn(), buildingsById = null) {
+        const result = this.results.get(buildingId);
+        if (!result) return null;
+
+        const feature = buildingsById
+            ? buildingsById.get(buildingId)
+            : this.data.getBuildingData().features.find(f => f.properties.ID === buildingId);
+        const energy = feature ? parseFloat(this.data.getBuildingValue(feature, energyColumn)) : NaN;
+        const { coolingShare, solarShare } = this.getModelParameters();
+
+        return {
+            ...result,
+            energy: isNaN(energy) ? null : energy,
+            // Shading removes the blocked share of solar cooling gains
+            coolingDelta: isNaN(energy) ? null : -energy * coolingShare * solarShare * result.shadedFraction
+        };
+    }
+
+    /**
+     * Summarize the cooling delta over all analysed buildings
+     * @param {string} energyColumn - Energy column (defaults to the selected one)
+     * @returns {Object|null} { buildingCount, shadedCount, totalDelta, totalEnergy, stale } or null
+     */
+    getSummary(energyColumn = this.data.getSelectedEnergyColumn()) {
+        if (this.results.size === 0) return null;
+
+        const buildingsById = new Map();
+        this.data.getBuildingData().features.forEach(feature => {
+            if (!buildingsById.has(feature.properties.ID)) {
+                buildingsById.set(feature.properties.ID, feature);
+            }
+        });
+
+        let shadedCount = 0, totalDelta = 0, totalEnergy = 0;
+        this.results.forEach((result, id) => {
+            const impact = this.getBuildingImpact(id, energyColumn, buildingsById);
+            if (result.shadedFraction > 0) shadedCount++;
+            if (impact && impact.coolingDelta !== null) {
+                totalDelta += impact.coolingDelta;
+                totalEnergy += impact.energy;
+            }
+        });
+
+        return { buildingCount: this.results.size, shadedCount, totalDelta, totalEnergy, stale: this.isStale() };
+    }
+
+    /**
+     * Refresh the energy statistics panel
+     */
+    refreshStats() {
+        if (this.data.energyStatsModule) {
+            this.data.energyStatsModule.updateTreeShadingImpact();
+        }
+    }
+
+    /**
+     * Set status text below the tree shading controls
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        const status = document.getElementById('tree-shading-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * Update run/cancel button state
+     */
+    updateControls() {
+        const runBtn = document.getElementById('tree-shading-run');
+        if (runBtn) {
+            runBtn.innerHTML = this.isRunning ? '<span>⏹ Cancel</span>' : '<span>🌳 Estimate Tree Shading</span>';
+            runBtn.classList.toggle('active', this.isRunning);
+        }
+    }
+
+    /**
+     * Clear results (e.g. after a new file is loaded)
+     */
+    clear() {
+        this.results = new Map();
+        this.resultSignature = null;
+        this.setStatus('');
+        this.refreshStats();
+    }
+}
+
+// Export for use in other modules
+window.TreeShadingModule = TreeShadingModule;
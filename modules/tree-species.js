@@ -0,0 +1,315 @@
+/**
+ * Tree Species Module - Species catalogue for tree placement
+ * Each species defines its crown shape, trunk and crown proportions relative to the tree
+ * height, its leaf-on season and its leaf area index. DataModule.placeTree() asks this
+ * module which species to plant (the one selected in the tree menu, or a weighted draw
+ * from the species mix) and how big its trunk and canopy are. The species id is stored
+ * in the `species` property of the trunk and canopy features; trees without it use the
+ * generic proportions. Crowns are built from stacked extrusion tiers following the
+ * species crown shape (see getCrownTiers()).
+ */
+
+class TreeSpeciesModule {
+    constructor(coreModule) {
+        this.core = coreModule;
+        this.species = new Map(); // id -> species definition
+        this.defaultCrownShape = 'ellipsoid'; // Crown shape of generic trees
+        // Crown radius (fraction of the widest) at a height t (0 = crown base, 1 = crown top).
+        // Sphere and ellipsoid share the profile; the species proportions make them round or elongated.
+        this.crownProfiles = {
+            sphere: t => Math.sqrt(1 - Math.pow(2 * t - 1, 2)),
+            ellipsoid: t => Math.sqrt(1 - Math.pow(2 * t - 1, 2)),
+            cone: t => 1 - t,
+            umbrella: t => Math.sqrt(1 - t * t) // Widest at the base, domed top (palm fronds)
+        };
+        this.registerDefaultSpecies();
+    }
+
+    /**
+     * Initialize tree species module
+     */
+    initialize() {
+        this.populateControls();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listener for the species select
+     */
+    setupEventListeners() {
+        const select = document.getElementById('tree-species');
+        if (select) {
+            select.addEventListener('change', () => this.updateMixVisibility());
+        }
+    }
+
+    /**
+     * Register a species
+     * @param {string} id - Species id stored on features, e.g. 'oak'
+     * @param {Object} species - {
+     *   name, crownShape: 'sphere'|'ellipsoid'|'cone'|'umbrella',
+     *   clearTrunkRatio: trunk height below the crown / tree height,
+     *   crownDiameterRatio: crown diameter / tree height,
+     *   trunkDiameterRatio: trunk diameter / tree height,
+     *   deciduous, leafOnMonths: [first, last] month (1-12, northern hemisphere),
+     *   leafAreaIndex: m² leaf per m² crown projection when in leaf,
+     *   leafOffAreaIndex: branch area index when bare (deciduous only),
+     *   defaultWeight: share in the species mix }
+     */
+    registerSpecies(id, species) {
+        this.species.set(id, { id, ...species });
+    }
+
+    /**
+     * Register the built-in species
+     */
+    registerDefaultSpecies() {
+        this.registerSpecies('oak', {
+            name: 'Oak (Quercus robur)',
+            crownShape: 'sphere',
+            clearTrunkRatio: 0.3,
+            crownDiameterRatio: 0.8,
+            trunkDiameterRatio: 0.05,
+            deciduous: true,
+            leafOnMonths: [5, 10],
+            leafAreaIndex: 5.0,
+            leafOffAreaIndex: 1.0,
+            defaultWeight: 25
+        });
+        this.registerSpecies('maple', {
+            name: 'Maple (Acer platanoides)',
+            crownShape: 'ellipsoid',
+            clearTrunkRatio: 0.3,
+            crownDiameterRatio: 0.6,
+            trunkDiameterRatio: 0.04,
+            deciduous: true,
+            leafOnMonths: [4, 10],
+            leafAreaIndex: 5.5,
+            leafOffAreaIndex: 0.9,
+            defaultWeight: 25
+        });
+        this.registerSpecies('plane', {
+            name: 'Plane tree (Platanus × acerifolia)',
+            crownShape: 'sphere',
+            clearTrunkRatio: 0.35,
+            crownDiameterRatio: 0.75,
+            trunkDiameterRatio: 0.05,
+            deciduous: true,
+            leafOnMonths: [5, 10],
+            leafAreaIndex: 4.0,
+            leafOffAreaIndex: 0.8,
+            defaultWeight: 25
+        });
+        this.registerSpecies('conifer', {
+            name: 'Conifer (Picea abies)',
+            crownShape: 'cone',
+            clearTrunkRatio: 0.1,
+            crownDiameterRatio: 0.35,
+            trunkDiameterRatio: 0.035,
+            deciduous: false,
+            leafOnMonths: [1, 12],
+            leafAreaIndex: 7.0,
+            defaultWeight: 15
+        });
+        this.registerSpecies('palm', {
+            name: 'Palm (Phoenix canariensis)',
+            crownShape: 'umbrella',
+            clearTrunkRatio: 0.75,
+            crownDiameterRatio: 0.6,
+            trunkDiameterRatio: 0.06,
+            deciduous: false,
+            leafOnMonths: [1, 12],
+            leafAreaIndex: 2.5,
+            defaultWeight: 10
+        });
+    }
+
+    /**
+     * Get a species definition
+     * @param {string} id - Species id
+     * @returns {Object|null} Species, or null for unknown ids and generic trees
+     */
+    getSpecies(id) {
+        return this.species.get(id) || null;
+    }
+
+    /**
+     * Get all species
+     * @returns {Array} Species definitions in registration order
+     */
+    getAllSpecies() {
+        return Array.from(this.species.values());
+    }
+
+    /**
+     * Fill the species selects (tree menu and selected trees panel) and the species mix inputs from the catalogue
+     */
+    populateControls() {
+        ['tree-species', 'tree-edit-species'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            const mixOption = select.querySelector('option[value="mix"]'); // null in the edit panel: append
+            this.getAllSpecies().forEach(species => {
+                if (select.querySelector(`option[value="${species.id}"]`)) return;
+                const option = document.createElement('option');
+                option.value = species.id;
+                option.textContent = species.name;
+                select.insertBefore(option, mixOption);
+            });
+        });
+
+        const mix = document.getElementById('species-mix');
+        if (mix) {
+            mix.innerHTML = '';
+            this.getAllSpecies().forEach(species => {
+                const group = document.createElement('div');
+                group.className = 'control-group';
+                const label = document.createElement('label');
+                label.className = 'control-label';
+                label.htmlFor = `species-weight-${species.id}`;
+                label.textContent = `${species.name.split(' (')[0]} (%)`;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.id = `species-weight-${species.id}`;
+                input.className = 'control-input';
+                input.min = '0';
+                input.max = '100';
+                input.value = String(species.defaultWeight);
+                group.appendChild(label);
+                group.appendChild(input);
+                mix.appendChild(group);
+            });
+        }
+
+        this.updateMixVisibility();
+    }
+
+    /**
+     * Show the mix weights only when "Species mix" is selected
+     */
+    updateMixVisibility() {
+        const select = document.getElementById('tree-species');
+        const mix = document.getElementById('species-mix');
+        if (mix) {
+            mix.style.display = select && select.value === 'mix' ? 'grid' : 'none';
+        }
+    }
+
+    /**
+     * Get the species mix weights from the tree menu
+     * @returns {Array} [{ id, weight }] with weight > 0
+     */
+    getMixWeights() {
+        return this.getAllSpecies()
+            .map(species => {
+                const value = Number(document.getElementById(`species-weight-${species.id}`)?.value);
+                return { id: species.id, weight: isNaN(value) ? species.defaultWeight : Math.max(0, value) };
+            })
+            .filter(entry => entry.weight > 0);
+    }
+
+    /**
+     * Pick the species for the next tree from the tree menu
+     * @returns {string|null} Species id, or null for generic trees
+     */
+    pickSpecies() {
+        const value = document.getElementById('tree-species')?.value || 'generic';
+        if (value === 'mix') {
+            const weights = this.getMixWeights();
+            const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+            let draw = Math.random() * total;
+            for (const entry of weights) {
+                draw -= entry.weight;
+                if (draw < 0) return entry.id;
+            }
+            return null; // All weights zero
+        }
+        return this.getSpecies(value) ? value : null;
+    }
+
+    /**
+     * Trunk and canopy dimensions of a tree
+     * @param {string|null} speciesId - Species id, or null for the generic proportions
+     * @param {number} totalHeight - Tree height in meters
+     * @returns {Object} { trunkHeight, canopyHeight, trunkRadius, canopyRadius } in meters
+     */
+    getTreeDimensions(speciesId, totalHeight) {
+        const species = this.getSpecies(speciesId);
+        if (!species) {
+            // Generic tree: trunk 40% / canopy 60% of the height,
+            // trunk radius 2.5% (0.15-0.8 m) and canopy radius 18% (1-6 m) of the height
+            return {
+                trunkHeight: totalHeight * 0.4,
+                canopyHeight: totalHeight * 0.6,
+                trunkRadius: Math.max(0.15, Math.min(0.8, totalHeight * 0.025)),
+                canopyRadius: Math.max(1.0, Math.min(6.0, totalHeight * 0.18))
+            };
+        }
+
+        const trunkHeight = totalHeight * species.clearTrunkRatio;
+        return {
+            trunkHeight,
+            canopyHeight: totalHeight - trunkHeight,
+            trunkRadius: Math.max(0.1, Math.min(1.0, totalHeight * species.trunkDiameterRatio / 2)),
+            canopyRadius: Math.max(0.75, Math.min(15, totalHeight * species.crownDiameterRatio / 2))
+        };
+    }
+
+    /**
+     * Stacked extrusion tiers approximating the crown shape
+     * Each tier is an equal slice of the crown height with the crown radius at its
+     * mid-height. A single tier is the flat-topped crown of the whole canopy size.
+     * @param {string|null} speciesId - Species id, or null for generic trees
+     * @param {number} tierCount - Number of tiers
+     * @returns {Array} [{ base, height, radius }] as fractions of crown height and crown radius
+     */
+    getCrownTiers(speciesId, tierCount) {
+        const count = Math.max(1, Math.round(tierCount) || 1);
+        if (count === 1) {
+            return [{ base: 0, height: 1, radius: 1 }];
+        }
+
+        const species = this.getSpecies(speciesId);
+        const profile = this.crownProfiles[species ? species.crownShape : this.defaultCrownShape] ||
+            this.crownProfiles[this.defaultCrownShape];
+        const tiers = [];
+        for (let i = 0; i < count; i++) {
+            tiers.push({
+                base: i / count,
+                height: 1 / count,
+                radius: Math.max(0.1, profile((i + 0.5) / count))
+            });
+        }
+        return tiers;
+    }
+
+    /**
+     * Leaf state of a species on a date
+     * Leaf-on months are given for the northern hemisphere and shifted by six months south
+     * of the equator. Evergreen species are always in leaf.
+     * @param {string} speciesId - Species id
+     * @param {Date} date - Date
+     * @param {number} latitude - Site latitude
+     * @returns {Object} { leafOn, leafAreaIndex } (leafAreaIndex is null for generic trees)
+     */
+    getLeafState(speciesId, date, latitude) {
+        const species = this.getSpecies(speciesId);
+        if (!species) {
+            return { leafOn: true, leafAreaIndex: null };
+        }
+        if (!species.deciduous) {
+            return { leafOn: true, leafAreaIndex: species.leafAreaIndex };
+        }
+
+        let month = date.getUTCMonth() + 1;
+        if (latitude < 0) {
+            month = (month + 5) % 12 + 1;
+        }
+        const [first, last] = species.leafOnMonths;
+        const leafOn = first <= last ? month >= first && month <= last : month >= first || month <= last;
+        return { leafOn, leafAreaIndex: leafOn ? species.leafAreaIndex : species.leafOffAreaIndex };
+    }
+}
+
+// Export for use in other modules
+window.TreeSpeciesModule = TreeSpeciesModule;
@@ -0,0 +1,325 @@
+/**
+ * Tree Tiles Module - Viewport streaming of trees in large scenes
+ * Above the render limits, trees are paged in and out per Web Mercator tile as the map
+ * moves: trunk/canopy extrusions from z16 tiles while zoomed in, billboard centroids from
+ * z14 tiles at the billboard zooms. Each tile keeps its trees in a fixed order (a hash of
+ * the tree id) and shows a prefix of that order, so refreshes never swap one sample of
+ * trees for another and trees don't flicker. Tiles are cached and invalidated when
+ * DataModule adds or removes trees in them.
+ */
+
+class TreeTilesModule {
+    constructor(coreModule, dataModule) {
+        this.core = coreModule;
+        this.data = dataModule;
+        this.extrusionTileZoom = 16;
+        this.billboardTileZoom = 14;
+        this.extrusionMinZoom = 14.5; // Tree extrusion layers start at zoom 15
+        this.billboardZoomRange = [11.5, 15.5]; // Billboard layer is shown from 12 to 15
+        this.maxTiles = 400; // Nearest tiles kept when a pitched or zoomed-out view covers more
+        this.refreshDelay = 100; // ms after moveend
+        this.tiles = new Map(); // "kind/z/x/y" -> features of the tile in rank order
+        this.generations = { trunks: null, canopies: null }; // Index generation each cache was built from
+        this.billboards = new WeakMap(); // canopy feature -> billboard centroid feature
+        this.lastViewKey = null;
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Initialize tree tiles module
+     */
+    initialize() {
+        this.clear();
+    }
+
+    /**
+     * Setup map listeners (call this after map is loaded)
+     * moveend also fires at the end of zooming, rotating and pitching.
+     */
+    setupMapListeners() {
+        const map = this.core.getMap();
+        map.on('moveend', () => {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refresh(), this.refreshDelay);
+        });
+    }
+
+    /**
+     * Update the tree sources for the current view of a large scene
+     * Skipped when the visible tiles and zoom band have not changed since the last refresh.
+     */
+    refresh() {
+        const map = this.core.getMap();
+        if (!map) return;
+
+        const trunkCount = this.data.treeTrunkData.features.length;
+        const canopyCount = this.data.getPrimaryCanopies().length;
+        const streamExtrusions = trunkCount > this.data.maxRenderedTrees;
+        const streamBillboards = canopyCount > this.data.maxBillboardTrees;
+        if (!streamExtrusions && !streamBillboards) {
+            this.lastViewKey = null;
+            return;
+        }
+
+        const viewKey = [
+            streamExtrusions ? this.describeView(map, 'trunks') : '',
+            streamBillboards ? this.describeView(map, 'canopies') : ''
+        ].join('|');
+        if (viewKey === this.lastViewKey) return;
+        this.lastViewKey = viewKey;
+
+        if (streamExtrusions) {
+            this.data.updateTreeSources(map); // Also refreshes the billboards
+        } else if (window.app && window.app.tree) {
+            window.app.tree.updateCanopyCentroidsSource(map);
+        }
+    }
+
+    /**
+     * Drop all cached tiles
+     */
+    clear() {
+        this.tiles = new Map();
+        this.generations = { trunks: null, canopies: null };
+        this.lastViewKey = null;
+    }
+
+    /**
+     * Invalidate the tiles of added or removed tree features
+     * Called by DataModule for incremental edits; replaced collections are detected
+     * through the rebuilt spatial index instead.
+     * @param {'trunks'|'canopies'} collection - Collection of the features
+     * @param {Array} features - Added or removed features
+     */
+    invalidateFeatures(collection, features) {
+        if (collection !== 'trunks' && collection !== 'canopies') return;
+        const zoom = collection === 'trunks' ? this.extrusionTileZoom : this.billboardTileZoom;
+        features.forEach(feature => {
+            if (collection === 'canopies') {
+                this.billboards.delete(feature);
+            }
+            const bbox = SpatialIndexModule.getBBox(feature);
+            if (!bbox) return;
+            const [x, y] = this.getTileXY([(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2], zoom);
+            this.tiles.delete(`${collection}/${zoom}/${x}/${y}`);
+        });
+        this.lastViewKey = null;
+    }
+
+    /**
+     * Trunks and canopies to render for the current view
+     * @param {Object} map - Mapbox map instance
+     * @param {number} limit - Maximum number of trees
+     * @returns {Object} { trunks, canopies }
+     */
+    getVisibleTrees(map, limit) {
+        if (map.getZoom() < this.extrusionMinZoom) {
+            return { trunks: [], canopies: [] }; // Extrusion layers are hidden at this zoom
+        }
+
+        const trunks = this.collectFromTiles(map, 'trunks', limit);
+        const canopyIndex = this.data.getSpatialIndex('canopies');
+        const canopies = [];
+        trunks.forEach(trunk => {
+            canopyIndex.getById(trunk.properties.id).forEach(canopy => canopies.push(canopy));
+        });
+        return { trunks, canopies };
+    }
+
+    /**
+     * Billboard centroid features to render for the current view
+     * @param {Object} map - Mapbox map instance
+     * @param {number} limit - Maximum number of billboards
+     * @returns {Array} Point features
+     */
+    getVisibleBillboards(map, limit) {
+        const zoom = map.getZoom();
+        if (zoom < this.billboardZoomRange[0] || zoom > this.billboardZoomRange[1]) {
+            return [];
+        }
+
+        const centroids = [];
+        this.collectFromTiles(map, 'canopies', limit).forEach(canopy => {
+            let billboard = this.billboards.get(canopy);
+            if (!billboard) {
+                try {
+                    billboard = {
+                        type: 'Feature',
+                        geometry: turf.centroid(canopy).geometry,
+                        properties: {
+                            id: canopy.properties.id,
+                            height: canopy.properties.height,
+                            base: canopy.properties.base
+                        }
+                    };
+                } catch (error) {
+                    return; // Skip this canopy if error
+                }
+                this.billboards.set(canopy, billboard);
+            }
+            centroids.push(billboard);
+        });
+        return centroids;
+    }
+
+    /**
+     * Collect features from the visible tiles within a budget
+     * The budget is shared evenly; tiles with fewer trees than their share pass the
+     * rest on to the others. Every tile contributes a prefix of its rank order.
+     * @param {Object} map - Mapbox map instance
+     * @param {'trunks'|'canopies'} collection - Collection to page
+     * @param {number} limit - Maximum number of features
+     * @returns {Array} Features
+     */
+    collectFromTiles(map, collection, limit) {
+        const index = this.data.getSpatialIndex(collection);
+        if (index.generation !== this.generations[collection]) {
+            // The index was rebuilt (load, reset, undo of a scene): start over
+            Array.from(this.tiles.keys())
+                .filter(key => key.startsWith(`${collection}/`))
+                .forEach(key => this.tiles.delete(key));
+            this.generations[collection] = index.generation;
+        }
+
+        const zoom = collection === 'trunks' ? this.extrusionTileZoom : this.billboardTileZoom;
+        const tiles = this.getVisibleTiles(map, zoom).map(([x, y]) => this.getTile(collection, index, x, y, zoom));
+
+        // Fill the smallest tiles first so unused shares flow to the fuller ones
+        const order = tiles.map((tile, i) => i).sort((a, b) => tiles[a].length - tiles[b].length);
+        const counts = new Array(tiles.length).fill(0);
+        let remaining = limit;
+        order.forEach((tileIndex, position) => {
+            const share = Math.floor(remaining / (order.length - position));
+            counts[tileIndex] = Math.min(tiles[tileIndex].length, share);
+            remaining -= counts[tileIndex];
+        });
+
+        const features = [];
+        tiles.forEach((tile, i) => {
+            for (let j = 0; j < counts[i]; j++) {
+                features.push(tile[j]);
+            }
+        });
+        return features;
+    }
+
+    /**
+     * Get the features of a tile in rank order, from the cache or the spatial index
+     * A feature belongs to the tile that contains its bounding box center. Canopy tiles
+     * (billboards) keep only the lowest tier of multi-tier crowns.
+     * @returns {Array} Features
+     */
+    getTile(collection, index, x, y, zoom) {
+        const key = `${collection}/${zoom}/${x}/${y}`;
+        let tile = this.tiles.get(key);
+        if (!tile) {
+            tile = index.search(this.getTileBBox(x, y, zoom))
+                .filter(feature => {
+                    if (collection === 'canopies' && feature.properties.tier > 0) return false;
+                    const [tileX, tileY] = this.getTileXY(index.getCenter(feature), zoom);
+                    return tileX === x && tileY === y;
+                })
+                .map(feature => ({ feature, rank: this.getRank(feature.properties.id) }))
+                .sort((a, b) => a.rank - b.rank)
+                .map(entry => entry.feature);
+            this.tiles.set(key, tile);
+        }
+        return tile;
+    }
+
+    /**
+     * Tiles covering the viewport plus one tile of margin
+     * Views wider than maxTiles (pitched or world-wide bounds) keep the tiles nearest
+     * the center; the range is clamped before enumerating so it stays small.
+     * @param {Object} map - Mapbox map instance
+     * @param {number} zoom - Tile zoom
+     * @returns {Array} [x, y] tile coordinates
+     */
+    getVisibleTiles(map, zoom) {
+        const bounds = map.getBounds();
+        const center = map.getCenter();
+        const [centerX, centerY] = this.getTileXY([center.lng, center.lat], zoom);
+        const radius = Math.ceil(Math.sqrt(this.maxTiles) / 2);
+        const [west, north] = this.getTileXY([bounds.getWest(), bounds.getNorth()], zoom);
+        const [east, south] = this.getTileXY([bounds.getEast(), bounds.getSouth()], zoom);
+        const minX = Math.max(west - 1, centerX - radius);
+        const maxX = Math.min(east + 1, centerX + radius);
+        const minY = Math.max(north - 1, centerY - radius);
+        const maxY = Math.min(south + 1, centerY + radius);
+
+        const tiles = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                tiles.push([x, y]);
+            }
+        }
+        if (tiles.length > this.maxTiles) {
+            const distance = ([x, y]) => Math.hypot(x - centerX, y - centerY);
+            tiles.sort((a, b) => distance(a) - distance(b));
+            tiles.length = this.maxTiles;
+        }
+        return tiles;
+    }
+
+    /**
+     * Describe what a refresh would show, to skip refreshes that change nothing
+     * @param {Object} map - Mapbox map instance
+     * @param {'trunks'|'canopies'} collection - Collection to page
+     * @returns {string} Tile range and zoom band
+     */
+    describeView(map, collection) {
+        const mapZoom = map.getZoom();
+        if (collection === 'trunks') {
+            if (mapZoom < this.extrusionMinZoom) return 'hidden';
+        } else if (mapZoom < this.billboardZoomRange[0] || mapZoom > this.billboardZoomRange[1]) {
+            return 'hidden';
+        }
+        const zoom = collection === 'trunks' ? this.extrusionTileZoom : this.billboardTileZoom;
+        const tiles = this.getVisibleTiles(map, zoom);
+        const xs = tiles.map(tile => tile[0]);
+        const ys = tiles.map(tile => tile[1]);
+        return `${tiles.length}:${Math.min(...xs)},${Math.min(...ys)},${Math.max(...xs)},${Math.max(...ys)}`;
+    }
+
+    /**
+     * Web Mercator tile containing a position
+     * @param {Array} lngLat - [lng, lat]
+     * @param {number} zoom - Tile zoom
+     * @returns {Array} [x, y]
+     */
+    getTileXY(lngLat, zoom) {
+        const n = Math.pow(2, zoom);
+        const lat = Math.max(-85.05112878, Math.min(85.05112878, lngLat[1])) * Math.PI / 180;
+        const x = Math.floor((lngLat[0] + 180) / 360 * n);
+        const y = Math.floor((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * n);
+        return [Math.min(n - 1, Math.max(0, x)), Math.min(n - 1, Math.max(0, y))];
+    }
+
+    /**
+     * Bounding box of a Web Mercator tile
+     * @returns {Array} [west, south, east, north]
+     */
+    getTileBBox(x, y, zoom) {
+        const n = Math.pow(2, zoom);
+        const lat = (tileY) => Math.atan(Math.sinh(Math.PI * (1 - 2 * tileY / n))) * 180 / Math.PI;
+        return [x / n * 360 - 180, lat(y + 1), (x + 1) / n * 360 - 180, lat(y)];
+    }
+
+    /**
+     * Stable pseudo-random rank of a tree (FNV-1a hash of its id)
+     * @param {string|number} id - Tree id
+     * @returns {number} Rank
+     */
+    getRank(id) {
+        const text = String(id);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Export for use in other modules
+window.TreeTilesModule = TreeTilesModule;
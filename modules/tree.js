@@ -16,6 +16,11 @@ class TreeModule {
         this.isDrawingPolygon = false; // Flag for polygon drawing mode
         this.deletePolygonPoints = []; // Points for delete polygon
         this.isDrawingDeletePolygon = false; // Flag for delete polygon drawing mode
+        this.selectedTreeIds = new Set(); // Trees selected in select mode
+        this.selectionBoxStart = null; // Screen point where a Shift+drag box selection started
+        this.suppressSelectionClick = false; // Set by a mousedown that started a box selection; its click is ignored
+        this.selectionDrag = null; // { action, trees, pivot, startLngLat, startPoint } while dragging the selection
+        this.selectionColor = '#f59e0b'; // Highlight color of selected trees
     }
 
     /**
@@ -36,7 +41,7 @@ class TreeModule {
     }
 
     /**
-     * Set tree mode (multi, delete, or null)
+     * Set tree mode (multi, brush, delete, delete-brush, select, or null)
      * @param {string|null} mode - Tree mode
      */
     setTreeMode(mode) {
@@ -46,9 +51,22 @@ class TreeModule {
             this.currentTreeMode = mode;
         }
 
+        // Tree tools and building tools share the map clicks
+        if (this.currentTreeMode && window.app && window.app.buildingEditor && window.app.buildingEditor.getCurrentMode()) {
+            window.app.buildingEditor.setMode(null);
+        }
+
         this.updateTreeButtons();
         const map = this.core.getMap();
-        map.getCanvas().style.cursor = this.currentTreeMode ? 'crosshair' : '';
+        map.getCanvas().style.cursor = this.currentTreeMode === 'select' ? 'default' : this.currentTreeMode ? 'crosshair' : '';
+
+        // Shift+drag selects trees instead of box zooming in select mode
+        if (this.currentTreeMode === 'select') {
+            map.boxZoom.disable();
+        } else {
+            map.boxZoom.enable();
+            this.clearSelection();
+        }
     }
 
     /**
@@ -59,7 +77,8 @@ class TreeModule {
         const treeModeBrushBtn = document.getElementById('tree-mode-brush');
         const treeModeDeleteBtn = document.getElementById('tree-mode-delete');
         const treeModeDeleteBrushBtn = document.getElementById('tree-mode-delete-brush');
-        const treeCreatorBtns = [treeModeMultiBtn, treeModeBrushBtn, treeModeDeleteBtn, treeModeDeleteBrushBtn];
+        const treeModeSelectBtn = document.getElementById('tree-mode-select');
+        const treeCreatorBtns = [treeModeMultiBtn, treeModeBrushBtn, treeModeDeleteBtn, treeModeDeleteBrushBtn, treeModeSelectBtn];
 
         treeCreatorBtns.forEach(btn => {
             if (!btn) return;
@@ -90,6 +109,9 @@ class TreeModule {
             deleteBrushParams.style.display = this.currentTreeMode === 'delete-brush' ? 'block' : 'none';
         }
         
+        // Show/hide selected trees panel
+        this.updateSelectionPanel();
+        
         // Clear brush shape when mode changes
         if (this.currentTreeMode !== 'brush' && this.currentTreeMode !== 'delete-brush') {
             this.clearBrushShape();
@@ -110,6 +132,7 @@ class TreeModule {
         const treeModeBrushBtn = document.getElementById('tree-mode-brush');
         const treeModeDeleteBtn = document.getElementById('tree-mode-delete');
         const treeModeDeleteBrushBtn = document.getElementById('tree-mode-delete-brush');
+        const treeModeSelectBtn = document.getElementById('tree-mode-select');
         const treeDeleteAllBtn = document.getElementById('tree-delete-all');
 
         // Create mode buttons
@@ -128,6 +151,19 @@ class TreeModule {
             treeModeDeleteBrushBtn.addEventListener('click', () => this.setTreeMode('delete-brush'));
         }
 
+        // Select mode button and selected trees panel
+        if (treeModeSelectBtn) {
+            treeModeSelectBtn.addEventListener('click', () => this.setTreeMode('select'));
+        }
+        const treeEditApplyBtn = document.getElementById('tree-edit-apply');
+        if (treeEditApplyBtn) {
+            treeEditApplyBtn.addEventListener('click', () => this.applySelectionEdits());
+        }
+        const treeSelectionClearBtn = document.getElementById('tree-selection-clear');
+        if (treeSelectionClearBtn) {
+            treeSelectionClearBtn.addEventListener('click', () => this.clearSelection());
+        }
+
         // Delete all trees button
         treeDeleteAllBtn.addEventListener('click', () => {
             this.deleteAllTrees();
@@ -209,16 +245,20 @@ class TreeModule {
         // Mouse events for tree placement
         map.on('mousedown', (e) => {
             if (e.originalEvent.button !== 0) return;
-            if (this.currentTreeMode) e.preventDefault();
+            // Select mode keeps panning on empty map; its own listener takes over drags on trees
+            if (this.currentTreeMode && this.currentTreeMode !== 'select') e.preventDefault();
 
+            // A whole drag stroke is a single undoable step
             if (this.currentTreeMode === 'multi') {
                 this.isDragging = true;
                 map.dragPan.disable();
+                this.data.beginHistoryGroup('Add trees');
                 this.data.placeTree(e.lngLat);
                 this.lastTreePosition = e.lngLat;
             } else if (this.currentTreeMode === 'delete') {
                 this.isDragging = true;
                 map.dragPan.disable();
+                this.data.beginHistoryGroup('Erase trees');
                 this.data.deleteTreesAtPoint(e.point);
             }
         });
@@ -257,17 +297,20 @@ class TreeModule {
 
         map.on('mouseup', () => {
             if (this.isDragging) {
-                this.isDragging = false;
-                this.lastTreePosition = null;
-                if (!this.currentTreeMode) {
-                    map.dragPan.enable();
-                }
+                this.finishStroke(map);
             }
             if (this.currentTreeMode !== 'multi' && this.currentTreeMode !== 'delete' && this.currentTreeMode !== 'brush' && this.currentTreeMode !== 'delete-brush') {
                 map.dragPan.enable();
             }
         });
         
+        // Mapbox fires no mouseup when the button is released outside the map
+        document.addEventListener('mouseup', () => {
+            if (this.isDragging) {
+                this.finishStroke(map);
+            }
+        });
+
         // Disable drag pan when brush mode is active
         map.on('mousedown', (e) => {
             if ((this.currentTreeMode === 'brush' || this.currentTreeMode === 'delete-brush') && e.originalEvent.button === 0) {
@@ -285,6 +328,8 @@ class TreeModule {
             }
         });
 
+        this.setupSelectionListeners(map);
+
         // Cursor changes for tree layers
         map.on('mouseenter', 'tree-trunks-layer', () => { 
             if (!this.currentTreeMode) map.getCanvas().style.cursor = 'pointer'; 
@@ -429,6 +474,22 @@ class TreeModule {
                                 ]
                             }
                         });
+
+                        // Ring around the billboards of selected trees
+                        map.addLayer({
+                            'id': 'tree-canopies-billboard-selected-layer',
+                            'type': 'circle',
+                            'source': 'tree-canopies-billboard-source',
+                            'minzoom': 12,
+                            'maxzoom': 15,
+                            'filter': ['in', ['get', 'id'], ['literal', Array.from(this.selectedTreeIds)]],
+                            'paint': {
+                                'circle-radius': ['interpolate', ['linear'], ['zoom'], 12, 6, 15, 14],
+                                'circle-opacity': 0,
+                                'circle-stroke-color': this.selectionColor,
+                                'circle-stroke-width': 2
+                            }
+                        });
                     } catch (error) {
                         console.warn('Could not add billboard layer:', error);
                     }
@@ -439,26 +500,7 @@ class TreeModule {
         // Mark layers as setup
         this.layersSetup = true;
         
-        // Update tree rendering when map moves (for viewport-based rendering)
-        map.on('moveend', () => {
-            if (this.data && this.data.treeTrunkData && this.data.treeTrunkData.features.length > 50000) {
-                this.data.updateTreeSources(map);
-            }
-            // Update billboard source when map moves
-            if (this.updateCanopyCentroidsSource) {
-                this.updateCanopyCentroidsSource(map);
-            }
-        });
-        
-        map.on('zoomend', () => {
-            if (this.data && this.data.treeTrunkData && this.data.treeTrunkData.features.length > 50000) {
-                this.data.updateTreeSources(map);
-            }
-            // Update billboard source when zoom changes
-            if (this.updateCanopyCentroidsSource) {
-                this.updateCanopyCentroidsSource(map);
-            }
-        });
+        // Large scenes are refreshed on map moves by TreeTilesModule (viewport tiles)
 
         // Add source and layer for brush circle preview
         map.addSource('brush-circle-source', {
@@ -488,6 +530,33 @@ class TreeModule {
             }
         });
 
+        // Add source and layers for the box selection preview
+        map.addSource('tree-selection-box-source', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features: [] }
+        });
+
+        map.addLayer({
+            'id': 'tree-selection-box-layer',
+            'type': 'fill',
+            'source': 'tree-selection-box-source',
+            'paint': {
+                'fill-color': this.selectionColor,
+                'fill-opacity': 0.15
+            }
+        });
+
+        map.addLayer({
+            'id': 'tree-selection-box-outline-layer',
+            'type': 'line',
+            'source': 'tree-selection-box-source',
+            'paint': {
+                'line-color': this.selectionColor,
+                'line-width': 2,
+                'line-dasharray': [2, 2]
+            }
+        });
+
         this.layersSetup = true;
         console.log('✓ Tree layers setup complete');
     }
@@ -511,10 +580,16 @@ class TreeModule {
      * Delete all trees
      */
     deleteAllTrees() {
+        // Record for undo before clearing
+        this.data.recordTreeChange('Delete all trees', null, {
+            trunks: this.data.treeTrunkData.features,
+            canopies: this.data.treeCanopyData.features
+        });
+
         // Reset tree data
+        // treeIdCounter is kept so trees restored by undo never share ids with new ones
         this.data.treeTrunkData = { type: 'FeatureCollection', features: [] };
         this.data.treeCanopyData = { type: 'FeatureCollection', features: [] };
-        this.data.treeIdCounter = 0;
 
         // Update map sources
         const map = this.core.getMap();
@@ -547,6 +622,378 @@ class TreeModule {
         }
     }
 
+    /**
+     * End a multi-place or erase drag stroke and close its undo group
+     * @param {Object} map - Mapbox map instance
+     */
+    finishStroke(map) {
+        this.isDragging = false;
+        this.lastTreePosition = null;
+        this.data.endHistoryGroup();
+        if (!this.currentTreeMode) {
+            map.dragPan.enable();
+        }
+    }
+
+    /**
+     * Setup map listeners of the select mode
+     * Click selects a tree, Shift+click adds or removes it, Shift+drag selects the trees in a
+     * box and dragging a selected tree moves, rotates or resizes the whole selection.
+     * @param {Object} map - Mapbox map instance
+     */
+    setupSelectionListeners(map) {
+        map.on('click', (e) => {
+            if (this.currentTreeMode !== 'select') return;
+            // Shift+clicks are box selections, settled on mouseup (the Shift key may be released by now)
+            if (this.suppressSelectionClick) {
+                this.suppressSelectionClick = false;
+                return;
+            }
+
+            const treeId = this.getTreeIdAtPoint(e.point);
+            this.setSelection(treeId ? [treeId] : []);
+        });
+
+        map.on('mousedown', (e) => {
+            if (this.currentTreeMode !== 'select' || e.originalEvent.button !== 0) return;
+
+            this.suppressSelectionClick = e.originalEvent.shiftKey;
+            if (e.originalEvent.shiftKey) {
+                e.preventDefault();
+                this.selectionBoxStart = e.point;
+                map.dragPan.disable();
+                return;
+            }
+
+            const treeId = this.getTreeIdAtPoint(e.point);
+            if (!treeId || !this.selectedTreeIds.has(treeId)) return;
+            e.preventDefault();
+
+            // Dragging a selected tree transforms the selection as captured now
+            const trees = this.getSelectedTrees();
+            const action = document.getElementById('tree-select-drag')?.value || 'move';
+            const centers = trees.map(tree => this.data.getTreeCenter(tree));
+            this.selectionDrag = {
+                action,
+                trees,
+                pivot: [
+                    centers.reduce((sum, center) => sum + center[0], 0) / centers.length,
+                    centers.reduce((sum, center) => sum + center[1], 0) / centers.length
+                ],
+                startLngLat: [e.lngLat.lng, e.lngLat.lat],
+                startPoint: e.point
+            };
+            map.dragPan.disable();
+            this.data.beginHistoryGroup(this.getSelectionDragLabel(action));
+        });
+
+        map.on('mousemove', UtilsModule.throttle((e) => {
+            if (this.selectionBoxStart) {
+                this.updateSelectionBox(this.selectionBoxStart, e.point);
+            } else if (this.selectionDrag) {
+                this.dragSelection(e);
+            }
+        }, 50));
+
+        map.on('mouseup', (e) => this.finishSelectionGesture(map, e));
+        // Mapbox fires no mouseup when the button is released outside the map
+        document.addEventListener('mouseup', (e) => {
+            if (this.selectionBoxStart || this.selectionDrag) {
+                this.finishSelectionGesture(map, UtilsModule.toMapMouseEvent(map, e));
+            }
+        });
+    }
+
+    /**
+     * Finish a box selection or selection drag where the mouse button was released
+     * @param {Object} map - Mapbox map instance
+     * @param {Object} e - Map mouse event ({ point, lngLat })
+     */
+    finishSelectionGesture(map, e) {
+        if (this.selectionBoxStart) {
+            const start = this.selectionBoxStart;
+            this.selectionBoxStart = null;
+            this.updateSelectionBox(null);
+            // Tiny boxes are Shift+clicks: add or remove the tree under the pointer
+            if (Math.abs(e.point.x - start.x) > 3 || Math.abs(e.point.y - start.y) > 3) {
+                this.selectTreesInBox(start, e.point);
+            } else {
+                this.toggleTreeSelection(this.getTreeIdAtPoint(start));
+            }
+            map.dragPan.enable();
+        }
+        if (this.selectionDrag) {
+            if (e.point.x !== this.selectionDrag.startPoint.x || e.point.y !== this.selectionDrag.startPoint.y) {
+                this.dragSelection(e);
+            }
+            this.selectionDrag = null;
+            this.data.endHistoryGroup();
+            map.dragPan.enable();
+            this.updateSelectionPanel();
+        }
+    }
+
+    /**
+     * Add a tree to the selection, or remove it if it is already selected
+     * @param {string|null} treeId - Tree id (null does nothing)
+     */
+    toggleTreeSelection(treeId) {
+        if (!treeId) return;
+        if (this.selectedTreeIds.has(treeId)) {
+            this.selectedTreeIds.delete(treeId);
+        } else {
+            this.selectedTreeIds.add(treeId);
+        }
+        this.updateSelection();
+    }
+
+    /**
+     * Get the tree under a screen point
+     * @param {Object} point - Screen point
+     * @returns {string|null} Tree id
+     */
+    getTreeIdAtPoint(point) {
+        const map = this.core.getMap();
+        const layers = ['tree-trunks-layer', 'tree-canopies-layer', 'tree-canopies-billboard-layer']
+            .filter(layerId => map.getLayer(layerId));
+        if (!layers.length) return null;
+
+        const features = map.queryRenderedFeatures(point, { layers });
+        return features.length ? features[0].properties.id : null;
+    }
+
+    /**
+     * Add the trees inside a screen box to the selection
+     * The box corners are unprojected, so the box follows the map bearing and pitch.
+     * @param {Object} start - Screen point where the box started
+     * @param {Object} end - Screen point where the box ended
+     */
+    selectTreesInBox(start, end) {
+        const polygon = this.getSelectionBoxPolygon(start, end);
+        this.data.getTreeIdsInPolygon(polygon).forEach(treeId => this.selectedTreeIds.add(treeId));
+        this.updateSelection();
+    }
+
+    /**
+     * Get the map polygon under a screen box
+     * @param {Object} start - Screen point
+     * @param {Object} end - Screen point
+     * @returns {Object} Turf polygon feature
+     */
+    getSelectionBoxPolygon(start, end) {
+        const map = this.core.getMap();
+        const corners = [
+            [start.x, start.y],
+            [end.x, start.y],
+            [end.x, end.y],
+            [start.x, end.y]
+        ].map(corner => {
+            const lngLat = map.unproject(corner);
+            return [lngLat.lng, lngLat.lat];
+        });
+        corners.push(corners[0].slice());
+        return turf.polygon([corners]);
+    }
+
+    /**
+     * Update the box selection preview
+     * @param {Object|null} start - Screen point where the box started, or null to hide the box
+     * @param {Object} end - Current screen point
+     */
+    updateSelectionBox(start, end) {
+        const map = this.core.getMap();
+        const source = map.getSource('tree-selection-box-source');
+        if (!source) return;
+
+        source.setData({
+            type: 'FeatureCollection',
+            features: start ? [this.getSelectionBoxPolygon(start, end)] : []
+        });
+    }
+
+    /**
+     * Apply the current selection drag to the selected trees
+     * Each step transforms the trees captured when the drag started, and the steps of one
+     * drag merge into a single history entry.
+     * @param {Object} e - Mapbox mouse event
+     */
+    dragSelection(e) {
+        const drag = this.selectionDrag;
+        const current = [e.lngLat.lng, e.lngLat.lat];
+        const transform = { pivot: drag.pivot };
+
+        switch (drag.action) {
+            case 'rotate':
+                transform.rotation = turf.bearing(drag.pivot, current) - turf.bearing(drag.pivot, drag.startLngLat);
+                break;
+            case 'height':
+                // Dragging up 100 px doubles the height, dragging down halves it
+                transform.heightScale = Math.pow(2, (drag.startPoint.y - e.point.y) / 100);
+                break;
+            case 'canopy':
+                transform.canopyScale = Math.pow(2, (drag.startPoint.y - e.point.y) / 100);
+                break;
+            default: {
+                const [dx, dy] = this.data.crsModule.createLocalFrame(drag.startLngLat).toLocal(current);
+                transform.dx = dx;
+                transform.dy = dy;
+            }
+        }
+
+        this.data.transformTrees(drag.trees, transform, this.getSelectionDragLabel(drag.action));
+    }
+
+    /**
+     * History label of a selection drag
+     * @param {string} action - 'move', 'rotate', 'height' or 'canopy'
+     * @returns {string} Label
+     */
+    getSelectionDragLabel(action) {
+        if (action === 'rotate') return 'Rotate trees';
+        if (action === 'height' || action === 'canopy') return 'Resize trees';
+        return 'Move trees';
+    }
+
+    /**
+     * Replace the selection
+     * @param {Array} treeIds - Tree ids to select
+     */
+    setSelection(treeIds) {
+        this.selectedTreeIds = new Set(treeIds);
+        this.updateSelection();
+    }
+
+    /**
+     * Clear the selection
+     */
+    clearSelection() {
+        if (!this.selectedTreeIds.size) return;
+        this.setSelection([]);
+    }
+
+    /**
+     * Get the selected trees that still exist
+     * @returns {Array} Trees from DataModule.getTree()
+     */
+    getSelectedTrees() {
+        return Array.from(this.selectedTreeIds)
+            .map(treeId => this.data.getTree(treeId))
+            .filter(tree => tree !== null);
+    }
+
+    /**
+     * Refresh highlight and panel after the selection or the trees changed
+     * Trees deleted meanwhile (erase, undo) drop out of the selection.
+     */
+    updateSelection() {
+        this.selectedTreeIds = new Set(this.getSelectedTrees().map(tree => tree.id));
+        this.updateSelectionStyle();
+        this.updateSelectionPanel();
+    }
+
+    /**
+     * Highlight the selected trees on the tree layers
+     */
+    updateSelectionStyle() {
+        const map = this.core.getMap();
+        const isSelected = ['in', ['get', 'id'], ['literal', Array.from(this.selectedTreeIds)]];
+
+        if (map.getLayer('tree-trunks-layer')) {
+            map.setPaintProperty('tree-trunks-layer', 'fill-extrusion-color', ['case', isSelected, this.selectionColor, '#8B4513']);
+        }
+        if (map.getLayer('tree-canopies-layer')) {
+            map.setPaintProperty('tree-canopies-layer', 'fill-extrusion-color', ['case', isSelected, this.selectionColor, '#008000']);
+        }
+        if (map.getLayer('tree-canopies-billboard-selected-layer')) {
+            map.setFilter('tree-canopies-billboard-selected-layer', isSelected);
+        }
+    }
+
+    /**
+     * Show the selected trees panel with their common properties
+     * Fields whose values differ between the selected trees are left empty.
+     */
+    updateSelectionPanel() {
+        const panel = document.getElementById('tree-selection-panel');
+        if (!panel) return;
+
+        panel.style.display = this.currentTreeMode === 'select' ? 'block' : 'none';
+        const countElement = document.getElementById('tree-selection-count');
+        if (countElement) {
+            countElement.textContent = this.selectedTreeIds.size;
+        }
+
+        const properties = Array.from(this.selectedTreeIds)
+            .map(treeId => this.data.getTreeProperties(treeId))
+            .filter(props => props !== null);
+        const common = (key, format) => {
+            const values = new Set(properties.map(props => format(props[key])));
+            return values.size === 1 ? values.values().next().value : '';
+        };
+
+        const fields = {
+            'tree-edit-height': common('height', value => (Math.round(value * 10) / 10).toString()),
+            'tree-edit-base': common('base', value => (Math.round(value * 10) / 10).toString()),
+            'tree-edit-type': common('type', value => value),
+            'tree-edit-species': common('species', value => value || 'generic')
+        };
+        Object.entries(fields).forEach(([elementId, value]) => {
+            const element = document.getElementById(elementId);
+            if (!element) return;
+            element.value = value;
+            element.disabled = properties.length === 0;
+        });
+
+        const applyBtn = document.getElementById('tree-edit-apply');
+        if (applyBtn) {
+            applyBtn.disabled = properties.length === 0;
+        }
+    }
+
+    /**
+     * Write the panel values to the selected trees
+     * Empty fields (differing values) are left unchanged.
+     */
+    applySelectionEdits() {
+        const treeIds = Array.from(this.selectedTreeIds);
+        if (!treeIds.length) return;
+
+        const changes = {};
+        const height = document.getElementById('tree-edit-height')?.value;
+        const base = document.getElementById('tree-edit-base')?.value;
+        const type = document.getElementById('tree-edit-type')?.value;
+        const species = document.getElementById('tree-edit-species')?.value;
+
+        if (height !== undefined && height !== '') {
+            if (!(Number(height) > 0)) {
+                alert('Tree height must be greater than 0.');
+                return;
+            }
+            changes.height = Number(height);
+        }
+        if (base !== undefined && base !== '') {
+            if (isNaN(Number(base))) {
+                alert('Tree base must be a number.');
+                return;
+            }
+            changes.base = Number(base);
+        }
+        if (type) {
+            changes.type = type;
+        }
+        if (species) {
+            changes.species = species === 'generic' ? null : species;
+        }
+
+        try {
+            this.data.updateTreeProperties(treeIds, changes, treeIds.length === 1 ? 'Edit tree' : 'Edit trees');
+        } catch (error) {
+            console.error('Error editing trees:', error);
+            alert('Error editing trees: ' + error.message);
+        }
+        this.updateSelection();
+    }
+
     /**
      * Update brush shape preview at mouse position
      * @param {Object} lngLat - Longitude and latitude coordinates
@@ -571,19 +1018,7 @@ class TreeModule {
                 properties: {}
             };
         } else if (brushShape === 'square') {
-            // Create square: half size in each direction
-            const halfSize = brushSize / 2;
-            // Convert meters to degrees (approximate)
-            const latOffset = halfSize / 111320; // 1 degree latitude ≈ 111320 meters
-            const lngOffset = halfSize / (111320 * Math.cos(lngLat.lat * Math.PI / 180));
-            
-            const bbox = [
-                lngLat.lng - lngOffset, // min longitude
-                lngLat.lat - latOffset, // min latitude
-                lngLat.lng + lngOffset, // max longitude
-                lngLat.lat + latOffset  // max latitude
-            ];
-            const square = turf.bboxPolygon(bbox);
+            const square = this.data.createSquare([lngLat.lng, lngLat.lat], brushSize);
             shapeFeature = {
                 type: 'Feature',
                 geometry: square.geometry,
@@ -797,17 +1232,7 @@ class TreeModule {
                 properties: {}
             };
         } else if (deleteBrushShape === 'square') {
-            const halfSize = deleteBrushSize / 2;
-            const latOffset = halfSize / 111320;
-            const lngOffset = halfSize / (111320 * Math.cos(lngLat.lat * Math.PI / 180));
-            
-            const bbox = [
-                lngLat.lng - lngOffset,
-                lngLat.lat - latOffset,
-                lngLat.lng + lngOffset,
-                lngLat.lat + latOffset
-            ];
-            const square = turf.bboxPolygon(bbox);
+            const square = this.data.createSquare([lngLat.lng, lngLat.lat], deleteBrushSize);
             shapeFeature = {
                 type: 'Feature',
                 geometry: square.geometry,
@@ -957,76 +1382,20 @@ class TreeModule {
         if (!map || !this.data) return;
         
         try {
-            const canopies = this.data.getTreeCanopyData().features;
+            const canopies = this.data.getPrimaryCanopies(); // One billboard per tree, not per crown tier
             const totalCanopies = canopies.length;
-            const MAX_BILLBOARD_TREES = 10000; // Maximum billboards to render
+            const MAX_BILLBOARD_TREES = this.data.maxBillboardTrees; // Maximum billboards to render
             
             let centroids;
             
-            // For very large datasets, use viewport-based filtering and sampling
+            // For very large datasets, render a stable sample of the visible tiles
             if (totalCanopies > MAX_BILLBOARD_TREES) {
                 try {
-                    // Get current viewport bounds
-                    const bounds = map.getBounds();
-                    const bbox = [
-                        bounds.getWest(),
-                        bounds.getSouth(),
-                        bounds.getEast(),
-                        bounds.getNorth()
-                    ];
-                    
-                    const viewportPolygon = turf.bboxPolygon(bbox);
-                    const expandedBbox = turf.bbox(turf.buffer(viewportPolygon, 0.02, { units: 'degrees' }));
-                    const expandedPolygon = turf.bboxPolygon(expandedBbox);
-                    
-                    // Sample rate based on total count
-                    const sampleRate = Math.ceil(totalCanopies / MAX_BILLBOARD_TREES);
-                    const visibleCentroids = [];
-                    let processed = 0;
-                    
-                    // Process in chunks to prevent blocking
-                    for (let i = 0; i < canopies.length && visibleCentroids.length < MAX_BILLBOARD_TREES; i += sampleRate) {
-                        const canopy = canopies[i];
-                        try {
-                            // Quick bbox check before centroid calculation
-                            const canopyBbox = turf.bbox(canopy);
-                            const canopyCenter = [
-                                (canopyBbox[0] + canopyBbox[2]) / 2,
-                                (canopyBbox[1] + canopyBbox[3]) / 2
-                            ];
-                            
-                            // Check if center is in expanded viewport
-                            if (canopyCenter[0] >= expandedBbox[0] && canopyCenter[0] <= expandedBbox[2] &&
-                                canopyCenter[1] >= expandedBbox[1] && canopyCenter[1] <= expandedBbox[3]) {
-                                
-                                const center = turf.centroid(canopy);
-                                visibleCentroids.push({
-                                    type: 'Feature',
-                                    geometry: center.geometry,
-                                    properties: {
-                                        id: canopy.properties.id,
-                                        height: canopy.properties.height,
-                                        base: canopy.properties.base
-                                    }
-                                });
-                            }
-                        } catch (error) {
-                            // Skip this canopy if error
-                            continue;
-                        }
-                        
-                        processed++;
-                        
-                        // For very large datasets, process in smaller batches
-                        // Note: We can't use await in non-async function, so we'll process all at once
-                        // but limit the total number processed
-                        if (visibleCentroids.length >= MAX_BILLBOARD_TREES) {
-                            break;
-                        }
+                    if (!window.app || !window.app.treeTiles) {
+                        throw new Error('Tree tiles module not available');
                     }
-                    
-                    centroids = visibleCentroids;
-                    console.log(`Billboard LOD: ${centroids.length} of ${totalCanopies} trees (viewport-based)`);
+                    centroids = window.app.treeTiles.getVisibleBillboards(map, MAX_BILLBOARD_TREES);
+                    console.log(`Billboard LOD: ${centroids.length} of ${totalCanopies} trees (viewport tiles)`);
                 } catch (error) {
                     console.warn('Error in viewport filtering for billboards, using simple sampling:', error);
                     // Fallback: simple sampling
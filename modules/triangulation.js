@@ -0,0 +1,424 @@
+/**
+ * Triangulation Module - Ear-clipping triangulation of polygons with holes
+ * Holes are bridged into the outer ring (as in mapbox/earcut) and the merged ring
+ * is ear-clipped. Used by the exporters to cap extruded footprints.
+ */
+
+class TriangulationModule {
+    /**
+     * Remove repeated and collinear vertices from a ring
+     * Run this before building both caps and walls: the triangulator keeps every
+     * vertex it is given, so caps and walls then share exactly the same edges.
+     * @param {Array} ring - Ring of [x, y] without the closing vertex
+     * @returns {Array} Cleaned ring
+     */
+    static cleanRing(ring) {
+        let points = ring.slice();
+        let changed = true;
+
+        while (changed && points.length >= 3) {
+            changed = false;
+            for (let i = 0; i < points.length && points.length >= 3; i++) {
+                const prev = points[(i - 1 + points.length) % points.length];
+                const current = points[i];
+                const next = points[(i + 1) % points.length];
+
+                const ax = current[0] - prev[0], ay = current[1] - prev[1];
+                const bx = next[0] - current[0], by = next[1] - current[1];
+                const duplicate = Math.abs(ax) < 1e-9 && Math.abs(ay) < 1e-9;
+                const cross = ax * by - ay * bx;
+                const collinear = Math.abs(cross) <= 1e-12 * Math.hypot(ax, ay) * Math.hypot(bx, by);
+
+                if (duplicate || collinear) {
+                    points.splice(i, 1);
+                    changed = true;
+                    i--;
+                }
+            }
+        }
+
+        return points.length >= 3 ? points : [];
+    }
+
+    /**
+     * Triangulate a polygon with holes
+     * @param {Array} rings - [outer, ...holes], each a cleaned ring of [x, y] without the closing vertex
+     * @returns {Array} Triangles as [a, b, c] indices into the concatenated rings, counter-clockwise
+     */
+    static triangulate(rings) {
+        const triangles = [];
+        if (!rings.length || rings[0].length < 3) return triangles;
+
+        // Outer ring counter-clockwise, holes clockwise
+        let offset = 0;
+        const lists = rings.map((ring, index) => {
+            const list = TriangulationModule.linkedList(ring, offset, index === 0);
+            offset += ring.length;
+            return list;
+        });
+
+        let outerNode = lists[0];
+        if (!outerNode || outerNode.next === outerNode.prev) return triangles;
+
+        if (lists.length > 1) {
+            outerNode = TriangulationModule.eliminateHoles(lists.slice(1), outerNode);
+        }
+
+        TriangulationModule.earcutLinked(outerNode, triangles, 0);
+        return triangles;
+    }
+
+    /**
+     * Create a circular doubly linked list from a ring in the requested winding
+     * @param {Array} ring - Ring of [x, y]
+     * @param {number} offset - Index of the ring's first vertex in the concatenated rings
+     * @param {boolean} counterClockwise - Desired winding
+     * @returns {Object} Last node of the list
+     */
+    static linkedList(ring, offset, counterClockwise) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] - ring[i][0]) * (ring[i][1] + ring[j][1]);
+        }
+
+        let last = null;
+        if (counterClockwise === (area > 0)) {
+            for (let i = 0; i < ring.length; i++) {
+                last = TriangulationModule.insertNode(offset + i, ring[i][0], ring[i][1], last);
+            }
+        } else {
+            for (let i = ring.length - 1; i >= 0; i--) {
+                last = TriangulationModule.insertNode(offset + i, ring[i][0], ring[i][1], last);
+            }
+        }
+        return last;
+    }
+
+    /**
+     * Ear-clip a linked polygon
+     * Pass 0 clips ears; pass 1 splits the polygon along a valid diagonal when no ear
+     * is found (numerical edge cases). Vertices are never dropped, to keep caps watertight.
+     * @param {Object} ear - Starting node
+     * @param {Array} triangles - Output triangles
+     * @param {number} pass - Recovery pass
+     */
+    static earcutLinked(ear, triangles, pass) {
+        if (!ear) return;
+
+        let stop = ear;
+        while (ear.prev !== ear.next) {
+            const prev = ear.prev;
+            const next = ear.next;
+
+            if (TriangulationModule.isEar(ear)) {
+                triangles.push([prev.i, ear.i, next.i]);
+                TriangulationModule.removeNode(ear);
+                ear = next.next;
+                stop = next.next;
+                continue;
+            }
+
+            ear = next;
+
+            if (ear === stop) {
+                if (pass === 0 && TriangulationModule.splitEarcut(ear, triangles)) {
+                    return;
+                }
+                // Last resort: fan the remainder so the cap stays closed
+                console.warn('Triangulation: no ear found, falling back to fan for the remaining vertices');
+                for (let p = ear.next; p.next !== ear; p = p.next) {
+                    triangles.push([ear.i, p.i, p.next.i]);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Check whether a vertex forms a valid ear
+     * @param {Object} ear - Candidate node
+     * @returns {boolean} True if (prev, ear, next) can be clipped
+     */
+    static isEar(ear) {
+        const a = ear.prev, b = ear, c = ear.next;
+        if (TriangulationModule.area(a, b, c) >= 0) return false; // Reflex or collinear
+
+        // No other vertex may lie inside or on the ear (bridge duplicates excepted)
+        let p = c.next;
+        while (p !== a) {
+            const isCorner = TriangulationModule.equals(p, a) || TriangulationModule.equals(p, b) || TriangulationModule.equals(p, c);
+            if (!isCorner &&
+                TriangulationModule.pointInTriangle(a.x, a.y, b.x, b.y, c.x, c.y, p.x, p.y) &&
+                TriangulationModule.area(p.prev, p, p.next) >= 0) {
+                return false;
+            }
+            p = p.next;
+        }
+        return true;
+    }
+
+    /**
+     * Split the polygon along a valid diagonal and triangulate both halves
+     * @param {Object} start - Starting node
+     * @param {Array} triangles - Output triangles
+     * @returns {boolean} True if a diagonal was found
+     */
+    static splitEarcut(start, triangles) {
+        let a = start;
+        do {
+            let b = a.next.next;
+            while (b !== a.prev) {
+                if (a.i !== b.i && TriangulationModule.isValidDiagonal(a, b)) {
+                    const c = TriangulationModule.splitPolygon(a, b);
+                    TriangulationModule.earcutLinked(a, triangles, 1);
+                    TriangulationModule.earcutLinked(c, triangles, 1);
+                    return true;
+                }
+                b = b.next;
+            }
+            a = a.next;
+        } while (a !== start);
+        return false;
+    }
+
+    /**
+     * Bridge all holes into the outer ring, leftmost holes first
+     * @param {Array} holeLists - Linked lists of the holes
+     * @param {Object} outerNode - Outer ring node
+     * @returns {Object} Outer ring node
+     */
+    static eliminateHoles(holeLists, outerNode) {
+        const queue = holeLists
+            .filter(Boolean)
+            .map(list => TriangulationModule.getLeftmost(list))
+            .sort((a, b) => a.x - b.x || a.y - b.y);
+
+        queue.forEach(hole => {
+            const bridge = TriangulationModule.findHoleBridge(hole, outerNode);
+            if (!bridge) {
+                console.warn('Triangulation: could not bridge a hole, it will be capped over');
+                return;
+            }
+            TriangulationModule.splitPolygon(bridge, hole);
+        });
+
+        return outerNode;
+    }
+
+    /**
+     * Find an outer ring vertex that can be connected to a hole's leftmost vertex
+     * (David Eberly's algorithm, as used in earcut)
+     * @param {Object} hole - Leftmost hole node
+     * @param {Object} outerNode - Outer ring node
+     * @returns {Object|null} Bridge node
+     */
+    static findHoleBridge(hole, outerNode) {
+        const hx = hole.x, hy = hole.y;
+        let p = outerNode;
+        let qx = -Infinity;
+        let m = null;
+
+        // Closest outer edge to the left of the hole vertex along a horizontal ray
+        do {
+            if (hy <= p.y && hy >= p.next.y && p.next.y !== p.y) {
+                const x = p.x + (hy - p.y) * (p.next.x - p.x) / (p.next.y - p.y);
+                if (x <= hx && x > qx) {
+                    qx = x;
+                    m = p.x < p.next.x ? p : p.next;
+                    if (x === hx) return m; // Hole touches the outer edge
+                }
+            }
+            p = p.next;
+        } while (p !== outerNode);
+
+        if (!m) return null;
+
+        // Reflex vertices inside the triangle (hole, intersection, m) may block the bridge;
+        // pick the one with the smallest angle to the ray instead
+        const stop = m;
+        const mx = m.x, my = m.y;
+        let tanMin = Infinity;
+        p = m;
+
+        do {
+            if (hx >= p.x && p.x >= mx && hx !== p.x &&
+                TriangulationModule.pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, p.x, p.y)) {
+                const tan = Math.abs(hy - p.y) / (hx - p.x);
+                if (TriangulationModule.locallyInside(p, hole) &&
+                    (tan < tanMin || (tan === tanMin && (p.x > m.x || (p.x === m.x && TriangulationModule.sectorContainsSector(m, p)))))) {
+                    m = p;
+                    tanMin = tan;
+                }
+            }
+            p = p.next;
+        } while (p !== stop);
+
+        return m;
+    }
+
+    /**
+     * Check whether m's sector contains p's sector (tie-break for hole bridges)
+     */
+    static sectorContainsSector(m, p) {
+        return TriangulationModule.area(m.prev, m, p.prev) < 0 && TriangulationModule.area(p.next, m, m.next) < 0;
+    }
+
+    /**
+     * Find the leftmost node of a ring
+     */
+    static getLeftmost(start) {
+        let p = start, leftmost = start;
+        do {
+            if (p.x < leftmost.x || (p.x === leftmost.x && p.y < leftmost.y)) leftmost = p;
+            p = p.next;
+        } while (p !== start);
+        return leftmost;
+    }
+
+    /**
+     * Check if a point lies inside or on a triangle
+     */
+    static pointInTriangle(ax, ay, bx, by, cx, cy, px, py) {
+        return (cx - px) * (ay - py) >= (ax - px) * (cy - py) &&
+            (ax - px) * (by - py) >= (bx - px) * (ay - py) &&
+            (bx - px) * (cy - py) >= (cx - px) * (by - py);
+    }
+
+    /**
+     * Check if a diagonal between two nodes lies inside the polygon without crossing it
+     */
+    static isValidDiagonal(a, b) {
+        return a.next.i !== b.i && a.prev.i !== b.i && !TriangulationModule.intersectsPolygon(a, b) &&
+            TriangulationModule.locallyInside(a, b) && TriangulationModule.locallyInside(b, a) &&
+            TriangulationModule.middleInside(a, b) &&
+            (TriangulationModule.area(a.prev, a, b.prev) !== 0 || TriangulationModule.area(a, b.prev, b) !== 0);
+    }
+
+    /**
+     * Twice the signed area of a triangle (negative = counter-clockwise)
+     */
+    static area(p, q, r) {
+        return (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
+    }
+
+    /**
+     * Check if two nodes are at the same position
+     */
+    static equals(p1, p2) {
+        return p1.x === p2.x && p1.y === p2.y;
+    }
+
+    /**
+     * Check if two segments intersect
+     */
+    static intersects(p1, q1, p2, q2) {
+        const sign = (num) => (num > 0 ? 1 : num < 0 ? -1 : 0);
+        const onSegment = (p, q, r) => q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) &&
+            q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+
+        const o1 = sign(TriangulationModule.area(p1, q1, p2));
+        const o2 = sign(TriangulationModule.area(p1, q1, q2));
+        const o3 = sign(TriangulationModule.area(p2, q2, p1));
+        const o4 = sign(TriangulationModule.area(p2, q2, q1));
+
+        if (o1 !== o2 && o3 !== o4) return true;
+        if (o1 === 0 && onSegment(p1, p2, q1)) return true;
+        if (o2 === 0 && onSegment(p1, q2, q1)) return true;
+        if (o3 === 0 && onSegment(p2, p1, q2)) return true;
+        if (o4 === 0 && onSegment(p2, q1, q2)) return true;
+        return false;
+    }
+
+    /**
+     * Check if a diagonal intersects any polygon edge
+     */
+    static intersectsPolygon(a, b) {
+        let p = a;
+        do {
+            if (p.i !== a.i && p.next.i !== a.i && p.i !== b.i && p.next.i !== b.i &&
+                TriangulationModule.intersects(p, p.next, a, b)) {
+                return true;
+            }
+            p = p.next;
+        } while (p !== a);
+        return false;
+    }
+
+    /**
+     * Check if a diagonal starts into the polygon interior at a
+     */
+    static locallyInside(a, b) {
+        return TriangulationModule.area(a.prev, a, a.next) < 0
+            ? TriangulationModule.area(a, b, a.next) >= 0 && TriangulationModule.area(a, a.prev, b) >= 0
+            : TriangulationModule.area(a, b, a.prev) < 0 || TriangulationModule.area(a, a.next, b) < 0;
+    }
+
+    /**
+     * Check if the middle of a diagonal is inside the polygon
+     */
+    static middleInside(a, b) {
+        let p = a, inside = false;
+        const px = (a.x + b.x) / 2, py = (a.y + b.y) / 2;
+        do {
+            if (((p.y > py) !== (p.next.y > py)) && p.next.y !== p.y &&
+                (px < (p.next.x - p.x) * (py - p.y) / (p.next.y - p.y) + p.x)) {
+                inside = !inside;
+            }
+            p = p.next;
+        } while (p !== a);
+        return inside;
+    }
+
+    /**
+     * Link two nodes with a diagonal, splitting the polygon in two
+     * (or merging a hole into the outer ring); a and b are duplicated
+     * @returns {Object} Node of the second polygon
+     */
+    static splitPolygon(a, b) {
+        const a2 = { i: a.i, x: a.x, y: a.y, prev: null, next: null };
+        const b2 = { i: b.i, x: b.x, y: b.y, prev: null, next: null };
+        const an = a.next, bp = b.prev;
+
+        a.next = b;
+        b.prev = a;
+
+        a2.next = an;
+        an.prev = a2;
+
+        b2.next = a2;
+        a2.prev = b2;
+
+        bp.next = b2;
+        b2.prev = bp;
+
+        return b2;
+    }
+
+    /**
+     * Insert a node after last
+     */
+    static insertNode(i, x, y, last) {
+        const p = { i, x, y, prev: null, next: null };
+        if (!last) {
+            p.prev = p;
+            p.next = p;
+        } else {
+            p.next = last.next;
+            p.prev = last;
+            last.next.prev = p;
+            last.next = p;
+        }
+        return p;
+    }
+
+    /**
+     * Unlink a node
+     */
+    static removeNode(p) {
+        p.next.prev = p.prev;
+        p.prev.next = p.next;
+    }
+}
+
+// Export for use in other modules
+window.TriangulationModule = TriangulationModule;
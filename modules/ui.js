@@ -51,8 +51,20 @@ class UIModule {
             this.data.reset();
             this.tree.resetTreeMode();
             document.getElementById('file-input').value = '';
+            this.detachProject();
         });
 
+        // Load mode (replace or append); dedupe options only apply when appending
+        const loadModeSelect = document.getElementById('load-mode');
+        if (loadModeSelect) {
+            loadModeSelect.addEventListener('change', () => {
+                const mergeOptions = document.getElementById('merge-options');
+                if (mergeOptions) {
+                    mergeOptions.style.display = loadModeSelect.value === 'append' ? 'flex' : 'none';
+                }
+            });
+        }
+
         // Energy column selector
         document.getElementById('energy-column-selector').addEventListener('change', (e) => {
             const selectedColumn = e.target.value;
@@ -60,22 +72,186 @@ class UIModule {
             console.log(`✓ Energy column changed to: ${selectedColumn}`);
         });
 
+        // Palette of the building colors
+        this.populateColorScales();
+        document.getElementById('color-scale-selector').addEventListener('change', () => this.applyColorScale());
+        document.getElementById('color-scale-reverse').addEventListener('change', () => this.applyColorScale());
+        document.getElementById('custom-palette-save').addEventListener('click', () => this.saveCustomPalette());
+        document.getElementById('custom-palette-delete').addEventListener('click', () => {
+            const id = document.getElementById('color-scale-selector').value;
+            if (confirm(`Delete the palette "${id.replace(/^custom:/, '')}"?`)) {
+                this.data.deleteCustomColorScheme(id);
+                this.populateColorScales();
+            }
+        });
+
+        // Storey height of the estimated floor counts
+        document.getElementById('storey-height').addEventListener('change', (e) => {
+            const meters = parseFloat(e.target.value);
+            if (meters > 0) {
+                this.data.setStoreyHeight(meters);
+            } else {
+                e.target.value = String(this.data.getStoreyHeight());
+            }
+        });
+
+        // Scenario comparison
+        ['comparison-mode', 'comparison-delta', 'comparison-base-column', 'comparison-column'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyComparison(id === 'comparison-mode'));
+        });
+        document.getElementById('comparison-clear-baseline').addEventListener('click', () => this.data.clearBaselineScene());
+
+        // Classification of the building colors
+        ['classification-method', 'classification-classes', 'classification-breaks'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.applyClassification(id === 'classification-method'));
+            }
+        });
+
 
         // Building click events
         const map = this.core.getMap();
         map.on('click', 'geojson-layer', (e) => {
-            if (this.tree.getCurrentTreeMode()) return;
+            if (this.isToolActive()) return;
             this.showBuildingProperties(e);
         });
 
         map.on('mouseenter', 'geojson-layer', () => { 
-            if (!this.tree.getCurrentTreeMode()) map.getCanvas().style.cursor = 'pointer'; 
+            if (!this.isToolActive()) map.getCanvas().style.cursor = 'pointer'; 
         });
         map.on('mouseleave', 'geojson-layer', () => { 
-            if (!this.tree.getCurrentTreeMode()) map.getCanvas().style.cursor = ''; 
+            if (!this.isToolActive()) map.getCanvas().style.cursor = ''; 
+        });
+    }
+
+    /**
+     * Fill the palette picker with the built-in and custom color scales
+     */
+    populateColorScales() {
+        const select = document.getElementById('color-scale-selector');
+        select.innerHTML = '';
+        this.data.getColorScales().forEach(scale => {
+            const option = document.createElement('option');
+            option.value = scale.id;
+            option.textContent = scale.custom ? `★ ${scale.name}` : scale.name;
+            select.appendChild(option);
+        });
+        select.value = this.data.getSelectedColorScale();
+        document.getElementById('color-scale-reverse').checked = this.data.colorScaleReversed;
+        this.updateColorScaleControls();
+    }
+
+    /**
+     * Apply the palette picker and reverse checkbox
+     */
+    applyColorScale() {
+        const scale = document.getElementById('color-scale-selector').value;
+        const reversed = document.getElementById('color-scale-reverse').checked;
+        this.data.setColorScale(scale, reversed);
+        this.updateColorScaleControls();
+    }
+
+    /**
+     * Show the selected ramp as a gradient and offer deleting custom palettes
+     */
+    updateColorScaleControls() {
+        const colors = this.data.getActiveColorRamp();
+        document.getElementById('color-scale-preview').style.background = `linear-gradient(to right, ${colors.join(', ')})`;
+        document.getElementById('custom-palette-delete').style.display =
+            this.data.getSelectedColorScale().startsWith('custom:') ? 'inline-flex' : 'none';
+    }
+
+    /**
+     * Save the custom palette inputs and select the new palette
+     */
+    saveCustomPalette() {
+        const colors = document.getElementById('custom-palette-colors').value.split(/[,;\s]+/).filter(text => text !== '');
+        const name = document.getElementById('custom-palette-name').value;
+        try {
+            const id = this.data.saveCustomColorScheme(name, colors);
+            this.data.setColorScale(id);
+            this.populateColorScales();
+        } catch (error) {
+            console.error('Error saving palette:', error);
+            alert('Error saving palette: ' + error.message);
+        }
+    }
+
+    /**
+     * Apply the comparison controls of the energy statistics menu
+     * Entering column mode compares the selected column with the next energy column;
+     * entering scene mode compares the selected column with the same baseline column.
+     * @param {boolean} modeChanged - The mode select changed
+     */
+    applyComparison(modeChanged) {
+        const mode = document.getElementById('comparison-mode').value;
+        let column = document.getElementById('comparison-column').value || this.data.getSelectedEnergyColumn();
+        let baseColumn = document.getElementById('comparison-base-column').value;
+
+        if (modeChanged) {
+            column = this.data.getSelectedEnergyColumn();
+            if (mode === 'columns') {
+                const columns = this.data.getEnergyColumns();
+                const other = columns.find(info => info.isEnergy && !info.isDerived && info.name !== column) ||
+                    columns.find(info => info.name !== column);
+                baseColumn = other ? other.name : column;
+            } else if (mode === 'scene') {
+                const baseline = this.data.getBaselineScene();
+                baseColumn = baseline && !baseline.columns.some(info => info.name === column)
+                    ? (baseline.columns[0] || {}).name
+                    : column;
+            }
+        }
+
+        this.data.setComparison({
+            mode,
+            column,
+            baseColumn: baseColumn || null,
+            deltaType: document.getElementById('comparison-delta').value
         });
     }
 
+    /**
+     * Apply the classification controls of the energy statistics menu
+     * Switching to manual breaks starts from the current class boundaries.
+     * @param {boolean} methodChanged - The method select changed
+     */
+    applyClassification(methodChanged) {
+        const method = document.getElementById('classification-method').value;
+        const classesInput = document.getElementById('classification-classes');
+        const breaksInput = document.getElementById('classification-breaks');
+
+        if (method === 'manual' && methodChanged && !breaksInput.value.trim()) {
+            const classification = this.data.getClassification();
+            if (classification) {
+                breaksInput.value = classification.breaks.slice(1, -1).map(value => parseFloat(value.toPrecision(6))).join(', ');
+            }
+        }
+        document.getElementById('classification-breaks-group').style.display = method === 'manual' ? 'block' : 'none';
+        classesInput.disabled = method === 'manual';
+
+        const manualBreaks = breaksInput.value.split(/[,;\s]+/)
+            .filter(text => text !== '')
+            .map(Number)
+            .filter(value => isFinite(value));
+        this.data.setClassification({
+            method,
+            classCount: parseInt(classesInput.value, 10) || this.data.classCount,
+            manualBreaks
+        });
+        classesInput.value = String(this.data.classCount);
+    }
+
+    /**
+     * Check whether a tree or building editing tool owns the map clicks
+     * @returns {boolean} True if a tool mode is active
+     */
+    isToolActive() {
+        const buildingEditor = window.app && window.app.buildingEditor;
+        return Boolean(this.tree.getCurrentTreeMode() || (buildingEditor && buildingEditor.getCurrentMode()));
+    }
+
     /**
      * Setup map layers for buildings (internal method)
      */
@@ -143,11 +319,14 @@ class UIModule {
         const feature = e.features[0];
         this.selectedFeatureId = feature.properties.ID;
 
-        const properties = feature.properties;
+        // Rendered features may carry the derived metric the map is colored by; edit the building's own attributes
+        const building = this.data.getBuildingData().features.find(f => f.properties.ID === feature.properties.ID);
+        const properties = building ? building.properties : feature.properties;
         const popupContent = document.createElement('div');
 
         let tableHTML = '<table id="properties-table">';
         for (const key in properties) {
+            if (!building && this.data.isDerivedBuildingKey(key)) continue; // Shown read-only below
             const isReadOnly = key === 'ID';
             tableHTML += `<tr>
                             <td><input type="text" class="key-input" value="${key}" ${isReadOnly ? 'readonly' : ''}></td>
@@ -161,6 +340,9 @@ class UIModule {
             <div><strong>Building Properties</strong></div>
             <div id="popup-content">
                 ${tableHTML}
+                ${this.getFloorAreaHTML(feature.properties.ID)}
+                ${this.getComparisonHTML(feature)}
+                ${this.getTreeShadingHTML(feature.properties.ID)}
                 <button id="add-row">Add Row</button>
                 <button id="save-properties">Save</button>
             </div>
@@ -172,6 +354,79 @@ class UIModule {
         this.setupPropertyEditor(popupContent, popup);
     }
 
+    /**
+     * Build the floor area and energy intensity summary shown in the building popup
+     * @param {*} buildingId - Building ID
+     * @returns {string} HTML (empty if the building is not found)
+     */
+    getFloorAreaHTML(buildingId) {
+        const building = this.data.getBuildingData().features.find(feature => feature.properties.ID === buildingId);
+        if (!building) return '';
+
+        const metrics = this.data.computeBuildingMetrics(building);
+        const eui = Object.keys(metrics.eui)
+            .filter(column => metrics.eui[column] !== null)
+            .map(column => `<div>EUI ${column}: ${metrics.eui[column].toFixed(1)} kWh/m²</div>`)
+            .join('');
+
+        return `
+            <div class="popup-shading">
+                <div><strong>Floor Area</strong></div>
+                <div>Footprint: ${metrics.footprintArea.toFixed(1)} m² · Floors: ${metrics.floors}${metrics.floorsFromAttribute ? '' : ` (estimated, ${this.data.getStoreyHeight()} m storeys)`}</div>
+                <div>Gross floor area: ${metrics.gfa.toFixed(1)} m²</div>
+                ${eui}
+            </div>
+        `;
+    }
+
+    /**
+     * Build the comparison values shown in the building popup
+     * @param {Object} feature - Building feature
+     * @returns {string} HTML (empty if no comparison is active)
+     */
+    getComparisonHTML(feature) {
+        if (!this.data.isComparisonActive()) return '';
+
+        const building = this.data.getBuildingData().features.find(f => f.properties.ID === feature.properties.ID) || feature;
+        const { before, after } = this.data.getComparisonValues(building);
+        const delta = this.data.getBuildingValue(building, this.data.comparisonDeltaKey);
+        const percent = this.data.getComparison().deltaType === 'percent';
+        const format = value => value !== null && value !== undefined ? value.toFixed(1) : 'N/A';
+
+        return `
+            <div class="popup-shading">
+                <div><strong>Comparison</strong></div>
+                <div>${this.data.describeComparison()}</div>
+                <div>A: ${format(before)} → B: ${format(after)} (${delta !== null && delta !== undefined && delta > 0 ? '+' : ''}${format(delta)}${percent ? '%' : ''})</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the tree shading summary shown in the building popup
+     * @param {*} buildingId - Building ID
+     * @returns {string} HTML (empty if no shading results exist)
+     */
+    getTreeShadingHTML(buildingId) {
+        const impact = window.app && window.app.treeShading
+            ? window.app.treeShading.getBuildingImpact(buildingId)
+            : null;
+        if (!impact) return '';
+
+        const column = this.data.getSelectedEnergyColumn();
+        const delta = impact.coolingDelta !== null
+            ? `${impact.coolingDelta < 0 ? '−' : ''}${Math.abs(impact.coolingDelta).toFixed(1)}`
+            : 'N/A';
+
+        return `
+            <div class="popup-shading">
+                <div><strong>Tree Shading (cooling season)</strong></div>
+                <div>Roof shaded: ${(impact.roofShaded * 100).toFixed(0)}% · Facade shaded: ${(impact.facadeShaded * 100).toFixed(0)}%</div>
+                <div>${column}: ${impact.energy !== null ? impact.energy.toFixed(1) : 'N/A'} (cooling Δ ${delta})</div>
+            </div>
+        `;
+    }
+
     /**
      * Setup property editor functionality
      * @param {HTMLElement} popupContent - Popup content element
@@ -309,191 +564,265 @@ class UIModule {
         }
     }
 
+    /**
+     * Mark the scene as local data, no longer linked to a backend project
+     */
+    detachProject() {
+        if (window.app && window.app.projectBrowser) {
+            window.app.projectBrowser.setCurrentProject(null);
+        }
+    }
+
+    /**
+     * Get the selected load mode
+     * @returns {'replace'|'append'|'compare'} Load mode
+     */
+    getLoadMode() {
+        const select = document.getElementById('load-mode');
+        return select && ['append', 'compare'].includes(select.value) ? select.value : 'replace';
+    }
+
+    /**
+     * Read the merge options for append mode
+     * @param {'feet'|'meters'} heightUnit - Height unit of the file being appended
+     * @returns {Object} Options for DataModule.appendGeoJsonToMap()
+     */
+    getMergeOptions(heightUnit) {
+        const dedupeSelect = document.getElementById('merge-dedupe');
+        const overlapInput = document.getElementById('merge-overlap');
+        const overlapPercent = overlapInput ? parseFloat(overlapInput.value) : 50;
+        return {
+            dedupe: dedupeSelect ? dedupeSelect.value : 'keep-both',
+            overlapThreshold: Math.max(5, Math.min(100, isNaN(overlapPercent) ? 50 : overlapPercent)) / 100,
+            heightUnit
+        };
+    }
+
+    /**
+     * Describe an append result for the progress text
+     * @param {Object} summary - Result of DataModule.appendGeoJsonToMap()
+     * @returns {string} Summary text
+     */
+    describeMergeSummary(summary) {
+        const details = [];
+        if (summary.renamedBuildings || summary.renamedTrees) {
+            details.push(`${summary.renamedBuildings + summary.renamedTrees} IDs renamed`);
+        }
+        if (summary.skippedBuildings) {
+            details.push(`${summary.skippedBuildings} duplicates skipped`);
+        }
+        if (summary.replacedBuildings) {
+            details.push(`${summary.replacedBuildings} buildings replaced`);
+        }
+        return `Appended ${summary.buildings} buildings, ${summary.trees} trees, ${summary.roads} roads` +
+            (details.length ? ` (${details.join(', ')})` : '');
+    }
+
     /**
      * Load data with progress indicator for large files
+     * The file is converted by the importer registered for its extension
+     * (GeoJSON, zipped Shapefile, GeoPackage, CSV or KML; see ImporterModule) and
+     * classified in the load worker (see LoadPipelineModule), which can be cancelled.
+     * Falls back to the main thread where workers are unavailable.
      * @param {File} file - File to load
+     * @param {Object} options - { heightUnit } of the data, if known (skips the height unit question)
+     * @returns {Promise<'replace'|'append'|'compare'|null>} Load mode used, or null if the load
+     *   failed or was cancelled
      */
-    async loadDataWithProgress(file) {
+    async loadDataWithProgress(file, options = {}) {
         const loadBtn = document.getElementById('load-geojson');
         const originalText = loadBtn.innerHTML;
         
         try {
+            const importers = window.app && window.app.importers;
+            const importer = importers ? importers.getImporter(file.name) : null;
+            if (!importer) {
+                throw new Error(`Unsupported file type: ${file.name}${importers ? `. Supported: ${importers.getAcceptString()}` : ''}`);
+            }
+
             // Disable button and show progress
             loadBtn.disabled = true;
             loadBtn.innerHTML = '<span>⏳ Loading...</span>';
             this.showProgress();
             this.updateProgress(0, 'Reading file...');
             
-            // Read file with progress
-            const fileSize = file.size;
-            const reader = new FileReader();
+            // 0-90% for reading, conversion and classification
+            let loaded = null;
+            const pipeline = window.app.loadPipeline;
+            if (pipeline && pipeline.isSupported()) {
+                this.setLoadCancelable(true);
+                try {
+                    loaded = await pipeline.load(file, (fraction, text) => this.updateProgress(fraction * 90, text));
+                } catch (error) {
+                    if (error.name !== 'WorkerError') throw error;
+                    console.warn(`${error.message}; loading on the main thread`);
+                } finally {
+                    this.setLoadCancelable(false);
+                }
+            }
+            if (!loaded) {
+                loaded = await this.loadOnMainThread(file, importer);
+            }
+
+            const { classified, hasHeightData, featureCount } = loaded;
+
+            // Unit of the file's heights (meters unless the user picks feet)
+            let heightUnit = options.heightUnit === 'feet' ? 'feet' : 'meters';
+            if (hasHeightData && !options.heightUnit) {
+                // Show modal and wait for user selection
+                const selectedUnit = await this.showHeightUnitModal();
+                if (selectedUnit === 'meters') {
+                    heightUnit = 'meters';
+                    console.log('Height unit set to meters by user choice');
+                } else if (selectedUnit === 'feet') {
+                    heightUnit = 'feet';
+                    console.log('Height unit set to feet by user choice');
+                } else {
+                    // Default to meters if cancelled
+                    console.log('Height unit set to default (meters)');
+                }
+            }
+
+            this.updateProgress(90, `Processing ${featureCount} features...`);
+            await new Promise(resolve => setTimeout(resolve, 0));
             
-            return new Promise((resolve, reject) => {
-                reader.onprogress = (e) => {
-                    if (e.lengthComputable) {
-                        const percent = (e.loaded / e.total) * 50; // 0-50% for file reading
-                        this.updateProgress(percent, `Reading file... (${(e.loaded / 1024 / 1024).toFixed(2)} MB)`);
-                    }
-                };
-                
-                reader.onload = async (e) => {
-                    try {
-                        this.updateProgress(60, 'Parsing JSON...');
-                        await new Promise(resolve => setTimeout(resolve, 0)); // Allow UI update
-                        
-                        const data = JSON.parse(e.target.result);
-                        const featureCount = data.features ? data.features.length : 0;
-                        
-                        // Detect height data and ask user for unit
-                        const heightKeys = ['Height', 'height', 'HEIGHT', 'building_height', 'buildingHeight', 'elevation', 'Elevation', 'ELEVATION'];
-                        const hasHeightData = Array.isArray(data.features) && data.features.some(f => {
-                            if (!f || !f.properties) return false;
-                            return heightKeys.some(k => f.properties[k] !== null && f.properties[k] !== undefined && f.properties[k] !== '');
-                        });
-
-                        if (hasHeightData) {
-                            // Show modal and wait for user selection
-                            const selectedUnit = await this.showHeightUnitModal();
-                            if (selectedUnit === 'meters') {
-                                this.data.setHeightUnit('meters');
-                                console.log('Height unit set to meters by user choice');
-                            } else if (selectedUnit === 'feet') {
-                                this.data.setHeightUnit('feet');
-                                console.log('Height unit set to feet by user choice');
-                            } else {
-                                // Default to meters if cancelled
-                                this.data.setHeightUnit('meters');
-                                console.log('Height unit set to default (meters)');
-                            }
-                        } else {
-                            // No height data, default to meters
-                            this.data.setHeightUnit('meters');
-                        }
-
-                        this.updateProgress(70, `Processing ${featureCount} features...`);
-                        await new Promise(resolve => setTimeout(resolve, 0));
-                        
-                        this.updateProgress(80, 'Adding to map...');
-                        this.data.addGeoJsonToMap(data);
-                        
-                        this.updateProgress(100, 'Complete!');
-                        loadBtn.innerHTML = '<span>✓ Loaded!</span>';
-                        
-                        setTimeout(() => {
-                            loadBtn.disabled = false;
-                            loadBtn.innerHTML = originalText;
-                            this.hideProgress();
-                        }, 1000);
-                        
-                        resolve();
-                    } catch (error) {
-                        alert("Error parsing GeoJSON file: " + error.message);
-                        loadBtn.disabled = false;
-                        loadBtn.innerHTML = originalText;
-                        this.hideProgress();
-                        reject(error);
-                    }
-                };
-                
-                reader.onerror = (error) => {
-                    alert("Error reading file: " + error.message);
-                    loadBtn.disabled = false;
-                    loadBtn.innerHTML = originalText;
-                    this.hideProgress();
-                    reject(error);
-                };
-                
-                // Start reading
-                reader.readAsText(file);
-            });
+            // Append mode merges into the scene (and keeps the backend project link),
+            // comparison mode keeps the file next to the scene as the baseline of comparisons
+            const append = this.getLoadMode() === 'append' && this.data.hasSceneData();
+            const compare = this.getLoadMode() === 'compare';
+            let completeText = 'Complete!';
+            if (compare) {
+                this.updateProgress(95, 'Matching buildings...');
+                const baseline = this.data.setBaselineScene(classified.buildings, file.name, heightUnit);
+                completeText = `Baseline: ${baseline.count} buildings, ${baseline.matched} matched by ID`;
+            } else if (append) {
+                this.updateProgress(95, 'Merging into scene...');
+                const summary = this.data.appendClassifiedData(classified, this.getMergeOptions(heightUnit));
+                completeText = this.describeMergeSummary(summary);
+            } else {
+                this.data.setHeightUnit(heightUnit);
+                this.updateProgress(95, 'Adding to map...');
+                this.data.addClassifiedDataToMap(classified);
+                this.detachProject();
+            }
+            
+            this.updateProgress(100, completeText);
+            loadBtn.innerHTML = '<span>✓ Loaded!</span>';
+            
+            setTimeout(() => {
+                loadBtn.disabled = false;
+                loadBtn.innerHTML = originalText;
+                this.hideProgress();
+            }, append || compare ? 4000 : 1000);
+            return compare ? 'compare' : (append ? 'append' : 'replace');
             
         } catch (error) {
-            console.error('Error loading data:', error);
-            alert(`Error loading data: ${error.message}`);
             loadBtn.disabled = false;
             loadBtn.innerHTML = originalText;
             this.hideProgress();
+            if (error.name === 'AbortError') {
+                return null;
+            }
+            console.error('Error loading data:', error);
+            alert(`Error loading ${file.name}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Read, convert and classify a file on the main thread
+     * Used when the load worker is unavailable (e.g. pages opened from file://).
+     * @param {File} file - File to load
+     * @param {Object} importer - Importer registered for the file
+     * @returns {Promise<Object>} { classified, hasHeightData, featureCount }
+     */
+    async loadOnMainThread(file, importer) {
+        const content = await this.readFileWithProgress(file, importer.readAs);
+
+        this.updateProgress(50, `Converting ${importer.name}...`);
+        await new Promise(resolve => setTimeout(resolve, 0)); // Allow UI update
+
+        // 50-70% for conversion and reprojection to WGS84
+        const data = await window.app.importers.importFile(file, content, (fraction, text) => {
+            this.updateProgress(50 + fraction * 20, text);
+        });
+
+        this.updateProgress(70, `Classifying ${data.features.length} features...`);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return {
+            classified: DataModule.classifyFeatures(data.features),
+            hasHeightData: UtilsModule.hasHeightData(data.features),
+            featureCount: data.features.length
+        };
+    }
+
+    /**
+     * Read a file with FileReader, reporting 0-50% progress
+     * @param {File} file - File to read
+     * @param {string} readAs - 'text' or 'arrayBuffer'
+     * @returns {Promise<string|ArrayBuffer>} Content
+     */
+    readFileWithProgress(file, readAs) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onprogress = (e) => {
+                if (e.lengthComputable) {
+                    const percent = (e.loaded / e.total) * 50; // 0-50% for file reading
+                    this.updateProgress(percent, `Reading file... (${(e.loaded / 1024 / 1024).toFixed(2)} MB)`);
+                }
+            };
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`Error reading file: ${reader.error ? reader.error.message : 'unknown error'}`));
+
+            if (readAs === 'arrayBuffer') {
+                reader.readAsArrayBuffer(file);
+            } else {
+                reader.readAsText(file);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the cancel button of the progress bar
+     * @param {boolean} cancelable - True while a cancellable load is running
+     */
+    setLoadCancelable(cancelable) {
+        const cancelBtn = document.getElementById('progress-cancel');
+        if (cancelBtn) {
+            cancelBtn.style.display = cancelable ? 'inline-block' : 'none';
         }
     }
 
     /**
      * Save data with progress indicator for large datasets
+     * Features are streamed to the file by GeoJSONWriterModule, with the precision
+     * and gzip options from the save controls.
      */
     async saveDataWithProgress() {
         const saveBtn = document.getElementById('save-geojson');
         const originalText = saveBtn.innerHTML;
         
         try {
+            const writer = window.app && window.app.geojsonWriter;
+            if (!writer) {
+                throw new Error('GeoJSON writer is not available');
+            }
+            if (!this.data.hasSceneData()) {
+                alert("No data to save.");
+                return;
+            }
+
             // Disable button and show progress
             saveBtn.disabled = true;
             saveBtn.innerHTML = '<span>⏳ Saving...</span>';
             this.showProgress();
             this.updateProgress(0, 'Preparing...');
             
-            // Get data
-            this.updateProgress(10, 'Collecting data...');
-            const combinedData = this.data.saveData();
-            if (!combinedData) {
-                alert("No data to save.");
-                saveBtn.disabled = false;
-                saveBtn.innerHTML = originalText;
-                this.hideProgress();
-                return;
-            }
-            
-            const totalFeatures = combinedData.features.length;
-            console.log(`Starting save of ${totalFeatures} features...`);
-            
-            // For very large datasets, use chunked stringification
-            if (totalFeatures > 10000) {
-                this.updateProgress(20, 'Processing large dataset...');
-                
-                // Use requestIdleCallback or setTimeout to prevent blocking
-                await new Promise(resolve => setTimeout(resolve, 0));
-                
-                // Stringify in chunks to prevent blocking
-                this.updateProgress(40, 'Serializing data...');
-                const dataStr = await this.stringifyLargeJSONWithProgress(combinedData, (progress) => {
-                    // Progress from 40% to 80% for stringification
-                    this.updateProgress(40 + (progress * 0.4), 'Serializing data...');
-                });
-                
-                this.updateProgress(85, 'Creating file...');
-                const blob = new Blob([dataStr], { type: 'application/json' });
-                
-                this.updateProgress(95, 'Downloading...');
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = 'data-with-trees.geojson';
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-                
-                console.log(`✓ Successfully saved ${totalFeatures} features`);
-            } else {
-                // For smaller datasets, use normal stringification
-                this.updateProgress(30, 'Serializing data...');
-                const dataStr = JSON.stringify(combinedData, null, 2);
-                
-                this.updateProgress(70, 'Creating file...');
-                const blob = new Blob([dataStr], { type: 'application/json' });
-                
-                this.updateProgress(90, 'Downloading...');
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = 'data-with-trees.geojson';
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-                
-                console.log(`✓ Successfully saved ${totalFeatures} features`);
-            }
+            const result = await writer.save(writer.getOptions(), (fraction, text) => {
+                this.updateProgress(fraction * 100, text);
+            });
             
-            this.updateProgress(100, 'Complete!');
+            this.updateProgress(100, `Saved ${result.featureCount} features to ${result.filename}`);
             saveBtn.innerHTML = '<span>✓ Saved!</span>';
             
             setTimeout(() => {
@@ -503,11 +832,14 @@ class UIModule {
             }, 1500);
             
         } catch (error) {
-            console.error('Error saving data:', error);
-            alert(`Error saving data: ${error.message}. The dataset might be too large. Try reducing the number of trees.`);
             saveBtn.disabled = false;
             saveBtn.innerHTML = originalText;
             this.hideProgress();
+            if (error.name === 'AbortError') {
+                return; // Save dialog cancelled
+            }
+            console.error('Error saving data:', error);
+            alert(`Error saving data: ${error.message}`);
         }
     }
 
@@ -551,39 +883,6 @@ class UIModule {
             modal.addEventListener('keydown', handleKeyPress);
         });
     }
-
-    /**
-     * Stringify large JSON objects without blocking the UI
-     * @param {Object} obj - Object to stringify
-     * @param {Function} progressCallback - Callback function for progress updates (0-1)
-     * @returns {Promise<string>} Stringified JSON
-     */
-    async stringifyLargeJSONWithProgress(obj, progressCallback) {
-        return new Promise((resolve, reject) => {
-            try {
-                // For very large objects, stringify without pretty printing to save memory
-                // Use setTimeout to allow UI updates during stringification
-                const startTime = Date.now();
-                
-                // Stringify in a way that allows progress updates
-                setTimeout(() => {
-                    try {
-                        if (progressCallback) progressCallback(0.1);
-                        
-                        // Stringify the object
-                        const dataStr = JSON.stringify(obj); // No pretty printing for large datasets
-                        
-                        if (progressCallback) progressCallback(1.0);
-                        resolve(dataStr);
-                    } catch (e) {
-                        reject(e);
-                    }
-                }, 0);
-            } catch (error) {
-                reject(error);
-            }
-        });
-    }
 }
 
 // Export for use in other modules
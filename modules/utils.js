@@ -22,18 +22,34 @@ class UtilsModule {
         return 10; // Default height in feet
     }
 
+    /**
+     * Check whether any feature carries a height value
+     * Used to decide whether to ask for the height unit when loading data.
+     * @param {Array} features - Array of GeoJSON features
+     * @returns {boolean} True if a height property is present
+     */
+    static hasHeightData(features) {
+        const heightKeys = ['Height', 'height', 'HEIGHT', 'building_height', 'buildingHeight', 'elevation', 'Elevation', 'ELEVATION'];
+        return Array.isArray(features) && features.some(f => {
+            if (!f || !f.properties) return false;
+            return heightKeys.some(k => f.properties[k] !== null && f.properties[k] !== undefined && f.properties[k] !== '');
+        });
+    }
+
     /**
      * Calculate energy statistics from features
      * @param {Array} features - Array of GeoJSON features
      * @param {string} energyColumn - Name of the energy column to use (default: 'TotalEnergy')
+     * @param {Function} getValue - (feature, column) => value, defaults to the feature attribute
      * @returns {Object} Energy statistics object
      */
-    static calculateEnergyStats(features, energyColumn = 'TotalEnergy') {
+    static calculateEnergyStats(features, energyColumn = 'TotalEnergy', getValue = (feature, column) => (feature.properties || {})[column]) {
         const energyValues = [];
         
         for (const feature of features) {
-            if (feature.properties && feature.properties[energyColumn] !== null && feature.properties[energyColumn] !== undefined) {
-                const energy = parseFloat(feature.properties[energyColumn]);
+            const raw = getValue(feature, energyColumn);
+            if (raw !== null && raw !== undefined) {
+                const energy = parseFloat(raw);
                 if (!isNaN(energy)) {
                     energyValues.push(energy);
                 }
@@ -51,6 +67,241 @@ class UtilsModule {
         }
     }
 
+    /**
+     * Class breaks of a set of values
+     * Methods:
+     * - 'equal-interval': classes of equal width between min and max
+     * - 'quantile': about the same number of values in every class
+     * - 'jenks': Jenks natural breaks (minimal variance within classes; above 1000 values
+     *   the breaks are optimized on 1000 evenly spaced quantiles)
+     * - 'std-dev': classes one standard deviation wide, centered on the mean
+     * - 'logarithmic': classes of equal width on a log scale from the smallest positive value
+     *   (values <= 0 join the first class, whose lower edge becomes the minimum)
+     * - 'manual': the given breaks
+     * Breaks are the lower bound of every class followed by the maximum, so class i holds
+     * breaks[i] <= value < breaks[i + 1] (the last class includes the maximum, and is the
+     * maximum alone when the last two breaks are equal). Duplicate breaks are dropped, so
+     * there can be fewer classes than requested.
+     * @param {Array} values - Numbers
+     * @param {string} method - Classification method
+     * @param {number} classCount - Number of classes (ignored by 'manual')
+     * @param {Array} manualBreaks - Class boundaries for 'manual'
+     * @returns {Array} [min, ..., max] ascending, empty without values
+     */
+    static computeClassBreaks(values, method, classCount, manualBreaks = []) {
+        const sorted = values.filter(value => isFinite(value)).sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const count = Math.max(1, Math.round(classCount) || 1);
+        const equalInterval = () => Array.from({ length: count - 1 }, (_, i) => min + (max - min) * (i + 1) / count);
+        let inner;
+
+        switch (method) {
+            case 'quantile':
+                inner = Array.from({ length: count - 1 }, (_, i) => sorted[Math.floor(sorted.length * (i + 1) / count)]);
+                break;
+            case 'jenks': {
+                let sample = sorted;
+                if (sorted.length > 1000) {
+                    sample = Array.from({ length: 1000 }, (_, i) => sorted[Math.round(i * (sorted.length - 1) / 999)]);
+                }
+                inner = UtilsModule.jenksBreaks(sample, count);
+                break;
+            }
+            case 'std-dev': {
+                const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+                const deviation = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / sorted.length);
+                inner = Array.from({ length: count - 1 }, (_, i) => mean + deviation * (i + 1 - count / 2));
+                break;
+            }
+            case 'logarithmic': {
+                const lowest = sorted.find(value => value > 0);
+                if (lowest === undefined || lowest === max) {
+                    inner = equalInterval();
+                    break;
+                }
+                // Equal log steps from the smallest positive value; values <= 0 fall below the first step
+                inner = Array.from({ length: count - 1 }, (_, i) => lowest * Math.pow(max / lowest, (i + 1) / count));
+                break;
+            }
+            case 'manual':
+                inner = manualBreaks.map(Number).filter(value => isFinite(value));
+                break;
+            case 'equal-interval':
+            default:
+                inner = equalInterval();
+        }
+
+        // A break at the maximum leaves a last class holding only the maximum
+        const breaks = [min];
+        inner.filter(value => value > min && value <= max)
+            .sort((a, b) => a - b)
+            .forEach(value => {
+                if (value > breaks[breaks.length - 1]) breaks.push(value);
+            });
+        if (max > min) breaks.push(max);
+        return breaks;
+    }
+
+    /**
+     * Class breaks symmetric around zero, for deltas on a diverging ramp
+     * The classes split [-m, m] evenly, m being the largest absolute value, so the middle
+     * color of the ramp always sits on zero (with an odd class count, the middle class
+     * straddles it). Classes beyond the data on one side stay empty.
+     * @param {Array} values - Numbers
+     * @param {number} classCount - Number of classes
+     * @returns {Array} [-m, ..., m], [0] if all values are zero, empty without values
+     */
+    static computeDivergingBreaks(values, classCount) {
+        const finite = values.filter(value => isFinite(value));
+        if (finite.length === 0) return [];
+
+        const extent = finite.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        if (extent === 0) return [0];
+        const count = Math.max(1, Math.round(classCount) || 1);
+        return Array.from({ length: count + 1 }, (_, i) => -extent + 2 * extent * i / count);
+    }
+
+    /**
+     * Jenks natural breaks (Fisher-Jenks dynamic programming)
+     * @param {Array} sorted - Values in ascending order
+     * @param {number} classCount - Number of classes
+     * @returns {Array} Lower bounds of classes 2..classCount
+     */
+    static jenksBreaks(sorted, classCount) {
+        const n = sorted.length;
+        const k = Math.min(classCount, n);
+        // lowerClassLimits[l][j]: 1-based index of the first value of class j when the first l values form j classes
+        const lowerClassLimits = [];
+        const variances = [];
+        for (let i = 0; i <= n; i++) {
+            lowerClassLimits.push(new Array(k + 1).fill(0));
+            variances.push(new Array(k + 1).fill(i >= 2 ? Infinity : 0));
+        }
+        for (let j = 1; j <= k; j++) {
+            lowerClassLimits[1][j] = 1;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let variance = 0;
+            for (let m = 1; m <= l; m++) {
+                const first = l - m + 1;
+                const value = sorted[first - 1];
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - sum * sum / m;
+                if (first > 1) {
+                    for (let j = 2; j <= k; j++) {
+                        if (variances[l][j] >= variance + variances[first - 1][j - 1]) {
+                            lowerClassLimits[l][j] = first;
+                            variances[l][j] = variance + variances[first - 1][j - 1];
+                        }
+                    }
+                }
+            }
+            lowerClassLimits[l][1] = 1;
+            variances[l][1] = variance;
+        }
+
+        const breaks = [];
+        let last = n;
+        for (let j = k; j >= 2; j--) {
+            const first = lowerClassLimits[last][j];
+            breaks.unshift(sorted[first - 1]);
+            last = first - 1;
+        }
+        return breaks;
+    }
+
+    /**
+     * Goodness of variance fit of a classification (1 = every class holds a single value)
+     * @param {Array} values - Numbers
+     * @param {Array} breaks - Result of computeClassBreaks()
+     * @returns {number} GVF between 0 and 1
+     */
+    static goodnessOfVarianceFit(values, breaks) {
+        const squaredDeviations = list => {
+            const mean = list.reduce((sum, value) => sum + value, 0) / list.length;
+            return list.reduce((sum, value) => sum + (value - mean) * (value - mean), 0);
+        };
+        const total = squaredDeviations(values);
+        if (!(total > 0)) return 1;
+
+        const classes = Array.from({ length: Math.max(1, breaks.length - 1) }, () => []);
+        values.forEach(value => classes[UtilsModule.getClassIndex(breaks, value)].push(value));
+        const within = classes.filter(list => list.length > 0).reduce((sum, list) => sum + squaredDeviations(list), 0);
+        return 1 - within / total;
+    }
+
+    /**
+     * Class of a value
+     * @param {Array} breaks - Result of computeClassBreaks()
+     * @param {number} value - Value
+     * @returns {number} Class index (values outside the range join the first or last class)
+     */
+    static getClassIndex(breaks, value) {
+        let index = 0;
+        while (index < breaks.length - 2 && value >= breaks[index + 1]) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Evaluate a (small subset of a) Mapbox style expression against feature properties
+     * Supports literals, get, has, case, coalesce, to-number and + - * / arithmetic,
+     * which covers the data-driven extrusion expressions built by DataModule.
+     * @param {*} expression - Mapbox expression or literal
+     * @param {Object} properties - Feature properties
+     * @returns {*} Evaluated value
+     */
+    static evaluateExpression(expression, properties) {
+        if (!Array.isArray(expression)) {
+            return expression;
+        }
+
+        const [operator, ...args] = expression;
+        const evaluate = (arg) => UtilsModule.evaluateExpression(arg, properties);
+
+        switch (operator) {
+            case 'get':
+                return properties ? properties[args[0]] : undefined;
+            case 'has':
+                return !!properties && properties.hasOwnProperty(args[0]);
+            case 'case':
+                for (let i = 0; i < args.length - 1; i += 2) {
+                    if (evaluate(args[i])) {
+                        return evaluate(args[i + 1]);
+                    }
+                }
+                return evaluate(args[args.length - 1]);
+            case 'coalesce':
+                for (const arg of args) {
+                    const value = evaluate(arg);
+                    if (value !== null && value !== undefined) {
+                        return value;
+                    }
+                }
+                return null;
+            case 'to-number':
+                return Number(evaluate(args[0]));
+            case '+':
+                return args.reduce((sum, arg) => sum + Number(evaluate(arg)), 0);
+            case '*':
+                return args.reduce((product, arg) => product * Number(evaluate(arg)), 1);
+            case '-':
+                return args.length === 1 ? -Number(evaluate(args[0])) : Number(evaluate(args[0])) - Number(evaluate(args[1]));
+            case '/':
+                return Number(evaluate(args[0])) / Number(evaluate(args[1]));
+            default:
+                throw new Error(`Unsupported expression operator: ${operator}`);
+        }
+    }
+
     /**
      * Throttle function to limit function calls
      * @param {Function} func - Function to throttle
@@ -70,6 +321,19 @@ class UtilsModule {
         }
     }
 
+    /**
+     * Build a map mouse event ({ point, lngLat }) from a DOM mouse event
+     * Used for a button released outside the map, where Mapbox fires no mouseup.
+     * @param {Object} map - Mapbox map instance
+     * @param {MouseEvent} event - DOM mouse event
+     * @returns {Object} { point, lngLat, originalEvent }
+     */
+    static toMapMouseEvent(map, event) {
+        const rect = map.getCanvas().getBoundingClientRect();
+        const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        return { point, lngLat: map.unproject([point.x, point.y]), originalEvent: event };
+    }
+
     /**
      * Validate date values for sun calculation
      * @param {number} year - Year
@@ -84,6 +348,116 @@ class UtilsModule {
         return !isNaN(date.getTime());
     }
 
+    /**
+     * Get the UTC offset of an IANA time zone at a given instant
+     * @param {Date} date - Instant to evaluate (DST aware)
+     * @param {string} timeZone - IANA time zone name (e.g. 'Europe/Berlin')
+     * @returns {number} Offset in minutes (local time - UTC)
+     */
+    static getTimeZoneOffsetMinutes(date, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const asUTC = Date.UTC(
+            Number(parts.year),
+            Number(parts.month) - 1,
+            Number(parts.day),
+            Number(parts.hour) % 24,
+            Number(parts.minute),
+            Number(parts.second)
+        );
+        return Math.round((asUTC - date.getTime()) / 60000);
+    }
+
+    /**
+     * Format a UTC offset for display
+     * @param {number} offsetMinutes - Offset in minutes
+     * @returns {string} e.g. 'UTC+5:30' or 'UTC-4'
+     */
+    static formatUtcOffset(offsetMinutes) {
+        const sign = offsetMinutes < 0 ? '-' : '+';
+        const abs = Math.abs(offsetMinutes);
+        const hours = Math.floor(abs / 60);
+        const minutes = abs % 60;
+        return `UTC${sign}${hours}${minutes ? ':' + String(minutes).padStart(2, '0') : ''}`;
+    }
+
+    /**
+     * Parse a hex color string
+     * @param {string} hex - Color like '#10b981' or '#fff'
+     * @returns {Array} [r, g, b] in the range 0-1
+     */
+    static hexToRgb(hex) {
+        let value = String(hex).replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        const int = parseInt(value, 16);
+        if (value.length !== 6 || isNaN(int)) {
+            return [0.5, 0.5, 0.5];
+        }
+        return [((int >> 16) & 255) / 255, ((int >> 8) & 255) / 255, (int & 255) / 255];
+    }
+
+    /**
+     * Format an [r, g, b] color (0-1) as hex
+     * @param {Array} rgb - [r, g, b] in the range 0-1
+     * @returns {string} Color like '#10b981'
+     */
+    static rgbToHex(rgb) {
+        return '#' + rgb.map(channel => Math.round(Math.max(0, Math.min(1, channel)) * 255).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Pick evenly spaced colors along a ramp
+     * @param {Array} colors - Ramp colors from low to high
+     * @param {number} count - Number of colors
+     * @returns {Array} Hex colors (the ramp ends for the first and last)
+     */
+    static sampleColorRamp(colors, count) {
+        if (count <= 1) return [colors[0]];
+        const stops = colors.flatMap((color, i) => [i / (colors.length - 1), color]);
+        return Array.from({ length: count }, (_, i) => UtilsModule.rgbToHex(UtilsModule.interpolateColor(stops, i / (count - 1))));
+    }
+
+    /**
+     * Evaluate a linear color ramp the way a Mapbox 'interpolate' expression does
+     * @param {Array} colorStops - Flat [value, color, value, color, ...] stops in ascending order
+     * @param {number} value - Value to look up
+     * @returns {Array} [r, g, b] in the range 0-1
+     */
+    static interpolateColor(colorStops, value) {
+        const count = colorStops.length / 2;
+        if (count === 0) return [0.5, 0.5, 0.5];
+        if (isNaN(value) || value <= colorStops[0]) return UtilsModule.hexToRgb(colorStops[1]);
+        if (value >= colorStops[(count - 1) * 2]) return UtilsModule.hexToRgb(colorStops[(count - 1) * 2 + 1]);
+
+        for (let i = 0; i < count - 1; i++) {
+            const lower = colorStops[i * 2];
+            const upper = colorStops[(i + 1) * 2];
+            if (value >= lower && value <= upper) {
+                const t = upper > lower ? (value - lower) / (upper - lower) : 0;
+                const from = UtilsModule.hexToRgb(colorStops[i * 2 + 1]);
+                const to = UtilsModule.hexToRgb(colorStops[(i + 1) * 2 + 1]);
+                return from.map((channel, c) => channel + (to[c] - channel) * t);
+            }
+        }
+        return UtilsModule.hexToRgb(colorStops[colorStops.length - 1]);
+    }
+
     /**
      * Generate unique ID
      * @param {string} prefix - Prefix for the ID
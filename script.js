@@ -7,11 +7,24 @@
 let app = {
     core: null,
     data: null,
+    crs: null,
+    importers: null,
+    loadPipeline: null,
+    geojsonWriter: null,
+    history: null,
+    species: null,
     tree: null,
+    treeTiles: null,
     sun: null,
+    sunAnimation: null,
+    shadowAnalysis: null,
+    treeShading: null,
     energyStats: null,
     ui: null,
+    buildingEditor: null,
+    projectBrowser: null,
     stlExporter: null,
+    sceneExporter: null,
     isInitialized: false
 };
 
@@ -20,8 +33,8 @@ let app = {
  */
 function validateModules() {
     const requiredModules = [
-        'UtilsModule', 'CoreModule', 'DataModule', 
-        'TreeModule', 'SunModule', 'EnergyStatsModule', 'UIModule'
+        'UtilsModule', 'CoreModule', 'CRSModule', 'ImporterModule', 'LoadPipelineModule', 'GeoJSONWriterModule', 'SpatialIndexModule', 'DataModule', 'HistoryModule', 'TreeSpeciesModule',
+        'TreeModule', 'TreeTilesModule', 'SunModule', 'EnergyStatsModule', 'UIModule', 'BuildingEditorModule'
     ];
     
     const missingModules = requiredModules.filter(moduleName => {
@@ -78,6 +91,51 @@ async function initializeApplication() {
         updateStatus('Data module ready', false);
         console.log('✓ Data module initialized');
 
+        // Initialize CRS module (projected coordinates for exports and brush shapes)
+        updateStatus('Initializing coordinate system module...', true);
+        app.crs = new CRSModule(app.core);
+        app.crs.initialize();
+        app.data.setCRSModule(app.crs);
+        updateStatus('Coordinate system module ready', false);
+        console.log('✓ Coordinate system module initialized');
+
+        // Initialize importer module (GeoJSON, Shapefile, GeoPackage, CSV, KML)
+        updateStatus('Initializing importer module...', true);
+        app.importers = new ImporterModule(app.core, app.crs);
+        app.importers.initialize();
+        updateStatus('Importer module ready', false);
+        console.log('✓ Importer module initialized');
+
+        // Initialize load pipeline module (parsing and classification in a Web Worker)
+        updateStatus('Initializing load pipeline module...', true);
+        app.loadPipeline = new LoadPipelineModule(app.core, app.data, app.importers);
+        app.loadPipeline.initialize();
+        updateStatus('Load pipeline module ready', false);
+        console.log('✓ Load pipeline module initialized');
+
+        // Initialize GeoJSON writer module (streaming save)
+        updateStatus('Initializing GeoJSON writer module...', true);
+        app.geojsonWriter = new GeoJSONWriterModule(app.core, app.data);
+        app.geojsonWriter.initialize();
+        updateStatus('GeoJSON writer module ready', false);
+        console.log('✓ GeoJSON writer module initialized');
+
+        // Initialize history module (undo/redo for data edits)
+        updateStatus('Initializing history module...', true);
+        app.history = new HistoryModule(app.core, app.data);
+        app.history.initialize();
+        app.data.setHistoryModule(app.history);
+        updateStatus('History module ready', false);
+        console.log('✓ History module initialized');
+
+        // Initialize tree species module (species catalogue for tree placement)
+        updateStatus('Initializing tree species module...', true);
+        app.species = new TreeSpeciesModule(app.core);
+        app.species.initialize();
+        app.data.setSpeciesModule(app.species);
+        updateStatus('Tree species module ready', false);
+        console.log('✓ Tree species module initialized');
+
         // Initialize tree module (but don't setup map layers yet)
         updateStatus('Initializing tree module...', true);
         app.tree = new TreeModule(app.core, app.data);
@@ -85,6 +143,13 @@ async function initializeApplication() {
         updateStatus('Tree module ready', false);
         console.log('✓ Tree module initialized');
 
+        // Initialize tree tiles module (viewport streaming of large tree scenes)
+        updateStatus('Initializing tree tiles module...', true);
+        app.treeTiles = new TreeTilesModule(app.core, app.data);
+        app.treeTiles.initialize();
+        updateStatus('Tree tiles module ready', false);
+        console.log('✓ Tree tiles module initialized');
+
         // Initialize sun module
         updateStatus('Initializing sun module...', true);
         app.sun = new SunModule(app.core);
@@ -92,6 +157,20 @@ async function initializeApplication() {
         updateStatus('Sun module ready', false);
         console.log('✓ Sun module initialized');
 
+        // Initialize sun animation module (playback and recording)
+        updateStatus('Initializing sun animation module...', true);
+        app.sunAnimation = new SunAnimationModule(app.core, app.sun);
+        app.sunAnimation.initialize();
+        updateStatus('Sun animation module ready', false);
+        console.log('✓ Sun animation module initialized');
+
+        // Initialize shadow analysis module (sun-hour heatmap)
+        updateStatus('Initializing shadow analysis module...', true);
+        app.shadowAnalysis = new ShadowAnalysisModule(app.core, app.data, app.sun);
+        app.shadowAnalysis.initialize();
+        updateStatus('Shadow analysis module ready', false);
+        console.log('✓ Shadow analysis module initialized');
+
         // Initialize energy statistics module
         updateStatus('Initializing energy statistics module...', true);
         app.energyStats = new EnergyStatsModule(app.core, app.data);
@@ -100,6 +179,13 @@ async function initializeApplication() {
         updateStatus('Energy statistics module ready', false);
         console.log('✓ Energy statistics module initialized');
 
+        // Initialize tree shading module (canopy shading of buildings)
+        updateStatus('Initializing tree shading module...', true);
+        app.treeShading = new TreeShadingModule(app.core, app.data, app.sun, app.shadowAnalysis);
+        app.treeShading.initialize();
+        updateStatus('Tree shading module ready', false);
+        console.log('✓ Tree shading module initialized');
+
         // Initialize UI module (but don't setup map layers yet)
         updateStatus('Initializing UI module...', true);
         app.ui = new UIModule(app.core, app.data, app.tree);
@@ -107,6 +193,20 @@ async function initializeApplication() {
         updateStatus('UI module ready', false);
         console.log('✓ UI module initialized');
 
+        // Initialize building editor module (draw and edit footprints)
+        updateStatus('Initializing building editor module...', true);
+        app.buildingEditor = new BuildingEditorModule(app.core, app.data);
+        app.buildingEditor.initialize();
+        updateStatus('Building editor module ready', false);
+        console.log('✓ Building editor module initialized');
+
+        // Initialize project browser module (load/save scenes via the backend API)
+        updateStatus('Initializing project browser module...', true);
+        app.projectBrowser = new ProjectBrowserModule(app.core, app.data, app.ui);
+        app.projectBrowser.initialize();
+        updateStatus('Project browser module ready', false);
+        console.log('✓ Project browser module initialized');
+
         // Initialize STL Exporter module
         updateStatus('Initializing STL exporter module...', true);
         app.stlExporter = new STLExporterModule(app.core, app.data);
@@ -114,6 +214,13 @@ async function initializeApplication() {
         updateStatus('STL exporter module ready', false);
         console.log('✓ STL exporter module initialized');
 
+        // Initialize scene exporter module (STL/OBJ/glTF of the whole scene)
+        updateStatus('Initializing scene exporter module...', true);
+        app.sceneExporter = new SceneExporterModule(app.core, app.data, app.stlExporter);
+        app.sceneExporter.initialize();
+        updateStatus('Scene exporter module ready', false);
+        console.log('✓ Scene exporter module initialized');
+
         // Setup map load event - initialize modules that need map layers here
         const map = app.core.getMap();
         let mapLayersSetup = false;
@@ -185,10 +292,14 @@ async function initializeApplication() {
                 
                 // Now that map is loaded, setup map layers for modules
                 app.tree.setupMapLayers();
+                app.treeTiles.setupMapListeners();
                 app.ui.setupMapLayers();
                 
                 // Normalize layer order to ensure equal priority
                 normalizeLayerOrder();
+
+                // Editing overlays go on top of buildings and trees
+                app.buildingEditor.setupMapLayers();
                 
                 // Set up lighting and initial sun position
                 map.setConfigProperty('basemap', 'lightPreset', 'custom');